@@ -0,0 +1,327 @@
+/**
+ * Account Controller
+ *
+ * Contains the business logic for the logged-in user's account settings:
+ * changing the password or the email address, and deleting the account
+ * with everything in it.
+ *
+ * Every change asks for the current password, so someone who only has a
+ * stolen session (not the password) cannot take the account over. Wrong
+ * passwords count towards the same lockout as failed logins.
+ */
+
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Comment = require('../models/Comment');
+const TimeEntry = require('../models/TimeEntry');
+const TaskRevision = require('../models/TaskRevision');
+const Session = require('../models/Session');
+const { revokeUserSessions } = require('../utils/sessions');
+const {
+  isValidEmail,
+  sendVerificationEmail,
+  getResendWaitSeconds,
+} = require('../utils/emailVerification');
+const {
+  getLoginLockWait,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../utils/loginLockout');
+const { formatWait } = require('../utils/rateLimit');
+
+const { MIN_PASSWORD_LENGTH } = User;
+
+/**
+ * The account details that are safe to show
+ */
+const toAccountInfo = (user) => ({
+  email: user.email,
+  emailVerified: user.emailVerified,
+  // An address waiting to be verified before it replaces the current one
+  pendingEmail:
+    user.emailVerification && user.emailVerification.email !== user.email
+      ? user.emailVerification.email
+      : null,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Find the logged-in user and check their current password
+ *
+ * Refused while the account is locked after failed logins; a wrong
+ * password counts as a failed login (see utils/loginLockout.js).
+ *
+ * @returns {Promise<{ status: number|null, message: string|null, retryAfter: number|null, user: Object|null }>}
+ *   The user, or the error response to send (retryAfter: seconds until
+ *   the lock ends)
+ */
+const checkCurrentPassword = async (userId, password) => {
+  if (!password || typeof password !== 'string') {
+    return {
+      status: 400,
+      message: 'Please provide your current password',
+      retryAfter: null,
+      user: null,
+    };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return { status: 404, message: 'User not found', retryAfter: null, user: null };
+  }
+
+  const lockWait = await getLoginLockWait(user.email);
+  if (lockWait > 0) {
+    return {
+      status: 429,
+      message: `Too many wrong passwords. Please try again in ${formatWait(lockWait)}.`,
+      retryAfter: lockWait,
+      user: null,
+    };
+  }
+
+  if (!(await user.comparePassword(password))) {
+    const lockSeconds = await recordLoginFailure(user.email);
+    return {
+      status: 401,
+      message:
+        lockSeconds > 0
+          ? `The current password is not correct. Too many wrong passwords: please wait ${formatWait(lockSeconds)} before trying again.`
+          : 'The current password is not correct',
+      retryAfter: lockSeconds > 0 ? lockSeconds : null,
+      user: null,
+    };
+  }
+
+  await clearLoginFailures(user.email);
+  return { status: null, message: null, retryAfter: null, user };
+};
+
+/**
+ * Send the error response of a failed password check
+ */
+const sendPasswordCheckError = (res, { status, message, retryAfter }) => {
+  if (!retryAfter) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (status === 429) res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({
+    success: false,
+    message,
+    retryAfter,
+  });
+};
+
+/**
+ * Get the logged-in user's account details
+ */
+const getAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(
+      'email emailVerified emailVerification createdAt'
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      account: toAccountInfo(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching account',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the password
+ *
+ * Flow:
+ * 1. Validate the new password
+ * 2. Check the current password
+ * 3. Save the new password (hashed by the User model); earlier password
+ *    reset links stop working
+ * 4. End all other sessions: other browsers and devices have to log in
+ *    with the new password (this one stays logged in)
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const check = await checkCurrentPassword(req.userId, currentPassword);
+    const { user } = check;
+    if (!user) {
+      return sendPasswordCheckError(res, check);
+    }
+
+    // The password is hashed by the pre-save hook in the User model
+    user.password = newPassword;
+    user.passwordReset = null;
+    await user.save();
+
+    const endedSessions = await revokeUserSessions(user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'password changed',
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed. Other devices have been logged out.',
+      endedSessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the email address
+ *
+ * The new address only replaces the current one once it is verified: a
+ * verification link is sent to it (GET /api/auth/verify/:token). Until
+ * then, the user keeps logging in with the current address.
+ *
+ * Flow:
+ * 1. Validate the new address and check it is not used by another account
+ * 2. Check the current password
+ * 3. Check that the last verification email is long enough ago
+ * 4. Send the verification link to the new address
+ */
+const changeEmail = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const check = await checkCurrentPassword(req.userId, password);
+    const { user } = check;
+    if (!user) {
+      return sendPasswordCheckError(res, check);
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address',
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already used by another account',
+      });
+    }
+
+    const waitSeconds = getResendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before asking for another email.`,
+        retryAfter: waitSeconds,
+      });
+    }
+
+    await sendVerificationEmail(user._id, email);
+    const updated = await User.findById(user._id).select(
+      'email emailVerified emailVerification createdAt'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `We sent a link to ${email}. Your email address changes once you open it.`,
+      account: toAccountInfo(updated),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete the account and everything in it
+ *
+ * Flow:
+ * 1. Check the password
+ * 2. Delete the sessions first, so no more changes can come in
+ * 3. Delete the user's tasks (also trashed ones), tags, projects, comments,
+ *    time entries and revisions
+ * 4. Delete the user (last, so a failed attempt can be repeated)
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const check = await checkCurrentPassword(req.userId, req.body.password);
+    const { user } = check;
+    if (!user) {
+      return sendPasswordCheckError(res, check);
+    }
+
+    const userId = user._id;
+    await Session.deleteMany({ userId });
+
+    const [tasks] = await Promise.all([
+      Task.deleteMany({ userId }),
+      Tag.deleteMany({ userId }),
+      Project.deleteMany({ userId }),
+      Comment.deleteMany({ userId }),
+      TimeEntry.deleteMany({ userId }),
+      TaskRevision.deleteMany({ userId }),
+    ]);
+
+    await User.deleteOne({ _id: userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and all its data have been deleted.',
+      deletedTasks: tasks.deletedCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getAccount,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+};
@@ -1,45 +1,89 @@
 /**
  * Authentication Controller
  * 
- * Contains the business logic for user registration and login.
+ * Contains the business logic for user registration, email verification,
+ * login, refreshing tokens, logout and resetting a forgotten password.
  * This keeps our routes clean and organized.
+ *
+ * Logging in starts a session with a short-lived access token and a
+ * refresh token (see utils/sessions.js).
  */
 
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  UNVERIFIED_LOGIN_MESSAGE,
+} = require('../utils/sessions');
+const {
+  isValidEmail,
+  getUnverifiedAccess,
+  sendVerificationEmail,
+  getResendWaitSeconds,
+  verifyEmailToken,
+} = require('../utils/emailVerification');
+const { generateSecretToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { buildPasswordResetEmail } = require('../utils/emails');
+const {
+  getLoginLockWait,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../utils/loginLockout');
+const { formatWait } = require('../utils/rateLimit');
+const { readPositiveNumber } = require('../utils/env');
+
+const DEFAULT_PASSWORD_RESET_MINUTES = 60;
+const { MIN_PASSWORD_LENGTH } = User;
 
 /**
- * Generate JWT Token
- * 
- * Creates a JSON Web Token containing user information.
- * Token expires in 7 days.
- * 
- * @param {string} userId - The user's ID from MongoDB
- * @returns {string} JWT token
+ * Minutes a password reset link works (PASSWORD_RESET_MINUTES, default 60)
  */
-const generateToken = (userId) => {
-  // jwt.sign() creates a token
-  // First parameter: payload (data to store in token)
-  // Second parameter: secret key (from .env)
-  // Third parameter: options (expiration time)
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d', // Token expires in 7 days
-  });
+const getPasswordResetMinutes = () =>
+  readPositiveNumber(process.env.PASSWORD_RESET_MINUTES, DEFAULT_PASSWORD_RESET_MINUTES);
+
+/**
+ * Read the access token in the Authorization header
+ *
+ * @param {Object} req - The request
+ * @param {Object} options
+ * @param {boolean} options.allowExpired - Also accept an expired token (only for logging out)
+ * @returns {Object|null} The token's payload ({ userId, sid, ev }), or null
+ *   if there is no valid token
+ */
+const decodeAccessToken = (req, { allowExpired = false } = {}) => {
+  if (!req.headers.authorization) return null;
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    return jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: allowExpired });
+  } catch (error) {
+    // An invalid token belongs to no one
+    return null;
+  }
 };
 
 /**
  * Register a new user
  * 
  * Flow:
- * 1. Check if user with email already exists
- * 2. Create new user (password will be hashed automatically by User model)
- * 3. Generate JWT token
- * 4. Return token and user ID
+ * 1. Check that the email is well-formed and the password long enough
+ * 2. Check if user with email already exists
+ * 3. Create new user (password will be hashed automatically by User model)
+ * 4. Email a verification link
+ * 5. Start a session, unless unverified accounts may not log in
+ *    (UNVERIFIED_ACCESS=none)
+ * 6. Return the tokens and user ID
  */
 const register = async (req, res) => {
   try {
     // Extract email and password from request body
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
 
     // Validate input
     if (!email || !password) {
@@ -49,6 +93,20 @@ const register = async (req, res) => {
       });
     }
 
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
     // Check if user already exists
     // User.findOne() searches for a user with the given email
     const existingUser = await User.findOne({ email });
@@ -67,16 +125,30 @@ const register = async (req, res) => {
       password, // This will be hashed before saving
     });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Email a link to verify the address
+    await sendVerificationEmail(user._id, email);
 
-    // Return success response with token and user ID
+    // Unverified accounts may not log in: the user logs in after verifying
+    if (getUnverifiedAccess() === 'none') {
+      return res.status(201).json({
+        success: true,
+        message: 'Registered. Please open the link we emailed you to verify your address, then log in.',
+        userId: user._id,
+        emailVerified: false,
+      });
+    }
+
+    // Start a session (access token + refresh token)
+    const tokens = await createSession(user, req);
+
+    // Return success response with the tokens and user ID
     // We don't return the password (even hashed) for security
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       userId: user._id,
+      emailVerified: false,
     });
   } catch (error) {
     // Handle any errors
@@ -92,58 +164,95 @@ const register = async (req, res) => {
  * Login an existing user
  * 
  * Flow:
- * 1. Find user by email
- * 2. Check if user exists
- * 3. Compare entered password with stored hashed password
- * 4. If match, generate JWT token
- * 5. Return token and user ID
+ * 1. Refuse the login while the account is locked after failed logins
+ *    (see utils/loginLockout.js)
+ * 2. Find user by email
+ * 3. Check if user exists
+ * 4. Compare entered password with stored hashed password (with a dummy
+ *    hash if there is no user); count a failure if there is no match
+ * 5. If match, forget earlier failures and check that the email is
+ *    verified (when UNVERIFIED_ACCESS=none)
+ * 6. Start a session
+ * 7. Return the tokens and user ID
  */
 const login = async (req, res) => {
   try {
     // Extract email and password from request body
-    const { email, password } = req.body;
+    // (the same normalized email is used for the lookup and the lockout)
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
 
-    // Validate input
-    if (!email || !password) {
+    // Validate input (only strings, so a value like ["a@b.co", "x"] cannot
+    // match an account under a different lockout key)
+    if (!email || !password || typeof password !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Please provide both email and password',
       });
     }
 
+    // Refuse all attempts (also with the right password) while locked
+    const lockWait = await getLoginLockWait(email);
+    if (lockWait > 0) {
+      res.set('Retry-After', String(lockWait));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${formatWait(lockWait)}.`,
+        retryAfter: lockWait,
+      });
+    }
+
     // Find user by email
     // We need to explicitly select the password field because
     // by default, Mongoose doesn't return password (if we set select: false in schema)
     const user = await User.findOne({ email });
 
-    // Check if user exists
-    if (!user) {
+    // Compare entered password with stored hashed password
+    // user.comparePassword() is a method we defined in User model.
+    // Without a user, a dummy hash is compared instead, so the answer takes
+    // as long as for an existing account
+    const isPasswordValid = user
+      ? await user.comparePassword(password)
+      : await User.comparePasswordWithoutUser(password);
+
+    // Unknown emails count as failures too, so the answer is the same
+    // whether or not the account exists
+    if (!isPasswordValid) {
+      const lockSeconds = await recordLoginFailure(email);
+      if (lockSeconds > 0) {
+        return res.status(401).json({
+          success: false,
+          message: `Invalid email or password. Too many failed attempts: please wait ${formatWait(lockSeconds)} before trying again.`,
+          retryAfter: lockSeconds,
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Compare entered password with stored hashed password
-    // user.comparePassword() is a method we defined in User model
-    const isPasswordValid = await user.comparePassword(password);
+    await clearLoginFailures(email);
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    // Unverified accounts may not log in at all with UNVERIFIED_ACCESS=none
+    if (!user.emailVerified && getUnverifiedAccess() === 'none') {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid email or password',
+        message: UNVERIFIED_LOGIN_MESSAGE,
+        emailVerified: false,
       });
     }
 
-    // Password is correct, generate JWT token
-    const token = generateToken(user._id);
+    // Password is correct, start a session (access token + refresh token)
+    const tokens = await createSession(user, req);
 
-    // Return success response with token and user ID
+    // Return success response with the tokens and user ID
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       userId: user._id,
+      emailVerified: user.emailVerified,
     });
   } catch (error) {
     // Handle any errors
@@ -155,9 +264,347 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Verify an email address with the token from the verification link
+ *
+ * Flow:
+ * 1. Find the user by the token's hash (expired links are not found)
+ * 2. Mark the address as the user's verified email and clear the token,
+ *    so the link works only once
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please ask for a new one.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your email address has been verified.',
+      email: user.email,
+      emailVerified: true,
+    });
+  } catch (error) {
+    // Another account has taken the address since the link was sent
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already used by another account',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send the verification email again
+ *
+ * The account is found by the email in the body or, for a logged-in user,
+ * by the access token in the Authorization header (the email then goes to
+ * the address waiting to be verified, which may be a new one from the
+ * account settings). Another email can only be sent a while after the last
+ * one (VERIFICATION_RESEND_SECONDS).
+ *
+ * Like "Forgot password?", the answer to an email does not say whether an
+ * unverified account with it exists: it is the same generic 200 when the
+ * account is unknown and when an email went out too recently. Only a
+ * logged-in user, who knows their own account, gets a 429 with a
+ * Retry-After header when asking too soon.
+ *
+ * Flow:
+ * 1. Find the unverified user by email or access token (the token must not
+ *    have expired and its session must still be active)
+ * 2. Check that the last email is long enough ago
+ * 3. Send a new link (the old one stops working)
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    let decoded = null;
+
+    // Without an email, only a current access token of a session that has not ended counts
+    if (!email && req.headers.authorization) {
+      decoded = decodeAccessToken(req);
+      if (!decoded || !decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your session has ended. Please log in again.',
+        });
+      }
+    }
+
+    if ((!email || typeof email !== 'string') && !decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email',
+      });
+    }
+
+    // A logged-in user may also be waiting to verify a new address (account settings)
+    const filter = decoded
+      ? { _id: decoded.userId, $or: [{ emailVerified: false }, { emailVerification: { $ne: null } }] }
+      : { email: email.trim().toLowerCase(), emailVerified: false };
+    const user = await User.findOne(filter).select('email emailVerification');
+    const waitSeconds = user ? getResendWaitSeconds(user) : 0;
+
+    if (decoded && waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before asking for another email.`,
+        retryAfter: waitSeconds,
+      });
+    }
+
+    if (user && waitSeconds === 0) {
+      const address = user.emailVerification ? user.emailVerification.email : user.email;
+      await sendVerificationEmail(user._id, address);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account with this email exists, a new verification link has been sent to it.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get new tokens for an expired access token
+ *
+ * Flow:
+ * 1. Check that a refresh token was sent
+ * 2. Replace it with a new one (a refresh token works only once; using a
+ *    replaced one again ends the session, see utils/sessions.js)
+ * 3. Return the new access token and refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+      });
+    }
+
+    const { error, tokens } = await refreshSession(refreshToken);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens refreshed',
+      ...tokens,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing tokens',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Log out: end the session, so its refresh token and access tokens stop working
+ *
+ * The session is found by the refresh token in the body or, without one, by
+ * the access token in the Authorization header (which may have expired
+ * already, logging out should still work).
+ *
+ * Flow:
+ * 1. Find the session from the refresh token or the access token
+ * 2. End it
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      const session = await findSessionByRefreshToken(refreshToken);
+      sessionId = session ? session._id : null;
+    } else if (req.headers.authorization) {
+      const decoded = decodeAccessToken(req, { allowExpired: true });
+      sessionId = decoded ? decoded.sid || null : null;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token or an access token',
+      });
+    }
+
+    // Logging out of a session that has already ended is not an error
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a password reset link ("Forgot password?")
+ *
+ * The answer is the same whether or not the email belongs to an account,
+ * so this cannot be used to find out who has one.
+ *
+ * Flow:
+ * 1. Find the user by email
+ * 2. Generate a random token and store its hash with an expiry (replacing
+ *    any earlier link)
+ * 3. Email the link with the token
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email',
+      });
+    }
+
+    const minutes = getPasswordResetMinutes();
+    const token = generateSecretToken();
+    const user = await User.findOneAndUpdate(
+      { email: email.trim().toLowerCase() },
+      {
+        passwordReset: {
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+        },
+      }
+    ).select('email');
+
+    if (user) {
+      try {
+        await sendMail({ to: user.email, ...buildPasswordResetEmail(token, minutes) });
+      } catch (error) {
+        // Answering differently would tell that the account exists
+        console.error('Error sending password reset email:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account with this email exists, a link to reset the password has been sent to it.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Choose a new password with the token from the reset link
+ *
+ * Flow:
+ * 1. Validate the new password
+ * 2. Find the user by the token's hash and clear it in the same step, so
+ *    the link works only once (expired links are not found)
+ * 3. Save the new password (hashed by the User model)
+ * 4. End all the user's sessions: whoever knew the old password is logged out
+ * 5. Forget failed logins, so a locked account can log in again
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token',
+      });
+    }
+
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() },
+      },
+      { passwordReset: null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please ask for a new one.',
+      });
+    }
+
+    // The password is hashed by the pre-save hook in the User model
+    user.password = password;
+    await user.save();
+
+    await revokeUserSessions(user._id, { reason: 'password reset' });
+
+    // A locked account can log in with the new password straight away
+    await clearLoginFailures(user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been changed. Please log in with the new password.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message,
+    });
+  }
+};
+
 // Export the controller functions
 module.exports = {
   register,
   login,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
 };
 
@@ -0,0 +1,255 @@
+/**
+ * Calendar Controller
+ *
+ * Contains the business logic for the calendar feed: a secret link that
+ * calendar apps (Google Calendar, Apple Calendar, Outlook, ...) subscribe
+ * to, so the user's tasks show up in their calendar.
+ *
+ * Calendar apps cannot log in, so the feed URL carries a random token
+ * instead. Only the token's hash is stored (see utils/tokens.js); creating
+ * a new feed or turning the feed off makes the old link stop working.
+ * The feed format is described in utils/ical.js.
+ */
+
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { buildTaskFilter } = require('../utils/taskQuery');
+const { isValidTimezone } = require('../utils/recurrence');
+const { generateSecretToken, hashToken } = require('../utils/tokens');
+const { ENTRY_TYPES, createCalendarWriter } = require('../utils/ical');
+const { writeChunk } = require('../utils/streaming');
+
+// How long calendar apps and proxies may reuse a downloaded feed (seconds)
+const FEED_CACHE_SECONDS = 5 * 60;
+
+/**
+ * Build the feed URL for a token
+ * PUBLIC_API_URL is the API's address as seen from the internet (calendar
+ * apps fetch the feed from their own servers); without it the address of
+ * this request is used.
+ */
+const buildFeedUrl = (req, token) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${base.replace(/\/+$/, '')}/calendar/feed/${token}.ics`;
+};
+
+/**
+ * The feed details that are safe to show (never the token hash)
+ */
+const toFeedInfo = (feed) => ({
+  active: Boolean(feed),
+  createdAt: feed ? feed.createdAt : null,
+  lastUsedAt: feed ? feed.lastUsedAt : null,
+});
+
+/**
+ * Get the logged-in user's calendar feed details
+ *
+ * The feed URL cannot be shown again (only its hash is stored), so this
+ * only says whether there is a feed and when it was last read.
+ */
+const getFeedInfo = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('calendarFeed');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      feed: toFeedInfo(user.calendarFeed),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a calendar feed for the logged-in user
+ *
+ * Flow:
+ * 1. Generate a random token
+ * 2. Store its hash on the user (replacing the previous feed, whose link
+ *    stops working)
+ * 3. Return the token and the feed URL; this is the only time they are shown
+ */
+const createFeed = async (req, res) => {
+  try {
+    const token = generateSecretToken();
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date(), lastUsedAt: null } },
+      { new: true }
+    ).select('calendarFeed');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Copy the link now, it is only shown once.',
+      token,
+      url: buildFeedUrl(req, token),
+      feed: toFeedInfo(user.calendarFeed),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Turn off the logged-in user's calendar feed (its link stops working)
+ */
+const revokeFeed = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.userId, calendarFeed: { $ne: null } },
+      { calendarFeed: null }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'There is no calendar feed to turn off',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed turned off',
+      feed: toFeedInfo(null),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error turning off calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send the calendar feed (called by calendar apps, without logging in)
+ *
+ * Query parameters (all optional, added to the feed URL):
+ * - type: "all" (default), "todo" (VTODO only) or "event" (VEVENT only)
+ * - timezone: IANA timezone name for the due-day events (default "UTC")
+ * - The task list's filters, e.g. project, tag, priority or category
+ *   (category=todo,in-progress leaves out finished tasks)
+ *
+ * Flow:
+ * 1. Find the user by the token's hash (unknown tokens get a 404)
+ * 2. Validate the options and filters
+ * 3. Stream the matching tasks as an iCalendar file
+ * 4. Remember when the feed was last read
+ */
+const getFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(req.params.token) })
+      .select('_id')
+      .lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    const type = req.query.type || 'all';
+    if (!ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${ENTRY_TYPES.join(', ')}`,
+      });
+    }
+
+    const timezone = req.query.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be a valid timezone name (e.g. "Europe/Berlin")',
+      });
+    }
+
+    const { error: filterError, conditions } = buildTaskFilter(user._id, req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const [tags, projects] = await Promise.all([
+      Tag.find({ userId: user._id }).select('name').lean(),
+      Project.find({ userId: user._id }).select('name').lean(),
+    ]);
+    const names = {
+      tags: new Map(tags.map((tag) => [String(tag._id), tag.name])),
+      projects: new Map(projects.map((project) => [String(project._id), project.name])),
+    };
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.setHeader('Cache-Control', `private, max-age=${FEED_CACHE_SECONDS}`);
+
+    const writer = createCalendarWriter({ name: 'Tasks', type, timezone });
+    await writeChunk(res, writer.start());
+
+    const cursor = Task.find({ $and: conditions })
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    for await (const task of cursor) {
+      // Stop reading when the client has gone away
+      if (res.destroyed) break;
+      await writeChunk(res, writer.item(task, names));
+    }
+
+    res.end(writer.end());
+
+    // Reading the feed does not count as changing the user
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'calendarFeed.lastUsedAt': new Date() } },
+      { timestamps: false }
+    );
+  } catch (error) {
+    // Once the feed has started, the only way to report an error is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getFeedInfo,
+  createFeed,
+  revokeFeed,
+  getFeed,
+};
@@ -0,0 +1,239 @@
+/**
+ * Comment Controller
+ *
+ * Contains the business logic for a task's comment / activity thread.
+ * The thread holds the user's own comments and system entries that are
+ * recorded automatically when the task changes (see utils/activity.js).
+ *
+ * Every operation first checks that the task belongs to the logged-in user.
+ * System entries can be read but not edited or deleted.
+ */
+
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Check the text of a new or edited comment
+ *
+ * @param {*} body - req.body.body
+ * @returns {string|null} Error message, or null if the text is fine
+ */
+const validateCommentBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Please provide the comment text';
+  }
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Find a task of the logged-in user
+ *
+ * @param {string} taskId - Task ID from the URL
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Promise<Object|null>} The task, or null if not found
+ */
+const findUserTask = (taskId, userId) => Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+/**
+ * Find one of the user's own comments on a task, ready to be changed
+ *
+ * @param {Object} req - Request with :id (task) and :commentId in the URL
+ * @returns {Promise<{ status: number, message: string }|{ comment: Object }>}
+ *   An error to send back, or the comment
+ */
+const findEditableComment = async (req) => {
+  const task = await findUserTask(req.params.id, req.userId);
+  if (!task) {
+    return { status: 404, message: 'Task not found or you do not have permission to view it' };
+  }
+
+  const comment = await Comment.findOne({ _id: req.params.commentId, taskId: task._id });
+  if (!comment) {
+    return { status: 404, message: 'Comment not found' };
+  }
+
+  if (comment.type === 'system') {
+    return { status: 403, message: 'Activity entries cannot be changed' };
+  }
+
+  return { comment };
+};
+
+/**
+ * Get the thread of a task (comments and activity, oldest first)
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Find all comments of the task
+ * 3. Return them
+ */
+const getComments = async (req, res) => {
+  try {
+    const task = await findUserTask(req.params.id, req.userId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to view it',
+      });
+    }
+
+    const comments = await Comment.find({ taskId: task._id }).sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      comments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a comment to a task
+ *
+ * Flow:
+ * 1. Validate the comment text
+ * 2. Find the task and verify it belongs to the user
+ * 3. Create the comment
+ * 4. Return the created comment
+ */
+const addComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    // Validate required fields
+    const bodyError = validateCommentBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError,
+      });
+    }
+
+    const task = await findUserTask(req.params.id, req.userId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const comment = await Comment.create({
+      taskId: task._id,
+      userId: req.userId,
+      body,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      comment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit the text of a comment
+ *
+ * Flow:
+ * 1. Validate the new text
+ * 2. Find the comment (the user's own, not a system entry)
+ * 3. Update the text and editedAt
+ * 4. Return the updated comment
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const bodyError = validateCommentBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError,
+      });
+    }
+
+    const { status, message, comment } = await findEditableComment(req);
+    if (!comment) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    comment.body = body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a comment
+ *
+ * Flow:
+ * 1. Find the comment (the user's own, not a system entry)
+ * 2. Delete it
+ * 3. Return success message
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { status, message, comment } = await findEditableComment(req);
+    if (!comment) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    await Comment.findByIdAndDelete(comment._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+};
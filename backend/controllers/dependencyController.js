@@ -0,0 +1,294 @@
+/**
+ * Dependency Controller
+ *
+ * Contains the business logic for "blocked by" links between a user's tasks.
+ * A task can list other tasks it waits for in blockedBy; links that would
+ * make a loop (A waits for B, B waits for A) are refused.
+ *
+ * See utils/dependencies.js for the cycle check and the blockedCount field.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const {
+  findDependencyCycle,
+  blockedByLoader,
+  refreshBlockedCounts,
+} = require('../utils/dependencies');
+const { recordActivity } = require('../utils/activity');
+
+// Fields sent for the tasks on the other end of a link
+const LINKED_TASK_FIELDS = '_id title status statusCategory priority blockedCount';
+
+/**
+ * Get the tasks a task is blocked by and the tasks it blocks
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Find its blockers, and the tasks that list it as a blocker
+ * 3. Return both lists
+ */
+const getDependencies = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to view it',
+      });
+    }
+
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy }, userId, deletedAt: null }).select(
+        LINKED_TASK_FIELDS
+      ),
+      Task.find({ blockedBy: task._id, userId, deletedAt: null }).select(LINKED_TASK_FIELDS),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      blockedBy,
+      blocks,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dependencies',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark a task as blocked by another task
+ *
+ * Flow:
+ * 1. Find both tasks and verify they belong to the user
+ * 2. Refuse links to itself, duplicates and links that make a cycle
+ * 3. Add the blocker, update blockedCount and note it in the activity thread
+ * 4. Return the updated task
+ */
+const addDependency = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { blockerId } = req.body;
+
+    if (!blockerId || !mongoose.isValidObjectId(blockerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid blockerId',
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    // The blocker must be another task of the same user
+    const blocker = await Task.findOne({ _id: blockerId, userId, deletedAt: null });
+    if (!blocker) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blocking task not found',
+      });
+    }
+
+    if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This task is already blocked by that task',
+      });
+    }
+
+    const cycle = await findDependencyCycle(task._id, blocker._id, blockedByLoader(userId));
+    if (cycle) {
+      return res.status(400).json({
+        success: false,
+        message:
+          cycle.length === 2
+            ? 'A task cannot be blocked by itself'
+            : 'This link would create a cycle: the blocking task already waits for this task',
+        cycle,
+      });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+    await refreshBlockedCounts([task._id]);
+    await recordActivity(task, [
+      {
+        body: `blocked by "${blocker.title}"`,
+        change: { field: 'blockedBy', to: blocker._id },
+      },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      task: await Task.findById(task._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dependency',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a "blocked by" link
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Remove the blocker from blockedBy
+ * 3. Update blockedCount and note it in the activity thread
+ * 4. Return the updated task
+ */
+const removeDependency = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { blockerId } = req.params;
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const index = task.blockedBy.findIndex((id) => id.toString() === blockerId);
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'This task is not blocked by that task',
+      });
+    }
+
+    task.blockedBy.splice(index, 1);
+    await task.save();
+    await refreshBlockedCounts([task._id]);
+
+    const blocker = await Task.findById(blockerId).select('title');
+    await recordActivity(task, [
+      {
+        body: `no longer blocked by ${blocker ? `"${blocker.title}"` : 'a deleted task'}`,
+        change: { field: 'blockedBy', from: blockerId },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dependency removed successfully',
+      task: await Task.findById(task._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dependency',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the dependency graph of the user's tasks
+ *
+ * Flow:
+ * 1. Find every task that is blocked, and every task that blocks one
+ * 2. With ?taskId=, keep only the tasks connected to that task
+ * 3. Return the tasks as nodes and the links as edges (blocker → blocked task)
+ */
+const getDependencyGraph = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { taskId } = req.query;
+
+    if (taskId && !mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskId must be a task ID',
+      });
+    }
+
+    const blockedTasks = await Task.find({
+      userId,
+      deletedAt: null,
+      'blockedBy.0': { $exists: true },
+    }).select(`${LINKED_TASK_FIELDS} blockedBy`);
+
+    const blockerIds = blockedTasks.flatMap((task) => task.blockedBy);
+    const blockers = await Task.find({
+      _id: { $in: blockerIds },
+      userId,
+      deletedAt: null,
+    }).select(LINKED_TASK_FIELDS);
+
+    // Every task in the graph once, and every link as an edge
+    const nodes = new Map();
+    [...blockers, ...blockedTasks].forEach((task) => {
+      nodes.set(task._id.toString(), {
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        statusCategory: task.statusCategory,
+        priority: task.priority,
+        blockedCount: task.blockedCount,
+      });
+    });
+
+    let edges = blockedTasks.flatMap((task) =>
+      task.blockedBy
+        .filter((id) => nodes.has(id.toString()))
+        .map((id) => ({ from: id.toString(), to: task._id.toString() }))
+    );
+
+    // Only the part of the graph connected to one task
+    if (taskId) {
+      const connected = new Set([taskId]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        edges.forEach(({ from, to }) => {
+          if (connected.has(from) !== connected.has(to)) {
+            connected.add(from);
+            connected.add(to);
+            grew = true;
+          }
+        });
+      }
+
+      edges = edges.filter(({ from }) => connected.has(from));
+      [...nodes.keys()].forEach((id) => {
+        if (!connected.has(id)) nodes.delete(id);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      nodes: [...nodes.values()],
+      edges,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dependency graph',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getDependencies,
+  addDependency,
+  removeDependency,
+  getDependencyGraph,
+};
@@ -0,0 +1,353 @@
+/**
+ * Import / Export Controller
+ *
+ * Contains the business logic for exporting the user's tasks to a file
+ * (JSON, CSV or Markdown) and importing tasks from a JSON or CSV file.
+ * The file formats are described in utils/importExport.js.
+ */
+
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { buildTaskFilter, parseSortOptions, buildSort } = require('../utils/taskQuery');
+const { getWorkflow } = require('../utils/workflow');
+const { isValidTimezone } = require('../utils/recurrence');
+const { getTopPosition, POSITION_STEP } = require('../utils/position');
+const { writeChunk } = require('../utils/streaming');
+const {
+  EXPORT_FORMATS,
+  IMPORT_FIELDS,
+  toExportRecord,
+  createExportWriter,
+  readImportFile,
+  resolveMapping,
+  validateImportRow,
+  duplicateKey,
+} = require('../utils/importExport');
+
+// File types POST /api/tasks/import can read
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// What to do with rows that look like tasks the user already has
+const DUPLICATE_MODES = ['skip', 'import'];
+
+/**
+ * Build a { lower-case name: document } lookup
+ * (the first document wins if two names only differ in case)
+ */
+const byLowerCaseName = (documents) => {
+  const lookup = new Map();
+  documents.forEach((document) => {
+    const key = document.name.toLowerCase();
+    if (!lookup.has(key)) lookup.set(key, document);
+  });
+  return lookup;
+};
+
+/**
+ * Export the logged-in user's tasks as a file download
+ *
+ * Query parameters:
+ * - format: "json", "csv" or "md" (Markdown checklist), default "json"
+ * - timezone: IANA timezone name for the dates in Markdown files (default "UTC")
+ * - The task list's filters and sort order (status, priority, project, sort, ...)
+ *
+ * Flow:
+ * 1. Validate the format, timezone, filters and sort order
+ * 2. Load the names of the user's tags and projects (files use names, not IDs)
+ * 3. Send the file's start, then read the matching tasks one at a time from a
+ *    database cursor and send each one as soon as it is formatted
+ * 4. Send the file's end
+ *
+ * The tasks are streamed, so exporting thousands of tasks does not load
+ * them all into memory at once.
+ */
+const exportTasks = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const timezone = req.query.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be a valid timezone name (e.g. "Europe/Berlin")',
+      });
+    }
+
+    const { error: filterError, conditions } = buildTaskFilter(userId, req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    // The page size (limit) does not apply: the export has all matching tasks
+    const { error: sortError, sort, order } = parseSortOptions({ ...req.query, limit: undefined });
+    if (sortError) {
+      return res.status(400).json({
+        success: false,
+        message: sortError,
+      });
+    }
+
+    const [tags, projects] = await Promise.all([
+      Tag.find({ userId }).select('name').lean(),
+      Project.find({ userId }).select('name').lean(),
+    ]);
+    const names = {
+      tags: new Map(tags.map((tag) => [String(tag._id), tag.name])),
+      projects: new Map(projects.map((project) => [String(project._id), project.name])),
+    };
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const day = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="tasks-${day}.${extension}"`);
+
+    const writer = createExportWriter(format, timezone);
+    await writeChunk(res, writer.start());
+
+    const cursor = Task.find({ $and: conditions })
+      .sort(buildSort(sort, order))
+      .select('-__v')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    for await (const task of cursor) {
+      // Stop reading when the client has gone away
+      if (res.destroyed) break;
+      await writeChunk(res, writer.item(toExportRecord(task, names), count));
+      count += 1;
+    }
+
+    res.end(writer.end(count));
+  } catch (error) {
+    // Once the file has started, the only way to report an error is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting tasks',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Import tasks from a JSON or CSV file
+ *
+ * Body:
+ * - format: "csv" or "json"
+ * - content: The file's content (text)
+ * - mapping: Optional { field: column name } to override the columns found by name
+ * - dryRun: true to only check the file and return the preview (nothing is saved)
+ * - duplicates: "skip" (default) or "import" rows with the same title and due
+ *   date as an existing task (or an earlier row of the file)
+ *
+ * Flow:
+ * 1. Validate the options and read the file's columns and rows
+ * 2. Work out which column fills which task field
+ * 3. Check every row against the user's workflow, tags and projects
+ * 4. Mark the rows that duplicate existing tasks or earlier rows
+ * 5. Dry run: return the preview. Otherwise create the missing tags and
+ *    projects, then save the valid rows as new tasks at the top of the
+ *    manual order (in file order) and return the same report
+ *
+ * Invalid rows are never imported; the report says what is wrong with them.
+ */
+const importTasks = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { format, content, mapping: requestedMapping, dryRun = false } = req.body;
+    const duplicates = req.body.duplicates || 'skip';
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the content of the file to import',
+      });
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'dryRun must be true or false',
+      });
+    }
+
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: `Duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`,
+      });
+    }
+
+    const { error: fileError, columns, records } = readImportFile(format, content);
+    if (fileError) {
+      return res.status(400).json({
+        success: false,
+        message: fileError,
+      });
+    }
+
+    const { error: mappingError, mapping } = resolveMapping(columns, requestedMapping);
+    if (mappingError) {
+      return res.status(400).json({
+        success: false,
+        message: mappingError,
+        columns,
+        fields: IMPORT_FIELDS,
+        mapping,
+      });
+    }
+
+    // Check every row
+    const [workflow, tags, projects] = await Promise.all([
+      getWorkflow(userId),
+      Tag.find({ userId }).select('name'),
+      Project.find({ userId }).sort({ sortOrder: 1, name: 1 }).select('name'),
+    ]);
+    const context = {
+      workflow,
+      tags: byLowerCaseName(tags),
+      projects: byLowerCaseName(projects),
+    };
+
+    const rows = records.map(({ row, values }) => {
+      const { errors, task } = validateImportRow(values, mapping, context);
+      return { row, status: errors.length > 0 ? 'invalid' : 'valid', errors, task };
+    });
+
+    // Same title and due date as an existing task, or as an earlier row
+    const titles = [...new Set(rows.filter((row) => row.task).map((row) => row.task.title))];
+    const existing = await Task.find({ userId, deletedAt: null, title: { $in: titles } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('title dueDate');
+    const seen = new Set(existing.map((task) => duplicateKey(task.title, task.dueDate)));
+
+    rows.forEach((row) => {
+      if (row.status !== 'valid') return;
+      const key = duplicateKey(row.task.title, row.task.dueDate);
+      if (seen.has(key)) {
+        row.status = 'duplicate';
+      } else {
+        seen.add(key);
+      }
+    });
+
+    const toImport = rows.filter(
+      (row) => row.status === 'valid' || (row.status === 'duplicate' && duplicates === 'import')
+    );
+
+    // Tags and projects the import creates (only for rows that get imported)
+    const newTags = byLowerCaseName(
+      toImport.flatMap((row) => row.task.newTags).map((name) => ({ name }))
+    );
+    const newProjects = byLowerCaseName(
+      toImport.filter((row) => row.task.newProject).map((row) => ({ name: row.task.project }))
+    );
+
+    const summary = {
+      total: rows.length,
+      valid: rows.filter((row) => row.status === 'valid').length,
+      invalid: rows.filter((row) => row.status === 'invalid').length,
+      duplicates: rows.filter((row) => row.status === 'duplicate').length,
+      toImport: toImport.length,
+      imported: 0,
+      newTags: [...newTags.values()].map((tag) => tag.name),
+      newProjects: [...newProjects.values()].map((project) => project.name),
+    };
+
+    if (!dryRun && toImport.length > 0) {
+      // Create the missing tags (upsert, in case the same tag is created meanwhile)
+      for (const { name } of newTags.values()) {
+        const tag = await Tag.findOneAndUpdate(
+          { userId, name },
+          { $setOnInsert: { userId, name } },
+          { upsert: true, new: true, collation: Tag.NAME_COLLATION }
+        );
+        context.tags.set(name.toLowerCase(), tag);
+      }
+
+      // Create the missing projects after the user's last one
+      const lastProject = await Project.findOne({ userId }).sort({ sortOrder: -1 });
+      let sortOrder = lastProject ? lastProject.sortOrder + 1 : 0;
+      for (const { name } of newProjects.values()) {
+        const project = await Project.create({ name, userId, sortOrder });
+        context.projects.set(name.toLowerCase(), project);
+        sortOrder += 1;
+      }
+
+      // The first row of the file ends up first in the manual order
+      const top = await getTopPosition(userId);
+      await Task.insertMany(
+        toImport.map(({ task }, index) => {
+          const project = task.project ? context.projects.get(task.project.toLowerCase()) : null;
+          return {
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            status: task.status,
+            statusCategory: task.statusCategory,
+            dueDate: task.dueDate,
+            startDate: task.startDate,
+            tags: task.tags.map((name) => context.tags.get(name.toLowerCase())._id),
+            projectId: project ? project._id : null,
+            position: top - (toImport.length - 1 - index) * POSITION_STEP,
+            userId,
+          };
+        })
+      );
+
+      toImport.forEach((row) => {
+        row.status = 'imported';
+      });
+      summary.imported = toImport.length;
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${summary.toImport} of ${summary.total} task(s) can be imported`
+        : `${summary.imported} task(s) imported`,
+      dryRun,
+      columns,
+      fields: IMPORT_FIELDS,
+      mapping,
+      summary,
+      rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error importing tasks',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  exportTasks,
+  importTasks,
+};
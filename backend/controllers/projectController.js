@@ -0,0 +1,334 @@
+/**
+ * Project Controller
+ *
+ * Contains the business logic for managing a user's projects (task lists).
+ * All operations are filtered by userId, so users only see their own projects.
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { trashTasks } = require('../utils/trash');
+
+// Hex colour code, e.g. "#667eea"
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Count pending and completed tasks per project
+ *
+ * Uses a MongoDB aggregation to group the user's tasks by project and status category
+ * ("completed" = tasks in a done status, "pending" = all others).
+ * Tasks without a project are counted under the key "inbox".
+ *
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Promise<Object>} e.g. { inbox: { pending: 2, completed: 1 }, "<projectId>": { ... } }
+ */
+const countTasksByProject = async (userId) => {
+  const groups = await Task.aggregate([
+    // aggregate() does not cast types for us, so convert the ID ourselves
+    { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
+    {
+      $group: {
+        _id: { projectId: '$projectId', statusCategory: '$statusCategory' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = {};
+  groups.forEach(({ _id, count }) => {
+    const key = _id.projectId ? _id.projectId.toString() : 'inbox';
+    if (!counts[key]) {
+      counts[key] = { pending: 0, completed: 0 };
+    }
+    if (_id.statusCategory === 'done') {
+      counts[key].completed += count;
+    } else {
+      counts[key].pending += count;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Get all projects for the logged-in user
+ *
+ * Flow:
+ * 1. Find the user's projects (archived ones only with ?includeArchived=true)
+ * 2. Count pending/completed tasks for each project and for the Inbox
+ * 3. Return projects in sidebar order
+ */
+const getAllProjects = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const query = { userId };
+    if (req.query.includeArchived !== 'true') {
+      query.archived = false;
+    }
+
+    const projects = await Project.find(query).sort({ sortOrder: 1, name: 1 });
+    const counts = await countTasksByProject(userId);
+    const emptyCounts = { pending: 0, completed: 0 };
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      // Spread the project so the counts are sent along with its fields
+      projects: projects.map((project) => ({
+        ...project.toJSON(),
+        taskCounts: counts[project._id.toString()] || emptyCounts,
+      })),
+      inbox: {
+        taskCounts: counts.inbox || emptyCounts,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching projects',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a new project
+ *
+ * Flow:
+ * 1. Validate name and colour
+ * 2. Put the project at the end of the sidebar
+ * 3. Create the project and return it
+ */
+const createProject = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { name, color } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a project name',
+      });
+    }
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Color must be a hex code like #667eea',
+      });
+    }
+
+    // New projects go to the bottom of the sidebar
+    const lastProject = await Project.findOne({ userId }).sort({ sortOrder: -1 });
+    const sortOrder = lastProject ? lastProject.sortOrder + 1 : 0;
+
+    const project = await Project.create({
+      name,
+      color, // Falls back to the default colour in the schema if not provided
+      sortOrder,
+      userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      project,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a project
+ *
+ * Flow:
+ * 1. Find the project and verify it belongs to the user
+ * 2. Validate and apply the provided fields (name, color, archived, sortOrder)
+ * 3. Return the updated project
+ */
+const updateProject = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const projectId = req.params.id;
+    const { name, color, archived, sortOrder } = req.body;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or you do not have permission to update it',
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Project name cannot be empty',
+        });
+      }
+      project.name = name;
+    }
+
+    if (color !== undefined) {
+      if (!COLOR_PATTERN.test(color)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Color must be a hex code like #667eea',
+        });
+      }
+      project.color = color;
+    }
+
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'Archived must be true or false',
+        });
+      }
+      project.archived = archived;
+    }
+
+    if (sortOrder !== undefined) {
+      if (typeof sortOrder !== 'number' || !Number.isFinite(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sort order must be a number',
+        });
+      }
+      project.sortOrder = sortOrder;
+    }
+
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated successfully',
+      project,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a project
+ *
+ * The user chooses what happens to the project's tasks with ?tasks=
+ * - move:   move them to another project (?moveTo=<projectId>) or the Inbox (?moveTo=inbox)
+ * - delete: move them to the trash (restoring them later puts them in the Inbox)
+ * A project without tasks can be deleted without choosing.
+ *
+ * Flow:
+ * 1. Find the project and verify it belongs to the user
+ * 2. Move or trash its tasks
+ * 3. Delete the project
+ */
+const deleteProject = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const projectId = req.params.id;
+    const { tasks: taskAction, moveTo = 'inbox' } = req.query;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or you do not have permission to delete it',
+      });
+    }
+
+    // Tasks that are already in the trash do not count
+    const taskCount = await Task.countDocuments({
+      userId,
+      projectId: project._id,
+      deletedAt: null,
+    });
+
+    if (taskCount > 0) {
+      if (!['move', 'delete'].includes(taskAction)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This project has tasks. Choose tasks=move or tasks=delete',
+          taskCount,
+        });
+      }
+
+      if (taskAction === 'move') {
+        // Work out where the tasks should go (null = Inbox)
+        let targetProjectId = null;
+
+        if (moveTo !== 'inbox') {
+          const target = mongoose.isValidObjectId(moveTo)
+            ? await Project.findOne({ _id: moveTo, userId })
+            : null;
+
+          if (!target || target._id.equals(project._id)) {
+            return res.status(400).json({
+              success: false,
+              message: 'Target project not found',
+            });
+          }
+          targetProjectId = target._id;
+        }
+
+        await Task.updateMany(
+          { userId, projectId: project._id },
+          { projectId: targetProjectId }
+        );
+      } else {
+        // Move the tasks to the trash
+        const taskIds = await Task.find({
+          userId,
+          projectId: project._id,
+          deletedAt: null,
+        }).distinct('_id');
+        await trashTasks(taskIds);
+      }
+    }
+
+    // Trashed tasks of the project are restored to the Inbox
+    await Task.updateMany(
+      { userId, projectId: project._id },
+      { projectId: null },
+      { timestamps: false }
+    );
+
+    await Project.findByIdAndDelete(project._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully',
+      tasksAffected: taskCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getAllProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+};
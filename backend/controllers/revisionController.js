@@ -0,0 +1,225 @@
+/**
+ * Revision Controller
+ *
+ * Contains the business logic for a task's revision history: the list of
+ * changes made to it, and rolling it back to how it was before a change.
+ *
+ * Revisions are saved by taskController (see utils/revisions.js).
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const TaskRevision = require('../models/TaskRevision');
+const { snapshotTask, recordTaskChanges } = require('../utils/activity');
+const { recordRevision } = require('../utils/revisions');
+const { refreshDependents } = require('../utils/dependencies');
+const { getWorkflow, findStatus, applyStatus } = require('../utils/workflow');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Find the tag and project names used in a list of revisions
+ * (the changes only hold IDs; names of deleted tags and projects are missing)
+ *
+ * @param {Object[]} revisions - TaskRevision documents
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Promise<Object>} { tags: { id: name }, projects: { id: name } }
+ */
+const findReferencedNames = async (revisions, userId) => {
+  const tagIds = new Set();
+  const projectIds = new Set();
+
+  revisions.forEach((revision) => {
+    revision.changes.forEach(({ field, from, to }) => {
+      if (field === 'tags') [...(from || []), ...(to || [])].forEach((id) => tagIds.add(id));
+      if (field === 'projectId') [from, to].filter(Boolean).forEach((id) => projectIds.add(id));
+    });
+  });
+
+  const [tags, projects] = await Promise.all([
+    Tag.find({ _id: { $in: [...tagIds] }, userId }).select('name'),
+    Project.find({ _id: { $in: [...projectIds] }, userId }).select('name'),
+  ]);
+
+  const byId = (docs) =>
+    Object.fromEntries(docs.map((doc) => [doc._id.toString(), doc.name]));
+
+  return { tags: byId(tags), projects: byId(projects) };
+};
+
+/**
+ * Get a task's revision history, newest first
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Read the page size (?limit=) and where to continue (?before=<revisionId>)
+ * 3. Find the revisions with their field-level changes and who made them
+ * 4. Return them with the names of the tags and projects they mention
+ */
+const getTaskHistory = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { before } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a whole number from 1 to ${MAX_LIMIT}`,
+      });
+    }
+
+    if (before && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'before must be a revision ID',
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to view it',
+      });
+    }
+
+    const query = { taskId: task._id };
+    if (before) query._id = { $lt: before };
+
+    // Fetch one extra revision to find out if there are older ones
+    const revisions = await TaskRevision.find(query)
+      .select('-before')
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('changedBy', 'email');
+
+    const hasMore = revisions.length > limit;
+    const page = hasMore ? revisions.slice(0, limit) : revisions;
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      hasMore,
+      revisions: page,
+      names: await findReferencedNames(page, userId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task history',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Roll a task back to how it was just before a revision
+ *
+ * Every tracked field gets the value it had then, so the change and all
+ * later changes are undone. The rollback itself is saved as a new revision,
+ * so it can be undone too.
+ * Tags that were deleted since are left out, and a deleted project becomes
+ * the Inbox. A status that was removed from the workflow since is left as it
+ * is (the workflow's allowed moves do not apply to a rollback).
+ * Completing a recurring task this way does not create its next occurrence.
+ *
+ * Flow:
+ * 1. Find the task and the revision, and verify they belong to the user
+ * 2. Put the old values back (skipping deleted tags and projects)
+ * 3. Save, and record the changes in the activity thread and the history
+ * 4. Return the updated task
+ */
+const revertTask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { revisionId } = req.params;
+
+    if (!mongoose.isValidObjectId(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'revisionId must be a revision ID',
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const revision = await TaskRevision.findOne({ _id: revisionId, taskId: task._id });
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found for this task',
+      });
+    }
+
+    const values = revision.before;
+    const before = snapshotTask(task);
+
+    // Tags, projects and statuses may have been deleted since
+    const oldStatus = findStatus(await getWorkflow(userId), values.status);
+    const tagIds = await Tag.find({ _id: { $in: values.tags }, userId }).distinct('_id');
+    const project = values.projectId
+      ? await Project.findOne({ _id: values.projectId, userId })
+      : null;
+
+    task.title = values.title;
+    task.description = values.description;
+    task.priority = values.priority;
+    if (oldStatus) applyStatus(task, oldStatus);
+    task.dueDate = values.dueDate;
+    task.startDate = values.startDate;
+    // Keep the old tag order
+    task.tags = values.tags.filter((id) => tagIds.some((tagId) => tagId.equals(id)));
+    task.projectId = project ? project._id : null;
+    task.recurrence = values.recurrence;
+
+    await task.save();
+
+    const newRevision = await recordRevision(before, task, {
+      changedBy: userId,
+      action: 'revert',
+      revertedFrom: revision._id,
+    });
+    if (newRevision) {
+      await recordTaskChanges(before, task, [
+        {
+          body: 'rolled back to an earlier version',
+          change: { field: 'revision', to: revision._id },
+        },
+      ]);
+    }
+
+    // Completing or reopening a task changes whether the tasks it blocks are blocked
+    if (before.status !== task.status) {
+      await refreshDependents([task._id]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: newRevision ? 'Task rolled back successfully' : 'Task already matches this version',
+      task,
+      revision: newRevision,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back task',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getTaskHistory,
+  revertTask,
+};
@@ -0,0 +1,272 @@
+/**
+ * Stats Controller
+ *
+ * Contains the business logic for the productivity stats: how many tasks the
+ * user created and completed, their completion streaks, how long tasks take
+ * and how the backlog of open tasks grows or shrinks.
+ *
+ * Everything is counted on the user's own calendar (see utils/stats.js).
+ * Trashed tasks are left out until they are restored.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { isValidTimezone } = require('../utils/recurrence');
+const {
+  PERIODS,
+  PERIOD_FORMATS,
+  WEEKDAY_NAMES,
+  parseCalendarDate,
+  todayIn,
+  addCalendarDays,
+  startOfCalendarDay,
+  periodKey,
+  listPeriods,
+  calculateStreaks,
+} = require('../utils/stats');
+
+// Default range: the last 30 days, today included
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range the daily series may cover (about a year)
+const MAX_RANGE_DAYS = 366;
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Build $facet stages that count tasks per day, week, month and weekday
+ *
+ * @param {string} dateField - "$createdAt" or "$completedAt"
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} Facet stages keyed by period, plus "weekday"
+ */
+const buildPeriodFacets = (dateField, timezone) => {
+  const facets = {};
+  PERIODS.forEach((period) => {
+    facets[period] = [
+      {
+        $group: {
+          _id: { $dateToString: { format: PERIOD_FORMATS[period], date: dateField, timezone } },
+          count: { $sum: 1 },
+        },
+      },
+    ];
+  });
+  // 1 = Monday ... 7 = Sunday
+  facets.weekday = [
+    {
+      $group: {
+        _id: { $isoDayOfWeek: { date: dateField, timezone } },
+        count: { $sum: 1 },
+      },
+    },
+  ];
+  return facets;
+};
+
+/**
+ * Turn [{ _id, count }] groups into a { key: count } lookup
+ */
+const toCounts = (groups) => {
+  const counts = {};
+  groups.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+/**
+ * Get the logged-in user's productivity stats
+ *
+ * Query parameters:
+ * - from, to: first and last day of the range ("YYYY-MM-DD", both included;
+ *   default: the last 30 days)
+ * - timezone: IANA timezone name the days are counted in (default "UTC")
+ *
+ * Flow:
+ * 1. Validate the timezone and the date range
+ * 2. Count the tasks created and completed in the range per day, week,
+ *    month and weekday (one aggregation each, using $facet)
+ * 3. Average the time from creation to completion per priority
+ * 4. Find the days with completions (all time) and work out the streaks
+ * 5. Count the tasks that were open when the range started, then add up
+ *    created minus completed per day for the backlog trend
+ *
+ * The backlog uses each task's current completion time: a task that was
+ * completed and later reopened counts as open since it was created.
+ */
+const getStats = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+
+    const timezone = req.query.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be a valid timezone name (e.g. "Europe/Berlin")',
+      });
+    }
+
+    const today = todayIn(timezone);
+    const toDay = req.query.to ? parseCalendarDate(req.query.to) : today;
+    const fromDay = req.query.from
+      ? parseCalendarDate(req.query.from)
+      : toDay && addCalendarDays(toDay, -(DEFAULT_RANGE_DAYS - 1));
+    if (!fromDay || !toDay) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in the format YYYY-MM-DD',
+      });
+    }
+
+    if (fromDay > toDay) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must not be after to',
+      });
+    }
+
+    const rangeDays = Math.round((toDay - fromDay) / (24 * MS_PER_HOUR)) + 1;
+    if (rangeDays > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The date range can be at most ${MAX_RANGE_DAYS} days`,
+      });
+    }
+
+    // The real moments the range starts and ends (end = midnight after the last day)
+    const start = startOfCalendarDay(fromDay, timezone);
+    const end = startOfCalendarDay(addCalendarDays(toDay, 1), timezone);
+
+    const [[created], [completed], completionDays, openAtStart] = await Promise.all([
+      Task.aggregate([
+        { $match: { userId, deletedAt: null, createdAt: { $gte: start, $lt: end } } },
+        {
+          $facet: {
+            ...buildPeriodFacets('$createdAt', timezone),
+            // Tasks created in the range that are done by now
+            done: [{ $match: { statusCategory: 'done' } }, { $count: 'count' }],
+          },
+        },
+      ]),
+      Task.aggregate([
+        { $match: { userId, deletedAt: null, completedAt: { $gte: start, $lt: end } } },
+        {
+          $facet: {
+            ...buildPeriodFacets('$completedAt', timezone),
+            byPriority: [
+              {
+                $group: {
+                  _id: '$priority',
+                  count: { $sum: 1 },
+                  averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+      // Streaks are counted over all time, not only the range
+      Task.aggregate([
+        { $match: { userId, deletedAt: null, completedAt: { $ne: null } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: PERIOD_FORMATS.day, date: '$completedAt', timezone } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Task.countDocuments({
+        userId,
+        deletedAt: null,
+        createdAt: { $lt: start },
+        $or: [{ completedAt: null }, { completedAt: { $gte: start } }],
+      }),
+    ]);
+
+    // Created vs completed per period, with empty periods filled in
+    const series = {};
+    PERIODS.forEach((period) => {
+      const createdCounts = toCounts(created[period]);
+      const completedCounts = toCounts(completed[period]);
+      series[period] = listPeriods(fromDay, toDay, period).map((key) => ({
+        period: key,
+        created: createdCounts[key] || 0,
+        completed: completedCounts[key] || 0,
+      }));
+    });
+
+    const totalCreated = series.day.reduce((sum, day) => sum + day.created, 0);
+    const totalCompleted = series.day.reduce((sum, day) => sum + day.completed, 0);
+    const createdDone = created.done.length ? created.done[0].count : 0;
+
+    // Average time to complete, in hours
+    const priorityGroups = {};
+    completed.byPriority.forEach((group) => {
+      priorityGroups[group._id] = group;
+    });
+    const timeToComplete = PRIORITIES.map((priority) => {
+      const group = priorityGroups[priority];
+      return {
+        priority,
+        completed: group ? group.count : 0,
+        averageHours: group ? Math.round((group.averageMs / MS_PER_HOUR) * 10) / 10 : null,
+      };
+    });
+
+    // Busiest weekdays first (by completions, then by new tasks)
+    const createdByWeekday = toCounts(created.weekday);
+    const completedByWeekday = toCounts(completed.weekday);
+    const weekdays = WEEKDAY_NAMES.map((weekday, index) => ({
+      weekday,
+      created: createdByWeekday[index + 1] || 0,
+      completed: completedByWeekday[index + 1] || 0,
+    })).sort((a, b) => b.completed - a.completed || b.created - a.created);
+
+    // Open tasks at the end of each day
+    let open = openAtStart;
+    const backlog = series.day.map((day) => {
+      open += day.created - day.completed;
+      return { period: day.period, open };
+    });
+
+    res.status(200).json({
+      success: true,
+      from: periodKey(fromDay, 'day'),
+      to: periodKey(toDay, 'day'),
+      timezone,
+      summary: {
+        created: totalCreated,
+        completed: totalCompleted,
+        // Share of the tasks created in the range that are done by now
+        completionRate: totalCreated ? Math.round((createdDone / totalCreated) * 100) / 100 : null,
+      },
+      createdVsCompleted: series,
+      streaks: calculateStreaks(
+        completionDays.map((day) => day._id),
+        today
+      ),
+      timeToComplete,
+      weekdays,
+      backlog: {
+        start: openAtStart,
+        end: open,
+        change: open - openAtStart,
+        byDay: backlog,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating stats',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getStats,
+};
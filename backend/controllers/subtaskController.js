@@ -0,0 +1,312 @@
+/**
+ * Subtask Controller
+ *
+ * Contains the business logic for checklist items (subtasks) inside a task.
+ * Subtasks are stored in the parent task's "subtasks" array, so every
+ * operation loads the parent task (checking it belongs to the user),
+ * changes the array and saves the task.
+ *
+ * Every endpoint returns the whole updated task, so the frontend can
+ * replace it in one go (including the new subtaskProgress).
+ */
+
+const Task = require('../models/Task');
+
+/**
+ * Renumber subtask positions
+ *
+ * Sorts the subtasks array by "order" and sets the order values to 0, 1, 2, ...
+ * so there are never gaps or duplicates after adding, deleting or reordering.
+ *
+ * @param {Object} task - Task document
+ */
+const normalizeSubtaskOrder = (task) => {
+  const sorted = [...task.subtasks].sort((a, b) => a.order - b.order);
+  sorted.forEach((subtask, index) => {
+    subtask.order = index;
+  });
+  task.subtasks = sorted;
+};
+
+/**
+ * Add a subtask to a task
+ *
+ * Flow:
+ * 1. Find the parent task and verify it belongs to the user
+ * 2. Validate the subtask title
+ * 3. Append the subtask at the end of the checklist
+ * 4. Return the updated task
+ */
+const addSubtask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const taskId = req.params.id;
+    const { title } = req.body;
+
+    // Validate required fields
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a subtask title',
+      });
+    }
+
+    // Find the task and verify it belongs to the user
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    // New items go to the bottom of the checklist
+    task.subtasks.push({
+      title,
+      order: task.subtasks.length,
+    });
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtask added successfully',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding subtask',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Rename a subtask
+ *
+ * Flow:
+ * 1. Find the parent task and verify it belongs to the user
+ * 2. Find the subtask inside the task
+ * 3. Update its title and return the updated task
+ */
+const updateSubtask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id: taskId, subtaskId } = req.params;
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a subtask title',
+      });
+    }
+
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    // task.subtasks.id() finds a sub-document by its _id
+    const subtask = task.subtasks.id(subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found',
+      });
+    }
+
+    subtask.title = title;
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtask updated successfully',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating subtask',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Toggle a subtask's done flag
+ *
+ * Flow:
+ * 1. Find the parent task and verify it belongs to the user
+ * 2. Find the subtask inside the task
+ * 3. Flip done (true <-> false) and return the updated task
+ */
+const toggleSubtask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id: taskId, subtaskId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const subtask = task.subtasks.id(subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found',
+      });
+    }
+
+    subtask.done = !subtask.done;
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: subtask.done ? 'Subtask checked off' : 'Subtask reopened',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error toggling subtask',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reorder the checklist
+ *
+ * Flow:
+ * 1. Find the parent task and verify it belongs to the user
+ * 2. Check that the new order lists every subtask ID exactly once
+ * 3. Set each subtask's order to its position in the list
+ * 4. Return the updated task
+ */
+const reorderSubtasks = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const taskId = req.params.id;
+    const { order } = req.body; // Array of subtask IDs in the new order
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new order as an array of subtask IDs',
+      });
+    }
+
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    // The new order must contain every subtask exactly once
+    const currentIds = task.subtasks.map((subtask) => subtask._id.toString()).sort();
+    const newIds = order.map(String).sort();
+    const sameIds =
+      currentIds.length === newIds.length &&
+      currentIds.every((id, index) => id === newIds[index]);
+
+    if (!sameIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every subtask of this task exactly once',
+      });
+    }
+
+    order.forEach((subtaskId, index) => {
+      task.subtasks.id(subtaskId).order = index;
+    });
+    normalizeSubtaskOrder(task);
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtasks reordered successfully',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering subtasks',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a subtask
+ *
+ * Flow:
+ * 1. Find the parent task and verify it belongs to the user
+ * 2. Remove the subtask from the checklist
+ * 3. Close the gap in the order numbers and return the updated task
+ */
+const deleteSubtask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id: taskId, subtaskId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const subtask = task.subtasks.id(subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found',
+      });
+    }
+
+    // deleteOne() removes the sub-document from the array
+    subtask.deleteOne();
+    normalizeSubtaskOrder(task);
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtask deleted successfully',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting subtask',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  addSubtask,
+  updateSubtask,
+  toggleSubtask,
+  reorderSubtasks,
+  deleteSubtask,
+};
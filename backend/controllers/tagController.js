@@ -0,0 +1,233 @@
+/**
+ * Tag Controller
+ *
+ * Contains the business logic for managing a user's tags (labels).
+ * All operations are filtered by userId, so users only see their own tags.
+ */
+
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+
+// Hex colour code, e.g. "#667eea"
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Get all tags for the logged-in user
+ *
+ * Flow:
+ * 1. Find all tags where userId matches
+ * 2. Return tags sorted by name
+ */
+const getAllTags = async (req, res) => {
+  try {
+    const tags = await Tag.find({ userId: req.userId }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      tags,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a new tag
+ *
+ * Flow:
+ * 1. Validate name and colour
+ * 2. Check the user does not already have a tag with this name
+ * 3. Create the tag and return it
+ */
+const createTag = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { name, color } = req.body;
+
+    // Validate required fields
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a tag name',
+      });
+    }
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Color must be a hex code like #667eea',
+      });
+    }
+
+    // Tag names are unique per user, whatever their case
+    const existingTag = await Tag.findOne({ userId, name: name.trim() }).collation(
+      Tag.NAME_COLLATION
+    );
+
+    if (existingTag) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a tag with this name',
+      });
+    }
+
+    const tag = await Tag.create({
+      name,
+      color, // Falls back to the default colour in the schema if not provided
+      userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      tag,
+    });
+  } catch (error) {
+    // Another request created a tag with this name at the same time
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a tag with this name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tag',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a tag (rename or change colour)
+ *
+ * Flow:
+ * 1. Find the tag and verify it belongs to the user
+ * 2. Validate and apply the new name / colour
+ * 3. Return the updated tag
+ */
+const updateTag = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const tagId = req.params.id;
+    const { name, color } = req.body;
+
+    const tag = await Tag.findOne({ _id: tagId, userId });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found or you do not have permission to update it',
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag name cannot be empty',
+        });
+      }
+
+      // Make sure the new name is not taken by another tag of this user
+      // (changing only the case of the tag's own name is fine)
+      const existingTag = await Tag.findOne({
+        userId,
+        name: name.trim(),
+        _id: { $ne: tag._id },
+      }).collation(Tag.NAME_COLLATION);
+
+      if (existingTag) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a tag with this name',
+        });
+      }
+
+      tag.name = name;
+    }
+
+    if (color !== undefined) {
+      if (!COLOR_PATTERN.test(color)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Color must be a hex code like #667eea',
+        });
+      }
+      tag.color = color;
+    }
+
+    await tag.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      tag,
+    });
+  } catch (error) {
+    // Another request created a tag with this name at the same time
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a tag with this name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a tag
+ *
+ * Flow:
+ * 1. Find the tag and verify it belongs to the user
+ * 2. Remove the tag from every task that uses it
+ * 3. Delete the tag
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const tagId = req.params.id;
+
+    const tag = await Tag.findOne({ _id: tagId, userId });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found or you do not have permission to delete it',
+      });
+    }
+
+    // $pull removes the tag ID from the tags array of every matching task
+    await Task.updateMany({ userId, tags: tag._id }, { $pull: { tags: tag._id } });
+    await Tag.findByIdAndDelete(tag._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tag',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getAllTags,
+  createTag,
+  updateTag,
+  deleteTag,
+};
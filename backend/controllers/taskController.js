@@ -5,30 +5,354 @@
  * All operations are filtered by userId to ensure users only see their own tasks.
  */
 
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { parseOptionalDate } = require('../utils/dates');
+const {
+  buildTaskFilter,
+  parseSortOptions,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/taskQuery');
+const {
+  validateSearchQuery,
+  buildHighlightPattern,
+  buildHighlights,
+} = require('../utils/search');
+const { snapshotTask, recordActivity, recordTaskChanges } = require('../utils/activity');
+const { recordRevision } = require('../utils/revisions');
+const { refreshDependents } = require('../utils/dependencies');
+const { getTopPosition, getPositionNextTo } = require('../utils/position');
+const {
+  getWorkflow,
+  findStatus,
+  getInitialStatus,
+  getDoneStatus,
+  checkTransition,
+  applyStatus,
+} = require('../utils/workflow');
+const {
+  getRetentionDays,
+  getPurgeDate,
+  trashTasks,
+  restoreTasks,
+  purgeTasks,
+} = require('../utils/trash');
+const {
+  parseRule,
+  formatRule,
+  isValidTimezone,
+  toWallClock,
+  getTimeOfDay,
+  getNextOccurrence,
+} = require('../utils/recurrence');
+
+// Actions for POST /api/tasks/bulk, and the most tasks it changes at once
+const BULK_ACTIONS = ['complete', 'reopen', 'status', 'delete', 'restore', 'priority', 'move'];
+const MAX_BULK_TASKS = 100;
 
 /**
- * Get all tasks for the logged-in user
+ * Validate the optional date fields (dueDate, startDate) from a request body
+ *
+ * Only fields present in the body are returned, so updates leave missing
+ * dates untouched. When updating, pass the task so the start/due order
+ * can be checked against the dates it already has.
+ *
+ * @param {Object} body - req.body
+ * @param {Object} current - Existing task (when updating)
+ * @returns {{ error: string|null, dates: Object }} Error message or the parsed dates
+ */
+const validateTaskDates = (body, current = {}) => {
+  const dates = {};
+
+  for (const field of ['dueDate', 'startDate']) {
+    if (body[field] === undefined) continue;
+
+    const { valid, date } = parseOptionalDate(body[field]);
+    if (!valid) {
+      return { error: `${field} must be a valid date`, dates };
+    }
+    dates[field] = date;
+  }
+
+  // A task cannot start after it is due
+  const dueDate = dates.dueDate !== undefined ? dates.dueDate : current.dueDate;
+  const startDate = dates.startDate !== undefined ? dates.startDate : current.startDate;
+  if (dueDate && startDate && startDate > dueDate) {
+    return { error: 'Start date cannot be after the due date', dates };
+  }
+
+  return { error: null, dates };
+};
+
+/**
+ * Validate a list of tag IDs from a request body
+ *
+ * Every ID must be a valid ObjectId of a tag owned by the user.
+ * Duplicate IDs are removed.
+ *
+ * @param {*} tags - Raw value of req.body.tags
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Promise<{ error: string|null, tagIds: string[] }>} Error message or the tag IDs
+ */
+const validateTagIds = async (tags, userId) => {
+  if (!Array.isArray(tags)) {
+    return { error: 'Tags must be an array of tag IDs', tagIds: [] };
+  }
+
+  const tagIds = [...new Set(tags.map(String))];
+
+  if (!tagIds.every((id) => mongoose.isValidObjectId(id))) {
+    return { error: 'Tags must be an array of tag IDs', tagIds: [] };
+  }
+
+  // Count how many of these tags really belong to the user
+  const ownedCount = await Tag.countDocuments({ _id: { $in: tagIds }, userId });
+  if (ownedCount !== tagIds.length) {
+    return { error: 'One or more tags were not found', tagIds: [] };
+  }
+
+  return { error: null, tagIds };
+};
+
+/**
+ * Validate a recurrence setting from a request body
+ *
+ * null means "does not repeat". Otherwise it must be
+ * { rule: "FREQ=...", timezone: "Europe/Berlin" } (timezone is optional, default UTC).
+ * The rule is stored in its canonical form. Monthly rules without BYMONTHDAY get
+ * the due date's day, so short months cannot shift the day for later occurrences.
+ * The due date's time of day is stored too, so clock changes cannot shift it.
+ *
+ * @param {*} recurrence - Raw value of req.body.recurrence
+ * @param {Date|null} dueDate - The task's due date (after this request's changes)
+ * @returns {{ error: string|null, recurrence: Object|null }} Error message or the recurrence to store
+ */
+const validateRecurrence = (recurrence, dueDate) => {
+  if (recurrence === null) {
+    return { error: null, recurrence: null };
+  }
+
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return { error: 'Recurrence must be an object with a rule', recurrence: null };
+  }
+
+  const timezone = recurrence.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return { error: 'Recurrence timezone is not a valid timezone name', recurrence: null };
+  }
+
+  const { error, rule } = parseRule(recurrence.rule);
+  if (error) {
+    return { error: `Invalid recurrence rule: ${error}`, recurrence: null };
+  }
+
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay === null) {
+    rule.byMonthDay = toWallClock(dueDate || new Date(), timezone).getUTCDate();
+  }
+
+  const time = dueDate ? getTimeOfDay(dueDate, timezone) : null;
+
+  return { error: null, recurrence: { rule: formatRule(rule), timezone, time } };
+};
+
+/**
+ * Create the next occurrence of a recurring task
+ *
+ * Called when a recurring task is completed. The copy gets the next due date
+ * (and a start date moved by the same amount), an unticked checklist, the
+ * first "todo" status and the same rule, so it repeats again when it is completed.
+ * Does nothing for one-off tasks or if the next occurrence already exists.
+ *
+ * @param {Object} task - The task document that was just completed
+ * @returns {Promise<Object|null>} The new task, or null
+ */
+const createNextOccurrence = async (task) => {
+  if (!task.recurrence || task.nextOccurrenceId) {
+    return null;
+  }
+
+  const { rule } = parseRule(task.recurrence.rule);
+  const nextDueDate = getNextOccurrence(rule, {
+    dueDate: task.dueDate,
+    completedAt: new Date(),
+    timezone: task.recurrence.timezone,
+    time: task.recurrence.time,
+  });
+
+  // Keep the same gap between start date and due date
+  let nextStartDate = null;
+  if (task.startDate) {
+    const reference = task.dueDate || new Date();
+    nextStartDate = new Date(nextDueDate.getTime() - (reference - task.startDate));
+  }
+
+  const initialStatus = getInitialStatus(await getWorkflow(task.userId));
+
+  const nextTask = await Task.create({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    status: initialStatus.name,
+    statusCategory: initialStatus.category,
+    dueDate: nextDueDate,
+    startDate: nextStartDate,
+    subtasks: task.subtasks.map(({ title, order }) => ({ title, order })),
+    tags: task.tags,
+    projectId: task.projectId,
+    recurrence: task.recurrence,
+    position: await getTopPosition(task.userId),
+    userId: task.userId,
+  });
+
+  task.nextOccurrenceId = nextTask._id;
+  await task.save();
+
+  return nextTask;
+};
+
+/**
+ * Find the blockers of a task that are still pending (not in a done status)
+ *
+ * @param {Object} task - Task document
+ * @returns {Promise<Object[]>} Pending blocking tasks (ID and title)
+ */
+const findPendingBlockers = (task) =>
+  Task.find({
+    _id: { $in: task.blockedBy },
+    userId: task.userId,
+    statusCategory: { $ne: 'done' },
+    deletedAt: null,
+  }).select('_id title');
+
+/**
+ * Build the warning sent when a task is completed before its blockers
+ *
+ * @param {Object[]} pendingBlockers - From findPendingBlockers()
+ * @returns {string|null} Warning text, or null if nothing is pending
+ */
+const blockerWarning = (pendingBlockers) =>
+  pendingBlockers.length > 0
+    ? `Completed while still blocked by ${pendingBlockers.length} pending task(s)`
+    : null;
+
+/**
+ * Validate a project ID from a request body
+ *
+ * null or "" means "no project" (the task goes to the Inbox).
+ * Otherwise it must be the ID of a project owned by the user.
+ *
+ * @param {*} projectId - Raw value of req.body.projectId
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Promise<{ error: string|null, projectId: string|null }>} Error message or the project ID
+ */
+const validateProjectId = async (projectId, userId) => {
+  if (projectId === null || projectId === '') {
+    return { error: null, projectId: null };
+  }
+
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findOne({ _id: projectId, userId })
+    : null;
+
+  if (!project) {
+    return { error: 'Project not found', projectId: null };
+  }
+
+  return { error: null, projectId: project._id };
+};
+
+/**
+ * Get tasks for the logged-in user, one page at a time
  * 
  * Flow:
  * 1. Get userId from req.userId (set by auth middleware)
- * 2. Find all tasks where userId matches
- * 3. Return tasks array
+ * 2. Build the filter from the query parameters (see utils/taskQuery.js)
+ * 3. Read the sort order, page size and cursor
+ * 4. Find one page of tasks (plus one extra to know if there is a next page)
+ * 5. Return the tasks, the counts per status and the cursor for the next page
  */
 const getAllTasks = async (req, res) => {
   try {
     // req.userId is set by the auth middleware after verifying the JWT token
     const userId = req.userId;
 
-    // Find all tasks that belong to this user
-    // Task.find() searches for documents matching the query
-    // { userId } is shorthand for { userId: userId }
-    const tasks = await Task.find({ userId }).sort({ createdAt: -1 }); // Sort by newest first
+    // Filters: status, priority, due, tag, project, date ranges
+    const { error: filterError, conditions } = buildTaskFilter(userId, req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    // Sorting and page size
+    const { error: sortError, sort, order, limit } = parseSortOptions(req.query);
+    if (sortError) {
+      return res.status(400).json({
+        success: false,
+        message: sortError,
+      });
+    }
+
+    // Count all matching tasks (not just this page), split by status
+    // aggregate() does not cast types, so let a query cast the filter first
+    const filter = { $and: conditions };
+    const groups = await Task.aggregate([
+      { $match: Task.find(filter).cast() },
+      {
+        $group: {
+          _id: { status: '$status', statusCategory: '$statusCategory' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    let total = 0;
+    let completedCount = 0;
+    const byStatus = {};
+    groups.forEach(({ _id, count }) => {
+      total += count;
+      if (_id.statusCategory === 'done') completedCount += count;
+      byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+    });
+
+    // Continue after the last task of the previous page
+    const pageConditions = [...conditions];
+    if (req.query.cursor) {
+      const { error: cursorError, condition } = decodeCursor(req.query.cursor, sort, order);
+      if (cursorError) {
+        return res.status(400).json({
+          success: false,
+          message: cursorError,
+        });
+      }
+      pageConditions.push(condition);
+    }
+
+    // Fetch one extra task to find out if there is another page
+    const tasks = await Task.find({ $and: pageConditions })
+      .sort(buildSort(sort, order))
+      .limit(limit + 1);
+
+    const hasMore = tasks.length > limit;
+    const page = hasMore ? tasks.slice(0, limit) : tasks;
+    const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort, order) : null;
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      tasks,
+      count: page.length,
+      total,
+      statusCounts: {
+        pending: total - completedCount,
+        completed: completedCount,
+        byStatus,
+      },
+      nextCursor,
+      tasks: page,
     });
   } catch (error) {
     res.status(500).json({
@@ -39,6 +363,73 @@ const getAllTasks = async (req, res) => {
   }
 };
 
+/**
+ * Search the logged-in user's tasks by title and description
+ * 
+ * Flow:
+ * 1. Check the search text (?q=) and build the $text search
+ * 2. Apply the same filters as the task list (status, project, ...)
+ * 3. Find the best matches, ranked by MongoDB's text score
+ * 4. Return each task with its score and highlighted title/description
+ *
+ * See utils/search.js for the supported syntax (phrases, -exclusions).
+ */
+const searchTasks = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const { error: searchError, search, parsed } = validateSearchQuery(req.query.q);
+    if (searchError) {
+      return res.status(400).json({
+        success: false,
+        message: searchError,
+      });
+    }
+
+    // The list filters work here too, e.g. ?q=report&status=Pending
+    const { error: filterError, conditions } = buildTaskFilter(userId, req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a whole number from 1 to 50',
+      });
+    }
+
+    // Best matches first; the text score is returned as "score"
+    const tasks = await Task.find({ $and: [...conditions, { $text: { $search: search } }] })
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .limit(limit);
+
+    const pattern = buildHighlightPattern(parsed);
+    const results = tasks.map((task) => ({
+      ...task.toJSON(),
+      score: task.get('score'),
+      highlights: buildHighlights(task, pattern),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      tasks: results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error searching tasks',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Create a new task
  * 
@@ -54,7 +445,7 @@ const createTask = async (req, res) => {
     const userId = req.userId;
 
     // Extract task data from request body
-    const { title, description, priority } = req.body;
+    const { title, description, priority, status } = req.body;
 
     // Validate required fields
     if (!title || !priority) {
@@ -72,12 +463,76 @@ const createTask = async (req, res) => {
       });
     }
 
+    // Validate optional due/start dates
+    const { error: dateError, dates } = validateTaskDates(req.body);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    // Validate optional tags (must be the user's own tags)
+    let tagIds = [];
+    if (req.body.tags !== undefined) {
+      const tagResult = await validateTagIds(req.body.tags, userId);
+      if (tagResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: tagResult.error,
+        });
+      }
+      tagIds = tagResult.tagIds;
+    }
+
+    // Validate optional project (no project = Inbox)
+    let projectId = null;
+    if (req.body.projectId !== undefined) {
+      const projectResult = await validateProjectId(req.body.projectId, userId);
+      if (projectResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: projectResult.error,
+        });
+      }
+      projectId = projectResult.projectId;
+    }
+
+    // Validate optional recurrence (repeating tasks)
+    let recurrence = null;
+    if (req.body.recurrence !== undefined) {
+      const recurrenceResult = validateRecurrence(req.body.recurrence, dates.dueDate);
+      if (recurrenceResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceResult.error,
+        });
+      }
+      recurrence = recurrenceResult.recurrence;
+    }
+
+    // Validate optional status (defaults to the first "todo" status of the workflow)
+    const workflow = await getWorkflow(userId);
+    const taskStatus = status ? findStatus(workflow, status) : getInitialStatus(workflow);
+    if (!taskStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${workflow.map((s) => s.name).join(', ')}`,
+      });
+    }
+
     // Create new task
-    // Status defaults to "Pending" (defined in Task schema)
     const task = await Task.create({
       title,
       description: description || '', // Use empty string if description not provided
       priority,
+      status: taskStatus.name,
+      statusCategory: taskStatus.category,
+      ...dates, // dueDate / startDate, if provided
+      tags: tagIds,
+      projectId,
+      recurrence,
+      position: await getTopPosition(userId), // New tasks go to the top of the manual order
       userId, // Link task to the logged-in user
     });
 
@@ -102,7 +557,8 @@ const createTask = async (req, res) => {
  * 1. Get userId and task ID from request
  * 2. Find task by ID and verify it belongs to the user
  * 3. Update task with new data
- * 4. Return updated task
+ * 4. Record what changed in the task's activity thread and history
+ * 5. Return updated task
  */
 const updateTask = async (req, res) => {
   try {
@@ -114,7 +570,7 @@ const updateTask = async (req, res) => {
 
     // Find the task and verify it belongs to the user
     // This ensures users can only update their own tasks
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
 
     if (!task) {
       return res.status(404).json({
@@ -123,6 +579,12 @@ const updateTask = async (req, res) => {
       });
     }
 
+    // Remember the old status, to spot a task being completed by this update
+    const wasCompleted = task.statusCategory === 'done';
+
+    // Remember the old values for the activity thread
+    const before = snapshotTask(task);
+
     // Update task fields (only update fields that are provided)
     if (title) task.title = title;
     if (description !== undefined) task.description = description;
@@ -136,22 +598,99 @@ const updateTask = async (req, res) => {
       task.priority = priority;
     }
     if (status) {
-      if (!['Pending', 'Completed'].includes(status)) {
+      // The status must be in the user's workflow, and reachable from the current one
+      const workflow = await getWorkflow(userId);
+      const transitionError = checkTransition(workflow, task.status, status);
+      if (transitionError) {
+        return res.status(400).json({
+          success: false,
+          message: transitionError,
+        });
+      }
+      applyStatus(task, findStatus(workflow, status));
+    }
+
+    // Dates can be changed or cleared (send null or "" to clear)
+    const { error: dateError, dates } = validateTaskDates(req.body, task);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+    Object.assign(task, dates);
+
+    // A new due date sets the time of day of the repeats too
+    if (dates.dueDate && task.recurrence && req.body.recurrence === undefined) {
+      task.recurrence.time = getTimeOfDay(dates.dueDate, task.recurrence.timezone);
+    }
+
+    // Tags replace the whole list (send [] to remove all tags)
+    if (req.body.tags !== undefined) {
+      const tagResult = await validateTagIds(req.body.tags, userId);
+      if (tagResult.error) {
         return res.status(400).json({
           success: false,
-          message: 'Status must be Pending or Completed',
+          message: tagResult.error,
         });
       }
-      task.status = status;
+      task.tags = tagResult.tagIds;
+    }
+
+    // Move the task to another project (send null to move it to the Inbox)
+    if (req.body.projectId !== undefined) {
+      const projectResult = await validateProjectId(req.body.projectId, userId);
+      if (projectResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: projectResult.error,
+        });
+      }
+      task.projectId = projectResult.projectId;
+    }
+
+    // Change or stop the repeat schedule (send null to stop repeating)
+    if (req.body.recurrence !== undefined) {
+      const recurrenceResult = validateRecurrence(req.body.recurrence, task.dueDate);
+      if (recurrenceResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceResult.error,
+        });
+      }
+      task.recurrence = recurrenceResult.recurrence;
     }
 
     // Save the updated task
     await task.save();
 
+    // Add "priority changed High → Low" etc. to the activity thread,
+    // and save a revision so the change can be rolled back
+    await recordTaskChanges(before, task);
+    await recordRevision(before, task, { changedBy: userId, action: 'update' });
+
+    // Completing or reopening a task changes whether the tasks it blocks are blocked
+    let pendingBlockers = [];
+    if (before.status !== task.status) {
+      await refreshDependents([task._id]);
+      if (task.statusCategory === 'done') {
+        pendingBlockers = await findPendingBlockers(task);
+      }
+    }
+
+    // Completing a recurring task here works the same as PATCH /:id/complete
+    let nextTask = null;
+    if (!wasCompleted && task.statusCategory === 'done') {
+      nextTask = await createNextOccurrence(task);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
       task,
+      nextTask,
+      warning: blockerWarning(pendingBlockers),
+      pendingBlockers,
     });
   } catch (error) {
     res.status(500).json({
@@ -163,13 +702,14 @@ const updateTask = async (req, res) => {
 };
 
 /**
- * Delete a task
+ * Move a task to the trash
  * 
  * Flow:
  * 1. Get userId and task ID from request
  * 2. Find task by ID and verify it belongs to the user
- * 3. Delete the task
- * 4. Return success message
+ * 3. Move the task to the trash and note it in the activity thread
+ *    (its comments and time entries are kept until it is deleted for good)
+ * 4. Return the trashed task, so it can be restored with "Undo"
  */
 const deleteTask = async (req, res) => {
   try {
@@ -177,7 +717,117 @@ const deleteTask = async (req, res) => {
     const taskId = req.params.id;
 
     // Find the task and verify it belongs to the user
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to delete it',
+      });
+    }
+
+    await trashTasks([task._id]);
+    await recordActivity(task, [{ body: 'moved to the trash' }]);
+
+    const trashedTask = await Task.findById(task._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task moved to the trash',
+      task: trashedTask,
+      purgeAt: getPurgeDate(trashedTask.deletedAt),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting task',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the tasks in the logged-in user's trash, most recently deleted first
+ *
+ * Each task comes with purgeAt: when it will be deleted for good
+ * (null if trashed tasks are never purged automatically).
+ */
+const getTrash = async (req, res) => {
+  try {
+    const tasks = await Task.find({
+      userId: req.userId,
+      deletedAt: { $type: 'date' },
+    }).sort({ deletedAt: -1, _id: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      retentionDays: getRetentionDays(),
+      tasks: tasks.map((task) => ({
+        ...task.toJSON(),
+        purgeAt: getPurgeDate(task.deletedAt),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a task from the trash
+ *
+ * Flow:
+ * 1. Find the trashed task and verify it belongs to the user
+ * 2. Take it out of the trash (to the Inbox if its project was deleted)
+ * 3. Note it in the activity thread
+ * 4. Return the restored task
+ */
+const restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+      deletedAt: { $type: 'date' },
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in the trash',
+      });
+    }
+
+    await restoreTasks([task._id]);
+    await recordActivity(task, [{ body: 'restored from the trash' }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task restored successfully',
+      task: await Task.findById(task._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a task for good
+ *
+ * Works for tasks in the trash and tasks that were never trashed.
+ * Its comments and time entries are deleted too, and other tasks are
+ * no longer blocked by it. This cannot be undone.
+ */
+const deleteTaskPermanently = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, userId: req.userId });
 
     if (!task) {
       return res.status(404).json({
@@ -186,12 +836,11 @@ const deleteTask = async (req, res) => {
       });
     }
 
-    // Delete the task
-    await Task.findByIdAndDelete(taskId);
+    await purgeTasks([task._id]);
 
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully',
+      message: 'Task deleted permanently',
     });
   } catch (error) {
     res.status(500).json({
@@ -202,22 +851,78 @@ const deleteTask = async (req, res) => {
   }
 };
 
+/**
+ * Delete every task in the logged-in user's trash for good
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const taskIds = await Task.find({
+      userId: req.userId,
+      deletedAt: { $type: 'date' },
+    }).distinct('_id');
+
+    await purgeTasks(taskIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash emptied',
+      deletedCount: taskIds.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Mark a task as completed
  * 
  * Flow:
  * 1. Get userId and task ID from request
  * 2. Find task by ID and verify it belongs to the user
- * 3. Update status to "Completed"
- * 4. Return updated task
+ * 3. Handle open subtasks (see ?openSubtasks below)
+ * 4. Move it to the first "done" status of the workflow (and note it in the
+ *    activity thread and history)
+ * 5. If the task repeats, create its next occurrence
+ * 6. Return updated task (and the next occurrence, if any)
+ *
+ * A task that is already in a done status keeps it. If the workflow does not
+ * allow moving from the current status to the done status, nothing changes (409).
+ *
+ * What happens to subtasks that are not done yet is chosen with ?openSubtasks=
+ * - (not set): complete the task and leave the subtasks as they are
+ * - refuse:    do not complete the task while subtasks are open (409)
+ * - cascade:   check off all open subtasks together with the task
+ *
+ * What happens when tasks it is blocked by are still pending is chosen with ?pendingBlockers=
+ * - warn (or not set): complete the task, with a warning and the blockers in the response
+ * - refuse:            do not complete the task while blockers are pending (409)
  */
 const markTaskCompleted = async (req, res) => {
   try {
     const userId = req.userId;
     const taskId = req.params.id;
+    const { openSubtasks, pendingBlockers: blockerMode } = req.query;
+
+    if (openSubtasks && !['refuse', 'cascade'].includes(openSubtasks)) {
+      return res.status(400).json({
+        success: false,
+        message: 'openSubtasks must be refuse or cascade',
+      });
+    }
+
+    if (blockerMode && !['refuse', 'warn'].includes(blockerMode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'pendingBlockers must be refuse or warn',
+      });
+    }
 
     // Find the task and verify it belongs to the user
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
 
     if (!task) {
       return res.status(404).json({
@@ -226,14 +931,75 @@ const markTaskCompleted = async (req, res) => {
       });
     }
 
-    // Update status to "Completed"
-    task.status = 'Completed';
+    // The done status to move to (a task that is done already stays where it is)
+    const workflow = await getWorkflow(userId);
+    const doneStatus =
+      task.statusCategory === 'done' ? findStatus(workflow, task.status) : getDoneStatus(workflow);
+    const transitionError = doneStatus
+      ? checkTransition(workflow, task.status, doneStatus.name)
+      : null;
+
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError,
+      });
+    }
+
+    const open = task.subtasks.filter((subtask) => !subtask.done);
+
+    if (open.length > 0 && openSubtasks === 'refuse') {
+      return res.status(409).json({
+        success: false,
+        message: `Task still has ${open.length} open subtask(s)`,
+        openSubtasks: open.length,
+      });
+    }
+
+    const pendingBlockers = await findPendingBlockers(task);
+
+    if (pendingBlockers.length > 0 && blockerMode === 'refuse') {
+      return res.status(409).json({
+        success: false,
+        message: `Task is still blocked by ${pendingBlockers.length} pending task(s)`,
+        pendingBlockers,
+      });
+    }
+
+    const before = snapshotTask(task);
+    const extraEntries = [];
+
+    if (openSubtasks === 'cascade' && open.length > 0) {
+      open.forEach((subtask) => {
+        subtask.done = true;
+      });
+      extraEntries.push({
+        body: `checked off ${open.length} open checklist item(s)`,
+        change: { field: 'subtasks' },
+      });
+    }
+
+    // Move the task to the done status
+    if (doneStatus) applyStatus(task, doneStatus);
     await task.save();
 
+    // Add "marked completed" to the activity thread and the task's history
+    await recordTaskChanges(before, task, extraEntries);
+    await recordRevision(before, task, { changedBy: userId, action: 'complete' });
+
+    // Tasks waiting for this one may not be blocked any more
+    await refreshDependents([task._id]);
+
+    // Recurring tasks: create the next occurrence
+    const nextTask = await createNextOccurrence(task);
+
     res.status(200).json({
       success: true,
       message: 'Task marked as completed',
       task,
+      nextTask,
+      warning: blockerWarning(pendingBlockers),
+      pendingBlockers,
     });
   } catch (error) {
     res.status(500).json({
@@ -244,12 +1010,366 @@ const markTaskCompleted = async (req, res) => {
   }
 };
 
+/**
+ * Reopen a completed task
+ *
+ * Flow:
+ * 1. Find task by ID and verify it belongs to the user
+ * 2. Move it to the first "todo" status of the workflow (this clears completedAt)
+ * 3. Note it in the activity thread and history
+ * 4. Tasks waiting for it are blocked again
+ * 5. Return updated task
+ *
+ * A task that is not done stays as it is. If the workflow does not allow
+ * moving from the current status to the todo status, nothing changes (409).
+ * A recurring task keeps its next occurrence, so completing it again does
+ * not create a second one.
+ */
+const reopenTask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    if (task.statusCategory !== 'done') {
+      return res.status(200).json({
+        success: true,
+        message: 'Task is already open',
+        task,
+      });
+    }
+
+    const workflow = await getWorkflow(userId);
+    const initialStatus = getInitialStatus(workflow);
+    const transitionError = checkTransition(workflow, task.status, initialStatus.name);
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError,
+      });
+    }
+
+    const before = snapshotTask(task);
+    applyStatus(task, initialStatus);
+    await task.save();
+
+    // Add "reopened" to the activity thread and the task's history
+    await recordTaskChanges(before, task);
+    await recordRevision(before, task, { changedBy: userId, action: 'reopen' });
+
+    // Tasks waiting for this one are blocked by it again
+    await refreshDependents([task._id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task reopened',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reopening task',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a task before or after another task (manual order)
+ *
+ * Body: { before: siblingId } or { after: siblingId }
+ *
+ * Flow:
+ * 1. Check the body names exactly one other task
+ * 2. Find both tasks (they must belong to the user and not be in the trash)
+ * 3. Work out the position between the sibling and its neighbour
+ *    (see utils/position.js)
+ * 4. Save only the position and return the task
+ *
+ * Reordering does not count as editing the task: updatedAt stays the same
+ * and nothing is added to the activity thread or the history.
+ */
+const moveTask = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { before, after } = req.body;
+
+    if ((before === undefined) === (after === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send either before or after with the ID of the task to place this one next to',
+      });
+    }
+
+    const siblingId = before !== undefined ? before : after;
+    if (!mongoose.isValidObjectId(siblingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'before / after must be a task ID',
+      });
+    }
+
+    if (String(siblingId) === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot be placed next to itself',
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const sibling = await Task.findOne({ _id: siblingId, userId, deletedAt: null }).select(
+      'userId position'
+    );
+    if (!sibling) {
+      return res.status(404).json({
+        success: false,
+        message: 'The task to place it next to was not found',
+      });
+    }
+
+    const position = await getPositionNextTo(task, sibling, before !== undefined ? 'before' : 'after');
+    await Task.updateOne({ _id: task._id }, { $set: { position } }, { timestamps: false });
+    task.position = position;
+
+    res.status(200).json({
+      success: true,
+      message: 'Task moved',
+      task,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Run one action on many tasks at once
+ *
+ * Body: { ids: [...], action, status, priority, projectId }
+ * - complete: move to the first "done" status (recurring tasks get their next occurrence)
+ * - reopen:   move done tasks back to the first "todo" status
+ * - status:   move to the status named in "status"
+ * - delete:   move to the trash
+ * - restore:  take out of the trash
+ * - priority: set the priority to High, Medium or Low
+ * - move:     move to a project (projectId: null for the Inbox)
+ *
+ * Flow:
+ * 1. Check the action, its options and the list of IDs (up to 100)
+ * 2. Find the user's tasks among the IDs (IDs of other users' tasks count as not found)
+ * 3. Apply the action to each task, recording activity and revisions as usual
+ * 4. Update blocked counts once for all tasks that were completed or reopened
+ * 5. Return a result per ID: { id, success, changed, message, task }
+ *
+ * One task failing (e.g. a status change the workflow does not allow) does
+ * not stop the others. Tasks that already are in the requested state count
+ * as a success with changed: false.
+ */
+const bulkUpdateTasks = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { ids, action, status, priority } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${BULK_ACTIONS.join(', ')}`,
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be a list of 1 to ${MAX_BULK_TASKS} task IDs`,
+      });
+    }
+
+    const workflow = await getWorkflow(userId);
+    if (action === 'status' && !findStatus(workflow, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${workflow.map((s) => s.name).join(', ')}`,
+      });
+    }
+
+    if (action === 'priority' && !['High', 'Medium', 'Low'].includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority must be High, Medium, or Low',
+      });
+    }
+
+    let projectId = null;
+    if (action === 'move') {
+      if (req.body.projectId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a projectId (null for the Inbox)',
+        });
+      }
+      const projectResult = await validateProjectId(req.body.projectId, userId);
+      if (projectResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: projectResult.error,
+        });
+      }
+      projectId = projectResult.projectId;
+    }
+
+    // Each ID once, in the order given
+    const uniqueIds = [...new Set(ids.map(String))];
+    const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id));
+
+    // Restoring works on trashed tasks, every other action on tasks outside the trash
+    const tasks = await Task.find({
+      _id: { $in: validIds },
+      userId,
+      deletedAt: action === 'restore' ? { $type: 'date' } : null,
+    });
+    const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+    const results = [];
+    const found = [];
+    uniqueIds.forEach((id) => {
+      if (!mongoose.isValidObjectId(id)) {
+        results.push({ id, success: false, message: 'Invalid task ID' });
+      } else if (!tasksById.has(id)) {
+        results.push({
+          id,
+          success: false,
+          message: action === 'restore' ? 'Task not found in the trash' : 'Task not found',
+        });
+      } else {
+        found.push(tasksById.get(id));
+      }
+    });
+
+    // Trash and restore work on all tasks at once
+    if (action === 'delete' || action === 'restore') {
+      const foundIds = found.map((task) => task._id);
+      if (action === 'delete') {
+        await trashTasks(foundIds);
+      } else {
+        await restoreTasks(foundIds);
+      }
+
+      for (const task of found) {
+        await recordActivity(task, [
+          { body: action === 'delete' ? 'moved to the trash' : 'restored from the trash' },
+        ]);
+        results.push({ id: task._id.toString(), success: true, changed: true });
+      }
+    } else {
+      const statusChangedIds = [];
+
+      for (const task of found) {
+        const id = task._id.toString();
+        try {
+          const before = snapshotTask(task);
+          const isDone = task.statusCategory === 'done';
+
+          // The status to move to (null = keep the current one)
+          let newStatus = null;
+          if (action === 'complete' && !isDone) newStatus = getDoneStatus(workflow);
+          if (action === 'reopen' && isDone) newStatus = getInitialStatus(workflow);
+          if (action === 'status') newStatus = findStatus(workflow, status);
+
+          if (newStatus) {
+            const transitionError = checkTransition(workflow, task.status, newStatus.name);
+            if (transitionError) {
+              results.push({ id, success: false, message: transitionError });
+              continue;
+            }
+            applyStatus(task, newStatus);
+          }
+          if (action === 'priority') task.priority = priority;
+          if (action === 'move') task.projectId = projectId;
+
+          if (!task.isModified()) {
+            results.push({ id, success: true, changed: false, task });
+            continue;
+          }
+
+          await task.save();
+          await recordTaskChanges(before, task);
+          await recordRevision(before, task, {
+            changedBy: userId,
+            action: ['complete', 'reopen'].includes(action) ? action : 'update',
+          });
+
+          if (before.status !== task.status) {
+            statusChangedIds.push(task._id);
+          }
+          if (!isDone && task.statusCategory === 'done') {
+            await createNextOccurrence(task);
+          }
+
+          results.push({ id, success: true, changed: true, task });
+        } catch (error) {
+          results.push({ id, success: false, message: error.message });
+        }
+      }
+
+      // Tasks waiting for the completed (or reopened) tasks
+      if (statusChangedIds.length > 0) {
+        await refreshDependents(statusChangedIds);
+      }
+    }
+
+    // Report the results in the order the IDs were sent
+    const order = new Map(uniqueIds.map((id, index) => [id, index]));
+    results.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${results.length} task(s) updated`,
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tasks',
+      error: error.message,
+    });
+  }
+};
+
 // Export all controller functions
 module.exports = {
   getAllTasks,
+  searchTasks,
   createTask,
   updateTask,
   deleteTask,
+  getTrash,
+  restoreTask,
+  deleteTaskPermanently,
+  emptyTrash,
   markTaskCompleted,
+  reopenTask,
+  moveTask,
+  bulkUpdateTasks,
 };
 
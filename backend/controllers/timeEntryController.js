@@ -0,0 +1,490 @@
+/**
+ * Time Entry Controller
+ *
+ * Contains the business logic for time tracking: the start/stop timer of a
+ * task, time entries added or edited by hand, and the time report.
+ *
+ * Each user can only have one running timer (an entry without endedAt).
+ * Whenever a finished entry is added, changed or removed, the task's
+ * trackedSeconds total is recalculated (see utils/timeTracking.js).
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const { validateEntryTimes, refreshTrackedTime } = require('../utils/timeTracking');
+const {
+  parseTimezoneOffset,
+  parseOptionalDate,
+  startOfDay,
+  addDays,
+  toUtcOffsetString,
+} = require('../utils/dates');
+
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Check the optional note of a time entry
+ *
+ * @param {*} note - req.body.note
+ * @returns {string|null} Error message, or null if the note is fine
+ */
+const validateNote = (note) => {
+  if (note === undefined) return null;
+  if (typeof note !== 'string') return 'Note must be text';
+  if (note.trim().length > MAX_NOTE_LENGTH) {
+    return `Note cannot be longer than ${MAX_NOTE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Stop a running entry now and update its task's total
+ *
+ * @param {Object} entry - Running TimeEntry document
+ * @returns {Promise<Object|null>} The entry's task with its new total
+ */
+const stopEntry = async (entry) => {
+  entry.endedAt = new Date();
+  await entry.save();
+  await refreshTrackedTime(entry.taskId);
+  return Task.findById(entry.taskId);
+};
+
+/**
+ * Start the timer on a task
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Check for a running timer (only one per user)
+ *    - ?stopRunning=true stops the running timer first
+ *    - otherwise a running timer is refused with 409
+ * 3. Create a running entry starting now
+ * 4. Return the entry (and the task of a timer that was stopped)
+ */
+const startTimer = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    let stoppedTask = null;
+    const running = await TimeEntry.findOne({ userId, endedAt: null });
+
+    if (running) {
+      if (running.taskId.equals(task._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The timer is already running for this task',
+          runningEntry: running,
+        });
+      }
+
+      if (req.query.stopRunning !== 'true') {
+        return res.status(409).json({
+          success: false,
+          message: 'Another timer is already running. Stop it first.',
+          runningEntry: running,
+        });
+      }
+
+      stoppedTask = await stopEntry(running);
+    }
+
+    const entry = await TimeEntry.create({
+      taskId: task._id,
+      userId,
+      startedAt: new Date(),
+      source: 'timer',
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      entry,
+      stoppedTask,
+    });
+  } catch (error) {
+    // Duplicate key: another request started a timer at the same moment
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another timer is already running. Stop it first.',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error starting timer',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Stop the running timer of a task
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Find the running entry of this task
+ * 3. Stop it and update the task's total tracked time
+ * 4. Return the entry and the updated task
+ */
+const stopTimer = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const task = await Task.findOne({ _id: req.params.id, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const running = await TimeEntry.findOne({ userId, taskId: task._id, endedAt: null });
+    if (!running) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running for this task',
+      });
+    }
+
+    const updatedTask = await stopEntry(running);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      entry: running,
+      task: updatedTask,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error stopping timer',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the time entries of a task (newest first)
+ */
+const getTaskTimeEntries = async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+      deletedAt: null,
+    });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to view it',
+      });
+    }
+
+    const entries = await TimeEntry.find({ taskId: task._id }).sort({ startedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      trackedSeconds: task.trackedSeconds,
+      entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching time entries',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the user's running timer (with its task's title), or null
+ */
+const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ userId: req.userId, endedAt: null }).populate(
+      'taskId',
+      'title'
+    );
+
+    res.status(200).json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching running timer',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a time entry by hand
+ *
+ * Flow:
+ * 1. Find the task and verify it belongs to the user
+ * 2. Validate the times (startedAt plus endedAt or minutes) and the note
+ * 3. Create the entry and update the task's total
+ * 4. Return the entry and the updated task
+ */
+const createTimeEntry = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { taskId, note } = req.body;
+
+    if (!taskId || !mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid taskId',
+      });
+    }
+
+    const task = await Task.findOne({ _id: taskId, userId, deletedAt: null });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to update it',
+      });
+    }
+
+    const { error: timeError, times } = validateEntryTimes(req.body);
+    const noteError = validateNote(note);
+    if (timeError || noteError) {
+      return res.status(400).json({
+        success: false,
+        message: timeError || noteError,
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      taskId: task._id,
+      userId,
+      ...times,
+      note,
+      source: 'manual',
+    });
+
+    await refreshTrackedTime(task._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry added successfully',
+      entry,
+      task: await Task.findById(task._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding time entry',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit a time entry
+ *
+ * Flow:
+ * 1. Find the entry and verify it belongs to the user
+ * 2. Validate the new times and note (a running timer can only move its start)
+ * 3. Save the entry and update the task's total
+ * 4. Return the entry and the updated task
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ _id: req.params.id, userId: req.userId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found or you do not have permission to update it',
+      });
+    }
+
+    const { error: timeError, times } = validateEntryTimes(req.body, entry);
+    const noteError = validateNote(req.body.note);
+    if (timeError || noteError) {
+      return res.status(400).json({
+        success: false,
+        message: timeError || noteError,
+      });
+    }
+
+    Object.assign(entry, times);
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    await entry.save();
+
+    await refreshTrackedTime(entry.taskId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      entry,
+      task: await Task.findById(entry.taskId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating time entry',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a time entry (a running timer is discarded without being counted)
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ _id: req.params.id, userId: req.userId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found or you do not have permission to delete it',
+      });
+    }
+
+    await TimeEntry.findByIdAndDelete(entry._id);
+    await refreshTrackedTime(entry.taskId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully',
+      task: await Task.findById(entry.taskId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting time entry',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Time report: tracked time per day, per priority and per task
+ *
+ * Flow:
+ * 1. Read the date range (?from=&to=, default: the last 7 days) and tzOffset
+ * 2. Find the finished entries that started in the range
+ * 3. Sum their durations per day (in the user's timezone), priority and task
+ *
+ * An entry counts for the day it started on.
+ */
+const getTimeReport = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+
+    const tzOffset = parseTimezoneOffset(req.query.tzOffset);
+    if (tzOffset === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'tzOffset must be a whole number of minutes',
+      });
+    }
+
+    const now = new Date();
+    const fromResult = parseOptionalDate(req.query.from || null);
+    const toResult = parseOptionalDate(req.query.to || null);
+    if (!fromResult.valid || !toResult.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    const from = fromResult.date || addDays(startOfDay(now, tzOffset), -6);
+    const to = toResult.date || now;
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to',
+      });
+    }
+
+    const [report] = await TimeEntry.aggregate([
+      { $match: { userId, endedAt: { $ne: null }, startedAt: { $gte: from, $lte: to } } },
+      { $lookup: { from: 'tasks', localField: 'taskId', foreignField: '_id', as: 'task' } },
+      { $unwind: '$task' },
+      // Time tracked on trashed tasks is left out until they are restored
+      { $match: { 'task.deletedAt': null } },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, seconds: { $sum: '$duration' } } }],
+          byDay: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: {
+                    format: '%Y-%m-%d',
+                    date: '$startedAt',
+                    timezone: toUtcOffsetString(tzOffset),
+                  },
+                },
+                seconds: { $sum: '$duration' },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, date: '$_id', seconds: 1 } },
+          ],
+          byPriority: [
+            { $group: { _id: '$task.priority', seconds: { $sum: '$duration' } } },
+            { $sort: { seconds: -1 } },
+            { $project: { _id: 0, priority: '$_id', seconds: 1 } },
+          ],
+          byTask: [
+            {
+              $group: {
+                _id: '$taskId',
+                title: { $first: '$task.title' },
+                priority: { $first: '$task.priority' },
+                seconds: { $sum: '$duration' },
+              },
+            },
+            { $sort: { seconds: -1 } },
+            { $project: { _id: 0, taskId: '$_id', title: 1, priority: 1, seconds: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      totalSeconds: report.total.length ? report.total[0].seconds : 0,
+      byDay: report.byDay,
+      byPriority: report.byPriority,
+      byTask: report.byTask,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating time report',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  startTimer,
+  stopTimer,
+  getTaskTimeEntries,
+  getRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport,
+};
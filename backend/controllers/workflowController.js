@@ -0,0 +1,170 @@
+/**
+ * Workflow Controller
+ *
+ * Contains the business logic for a user's workflow: the ordered list of
+ * statuses their tasks can be in (see utils/workflow.js).
+ */
+
+const User = require('../models/User');
+const Task = require('../models/Task');
+const {
+  STATUS_CATEGORIES,
+  getWorkflow,
+  findStatus,
+  validateWorkflow,
+} = require('../utils/workflow');
+const { refreshDependents } = require('../utils/dependencies');
+
+/**
+ * Get the logged-in user's workflow
+ *
+ * Flow:
+ * 1. Load the user's statuses (the defaults if they never changed them)
+ * 2. Return them in order, with the list of categories
+ */
+const getUserWorkflow = async (req, res) => {
+  try {
+    const statuses = await getWorkflow(req.userId);
+
+    res.status(200).json({
+      success: true,
+      categories: STATUS_CATEGORIES,
+      statuses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the logged-in user's workflow
+ *
+ * Body: { statuses: [{ _id, name, category, next }], replacements: { "Old": "New" } }
+ * - Statuses that are kept must be sent with their _id. Their tasks follow
+ *   a new name or category.
+ * - Statuses that are left out are removed. Tasks still in a removed status
+ *   (trashed ones too) move to the status named in replacements; without
+ *   one the change is refused (409) with the statuses that are in use.
+ *
+ * Flow:
+ * 1. Validate the new statuses and match them to the old ones by _id
+ * 2. Work out where the tasks of every old status go
+ * 3. Refuse if a removed status still has tasks and no replacement
+ * 4. Move the tasks, then save the workflow
+ * 5. Update blocked counts if tasks became done or not done
+ */
+const updateUserWorkflow = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const replacements = req.body.replacements || {};
+
+    const { error, statuses } = validateWorkflow(req.body.statuses);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (typeof replacements !== 'object' || Array.isArray(replacements)) {
+      return res.status(400).json({
+        success: false,
+        message: 'replacements must map removed status names to new status names',
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const oldStatuses = user.statuses;
+    const unknownId = statuses.find(
+      (status) => status._id && !oldStatuses.some((old) => old._id.toString() === String(status._id))
+    );
+    if (unknownId) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status ID for "${unknownId.name}" (leave _id out for new statuses)`,
+      });
+    }
+
+    // Where the tasks of each old status go: the same status (maybe renamed)
+    // or, for a removed status, its replacement
+    const moves = [];
+    const inUse = [];
+    for (const old of oldStatuses) {
+      const kept = statuses.find((status) => String(status._id) === old._id.toString());
+      const target = kept || findStatus(statuses, replacements[old.name]);
+
+      // Include trashed tasks: they need a valid status when they are restored
+      const taskIds = await Task.find({ userId, status: old.name }).distinct('_id');
+      if (taskIds.length === 0) continue;
+
+      if (!target) {
+        inUse.push({ name: old.name, taskCount: taskIds.length });
+      } else if (target.name !== old.name || target.category !== old.category) {
+        moves.push({ taskIds, from: old, to: target });
+      }
+    }
+
+    if (inUse.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Choose a new status for the tasks in: ${inUse.map((s) => s.name).join(', ')}`,
+        inUse,
+      });
+    }
+
+    // Move the tasks first, so a status can be renamed to a name another
+    // status had (all task IDs were looked up before anything changed)
+    // Changing the workflow does not count as editing the tasks
+    // (updateMany skips the hook that keeps completedAt in sync, so set it here)
+    const now = new Date();
+    for (const { taskIds, from, to } of moves) {
+      const update = { status: to.name, statusCategory: to.category };
+      if (to.category !== 'done') update.completedAt = null;
+      else if (from.category !== 'done') update.completedAt = now;
+
+      await Task.updateMany({ _id: { $in: taskIds } }, { $set: update }, { timestamps: false });
+    }
+
+    user.statuses = statuses;
+    await user.save();
+
+    // Tasks that became done (or not done) unblock (or block) other tasks
+    const doneChangedIds = moves
+      .filter(({ from, to }) => (from.category === 'done') !== (to.category === 'done'))
+      .flatMap(({ taskIds }) => taskIds);
+    if (doneChangedIds.length > 0) {
+      await refreshDependents(doneChangedIds);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow updated successfully',
+      categories: STATUS_CATEGORIES,
+      statuses: await getWorkflow(userId),
+      movedTasks: moves.reduce((count, { taskIds }) => count + taskIds.length, 0),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workflow',
+      error: error.message,
+    });
+  }
+};
+
+// Export all controller functions
+module.exports = {
+  getUserWorkflow,
+  updateUserWorkflow,
+};
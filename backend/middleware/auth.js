@@ -8,15 +8,30 @@
  * 1. Frontend sends token in Authorization header: "Bearer <token>"
  * 2. Middleware extracts the token
  * 3. Verifies token using JWT_SECRET
- * 4. If valid, adds userId to req.userId so routes can use it
- * 5. If invalid, returns 401 Unauthorized error
+ * 4. Checks that the token's session has not ended (logout, reuse of a
+ *    refresh token, ...), see utils/sessions.js
+ * 5. Unless UNVERIFIED_ACCESS=full, lets accounts with an unverified email
+ *    only read (GET requests), see utils/emailVerification.js
+ * 6. If valid, adds userId to req.userId (and the session ID to
+ *    req.sessionId) so routes can use it
+ * 7. If invalid, returns 401 Unauthorized error
+ *
+ * authMiddleware.allowUnverified does the same without step 5, for the
+ * routes unverified accounts still need (e.g. fixing a mistyped email).
  */
 
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { getUnverifiedAccess } = require('../utils/emailVerification');
+
+// Requests that only read
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 // This is a middleware function
 // Middleware functions have access to: req (request), res (response), next (next function)
-const authMiddleware = (req, res, next) => {
+const checkAuth = async (req, res, next, allowUnverified) => {
+  let decoded;
   try {
     // Get the Authorization header from the request
     // Format: "Bearer <token>"
@@ -46,15 +61,7 @@ const authMiddleware = (req, res, next) => {
     // jwt.verify() decodes the token and checks if it's valid
     // If valid, it returns the payload (the data we stored in the token)
     // If invalid, it throws an error
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Add userId to the request object
-    // This allows our route handlers to access the userId without re-verifying the token
-    // Example: In taskController, we can use req.userId to know which user is making the request
-    req.userId = decoded.userId;
-
-    // Call next() to continue to the next middleware or route handler
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     // If token verification fails (expired, invalid, etc.)
     return res.status(401).json({
@@ -62,7 +69,55 @@ const authMiddleware = (req, res, next) => {
       message: 'Invalid or expired token. Authorization denied.',
     });
   }
+
+  try {
+    // Tokens from before sessions existed have no session ID and are not accepted
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please log in again.',
+      });
+    }
+
+    // Unverified accounts may only read; the token may predate the
+    // verification, so the user is checked before saying no
+    if (
+      !allowUnverified &&
+      decoded.ev !== true &&
+      !READ_METHODS.includes(req.method) &&
+      getUnverifiedAccess() !== 'full'
+    ) {
+      const user = await User.findById(decoded.userId).select('emailVerified');
+      if (!user || !user.emailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address to make changes.',
+          emailVerified: false,
+        });
+      }
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking session',
+      error: error.message,
+    });
+  }
+
+  // Add userId to the request object
+  // This allows our route handlers to access the userId without re-verifying the token
+  // Example: In taskController, we can use req.userId to know which user is making the request
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sid;
+
+  // Call next() to continue to the next middleware or route handler
+  next();
 };
 
+const authMiddleware = (req, res, next) => checkAuth(req, res, next, false);
+
+// For routes an unverified account may always use
+authMiddleware.allowUnverified = (req, res, next) => checkAuth(req, res, next, true);
+
 module.exports = authMiddleware;
 
@@ -0,0 +1,151 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Limits how many requests a client may send in a time window, so
+ * passwords cannot be guessed freely and one user cannot flood the API.
+ * The counts are kept in the store chosen with RATE_LIMIT_STORE (see
+ * utils/rateLimit.js).
+ *
+ * How it works:
+ * 1. Works out the key to count (the IP address, the email of a login, or
+ *    the logged-in user)
+ * 2. Counts the request in the current window
+ * 3. Sends the standard RateLimit headers (RateLimit-Policy, -Limit,
+ *    -Remaining and -Reset, in seconds) so clients can slow down by themselves
+ * 4. Over the limit: returns 429 Too Many Requests with Retry-After
+ *
+ * If the store fails, requests are let through (and the error is logged):
+ * a broken counter should not lock everyone out.
+ *
+ * Behind a proxy, set TRUST_PROXY so req.ip is the client's address.
+ */
+
+const { formatWait, secondsUntilReset, getRateLimitStore } = require('../utils/rateLimit');
+const { readPositiveNumber } = require('../utils/env');
+
+const DEFAULT_AUTH_LIMIT = 20;
+const DEFAULT_LOGIN_LIMIT = 10;
+const DEFAULT_AUTH_MINUTES = 15;
+const DEFAULT_TASKS_LIMIT = 600;
+const DEFAULT_TASKS_MINUTES = 15;
+
+/**
+ * Create a rate limit middleware
+ *
+ * @param {Object} options
+ * @param {string} options.name - Name of the limit (starts the counter keys)
+ * @param {Function} options.getLimit - Returns { max, windowMs }, read on every request
+ * @param {Function} options.keyGenerator - Returns what to count for a request
+ *   (null = do not count it)
+ * @param {string} options.message - Error message when over the limit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, getLimit, keyGenerator, message }) => async (req, res, next) => {
+  const key = keyGenerator(req);
+  if (!key) return next();
+
+  const { max, windowMs } = getLimit();
+
+  let record;
+  try {
+    record = await getRateLimitStore().hit(`${name}:${key}`, windowMs);
+  } catch (error) {
+    console.error(`Rate limit error (${name}):`, error.message);
+    return next();
+  }
+
+  const resetSeconds = secondsUntilReset(record);
+  res.set({
+    'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(0, max - record.count)),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (record.count > max) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `${message} Please try again in ${formatWait(resetSeconds)}.`,
+      retryAfter: resetSeconds,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Window of the auth limits (AUTH_RATE_LIMIT_MINUTES, default 15)
+ */
+const getAuthWindowMs = () =>
+  readPositiveNumber(process.env.AUTH_RATE_LIMIT_MINUTES, DEFAULT_AUTH_MINUTES) * 60 * 1000;
+
+/**
+ * Logins, registrations and password resets per IP address
+ * (AUTH_RATE_LIMIT, default 20 per window)
+ */
+const authRateLimit = rateLimit({
+  name: 'auth',
+  getLimit: () => ({
+    max: Math.ceil(readPositiveNumber(process.env.AUTH_RATE_LIMIT, DEFAULT_AUTH_LIMIT)),
+    windowMs: getAuthWindowMs(),
+  }),
+  keyGenerator: (req) => req.ip,
+  message: 'Too many requests from this address.',
+});
+
+/**
+ * Password attempts per account and window (LOGIN_RATE_LIMIT, default 10)
+ */
+const getLoginLimit = () => ({
+  max: Math.ceil(readPositiveNumber(process.env.LOGIN_RATE_LIMIT, DEFAULT_LOGIN_LIMIT)),
+  windowMs: getAuthWindowMs(),
+});
+
+/**
+ * Login attempts per account, from any address
+ */
+const loginRateLimit = rateLimit({
+  name: 'login',
+  getLimit: getLoginLimit,
+  keyGenerator: (req) =>
+    req.body && typeof req.body.email === 'string' && req.body.email.trim()
+      ? req.body.email.trim().toLowerCase()
+      : null,
+  message: 'Too many login attempts for this account.',
+});
+
+/**
+ * Account settings changes per user. They ask for the current password, so
+ * someone with a stolen access token cannot use them to guess it freely.
+ * Use after authMiddleware.
+ */
+const accountRateLimit = rateLimit({
+  name: 'account',
+  getLimit: getLoginLimit,
+  keyGenerator: (req) => (req.userId ? String(req.userId) : null),
+  message: 'Too many attempts for this account.',
+});
+
+/**
+ * Requests to the task routes per user (TASKS_RATE_LIMIT, default 600 per
+ * TASKS_RATE_LIMIT_MINUTES, default 15). Use after authMiddleware.
+ */
+const tasksRateLimit = rateLimit({
+  name: 'tasks',
+  getLimit: () => ({
+    max: Math.ceil(readPositiveNumber(process.env.TASKS_RATE_LIMIT, DEFAULT_TASKS_LIMIT)),
+    windowMs:
+      readPositiveNumber(process.env.TASKS_RATE_LIMIT_MINUTES, DEFAULT_TASKS_MINUTES) * 60 * 1000,
+  }),
+  keyGenerator: (req) => (req.userId ? String(req.userId) : null),
+  message: 'You have sent too many requests.',
+});
+
+module.exports = {
+  rateLimit,
+  authRateLimit,
+  loginRateLimit,
+  accountRateLimit,
+  tasksRateLimit,
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration: Task priority rank and list indexes
+ * 
+ * Tasks can now be sorted by priority, which uses the numeric priorityRank field.
+ * Tasks created before that field existed need it filled in.
+ * Also brings the task indexes in line with the schema (drops the old ones).
+ */
+
+const Task = require('../models/Task');
+
+module.exports = {
+  description: 'Fill in priorityRank for existing tasks and sync task indexes',
+
+  up: async () => {
+    for (const [priority, rank] of Object.entries(Task.PRIORITY_RANKS)) {
+      const result = await Task.updateMany(
+        { priority, priorityRank: { $ne: rank } },
+        { $set: { priorityRank: rank } }
+      );
+      console.log(`   ${priority}: ${result.modifiedCount} task(s) updated`);
+    }
+
+    // Create the indexes defined in the schema and drop ones that are no longer there
+    await Task.syncIndexes();
+  },
+};
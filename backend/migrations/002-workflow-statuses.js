@@ -0,0 +1,42 @@
+/**
+ * Migration: Workflow statuses
+ *
+ * Task statuses are now defined per user (see utils/workflow.js), and every task
+ * stores the category of its status in statusCategory.
+ * Existing users get the default workflow (Pending, In Progress, Completed), which
+ * keeps the two old statuses, and existing tasks get the matching category.
+ */
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+module.exports = {
+  description: 'Give users the default workflow and fill in statusCategory for existing tasks',
+
+  up: async () => {
+    const users = await User.find({
+      $or: [{ statuses: { $exists: false } }, { statuses: { $size: 0 } }],
+    });
+    for (const user of users) {
+      user.statuses = User.DEFAULT_STATUSES;
+      await user.save();
+    }
+    console.log(`   ${users.length} user(s) got the default workflow`);
+
+    // Before workflows there were only "Pending" and "Completed"
+    const completed = await Task.updateMany(
+      { status: 'Completed', statusCategory: { $ne: 'done' } },
+      { $set: { statusCategory: 'done' } },
+      { timestamps: false }
+    );
+    const pending = await Task.updateMany(
+      { status: { $ne: 'Completed' }, statusCategory: { $exists: false } },
+      { $set: { statusCategory: 'todo' } },
+      { timestamps: false }
+    );
+    console.log(`   ${completed.modifiedCount} completed and ${pending.modifiedCount} pending task(s) updated`);
+
+    // Create the statusCategory index
+    await Task.syncIndexes();
+  },
+};
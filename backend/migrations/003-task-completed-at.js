@@ -0,0 +1,23 @@
+/**
+ * Migration: Task completion time
+ *
+ * Tasks now record when they were completed (completedAt). Tasks that were
+ * completed before the field existed get their last update time, which is the
+ * closest thing we have: completing a task was usually the last change to it.
+ */
+
+const Task = require('../models/Task');
+
+module.exports = {
+  description: 'Fill in completedAt for existing completed tasks from updatedAt',
+
+  up: async () => {
+    // An update pipeline ([...]) can copy one field into another
+    const result = await Task.updateMany(
+      { statusCategory: 'done', completedAt: null },
+      [{ $set: { completedAt: '$updatedAt' } }],
+      { timestamps: false }
+    );
+    console.log(`   ${result.modifiedCount} completed task(s) updated`);
+  },
+};
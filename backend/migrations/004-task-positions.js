@@ -0,0 +1,44 @@
+/**
+ * Migration: Task positions
+ *
+ * Tasks can now be put in any order by hand (Task.position, see
+ * utils/position.js). Existing tasks get positions in the order they were
+ * shown until now, newest first, below any tasks that already have one.
+ */
+
+const Task = require('../models/Task');
+const { POSITION_STEP } = require('../utils/position');
+
+module.exports = {
+  description: 'Give existing tasks a manual-order position (newest first)',
+
+  up: async () => {
+    const userIds = await Task.distinct('userId', { position: null });
+
+    let updated = 0;
+    for (const userId of userIds) {
+      const last = await Task.findOne({ userId, position: { $ne: null } })
+        .sort({ position: -1 })
+        .select('position');
+      const start = last ? last.position + POSITION_STEP : 0;
+
+      const tasks = await Task.find({ userId, position: null })
+        .sort({ createdAt: -1, _id: -1 })
+        .select('_id');
+      await Task.bulkWrite(
+        tasks.map((task, index) => ({
+          updateOne: {
+            filter: { _id: task._id },
+            update: { $set: { position: start + index * POSITION_STEP } },
+            timestamps: false,
+          },
+        }))
+      );
+      updated += tasks.length;
+    }
+    console.log(`   ${updated} task(s) of ${userIds.length} user(s) got a position`);
+
+    // Create the position index
+    await Task.syncIndexes();
+  },
+};
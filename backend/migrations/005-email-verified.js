@@ -0,0 +1,26 @@
+/**
+ * Migration: Verified emails for existing accounts
+ *
+ * Accounts now have an emailVerified flag, and unverified accounts may be
+ * limited (see UNVERIFIED_ACCESS). Accounts created before email verification
+ * existed never got a verification email, so they count as verified instead
+ * of being locked out.
+ */
+
+const User = require('../models/User');
+
+module.exports = {
+  description: 'Mark the emails of accounts created before email verification as verified',
+
+  up: async () => {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } },
+      { timestamps: false }
+    );
+    console.log(`   ${result.modifiedCount} user(s) updated`);
+
+    // Create the index for verification tokens
+    await User.syncIndexes();
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration: Time of day of repeat rules
+ *
+ * Repeat rules now remember the time of day the task is due at
+ * (recurrence.time), so an occurrence moved by a clock change does not move
+ * the ones after it. Existing recurring tasks get the time of their due date.
+ */
+
+const Task = require('../models/Task');
+const { getTimeOfDay } = require('../utils/recurrence');
+
+module.exports = {
+  description: 'Store the time of day of the repeat rules of existing recurring tasks',
+
+  up: async () => {
+    const tasks = await Task.find({
+      recurrence: { $ne: null },
+      'recurrence.time': null,
+      dueDate: { $ne: null },
+    }).select('_id dueDate recurrence');
+
+    await Task.bulkWrite(
+      tasks.map((task) => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: {
+            $set: { 'recurrence.time': getTimeOfDay(task.dueDate, task.recurrence.timezone) },
+          },
+          timestamps: false,
+        },
+      }))
+    );
+    console.log(`   ${tasks.length} recurring task(s) got a time of day`);
+  },
+};
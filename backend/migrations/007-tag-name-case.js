@@ -0,0 +1,49 @@
+/**
+ * Migration: Tag names without case
+ *
+ * Tag names are now unique per user whatever their case ("Work" and "work"
+ * are the same tag, see models/Tag.js). Tags of a user whose names only
+ * differ in case are merged into the oldest one: its tasks get that tag
+ * instead. Then the unique index is rebuilt with the new collation.
+ */
+
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+
+module.exports = {
+  description: 'Merge tags whose names only differ in case and make tag names unique without case',
+
+  up: async () => {
+    const tags = await Tag.find().sort({ createdAt: 1, _id: 1 }).select('userId name');
+
+    // The first (oldest) tag of each user and name is kept
+    const kept = new Map();
+    const merges = [];
+    for (const tag of tags) {
+      const key = `${tag.userId}:${tag.name.toLocaleLowerCase('en')}`;
+      if (kept.has(key)) {
+        merges.push({ tag, into: kept.get(key) });
+      } else {
+        kept.set(key, tag);
+      }
+    }
+
+    for (const { tag, into } of merges) {
+      await Task.updateMany(
+        { userId: tag.userId, tags: tag._id },
+        { $addToSet: { tags: into._id } },
+        { timestamps: false }
+      );
+      await Task.updateMany(
+        { userId: tag.userId, tags: tag._id },
+        { $pull: { tags: tag._id } },
+        { timestamps: false }
+      );
+      await Tag.deleteOne({ _id: tag._id });
+    }
+    console.log(`   ${merges.length} tag(s) merged into a tag with the same name`);
+
+    // Replace the unique index with the one without case
+    await Tag.syncIndexes();
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * Comment Model
+ *
+ * Defines the structure of a Comment document in MongoDB.
+ * Comments make up the activity thread of a task: notes written by the user,
+ * and system entries recorded when the task changes
+ * (e.g. "priority changed High → Low" or "marked completed").
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Comment schema
+const commentSchema = new mongoose.Schema(
+  {
+    // The task this comment belongs to
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    // "comment" = written by the user, "system" = recorded automatically
+    type: {
+      type: String,
+      enum: ['comment', 'system'],
+      default: 'comment',
+    },
+    // Text of the comment, or a description of the change for system entries
+    body: {
+      type: String,
+      required: [true, 'Comment text is required'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot be longer than 2000 characters'],
+    },
+    // System entries only: what changed, so the frontend can show it in its
+    // own format (e.g. dates in the user's timezone)
+    change: {
+      type: new mongoose.Schema(
+        {
+          field: String,
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // When the comment text was last edited (null = never)
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // userId: links the comment to the user who owns the task
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt fields
+    timestamps: true,
+  }
+);
+
+// A task's thread is read oldest first
+commentSchema.index({ taskId: 1, createdAt: 1, _id: 1 });
+
+// Create and export the Comment model
+// MongoDB will create a collection called 'comments'
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,57 @@
+/**
+ * Project Model
+ *
+ * Defines the structure of a Project (task list) document in MongoDB.
+ * Projects group tasks together. Each project belongs to a specific user.
+ * Tasks without a project live in the user's "Inbox".
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Project schema
+const projectSchema = new mongoose.Schema(
+  {
+    // Name of the project: required, e.g. "Website redesign"
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      maxlength: [60, 'Project name cannot be longer than 60 characters'],
+    },
+    // Colour shown next to the project in the sidebar, as a hex code
+    color: {
+      type: String,
+      default: '#667eea',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code like #667eea'],
+    },
+    // Archived projects are hidden from the sidebar but keep their tasks
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    // Position in the sidebar (lower numbers come first)
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // userId: links the project to the user who owns it
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt fields
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's projects in sidebar order
+projectSchema.index({ userId: 1, sortOrder: 1 });
+
+// Create and export the Project model
+// MongoDB will create a collection called 'projects'
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
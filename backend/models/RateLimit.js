@@ -0,0 +1,46 @@
+/**
+ * RateLimit Model
+ *
+ * Defines the structure of a RateLimit document in MongoDB.
+ * Each document counts the hits on one key (e.g. "auth:<ip>" or
+ * "login-failures:<email>") in the current time window. It is only used
+ * when RATE_LIMIT_STORE=mongo, so all server instances share the counts.
+ * See utils/rateLimit.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the RateLimit schema
+const rateLimitSchema = new mongoose.Schema({
+  // What is counted, e.g. "auth:203.0.113.7"
+  key: {
+    type: String,
+    required: true,
+  },
+  // Hits in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // When the window ends and the count starts again.
+  // MongoDB deletes the document itself once this has passed.
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+  // When the key was last hit
+  lastAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One counter per key
+rateLimitSchema.index({ key: 1 }, { unique: true });
+
+// Delete finished windows (checked by MongoDB about once a minute)
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
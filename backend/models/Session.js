@@ -0,0 +1,88 @@
+/**
+ * Session Model
+ *
+ * Defines the structure of a Session document in MongoDB.
+ * A session is one login (one browser or device). It holds the hash of the
+ * session's current refresh token; every refresh replaces the token with a
+ * new one ("rotation"), and the replaced hashes are kept for a while so a
+ * stolen, already used token can be recognized ("reuse detection").
+ *
+ * Access tokens (short-lived JWTs) carry the session ID, so logging out or
+ * revoking a session makes its access tokens stop working as well.
+ * See utils/sessions.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Session schema
+const sessionSchema = new mongoose.Schema(
+  {
+    // The user who logged in
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of the latest replaced refresh tokens, and when they were replaced
+    previousTokens: {
+      type: [
+        new mongoose.Schema(
+          {
+            hash: String,
+            rotatedAt: Date,
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // The session ends when its refresh token has not been used for this long
+    // (every refresh moves it forward). MongoDB deletes expired sessions itself.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // When the session was ended (logout, reuse detected, password changed, ...)
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    // The browser or app that logged in (for showing the user their sessions)
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    // When the refresh token was last used
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt fields
+    timestamps: true,
+  }
+);
+
+// Look up sessions by their current and replaced refresh tokens
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ 'previousTokens.hash': 1 });
+
+// All sessions of a user (logging out everywhere)
+sessionSchema.index({ userId: 1 });
+
+// Delete sessions once they have expired (checked by MongoDB about once a minute)
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,52 @@
+/**
+ * Tag Model
+ *
+ * Defines the structure of a Tag (label) document in MongoDB.
+ * Each tag belongs to a specific user, and tasks refer to tags by ID.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Tag schema
+const tagSchema = new mongoose.Schema(
+  {
+    // Name of the tag: required, e.g. "work" or "errands"
+    name: {
+      type: String,
+      required: [true, 'Tag name is required'],
+      trim: true,
+      maxlength: [30, 'Tag name cannot be longer than 30 characters'],
+    },
+    // Colour of the tag chip as a hex code, e.g. "#667eea"
+    color: {
+      type: String,
+      default: '#667eea',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code like #667eea'],
+    },
+    // userId: links the tag to the user who owns it
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt fields
+    timestamps: true,
+  }
+);
+
+// Tag names are compared without case ("Work" and "work" are the same tag)
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// A user cannot have two tags with the same name
+tagSchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Create and export the Tag model
+// MongoDB will create a collection called 'tags'
+const Tag = mongoose.model('Tag', tagSchema);
+
+// Queries by name use the index's collation
+Tag.NAME_COLLATION = NAME_COLLATION;
+
+module.exports = Tag;
@@ -7,6 +7,63 @@
 
 const mongoose = require('mongoose');
 
+// Numeric rank of each priority, so tasks can be sorted by importance
+// (sorting the text values would put them in alphabetical order)
+const PRIORITY_RANKS = { High: 3, Medium: 2, Low: 1 };
+
+// Define the Subtask schema
+// Subtasks are checklist items stored inside their parent task document
+// (an array of sub-documents), so they are always loaded together with the task
+const subtaskSchema = new mongoose.Schema(
+  {
+    // Title of the checklist item: required field
+    title: {
+      type: String,
+      required: [true, 'Subtask title is required'],
+      trim: true,
+    },
+    // Done flag: checked off or not
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    // Position in the checklist (0 = first)
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Define the Recurrence schema
+// A recurring task stores its rule (e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+// and the user's timezone, which is needed to calculate the next date correctly
+// See utils/recurrence.js for the supported rules
+const recurrenceSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    // Time of day of every occurrence on the wall clock in the timezone
+    // ("HH:MM", from the due date), so a clock change cannot shift it for good
+    time: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    _id: false, // No separate ID needed, it is just part of the task
+  }
+);
+
 // Define the Task schema
 const taskSchema = new mongoose.Schema(
   {
@@ -30,15 +87,112 @@ const taskSchema = new mongoose.Schema(
         message: 'Priority must be High, Medium, or Low',
       },
     },
-    // Status: defaults to "Pending" when task is created
+    // Priority rank: 3, 2 or 1, kept in sync with priority automatically
+    // (see the pre-validate hook below). Used for sorting by priority.
+    priorityRank: {
+      type: Number,
+    },
+    // Place in the user's manual order (smaller = higher up), see utils/position.js
+    // New tasks go to the top; PATCH /api/tasks/:id/move puts a task next to another one
+    position: {
+      type: Number,
+      default: null,
+    },
+    // Status: the name of one of the user's workflow statuses, e.g. "In Progress"
+    // (see utils/workflow.js). New tasks start in the first "todo" status.
     status: {
       type: String,
       required: true,
+      trim: true,
+      default: 'Pending',
+    },
+    // The category of the status: todo, in-progress or done
+    // Copied from the workflow, so "is this task done?" never needs a lookup
+    statusCategory: {
+      type: String,
       enum: {
-        values: ['Pending', 'Completed'],
-        message: 'Status must be Pending or Completed',
+        values: ['todo', 'in-progress', 'done'],
+        message: 'Status category must be todo, in-progress or done',
+      },
+      default: 'todo',
+    },
+    // When the task was completed (moved into a "done" status); null while it is open
+    // Kept in sync with statusCategory automatically (see the pre-validate hook below)
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Due date: optional deadline for the task
+    // Tasks that are still pending after this moment are "overdue"
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    // Start date: optional date when work on the task should begin
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    // Subtasks: checklist items inside this task
+    subtasks: {
+      type: [subtaskSchema],
+      default: [],
+    },
+    // Tags: labels attached to this task (references to the Tag model)
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag',
       },
-      default: 'Pending', // New tasks start as "Pending"
+    ],
+    // Recurrence: set for repeating tasks, null for one-off tasks
+    // Completing a recurring task creates its next occurrence as a new task
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // The task created when this occurrence was completed
+    // (so completing it again does not create a second copy)
+    nextOccurrenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    // Dependencies: tasks that have to be done before this one can start
+    // (the "blocks" direction is found by searching other tasks' blockedBy)
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+      },
+    ],
+    // How many of the blockedBy tasks are still pending (0 = not blocked)
+    // Kept up to date by utils/dependencies.js
+    blockedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Total time tracked on this task, in seconds (kept up to date from
+    // its time entries; a running timer is added once it is stopped)
+    trackedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // projectId: the project (list) this task belongs to
+    // null means the task is in the user's "Inbox"
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    // deletedAt: when the task was moved to the trash (null = not deleted)
+    // Trashed tasks are left out of every list and count, can be restored,
+    // and are deleted for good after a while (see utils/trash.js)
+    // Tasks saved before the trash existed have no deletedAt at all;
+    // { deletedAt: null } matches those too
+    deletedAt: {
+      type: Date,
+      default: null,
     },
     // userId: links the task to the user who created it
     // This is a reference to the User model
@@ -52,12 +206,93 @@ const taskSchema = new mongoose.Schema(
   {
     // Automatically add createdAt and updatedAt fields
     timestamps: true,
+    // Include virtual fields (like subtaskProgress) when sending tasks as JSON
+    toJSON: { virtuals: true },
   }
 );
 
+// Virtual field: checklist progress, e.g. { done: 3, total: 5, label: "3/5" }
+// Virtuals are calculated on the fly and never stored in MongoDB
+taskSchema.virtual('subtaskProgress').get(function () {
+  const subtasks = this.subtasks || [];
+  const done = subtasks.filter((subtask) => subtask.done).length;
+  return {
+    done,
+    total: subtasks.length,
+    label: `${done}/${subtasks.length}`,
+  };
+});
+
+// Before validating (and saving), keep priorityRank in sync with priority,
+// and completedAt in sync with the status: set when the task becomes done,
+// cleared when it is reopened
+// Note: updateMany() skips this hook, so set both yourself there
+taskSchema.pre('validate', function (next) {
+  this.priorityRank = PRIORITY_RANKS[this.priority];
+  if (this.statusCategory !== 'done') {
+    this.completedAt = null;
+  } else if (!this.completedAt) {
+    this.completedAt = new Date();
+  }
+  next();
+});
+
+// Indexes for GET /api/tasks
+// Each one starts with userId (every query is per user), then the filter
+// fields, then the sort field and _id (the tie-breaker used by the cursor).
+// MongoDB can read an index backwards, so one index covers asc and desc.
+
+// Default list: newest first, optionally filtered by status or status category
+taskSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, status: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, statusCategory: 1, createdAt: -1, _id: -1 });
+
+// Sorting by due date, priority, last update, title or manual order
+// (the dueDate index also serves the overdue / today / this week queries)
+taskSchema.index({ userId: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ userId: 1, priorityRank: -1, _id: -1 });
+taskSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, title: 1, _id: 1 });
+// (the position index also finds a task's neighbours when it is moved)
+taskSchema.index({ userId: 1, position: 1, _id: 1 });
+
+// Listing the tasks of a tag or a project (or the Inbox), newest first
+taskSchema.index({ userId: 1, tags: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, projectId: 1, createdAt: -1, _id: -1 });
+
+// Productivity stats (GET /api/stats): tasks completed in a date range
+taskSchema.index({ userId: 1, completedAt: -1 });
+
+// Finding the tasks a task blocks, and filtering blocked tasks
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ userId: 1, blockedCount: 1, createdAt: -1, _id: -1 });
+
+// The trash (GET /api/tasks/trash, most recently deleted first) and the
+// auto-purge of old trashed tasks. Partial indexes only hold trashed tasks;
+// queries must include deletedAt: { $type: 'date' } to use them.
+taskSchema.index(
+  { userId: 1, deletedAt: -1 },
+  { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+);
+taskSchema.index(
+  { deletedAt: 1 },
+  { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+);
+
+// Full-text search (GET /api/tasks/search)
+// A collection can only have one text index. Starting it with userId keeps
+// each search inside one user's tasks. Title matches count three times as much.
+taskSchema.index(
+  { userId: 1, title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 3, description: 1 } }
+);
+
 // Create and export the Task model
 // MongoDB will create a collection called 'tasks' (plural, lowercase)
 const Task = mongoose.model('Task', taskSchema);
 
+// Share the rank mapping with code that updates many tasks at once
+Task.PRIORITY_RANKS = PRIORITY_RANKS;
+
 module.exports = Task;
 
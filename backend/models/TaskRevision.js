@@ -0,0 +1,82 @@
+/**
+ * TaskRevision Model
+ *
+ * Defines the structure of a TaskRevision document in MongoDB.
+ * A revision is saved every time a task is changed through PUT /api/tasks/:id,
+ * PATCH /api/tasks/:id/complete or /reopen, POST /api/tasks/bulk or a revert.
+ * It records who made the change, when, which fields changed (from → to) and
+ * what the task looked like before, so the task can be rolled back later.
+ *
+ * See utils/revisions.js for the fields that are tracked.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the TaskRevision schema
+const taskRevisionSchema = new mongoose.Schema(
+  {
+    // The task that was changed
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    // How the task was changed
+    action: {
+      type: String,
+      enum: ['update', 'complete', 'reopen', 'revert'],
+      required: true,
+    },
+    // The fields that changed, e.g. [{ field: 'priority', from: 'High', to: 'Low' }]
+    changes: {
+      type: [
+        new mongoose.Schema(
+          {
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // Every tracked field as it was just before this change
+    // (used to roll the task back to that point)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // For reverts: the revision the task was rolled back to (before)
+    revertedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaskRevision',
+      default: null,
+    },
+    // The user who made the change
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // userId: links the revision to the user who owns the task
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    // Only createdAt matters: revisions are never edited
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// A task's history is read newest first (_id grows with time)
+taskRevisionSchema.index({ taskId: 1, _id: -1 });
+
+// Create and export the TaskRevision model
+// MongoDB will create a collection called 'taskrevisions'
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+
+module.exports = TaskRevision;
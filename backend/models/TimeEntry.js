@@ -0,0 +1,86 @@
+/**
+ * TimeEntry Model
+ *
+ * Defines the structure of a TimeEntry document in MongoDB.
+ * A time entry is a stretch of time spent on a task, either measured with
+ * the start/stop timer or added by hand. An entry without an end time is
+ * a running timer; each user can only have one of those at a time.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the TimeEntry schema
+const timeEntrySchema = new mongoose.Schema(
+  {
+    // The task the time was spent on
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    // When the work started
+    startedAt: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    // When the work ended (null = the timer is still running)
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Length of the entry in seconds (null while the timer is running)
+    duration: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Optional note, e.g. "first draft"
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [200, 'Note cannot be longer than 200 characters'],
+    },
+    // "timer" = measured with start/stop, "manual" = added by hand
+    source: {
+      type: String,
+      enum: ['timer', 'manual'],
+      default: 'timer',
+    },
+    // userId: links the entry to the user who tracked it
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt fields
+    timestamps: true,
+  }
+);
+
+// Work out the duration whenever both ends are known
+timeEntrySchema.pre('validate', function setDuration(next) {
+  this.duration = this.endedAt
+    ? Math.round((this.endedAt.getTime() - this.startedAt.getTime()) / 1000)
+    : null;
+  next();
+});
+
+// Only one running timer per user: the index only holds entries without
+// an end time, and it is unique per user
+timeEntrySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } }, name: 'one_running_timer' }
+);
+
+// Entries of a task (newest first) and of a user in a date range (reports)
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ userId: 1, startedAt: 1 });
+
+// Create and export the TimeEntry model
+// MongoDB will create a collection called 'timeentries'
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+module.exports = TimeEntry;
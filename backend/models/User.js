@@ -8,6 +8,125 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Shortest password allowed (checked by the controllers before saving, too)
+const MIN_PASSWORD_LENGTH = 6;
+
+// The workflow every user starts with (see utils/workflow.js)
+const DEFAULT_STATUSES = [
+  { name: 'Pending', category: 'todo', next: [] },
+  { name: 'In Progress', category: 'in-progress', next: [] },
+  { name: 'Completed', category: 'done', next: [] },
+];
+
+// Define the workflow status schema
+// A user's statuses are stored inside the user document, in display order
+const workflowStatusSchema = new mongoose.Schema({
+  // Name shown in the app and stored in Task.status, e.g. "In Review"
+  name: {
+    type: String,
+    required: [true, 'Status name is required'],
+    trim: true,
+  },
+  // What the status means: not started, being worked on, or finished
+  category: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['todo', 'in-progress', 'done'],
+      message: 'Status category must be todo, in-progress or done',
+    },
+  },
+  // Names of the statuses a task in this status may move to (empty = any)
+  next: {
+    type: [String],
+    default: [],
+  },
+  // Work-in-progress limit: the board warns when the status holds more tasks
+  // (null = no limit)
+  wipLimit: {
+    type: Number,
+    min: [1, 'WIP limit must be at least 1'],
+    default: null,
+  },
+});
+
+// Define the calendar feed schema
+// Creating a new feed replaces the old one, so the old link stops working
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the token in the feed URL
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // When the feed was created, and when a calendar app last read it
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    _id: false, // No separate ID needed, a user has one feed at most
+  }
+);
+
+// Define the password reset schema
+// Asking for a new reset link replaces the old one; using the link clears it
+const passwordResetSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the token in the reset link
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The link stops working after this moment
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false, // No separate ID needed, only the latest link works
+  }
+);
+
+// Define the email verification schema
+// Holds the latest verification link; verifying makes its address the
+// user's (verified) email and clears it
+const emailVerificationSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the token in the verification link
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The address the link was sent to
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // The link stops working after this moment
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // When the email was sent (another one can only be asked for a bit later)
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false, // No separate ID needed, only the latest link works
+  }
+);
+
 // Define the User schema
 // A schema is like a blueprint that defines what fields a User document will have
 const userSchema = new mongoose.Schema(
@@ -25,7 +144,33 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: [true, 'Password is required'],
-      minlength: [6, 'Password must be at least 6 characters'],
+      minlength: [MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`],
+    },
+    // Whether the user has opened the verification link sent to their email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // The verification link sent last (null = none waiting)
+    emailVerification: {
+      type: emailVerificationSchema,
+      default: null,
+    },
+    // Workflow: the user's task statuses, in order
+    statuses: {
+      type: [workflowStatusSchema],
+      default: () => DEFAULT_STATUSES,
+    },
+    // Calendar feed: the secret link calendar apps use to read the user's tasks
+    // (null = no feed). Only the token's hash is stored, see utils/tokens.js
+    calendarFeed: {
+      type: calendarFeedSchema,
+      default: null,
+    },
+    // Password reset: the link sent by "Forgot password?" (null = none)
+    passwordReset: {
+      type: passwordResetSchema,
+      default: null,
     },
   },
   {
@@ -34,6 +179,15 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Find the user a calendar feed token belongs to (the feed URL has no login)
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
+// Find the user an email verification token belongs to
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { unique: true, sparse: true });
+
+// Find the user a password reset token belongs to
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { unique: true, sparse: true });
+
 // Before saving a user to database, hash the password
 // This is a "pre-save hook" - it runs automatically before saving
 userSchema.pre('save', async function (next) {
@@ -68,11 +222,26 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// A bcrypt hash (same cost as real ones) of a password no account has
+const DUMMY_PASSWORD_HASH = '$2a$10$9EdrarTofRLrH0nuSTOj.eVATMLaypSchLBp7HTofxAbRMZpOTqlG';
+
+// Check a password when no user has the entered email: it is compared with
+// a dummy hash anyway, so the answer takes as long as for an existing user
+// and the response time does not tell which accounts exist. Always false.
+userSchema.statics.comparePasswordWithoutUser = async function (enteredPassword) {
+  await bcrypt.compare(enteredPassword, DUMMY_PASSWORD_HASH);
+  return false;
+};
+
 // Create and export the User model
 // mongoose.model() creates a model from the schema
 // 'User' is the model name, userSchema is the schema definition
 // MongoDB will create a collection called 'users' (plural, lowercase)
 const User = mongoose.model('User', userSchema);
 
+// Share the default workflow with code that needs it without a user document
+User.DEFAULT_STATUSES = DEFAULT_STATUSES;
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
 module.exports = User;
 
@@ -0,0 +1,123 @@
+/**
+ * Account Routes
+ *
+ * Defines the API endpoints for the logged-in user's account settings:
+ * changing the password or email, and deleting the account.
+ * All routes require authentication; they also work for accounts whose
+ * email is not verified yet (e.g. to fix a mistyped address).
+ *
+ * The routes that check the current password are rate limited per user,
+ * and wrong passwords count towards the login lockout (see
+ * utils/loginLockout.js): over either, the answer is 429 with Retry-After.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+const { accountRateLimit } = require('../middleware/rateLimit');
+
+// Import controller functions
+const {
+  getAccount,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+} = require('../controllers/accountController');
+
+/**
+ * GET /api/account
+ *
+ * Get the logged-in user's account details
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "account": {
+ *     "email": "user@example.com",
+ *     "emailVerified": true,
+ *     "pendingEmail": null,        (a new address waiting to be verified)
+ *     "createdAt": "2024-01-01T00:00:00.000Z"
+ *   }
+ * }
+ */
+router.get('/', authMiddleware.allowUnverified, getAccount);
+
+/**
+ * PUT /api/account/password
+ *
+ * Change the password. All other sessions end (other devices have to log
+ * in again); this one stays logged in.
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "currentPassword": "password123",
+ *   "newPassword": "newPassword456"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Password changed. Other devices have been logged out.",
+ *   "endedSessions": 2
+ * }
+ */
+router.put('/password', authMiddleware.allowUnverified, accountRateLimit, changePassword);
+
+/**
+ * PUT /api/account/email
+ *
+ * Change the email address. A verification link is sent to the new address;
+ * it replaces the current one once the link is opened. Asking again too
+ * soon gets 429 with a Retry-After header.
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "email": "new@example.com",
+ *   "password": "password123"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "We sent a link to new@example.com. Your email address changes once you open it.",
+ *   "account": { ... "pendingEmail": "new@example.com" }
+ * }
+ */
+router.put('/email', authMiddleware.allowUnverified, accountRateLimit, changeEmail);
+
+/**
+ * DELETE /api/account
+ *
+ * Delete the account with all its tasks, tags, projects, comments, time
+ * entries, revisions and sessions. This cannot be undone.
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "password": "password123"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Your account and all its data have been deleted.",
+ *   "deletedTasks": 42
+ * }
+ */
+router.delete('/', authMiddleware.allowUnverified, accountRateLimit, deleteAccount);
+
+// Export the router so it can be used in server.js
+module.exports = router;
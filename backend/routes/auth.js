@@ -2,19 +2,35 @@
  * Authentication Routes
  * 
  * Defines the API endpoints for user authentication.
- * These routes handle user registration and login.
+ * These routes handle user registration, email verification, login,
+ * refreshing tokens, logout and resetting a forgotten password.
+ *
+ * The routes that take an email or a password are rate limited per IP
+ * address (login also per account), see middleware/rateLimit.js. Over the
+ * limit, the answer is 429 with a Retry-After header (seconds).
  */
 
 const express = require('express');
 const router = express.Router(); // Create a router instance
 
 // Import controller functions
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const { authRateLimit, loginRateLimit } = require('../middleware/rateLimit');
 
 /**
  * POST /api/auth/register
  * 
- * Register a new user
+ * Register a new user. A link to verify the email is sent to it; with
+ * UNVERIFIED_ACCESS=none the response has no tokens (log in after verifying).
  * 
  * Request Body:
  * {
@@ -26,16 +42,23 @@ const { register, login } = require('../controllers/authController');
  * {
  *   "success": true,
  *   "message": "User registered successfully",
- *   "token": "jwt_token_here",
- *   "userId": "user_id_here"
+ *   "token": "access_token_here",
+ *   "refreshToken": "refresh_token_here",
+ *   "expiresIn": 900,
+ *   "userId": "user_id_here",
+ *   "emailVerified": false
  * }
  */
-router.post('/register', register);
+router.post('/register', authRateLimit, register);
 
 /**
  * POST /api/auth/login
  * 
- * Login an existing user
+ * Login an existing user. With UNVERIFIED_ACCESS=none, accounts with an
+ * unverified email get 403 (with "emailVerified": false).
+ * After repeated wrong passwords the account is locked for a while (longer
+ * with every further failure): the answer is 429 with Retry-After, even for
+ * the right password.
  * 
  * Request Body:
  * {
@@ -47,11 +70,137 @@ router.post('/register', register);
  * {
  *   "success": true,
  *   "message": "Login successful",
- *   "token": "jwt_token_here",
- *   "userId": "user_id_here"
+ *   "token": "access_token_here",
+ *   "refreshToken": "refresh_token_here",
+ *   "expiresIn": 900,
+ *   "userId": "user_id_here",
+ *   "emailVerified": true
  * }
  */
-router.post('/login', login);
+router.post('/login', authRateLimit, loginRateLimit, login);
+
+/**
+ * GET /api/auth/verify/:token
+ *
+ * Verify an email address with the token from the verification link
+ * (the link works once)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Your email address has been verified.",
+ *   "email": "user@example.com",
+ *   "emailVerified": true
+ * }
+ */
+router.get('/verify/:token', verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ *
+ * Send the verification email again. The answer to an email is always the
+ * same (no email is sent too soon after the last one); a logged-in user
+ * asking too soon gets 429 with a Retry-After header (seconds).
+ *
+ * Headers (instead of the email, for a logged-in user; 401 when the token
+ * has expired or its session has ended):
+ * Authorization: Bearer <access_token>
+ *
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "If an unverified account with this email exists, a new verification link has been sent to it."
+ * }
+ */
+router.post('/resend-verification', authRateLimit, resendVerification);
+
+/**
+ * POST /api/auth/refresh
+ *
+ * Get a new access token when the old one has expired. The refresh token
+ * is replaced too: each one works only once, and using a replaced one again
+ * ends the session.
+ *
+ * Request Body:
+ * {
+ *   "refreshToken": "refresh_token_here"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Tokens refreshed",
+ *   "token": "new_access_token_here",
+ *   "refreshToken": "new_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ */
+router.post('/refresh', refresh);
+
+/**
+ * POST /api/auth/logout
+ *
+ * End the session: its refresh token and access tokens stop working
+ *
+ * Headers (when no refresh token is sent; an expired token is fine):
+ * Authorization: Bearer <access_token>
+ *
+ * Request Body (optional):
+ * {
+ *   "refreshToken": "refresh_token_here"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Logged out"
+ * }
+ */
+router.post('/logout', logout);
+
+/**
+ * POST /api/auth/forgot-password
+ *
+ * Email a password reset link. The answer is the same whether or not the
+ * email belongs to an account.
+ *
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "If an account with this email exists, a link to reset the password has been sent to it."
+ * }
+ */
+router.post('/forgot-password', authRateLimit, forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ *
+ * Choose a new password with the token from the reset link. The link works
+ * once, and all the user's sessions are ended.
+ *
+ * Request Body:
+ * {
+ *   "token": "token_from_the_link",
+ *   "password": "newPassword123"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Your password has been changed. Please log in with the new password."
+ * }
+ */
+router.post('/reset-password', authRateLimit, resetPassword);
 
 // Export the router so it can be used in server.js
 module.exports = router;
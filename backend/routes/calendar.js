@@ -0,0 +1,113 @@
+/**
+ * Calendar Routes
+ *
+ * Defines the API endpoints for the calendar feed: a secret iCalendar
+ * (.ics) link calendar apps subscribe to, to show the user's tasks.
+ * Managing the feed requires authentication; reading it only needs the
+ * token in its URL (calendar apps cannot log in).
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const {
+  getFeedInfo,
+  createFeed,
+  revokeFeed,
+  getFeed,
+} = require('../controllers/calendarController');
+
+/**
+ * GET /api/calendar/feed
+ *
+ * Get the logged-in user's calendar feed details (the URL itself is only
+ * shown when the feed is created)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "feed": {
+ *     "active": true,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "lastUsedAt": "2024-01-02T08:00:00.000Z"   (null = no calendar app has read it yet)
+ *   }
+ * }
+ */
+router.get('/feed', authMiddleware, getFeedInfo);
+
+/**
+ * POST /api/calendar/feed
+ *
+ * Create a calendar feed. If there already is one, it is replaced and its
+ * old URL stops working.
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response (201):
+ * {
+ *   "success": true,
+ *   "message": "Calendar feed created. Copy the link now, it is only shown once.",
+ *   "token": "3f9a...",
+ *   "url": "https://api.example.com/api/calendar/feed/3f9a....ics",
+ *   "feed": { "active": true, "createdAt": "2024-01-01T00:00:00.000Z", "lastUsedAt": null }
+ * }
+ */
+router.post('/feed', authMiddleware, createFeed);
+
+/**
+ * DELETE /api/calendar/feed
+ *
+ * Turn off the calendar feed (its URL stops working)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Calendar feed turned off",
+ *   "feed": { "active": false, "createdAt": null, "lastUsedAt": null }
+ * }
+ */
+router.delete('/feed', authMiddleware, revokeFeed);
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ *
+ * The calendar feed itself (no Authorization header: the token is the key)
+ *
+ * Query Parameters (all optional):
+ * type - "all" (default), "todo" (to-dos only) or "event" (due-day events only)
+ * timezone - IANA timezone name for the due-day events (default "UTC")
+ * project, tag, priority, status, category - The filters of GET /api/tasks,
+ *   e.g. ?project=<id>&priority=High or ?category=todo,in-progress (no finished tasks)
+ *
+ * Response: text/calendar (iCalendar), e.g.
+ * BEGIN:VCALENDAR
+ * VERSION:2.0
+ * BEGIN:VTODO
+ * UID:task-<task_id>@task-tracker
+ * SUMMARY:Complete project
+ * PRIORITY:1                 (High = 1, Medium = 5, Low = 9)
+ * STATUS:NEEDS-ACTION        (todo; IN-PROCESS = in progress, COMPLETED = done)
+ * DUE:20240105T235959Z
+ * END:VTODO
+ * BEGIN:VEVENT               (all-day event on the due day, for tasks with a due date)
+ * UID:task-<task_id>-due@task-tracker
+ * DTSTART;VALUE=DATE:20240105
+ * END:VEVENT
+ * END:VCALENDAR
+ *
+ * Unknown or revoked tokens get a 404.
+ */
+router.get('/feed/:token.ics', getFeed);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+/**
+ * Project Routes
+ *
+ * Defines the API endpoints for managing projects (task lists).
+ * All routes are protected by authentication middleware.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const {
+  getAllProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+} = require('../controllers/projectController');
+
+/**
+ * GET /api/projects
+ *
+ * Get the logged-in user's projects with task counts
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Query Parameters (optional):
+ * includeArchived - "true" to also return archived projects
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "projects": [
+ *     {
+ *       "_id": "project_id",
+ *       "name": "Website redesign",
+ *       "color": "#667eea",
+ *       "archived": false,
+ *       "sortOrder": 0,
+ *       "taskCounts": { "pending": 3, "completed": 1 }
+ *     }
+ *   ],
+ *   "inbox": {
+ *     "taskCounts": { "pending": 2, "completed": 0 }
+ *   }
+ * }
+ */
+router.get('/', authMiddleware, getAllProjects);
+
+/**
+ * POST /api/projects
+ *
+ * Create a new project (added at the end of the sidebar)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "name": "Website redesign",
+ *   "color": "#667eea"   (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Project created successfully",
+ *   "project": { ... }
+ * }
+ */
+router.post('/', authMiddleware, createProject);
+
+/**
+ * PUT /api/projects/:id
+ *
+ * Update a project
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body (all fields optional):
+ * {
+ *   "name": "New name",
+ *   "color": "#ff6b6b",
+ *   "archived": true,
+ *   "sortOrder": 2
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Project updated successfully",
+ *   "project": { ... }
+ * }
+ */
+router.put('/:id', authMiddleware, updateProject);
+
+/**
+ * DELETE /api/projects/:id
+ *
+ * Delete a project
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Query Parameters (required if the project has tasks):
+ * tasks - "move" to keep the tasks, "delete" to move them to the trash
+ * moveTo - Where moved tasks go: a project ID, or "inbox" (default)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Project deleted successfully",
+ *   "tasksAffected": 4
+ * }
+ */
+router.delete('/:id', authMiddleware, deleteProject);
+
+// Export the router so it can be used in server.js
+module.exports = router;
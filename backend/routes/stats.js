@@ -0,0 +1,72 @@
+/**
+ * Stats Routes
+ *
+ * Defines the API endpoint for the user's productivity stats: tasks created
+ * and completed over time, completion streaks, time to complete and the
+ * backlog trend.
+ * All routes are protected by authentication middleware.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const { getStats } = require('../controllers/statsController');
+
+/**
+ * GET /api/stats
+ *
+ * Get the logged-in user's productivity stats for a date range
+ * (trashed tasks are left out)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Query Parameters (all optional):
+ * from, to - First and last day of the range, "YYYY-MM-DD" (default: the last 30 days,
+ *            including today; at most 366 days)
+ * timezone - IANA timezone name the days are counted in, e.g. "Europe/Berlin" (default UTC)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "from": "2024-03-01",
+ *   "to": "2024-03-31",
+ *   "timezone": "Europe/Berlin",
+ *   "summary": { "created": 24, "completed": 19, "completionRate": 0.67 },
+ *   "createdVsCompleted": {
+ *     "day":   [{ "period": "2024-03-01", "created": 2, "completed": 1 }, ...],
+ *     "week":  [{ "period": "2024-W09", "created": 5, "completed": 3 }, ...],
+ *     "month": [{ "period": "2024-03", "created": 24, "completed": 19 }]
+ *   },
+ *   "streaks": {
+ *     "current": 3, "longest": 6,
+ *     "longestFrom": "2024-02-12", "longestTo": "2024-02-17",
+ *     "lastCompletedOn": "2024-03-31"
+ *   },
+ *   "timeToComplete": [
+ *     { "priority": "High", "completed": 6, "averageHours": 20.5 },
+ *     { "priority": "Medium", "completed": 10, "averageHours": 52 },
+ *     { "priority": "Low", "completed": 0, "averageHours": null }
+ *   ],
+ *   "weekdays": [{ "weekday": "Tuesday", "created": 6, "completed": 7 }, ...],
+ *   "backlog": {
+ *     "start": 12, "end": 17, "change": 5,
+ *     "byDay": [{ "period": "2024-03-01", "open": 13 }, ...]
+ *   }
+ * }
+ *
+ * - Weeks are ISO weeks (Monday to Sunday); the first and last week may be partial
+ * - completionRate: share of the tasks created in the range that are done by now
+ * - Streaks count days in a row with at least one completion, over all time;
+ *   the current streak stays alive until a whole day passes without one
+ * - weekdays: busiest first (by completions, then by new tasks)
+ * - backlog: open tasks at the start of the range and at the end of each day
+ */
+router.get('/', authMiddleware, getStats);
+
+// Export the router so it can be used in server.js
+module.exports = router;
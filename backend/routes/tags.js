@@ -0,0 +1,109 @@
+/**
+ * Tag Routes
+ *
+ * Defines the API endpoints for managing tags (labels).
+ * All routes are protected by authentication middleware.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const {
+  getAllTags,
+  createTag,
+  updateTag,
+  deleteTag,
+} = require('../controllers/tagController');
+
+/**
+ * GET /api/tags
+ *
+ * Get all tags for the logged-in user (sorted by name)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "tags": [
+ *     {
+ *       "_id": "tag_id",
+ *       "name": "work",
+ *       "color": "#667eea",
+ *       "userId": "user_id"
+ *     }
+ *   ]
+ * }
+ */
+router.get('/', authMiddleware, getAllTags);
+
+/**
+ * POST /api/tags
+ *
+ * Create a new tag
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "name": "work",
+ *   "color": "#667eea"   (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Tag created successfully",
+ *   "tag": { ... }
+ * }
+ */
+router.post('/', authMiddleware, createTag);
+
+/**
+ * PUT /api/tags/:id
+ *
+ * Rename a tag or change its colour
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body (all fields optional):
+ * {
+ *   "name": "office",
+ *   "color": "#ff6b6b"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Tag updated successfully",
+ *   "tag": { ... }
+ * }
+ */
+router.put('/:id', authMiddleware, updateTag);
+
+/**
+ * DELETE /api/tags/:id
+ *
+ * Delete a tag (it is also removed from every task that uses it)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Tag deleted successfully"
+ * }
+ */
+router.delete('/:id', authMiddleware, deleteTag);
+
+// Export the router so it can be used in server.js
+module.exports = router;
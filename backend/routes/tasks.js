@@ -11,15 +11,50 @@ const router = express.Router(); // Create a router instance
 // Import authentication middleware
 // This middleware will verify JWT tokens before allowing access to routes
 const authMiddleware = require('../middleware/auth');
+const { tasksRateLimit } = require('../middleware/rateLimit');
 
 // Import controller functions
 const {
   getAllTasks,
+  searchTasks,
   createTask,
   updateTask,
   deleteTask,
+  getTrash,
+  restoreTask,
+  deleteTaskPermanently,
+  emptyTrash,
   markTaskCompleted,
+  reopenTask,
+  moveTask,
+  bulkUpdateTasks,
 } = require('../controllers/taskController');
+const {
+  addSubtask,
+  updateSubtask,
+  toggleSubtask,
+  reorderSubtasks,
+  deleteSubtask,
+} = require('../controllers/subtaskController');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentController');
+const {
+  startTimer,
+  stopTimer,
+  getTaskTimeEntries,
+} = require('../controllers/timeEntryController');
+const {
+  getDependencies,
+  addDependency,
+  removeDependency,
+  getDependencyGraph,
+} = require('../controllers/dependencyController');
+const { getTaskHistory, revertTask } = require('../controllers/revisionController');
+const { exportTasks, importTasks } = require('../controllers/importExportController');
 
 /**
  * All routes below use authMiddleware
@@ -30,20 +65,52 @@ const {
  * 2. Verifies the token
  * 3. Adds userId to req.userId
  * 4. Calls next() to continue to the route handler
+ *
+ * tasksRateLimit then counts the request towards the user's quota
+ * (TASKS_RATE_LIMIT requests per window); over it, the answer is
+ * 429 Too Many Requests with a Retry-After header.
+ *
+ * Both are set once for the whole router, so new routes are covered too.
  */
+router.use(authMiddleware, tasksRateLimit);
 
 /**
  * GET /api/tasks
  * 
- * Get all tasks for the logged-in user
+ * Get the logged-in user's tasks, one page at a time
  * 
  * Headers:
  * Authorization: Bearer <token>
  * 
+ * Query Parameters (all optional):
+ * status - A status name from your workflow, e.g. "In Progress" (comma-separated for several)
+ * category - "todo", "in-progress" or "done" (comma-separated for several)
+ * priority - "High", "Medium" or "Low" (comma-separated for several)
+ * due - "overdue", "today" or "week" to only return that due-date slice
+ * tzOffset - The user's timezone offset in minutes (new Date().getTimezoneOffset()),
+ *            used to decide where "today" and "this week" begin
+ * tag - A tag ID to only return tasks with that tag
+ * project - A project ID, or "inbox" for tasks without a project
+ * blocked - "true" for tasks waiting on pending blockers, "false" for the others
+ * createdFrom, createdTo - Only tasks created in this date range
+ * dueFrom, dueTo - Only tasks due in this date range
+ * sort - "createdAt" (default), "updatedAt", "dueDate", "priority", "title" or
+ *        "position" (manual order: use order=asc for top to bottom)
+ * order - "desc" (default) or "asc"
+ * limit - Tasks per page, 1 to 100 (default 50)
+ * cursor - The nextCursor from the previous page (use the same filters and sort)
+ * 
  * Response:
  * {
  *   "success": true,
- *   "count": 2,
+ *   "count": 1,                       (tasks on this page)
+ *   "total": 120,                     (all tasks matching the filters)
+ *   "statusCounts": {                 ("completed" = tasks in a done status)
+ *     "pending": 80,
+ *     "completed": 40,
+ *     "byStatus": { "Pending": 60, "In Progress": 20, "Completed": 40 }
+ *   },
+ *   "nextCursor": "eyJzIjoi...",      (null on the last page)
  *   "tasks": [
  *     {
  *       "_id": "task_id",
@@ -51,13 +118,231 @@ const {
  *       "description": "Finish the task tracker",
  *       "priority": "High",
  *       "status": "Pending",
+ *       "statusCategory": "todo",
+ *       "completedAt": null,            (when the task was completed)
+ *       "dueDate": "2024-01-05T23:59:59.999Z",
+ *       "startDate": null,
+ *       "tags": ["tag_id"],
+ *       "projectId": null,
  *       "userId": "user_id",
  *       "createdAt": "2024-01-01T00:00:00.000Z"
  *     }
  *   ]
  * }
  */
-router.get('/', authMiddleware, getAllTasks);
+router.get('/', getAllTasks);
+
+/**
+ * GET /api/tasks/search
+ * 
+ * Search the logged-in user's tasks by title and description
+ * (defined before the /:id routes so "search" is not taken for a task ID)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Query Parameters:
+ * q - The search text (required, up to 200 characters). Supports:
+ *     words             report budget    (any of the words, "reports" also finds "report")
+ *     quoted phrases    "weekly report"  (the exact phrase must appear)
+ *     exclusions        -draft           (leave out tasks with this word)
+ * limit - Number of results, 1 to 50 (default 20)
+ * status, priority, due, tag, project, ... - Same filters as GET /api/tasks
+ * 
+ * Response (best matches first, titles count more than descriptions):
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "tasks": [
+ *     {
+ *       "_id": "task_id",
+ *       "title": "Weekly report",
+ *       ...,
+ *       "score": 3.75,
+ *       "highlights": {
+ *         "title": [
+ *           { "text": "Weekly ", "match": false },
+ *           { "text": "report", "match": true }
+ *         ],
+ *         "description": [ ... ]   (a short snippet around the first match)
+ *       }
+ *     }
+ *   ]
+ * }
+ */
+router.get('/search', searchTasks);
+
+/**
+ * GET /api/tasks/dependency-graph
+ * 
+ * Get the "blocked by" links between the user's tasks as a graph
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Query Parameters (optional):
+ * taskId - Only return the tasks connected to this task (directly or through others)
+ * 
+ * Response (edges point from the blocking task to the task it blocks):
+ * {
+ *   "success": true,
+ *   "nodes": [
+ *     { "_id": "task_a", "title": "Design", "status": "Pending", "priority": "High", "blockedCount": 0 },
+ *     { "_id": "task_b", "title": "Build", "status": "Pending", "priority": "Medium", "blockedCount": 1 }
+ *   ],
+ *   "edges": [{ "from": "task_a", "to": "task_b" }]
+ * }
+ */
+router.get('/dependency-graph', getDependencyGraph);
+
+/**
+ * GET /api/tasks/trash
+ * 
+ * Get the tasks in the trash, most recently deleted first
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response (purgeAt is when the task will be deleted for good, null = never):
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "retentionDays": 30,
+ *   "tasks": [
+ *     { "_id": "task_id", "title": "Old task", "deletedAt": "2024-01-10T09:00:00.000Z", "purgeAt": "2024-02-09T09:00:00.000Z", ... }
+ *   ]
+ * }
+ */
+router.get('/trash', getTrash);
+
+/**
+ * DELETE /api/tasks/trash
+ * 
+ * Empty the trash: delete every trashed task for good
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Trash emptied",
+ *   "deletedCount": 3
+ * }
+ */
+router.delete('/trash', emptyTrash);
+
+/**
+ * POST /api/tasks/bulk
+ * 
+ * Run one action on many tasks at once (up to 100)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "ids": ["task_id_1", "task_id_2"],
+ *   "action": "complete" | "reopen" | "status" | "delete" | "restore" | "priority" | "move",
+ *   "status": "In Review",   (for "status")
+ *   "priority": "High",      (for "priority")
+ *   "projectId": "project_id" (for "move"; null moves the tasks to the Inbox)
+ * }
+ * 
+ * "delete" moves the tasks to the trash, "restore" takes them out again.
+ * 
+ * Response (one result per ID; changed is false if the task already was that way):
+ * {
+ *   "success": true,
+ *   "message": "1 of 2 task(s) updated",
+ *   "action": "complete",
+ *   "succeeded": 1,
+ *   "failed": 1,
+ *   "results": [
+ *     { "id": "task_id_1", "success": true, "changed": true, "task": { ... } },
+ *     { "id": "task_id_2", "success": false, "message": "Task not found" }
+ *   ]
+ * }
+ */
+router.post('/bulk', bulkUpdateTasks);
+
+/**
+ * GET /api/tasks/export
+ * 
+ * Download the logged-in user's tasks as a file (trashed tasks are left out)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Query Parameters (all optional):
+ * format - "json" (default), "csv" or "md" (Markdown checklist)
+ * timezone - IANA timezone name for the dates in Markdown files (default "UTC")
+ * The filters and sort options of GET /api/tasks (status, project, sort, ...)
+ * narrow down and order the export; limit and cursor are ignored.
+ * 
+ * Response: the file, streamed, with
+ * Content-Disposition: attachment; filename="tasks-2024-01-31.csv"
+ * 
+ * JSON: an array of tasks, tags and projects by name:
+ * [
+ *   {
+ *     "id": "task_id", "title": "Complete project", "description": "",
+ *     "status": "In Progress", "statusCategory": "in-progress", "priority": "High",
+ *     "dueDate": "2024-01-05T23:59:59.999Z", "startDate": null,
+ *     "tags": ["work"], "project": "Website", "subtasks": [{ "title": "Draft", "done": true }],
+ *     "recurrence": null, "createdAt": "2024-01-01T00:00:00.000Z", "completedAt": null
+ *   }
+ * ]
+ * CSV columns: id, title, description, status, priority, dueDate, startDate,
+ *   tags (comma-separated), project, recurrence (rule), createdAt, completedAt
+ * Markdown: one "- [ ]" / "- [x]" item per task, with its description and subtasks
+ */
+router.get('/export', exportTasks);
+
+/**
+ * POST /api/tasks/import
+ * 
+ * Import tasks from a JSON or CSV file (up to 1000 tasks, 5 MB)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "format": "csv",                    ("csv" or "json")
+ *   "content": "title,due\nBuy milk,2024-01-31\n",
+ *   "mapping": { "dueDate": "due" },    (optional: column per field, null = leave empty)
+ *   "dryRun": true,                     (optional: only check the file, save nothing)
+ *   "duplicates": "skip"                (optional: "skip" (default) or "import")
+ * }
+ * 
+ * CSV files need a header row. Columns are matched to the fields title, description,
+ * status, priority, dueDate, startDate, tags and project by name ("Due", "Deadline",
+ * "Labels", "Notes", ... work too); the mapping overrides single fields.
+ * Tags are separated by commas or semicolons. Missing tags and projects are created.
+ * A row is a duplicate if an existing task (or an earlier row) has the same title
+ * (ignoring case) and due date.
+ * 
+ * Response (201; 200 for a dry run, where rows are "valid" instead of "imported"):
+ * {
+ *   "success": true,
+ *   "message": "2 task(s) imported",
+ *   "dryRun": false,
+ *   "columns": ["title", "due"],
+ *   "fields": ["title", "description", "status", ...],
+ *   "mapping": { "title": "title", "dueDate": "due", "description": null, ... },
+ *   "summary": {
+ *     "total": 4, "valid": 2, "invalid": 1, "duplicates": 1, "toImport": 2, "imported": 2,
+ *     "newTags": ["errands"], "newProjects": []
+ *   },
+ *   "rows": [
+ *     { "row": 2, "status": "imported", "errors": [], "task": { "title": "Buy milk", ... } },
+ *     { "row": 3, "status": "invalid", "errors": ["Title is required"], "task": { ... } },
+ *     { "row": 4, "status": "duplicate", "errors": [], "task": { ... } }
+ *   ]
+ * }
+ */
+router.post('/import', importTasks);
 
 /**
  * POST /api/tasks
@@ -71,7 +356,16 @@ router.get('/', authMiddleware, getAllTasks);
  * {
  *   "title": "Complete project",
  *   "description": "Finish the task tracker",
- *   "priority": "High"
+ *   "priority": "High",
+ *   "status": "In Progress",                  (optional, defaults to the first "todo" status)
+ *   "dueDate": "2024-01-05T23:59:59.999Z",   (optional)
+ *   "startDate": "2024-01-02T00:00:00.000Z", (optional, cannot be after dueDate)
+ *   "tags": ["tag_id"],                       (optional, IDs of your own tags)
+ *   "projectId": "project_id",                (optional, leave out or null for the Inbox)
+ *   "recurrence": {                           (optional, makes the task repeat)
+ *     "rule": "FREQ=WEEKLY;BYDAY=MO,WE",
+ *     "timezone": "Europe/Berlin"
+ *   }
  * }
  * 
  * Response:
@@ -81,7 +375,7 @@ router.get('/', authMiddleware, getAllTasks);
  *   "task": { ... }
  * }
  */
-router.post('/', authMiddleware, createTask);
+router.post('/', createTask);
 
 /**
  * PUT /api/tasks/:id
@@ -99,22 +393,30 @@ router.post('/', authMiddleware, createTask);
  *   "title": "Updated title",
  *   "description": "Updated description",
  *   "priority": "Medium",
- *   "status": "Completed"
+ *   "status": "In Review",                   (a status your workflow allows from the current one)
+ *   "dueDate": "2024-01-05T23:59:59.999Z",
+ *   "startDate": null,                       (null or "" clears a date)
+ *   "tags": ["tag_id"],                      (replaces the task's tags)
+ *   "projectId": null,                       (null moves the task to the Inbox)
+ *   "recurrence": null                       (null stops the task repeating)
  * }
  * 
  * Response:
  * {
  *   "success": true,
  *   "message": "Task updated successfully",
- *   "task": { ... }
+ *   "task": { ... },
+ *   "nextTask": null,   (the next occurrence, if a recurring task was just completed)
+ *   "warning": null,    (set when the task was completed before its blockers)
+ *   "pendingBlockers": []
  * }
  */
-router.put('/:id', authMiddleware, updateTask);
+router.put('/:id', updateTask);
 
 /**
  * DELETE /api/tasks/:id
  * 
- * Delete a task
+ * Move a task to the trash (it can be restored until it is purged)
  * 
  * Headers:
  * Authorization: Bearer <token>
@@ -125,15 +427,53 @@ router.put('/:id', authMiddleware, updateTask);
  * Response:
  * {
  *   "success": true,
- *   "message": "Task deleted successfully"
+ *   "message": "Task moved to the trash",
+ *   "task": { "_id": "task_id", "deletedAt": "2024-01-10T09:00:00.000Z", ... },
+ *   "purgeAt": "2024-02-09T09:00:00.000Z"
+ * }
+ */
+router.delete('/:id', deleteTask);
+
+/**
+ * POST /api/tasks/:id/restore
+ * 
+ * Take a task out of the trash
+ * (tasks whose project was deleted are restored to the Inbox)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Task restored successfully",
+ *   "task": { ... }
+ * }
+ */
+router.post('/:id/restore', restoreTask);
+
+/**
+ * DELETE /api/tasks/:id/permanent
+ * 
+ * Delete a task for good, with its comments and time entries
+ * (whether or not it is in the trash). This cannot be undone.
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Task deleted permanently"
  * }
  */
-router.delete('/:id', authMiddleware, deleteTask);
+router.delete('/:id/permanent', deleteTaskPermanently);
 
 /**
  * PATCH /api/tasks/:id/complete
  * 
- * Mark a task as completed
+ * Mark a task as completed: move it to the first "done" status of your workflow
+ * (409 if the workflow does not allow that move from the current status)
  * 
  * Headers:
  * Authorization: Bearer <token>
@@ -141,14 +481,448 @@ router.delete('/:id', authMiddleware, deleteTask);
  * URL Parameter:
  * :id - The task ID to mark as completed
  * 
+ * Query Parameters (optional):
+ * openSubtasks - What to do with subtasks that are not done yet:
+ *                "refuse" (409 error) or "cascade" (check them all off).
+ *                If not set, the task is completed and subtasks are left alone.
+ * pendingBlockers - What to do if tasks this task is blocked by are still pending:
+ *                   "refuse" (409 error with the blockers) or "warn" (the default:
+ *                   complete it anyway, with a warning in the response)
+ * 
  * Response:
  * {
  *   "success": true,
  *   "message": "Task marked as completed",
+ *   "task": { ..., "completedAt": "2024-01-05T10:00:00.000Z" },
+ *   "nextTask": { ... },   (the next occurrence of a recurring task, otherwise null)
+ *   "warning": null,       (e.g. "Completed while still blocked by 1 pending task(s)")
+ *   "pendingBlockers": []  (the blockers that are still pending: [{ "_id", "title" }])
+ * }
+ */
+router.patch('/:id/complete', markTaskCompleted);
+
+/**
+ * PATCH /api/tasks/:id/reopen
+ * 
+ * Reopen a completed task: move it to the first "todo" status of your workflow
+ * and clear completedAt (409 if the workflow does not allow that move)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * URL Parameter:
+ * :id - The task ID to reopen
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Task reopened",    ("Task is already open" if it was not done)
+ *   "task": { ..., "status": "Pending", "completedAt": null }
+ * }
+ */
+router.patch('/:id/reopen', reopenTask);
+
+/**
+ * PATCH /api/tasks/:id/move
+ * 
+ * Place a task right before or after another task in your manual order
+ * (sort=position). Only the task's position changes: updatedAt stays the same
+ * and the move is not added to the activity thread or history.
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * URL Parameter:
+ * :id - The task ID to move
+ * 
+ * Request Body (one of):
+ * { "before": "sibling_task_id" }
+ * { "after": "sibling_task_id" }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Task moved",
+ *   "task": { ..., "position": 1536 }
+ * }
+ */
+router.patch('/:id/move', moveTask);
+
+/**
+ * POST /api/tasks/:id/subtasks
+ * 
+ * Add a checklist item to the end of a task's checklist
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "title": "Write the tests"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Subtask added successfully",
+ *   "task": {
+ *     ...,
+ *     "subtasks": [{ "_id": "subtask_id", "title": "Write the tests", "done": false, "order": 0 }],
+ *     "subtaskProgress": { "done": 0, "total": 1, "label": "0/1" }
+ *   }
+ * }
+ */
+router.post('/:id/subtasks', addSubtask);
+
+/**
+ * PATCH /api/tasks/:id/subtasks/reorder
+ * 
+ * Reorder a task's checklist
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body (must list every subtask ID exactly once):
+ * {
+ *   "order": ["subtask_id_2", "subtask_id_1", "subtask_id_3"]
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Subtasks reordered successfully",
+ *   "task": { ... }
+ * }
+ */
+router.patch('/:id/subtasks/reorder', reorderSubtasks);
+
+/**
+ * PUT /api/tasks/:id/subtasks/:subtaskId
+ * 
+ * Rename a checklist item
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "title": "Write more tests"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Subtask updated successfully",
+ *   "task": { ... }
+ * }
+ */
+router.put('/:id/subtasks/:subtaskId', updateSubtask);
+
+/**
+ * PATCH /api/tasks/:id/subtasks/:subtaskId/toggle
+ * 
+ * Check off a checklist item, or uncheck it if it is already done
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Subtask checked off",
+ *   "task": { ... }
+ * }
+ */
+router.patch('/:id/subtasks/:subtaskId/toggle', toggleSubtask);
+
+/**
+ * DELETE /api/tasks/:id/subtasks/:subtaskId
+ * 
+ * Remove a checklist item
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Subtask deleted successfully",
+ *   "task": { ... }
+ * }
+ */
+router.delete('/:id/subtasks/:subtaskId', deleteSubtask);
+
+/**
+ * GET /api/tasks/:id/comments
+ * 
+ * Get a task's thread: the user's comments and the activity entries
+ * recorded when the task changed, oldest first
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 2,
+ *   "comments": [
+ *     {
+ *       "_id": "comment_id",
+ *       "taskId": "task_id",
+ *       "type": "system",
+ *       "body": "priority changed High → Low",
+ *       "change": { "field": "priority", "from": "High", "to": "Low" },
+ *       "editedAt": null,
+ *       "createdAt": "2024-01-02T09:00:00.000Z"
+ *     },
+ *     {
+ *       "_id": "comment_id",
+ *       "taskId": "task_id",
+ *       "type": "comment",
+ *       "body": "Waiting for the numbers from finance",
+ *       "change": null,
+ *       "editedAt": null,
+ *       "createdAt": "2024-01-02T10:00:00.000Z"
+ *     }
+ *   ]
+ * }
+ */
+router.get('/:id/comments', getComments);
+
+/**
+ * POST /api/tasks/:id/comments
+ * 
+ * Add a comment to a task
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "body": "Waiting for the numbers from finance"   (up to 2000 characters)
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Comment added successfully",
+ *   "comment": { ... }
+ * }
+ */
+router.post('/:id/comments', addComment);
+
+/**
+ * PUT /api/tasks/:id/comments/:commentId
+ * 
+ * Edit a comment (activity entries cannot be edited: 403)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "body": "Numbers arrived, starting now"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Comment updated successfully",
+ *   "comment": { ..., "editedAt": "2024-01-02T11:00:00.000Z" }
+ * }
+ */
+router.put('/:id/comments/:commentId', updateComment);
+
+/**
+ * DELETE /api/tasks/:id/comments/:commentId
+ * 
+ * Delete a comment (activity entries cannot be deleted: 403)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Comment deleted successfully"
+ * }
+ */
+router.delete('/:id/comments/:commentId', deleteComment);
+
+/**
+ * POST /api/tasks/:id/timer/start
+ * 
+ * Start the timer on a task (creates a running time entry)
+ * Only one timer can run at a time for each user.
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Query Parameters (optional):
+ * stopRunning - "true" to stop a timer running on another task first.
+ *               Without it, a running timer gives a 409 error with "runningEntry".
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Timer started",
+ *   "entry": {
+ *     "_id": "entry_id",
+ *     "taskId": "task_id",
+ *     "startedAt": "2024-01-02T09:00:00.000Z",
+ *     "endedAt": null,
+ *     "duration": null,
+ *     "source": "timer"
+ *   },
+ *   "stoppedTask": null    (the task whose timer was stopped, with its new total)
+ * }
+ */
+router.post('/:id/timer/start', startTimer);
+
+/**
+ * POST /api/tasks/:id/timer/stop
+ * 
+ * Stop the running timer of a task
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Timer stopped",
+ *   "entry": { ..., "endedAt": "2024-01-02T09:25:00.000Z", "duration": 1500 },
+ *   "task": { ..., "trackedSeconds": 5400 }
+ * }
+ */
+router.post('/:id/timer/stop', stopTimer);
+
+/**
+ * GET /api/tasks/:id/time-entries
+ * 
+ * Get a task's time entries, newest first
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 2,
+ *   "trackedSeconds": 5400,     (total of the finished entries)
+ *   "entries": [ ... ]
+ * }
+ */
+router.get('/:id/time-entries', getTaskTimeEntries);
+
+/**
+ * GET /api/tasks/:id/dependencies
+ * 
+ * Get the tasks this task is blocked by, and the tasks it blocks
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "blockedBy": [{ "_id": "task_id", "title": "Design", "status": "Pending", "priority": "High" }],
+ *   "blocks": [ ... ]
+ * }
+ */
+router.get('/:id/dependencies', getDependencies);
+
+/**
+ * POST /api/tasks/:id/dependencies
+ * 
+ * Mark this task as blocked by another of your tasks
+ * Links that would make a loop (A waits for B, B waits for A) are refused with 400.
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "blockerId": "task_id"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Dependency added successfully",
+ *   "task": { ..., "blockedBy": ["task_id"], "blockedCount": 1 }
+ * }
+ */
+router.post('/:id/dependencies', addDependency);
+
+/**
+ * DELETE /api/tasks/:id/dependencies/:blockerId
+ * 
+ * Remove a "blocked by" link
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Dependency removed successfully",
  *   "task": { ... }
  * }
  */
-router.patch('/:id/complete', authMiddleware, markTaskCompleted);
+router.delete('/:id/dependencies/:blockerId', removeDependency);
+
+/**
+ * GET /api/tasks/:id/history
+ * 
+ * Get a task's revision history, newest first
+ * (one revision per update, completion or rollback)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Query Parameters (optional):
+ * limit - Revisions per page, 1 to 100 (default 50)
+ * before - Revision ID: only return older revisions (for the next page)
+ * 
+ * Response (names holds the tag and project names used in the changes):
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "hasMore": false,
+ *   "revisions": [
+ *     {
+ *       "_id": "revision_id",
+ *       "action": "update",
+ *       "changedBy": { "_id": "user_id", "email": "user@example.com" },
+ *       "createdAt": "2024-01-05T09:30:00.000Z",
+ *       "changes": [{ "field": "priority", "from": "High", "to": "Low" }],
+ *       "revertedFrom": null
+ *     }
+ *   ],
+ *   "names": { "tags": { "tag_id": "work" }, "projects": {} }
+ * }
+ */
+router.get('/:id/history', getTaskHistory);
+
+/**
+ * POST /api/tasks/:id/revert/:revisionId
+ * 
+ * Roll a task back to how it was just before a revision
+ * (undoes that change and every later one; checklist items are not changed)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Task rolled back successfully",
+ *   "task": { ... },
+ *   "revision": { "action": "revert", "revertedFrom": "revision_id", ... }
+ * }
+ */
+router.post('/:id/revert/:revisionId', revertTask);
 
 // Export the router so it can be used in server.js
 module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Time Entry Routes
+ *
+ * Defines the API endpoints for time entries that are not tied to one task
+ * URL: the running timer, manual entries, edits and the time report.
+ * (Starting and stopping the timer of a task is in routes/tasks.js.)
+ * All routes are protected by authentication middleware.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const {
+  getRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport,
+} = require('../controllers/timeEntryController');
+
+/**
+ * GET /api/time-entries/running
+ *
+ * Get the user's running timer
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "entry": {                     (null if no timer is running)
+ *     "_id": "entry_id",
+ *     "taskId": { "_id": "task_id", "title": "Write report" },
+ *     "startedAt": "2024-01-02T09:00:00.000Z",
+ *     "endedAt": null
+ *   }
+ * }
+ */
+router.get('/running', authMiddleware, getRunningTimer);
+
+/**
+ * GET /api/time-entries/report
+ *
+ * Sum the tracked time per day, per priority and per task
+ * (finished entries that started in the date range; an entry counts
+ * for the day it started on)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Query Parameters (all optional):
+ * from, to - Date range (default: the last 7 days, including today)
+ * tzOffset - The user's timezone offset in minutes (new Date().getTimezoneOffset()),
+ *            used to decide which day an entry belongs to
+ *
+ * Response (times in seconds):
+ * {
+ *   "success": true,
+ *   "from": "2024-01-01T00:00:00.000Z",
+ *   "to": "2024-01-07T18:00:00.000Z",
+ *   "totalSeconds": 9000,
+ *   "byDay": [{ "date": "2024-01-02", "seconds": 5400 }],
+ *   "byPriority": [{ "priority": "High", "seconds": 7200 }],
+ *   "byTask": [{ "taskId": "task_id", "title": "Write report", "priority": "High", "seconds": 7200 }]
+ * }
+ */
+router.get('/report', authMiddleware, getTimeReport);
+
+/**
+ * POST /api/time-entries
+ *
+ * Add time spent on a task by hand
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "taskId": "task_id",
+ *   "startedAt": "2024-01-02T09:00:00.000Z",
+ *   "endedAt": "2024-01-02T10:30:00.000Z",   (or "minutes": 90)
+ *   "note": "First draft"                    (optional, up to 200 characters)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Time entry added successfully",
+ *   "entry": { ..., "duration": 5400, "source": "manual" },
+ *   "task": { ..., "trackedSeconds": 5400 }
+ * }
+ */
+router.post('/', authMiddleware, createTimeEntry);
+
+/**
+ * PUT /api/time-entries/:id
+ *
+ * Edit a time entry (a running timer can only change its start and note)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body (all fields optional):
+ * {
+ *   "startedAt": "2024-01-02T09:15:00.000Z",  (moves the entry, keeping its length)
+ *   "endedAt": "2024-01-02T10:00:00.000Z",    (or "minutes": 45)
+ *   "note": "Review"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Time entry updated successfully",
+ *   "entry": { ... },
+ *   "task": { ... }
+ * }
+ */
+router.put('/:id', authMiddleware, updateTimeEntry);
+
+/**
+ * DELETE /api/time-entries/:id
+ *
+ * Delete a time entry (deleting a running timer discards it)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Time entry deleted successfully",
+ *   "task": { ... }
+ * }
+ */
+router.delete('/:id', authMiddleware, deleteTimeEntry);
+
+// Export the router so it can be used in server.js
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Workflow Routes
+ *
+ * Defines the API endpoints for a user's workflow: the statuses their
+ * tasks can be in, and which category each one belongs to.
+ * All routes are protected by authentication middleware.
+ */
+
+const express = require('express');
+const router = express.Router(); // Create a router instance
+
+// Import authentication middleware
+const authMiddleware = require('../middleware/auth');
+
+// Import controller functions
+const { getUserWorkflow, updateUserWorkflow } = require('../controllers/workflowController');
+
+/**
+ * GET /api/workflow
+ *
+ * Get the logged-in user's statuses, in order
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "categories": ["todo", "in-progress", "done"],
+ *   "statuses": [
+ *     { "_id": "status_id_1", "name": "Pending", "category": "todo", "next": [], "wipLimit": null },
+ *     { "_id": "status_id_2", "name": "In Progress", "category": "in-progress", "next": [], "wipLimit": null },
+ *     { "_id": "status_id_3", "name": "Completed", "category": "done", "next": [], "wipLimit": null }
+ *   ]
+ * }
+ */
+router.get('/', authMiddleware, getUserWorkflow);
+
+/**
+ * PUT /api/workflow
+ *
+ * Replace the logged-in user's statuses (the whole ordered list)
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Request Body:
+ * {
+ *   "statuses": [
+ *     { "_id": "status_id_1", "name": "To Do", "category": "todo", "next": ["In Progress"] },
+ *     { "_id": "status_id_2", "name": "In Progress", "category": "in-progress", "next": [], "wipLimit": 3 },
+ *     { "name": "In Review", "category": "in-progress", "next": ["In Progress", "Completed"] },
+ *     { "_id": "status_id_3", "name": "Completed", "category": "done", "next": [] }
+ *   ],
+ *   "replacements": { "Blocked": "In Progress" }   (optional)
+ * }
+ *
+ * - Keep the _id of existing statuses (renaming "Pending" to "To Do" renames it on every task)
+ * - New statuses have no _id
+ * - next: statuses a task may move to from this one (empty = any)
+ * - wipLimit: optional work-in-progress limit (1-999, null = none); the board warns above it
+ * - replacements: where the tasks of removed statuses go
+ * - At least one "todo" and one "done" status are required
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Workflow updated successfully",
+ *   "categories": [...],
+ *   "statuses": [...],
+ *   "movedTasks": 4
+ * }
+ *
+ * Error (409) if a removed status still has tasks and no replacement:
+ * {
+ *   "success": false,
+ *   "message": "Choose a new status for the tasks in: Blocked",
+ *   "inUse": [{ "name": "Blocked", "taskCount": 2 }]
+ * }
+ */
+router.put('/', authMiddleware, updateUserWorkflow);
+
+// Export the router so it can be used in server.js
+module.exports = router;
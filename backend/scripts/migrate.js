@@ -0,0 +1,61 @@
+/**
+ * Migration Runner
+ * 
+ * Runs the database migrations in the migrations/ folder.
+ * A migration is a one-time change to existing data (e.g. filling in a new field
+ * for tasks that were created before the field existed).
+ * 
+ * Usage: npm run migrate
+ * 
+ * How it works:
+ * 1. Connects to MongoDB (using MONGODB_URI from .env)
+ * 2. Reads the list of migrations that already ran from the "migrations" collection
+ * 3. Runs every other migration file, in file-name order
+ * 4. Records each one, so it never runs twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const runMigrations = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  // Applied migrations are stored as { name, appliedAt }
+  const applied = mongoose.connection.collection('migrations');
+  const done = new Set((await applied.find().toArray()).map((m) => m.name));
+
+  // File names start with a number (001-..., 002-...), so sorting gives the run order
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .sort();
+
+  const pending = files.filter((file) => !done.has(file));
+
+  if (pending.length === 0) {
+    console.log('Nothing to migrate, the database is up to date.');
+  }
+
+  for (const file of pending) {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    console.log(`➡️  Running ${file}: ${migration.description}`);
+
+    await migration.up();
+    await applied.insertOne({ name: file, appliedAt: new Date() });
+
+    console.log(`✅ Finished ${file}`);
+  }
+};
+
+runMigrations()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -14,16 +14,54 @@ require('dotenv').config(); // Load environment variables from .env file
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
+const timeEntryRoutes = require('./routes/timeEntries');
+const workflowRoutes = require('./routes/workflow');
+const statsRoutes = require('./routes/stats');
+const calendarRoutes = require('./routes/calendar');
+const accountRoutes = require('./routes/account');
+
+// Import background jobs
+const { startTrashPurge } = require('./utils/trash');
 
 // Initialize Express app
 const app = express();
 
+// Behind a proxy (e.g. a load balancer), req.ip would be the proxy's address.
+// TRUST_PROXY tells Express to take the client's address from X-Forwarded-For
+// instead, so rate limits count per client. It is the number of proxies
+// (e.g. "1"), "true", or their addresses (e.g. "loopback, 10.0.0.0/8").
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  let setting = trustProxy;
+  if (trustProxy === 'true') setting = true;
+  else if (/^\d+$/.test(trustProxy)) setting = Number(trustProxy);
+  app.set('trust proxy', setting);
+}
+
 // Middleware
 // CORS allows our React frontend (running on different port) to communicate with backend
-app.use(cors());
+// Content-Disposition is exposed so the frontend can read the file names of exports,
+// and the rate limit headers so it can tell when to try again
+app.use(
+  cors({
+    exposedHeaders: [
+      'Content-Disposition',
+      'Retry-After',
+      'RateLimit-Policy',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+    ],
+  })
+);
 
 // This middleware parses JSON data from request body
 // When frontend sends JSON data, Express can now read it as req.body
+// Imported files are sent as JSON too, so their route accepts larger bodies
+// (a body is only parsed once, so the general parser below skips them)
+app.use('/api/tasks/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Connect to MongoDB
@@ -32,6 +70,9 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
+
+    // Delete tasks that have been in the trash for too long (runs every hour)
+    startTrashPurge();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -45,6 +86,27 @@ app.use('/api/auth', authRoutes);
 // All task-related routes (CRUD operations) will be at /api/tasks
 app.use('/api/tasks', taskRoutes);
 
+// All tag-related routes (create, rename, delete labels) will be at /api/tags
+app.use('/api/tags', tagRoutes);
+
+// All project-related routes (task lists with counts) will be at /api/projects
+app.use('/api/projects', projectRoutes);
+
+// All time-tracking routes (running timer, manual entries, report) will be at /api/time-entries
+app.use('/api/time-entries', timeEntryRoutes);
+
+// The user's task statuses (workflow) will be at /api/workflow
+app.use('/api/workflow', workflowRoutes);
+
+// Productivity stats (created vs completed, streaks, backlog trend) will be at /api/stats
+app.use('/api/stats', statsRoutes);
+
+// The calendar feed (.ics link for calendar apps) will be at /api/calendar
+app.use('/api/calendar', calendarRoutes);
+
+// Account settings (change password or email, delete the account) will be at /api/account
+app.use('/api/account', accountRoutes);
+
 // Basic route to test if server is running
 app.get('/', (req, res) => {
   res.json({ message: 'Task Management API is running!' });
@@ -5,6 +5,8 @@
  * Run it after starting your server: node test-api.js
  * 
  * Make sure your server is running on http://localhost:5000
+ * The test user's email is never verified, so start the server with
+ * UNVERIFIED_ACCESS=full (otherwise creating tasks is refused)
  */
 
 const http = require('http');
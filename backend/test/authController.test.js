@@ -0,0 +1,193 @@
+/**
+ * Tests for controllers/authController.js
+ *
+ * The database and the emails are replaced with mocks, so these tests only
+ * check what the handlers answer.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const emailVerification = require('../utils/emailVerification');
+
+// Mocked before the controller is loaded, which keeps its own reference
+const sendVerificationEmail = test.mock.method(
+  emailVerification,
+  'sendVerificationEmail',
+  async () => true
+);
+
+const { login, resendVerification } = require('../controllers/authController');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// A response that records what the handler sends
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Let User.findOne(...) (also with .select(...)) find this user (or null)
+const mockFindUser = (user) =>
+  test.mock.method(User, 'findOne', () => {
+    const query = Promise.resolve(user);
+    query.select = async () => user;
+    return query;
+  });
+
+// Send a request to a handler and return the response
+const send = async (handler, req) => {
+  const res = createResponse();
+  await handler({ headers: {}, body: {}, ...req }, res);
+  return res;
+};
+
+test.describe('login', () => {
+  test.afterEach(() => {
+    User.findOne.mock?.restore();
+  });
+
+  test.it('checks a password against a hash also for an unknown email', async () => {
+    const compare = test.mock.method(bcrypt, 'compare');
+    const password = 'wrong-password';
+
+    mockFindUser(null);
+    const missing = await send(login, { body: { email: 'nobody@example.com', password } });
+    User.findOne.mock.restore();
+
+    const hash = await bcrypt.hash('secret1', 10);
+    mockFindUser(new User({ email: 'someone@example.com', password: hash }));
+    const existing = await send(login, { body: { email: 'someone@example.com', password } });
+    compare.mock.restore();
+
+    // Both cost one bcrypt comparison with a hash of the same cost
+    assert.equal(compare.mock.callCount(), 2);
+    const [dummyHash, realHash] = compare.mock.calls.map((call) => call.arguments[1]);
+    assert.equal(dummyHash.slice(0, 7), realHash.slice(0, 7));
+
+    assert.equal(missing.statusCode, 401);
+    assert.deepEqual(missing.body, existing.body);
+  });
+});
+
+test.describe('resendVerification', () => {
+  test.afterEach(() => {
+    User.findOne.mock?.restore();
+    sendVerificationEmail.mock.resetCalls();
+  });
+
+  // An unverified user whose last email went out some seconds ago (null = never)
+  const unverifiedUser = (sentSecondsAgo) => ({
+    _id: 'user1',
+    email: 'someone@example.com',
+    emailVerification:
+      sentSecondsAgo === null
+        ? null
+        : {
+            email: 'someone@example.com',
+            sentAt: new Date(Date.now() - sentSecondsAgo * 1000),
+          },
+  });
+
+  test.it('answers an email the same whether or not an unverified account exists', async () => {
+    const req = { body: { email: 'someone@example.com' } };
+
+    mockFindUser(null);
+    const missing = await send(resendVerification, req);
+    User.findOne.mock.restore();
+
+    // Asked again right after the last email
+    mockFindUser(unverifiedUser(1));
+    const throttled = await send(resendVerification, req);
+    User.findOne.mock.restore();
+
+    mockFindUser(unverifiedUser(null));
+    const sent = await send(resendVerification, req);
+
+    for (const res of [throttled, sent]) {
+      assert.equal(res.statusCode, missing.statusCode);
+      assert.deepEqual(res.headers, missing.headers);
+      assert.deepEqual(res.body, missing.body);
+    }
+    assert.equal(missing.statusCode, 200);
+    assert.equal(sendVerificationEmail.mock.callCount(), 1);
+  });
+
+  test.describe('with an access token', () => {
+    test.afterEach(() => {
+      Session.exists.mock?.restore();
+    });
+
+    // Let Session.exists() say whether the session is still active
+    const mockSessionActive = (active) =>
+      test.mock.method(Session, 'exists', async () => (active ? { _id: 'session1' } : null));
+
+    // A request with an access token that expires in some time (negative = expired)
+    const withToken = (expiresIn) => {
+      const payload = { userId: 'user1', sid: 'session1' };
+      const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+      return { headers: { authorization: `Bearer ${token}` } };
+    };
+
+    test.it('sends the email for an active session', async () => {
+      mockSessionActive(true);
+      mockFindUser(unverifiedUser(null));
+      const res = await send(resendVerification, withToken('15m'));
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(sendVerificationEmail.mock.callCount(), 1);
+    });
+
+    test.it('tells a logged-in user to wait when asking too soon', async () => {
+      mockSessionActive(true);
+      mockFindUser(unverifiedUser(1));
+      const res = await send(resendVerification, withToken('15m'));
+
+      assert.equal(res.statusCode, 429);
+      assert.ok(Number(res.headers['Retry-After']) > 0);
+      assert.equal(sendVerificationEmail.mock.callCount(), 0);
+    });
+
+    test.it('refuses a token of a session that has ended', async () => {
+      mockSessionActive(false);
+      mockFindUser(unverifiedUser(null));
+      const res = await send(resendVerification, withToken('15m'));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(sendVerificationEmail.mock.callCount(), 0);
+    });
+
+    test.it('refuses an expired token', async () => {
+      mockSessionActive(true);
+      mockFindUser(unverifiedUser(null));
+      const res = await send(resendVerification, withToken('-1m'));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(sendVerificationEmail.mock.callCount(), 0);
+    });
+  });
+
+  test.it('refuses a request without an email or access token', async () => {
+    const res = await send(resendVerification, { body: { email: ['someone@example.com'] } });
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for utils/ical.js
+ *
+ * The feed is streamed like in the calendar controller and read back with
+ * an iCalendar parser (ical.js), the way a calendar app would read it.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { text } = require('node:stream/consumers');
+const ICAL = require('ical.js');
+
+const { createCalendarWriter, foldLine } = require('../utils/ical');
+
+const names = {
+  tags: new Map([['tag1', 'work, urgent']]),
+  projects: new Map([['project1', 'Home; garden']]),
+};
+
+const baseTask = {
+  createdAt: new Date('2026-01-01T08:00:00Z'),
+  updatedAt: new Date('2026-01-02T08:00:00Z'),
+  priority: 'Medium',
+  status: 'To Do',
+  statusCategory: 'todo',
+  tags: [],
+};
+
+const tasks = [
+  {
+    ...baseTask,
+    _id: 'task1',
+    title: 'Write report, part 1; draft',
+    description:
+      'First line\nSecond line with a long text to be folded over more than one line 🙂🙂🙂',
+    priority: 'High',
+    tags: ['tag1'],
+    projectId: 'project1',
+    startDate: new Date('2026-01-05T09:00:00Z'),
+    dueDate: new Date('2026-01-06T17:00:00Z'),
+  },
+  {
+    // Starts at the moment it is due
+    ...baseTask,
+    _id: 'task2',
+    title: 'Call the bank',
+    startDate: new Date('2026-01-07T10:00:00Z'),
+    dueDate: new Date('2026-01-07T10:00:00Z'),
+  },
+  {
+    ...baseTask,
+    _id: 'task3',
+    title: 'Someday',
+    status: 'Done',
+    statusCategory: 'done',
+    completedAt: new Date('2026-01-03T12:00:00Z'),
+  },
+];
+
+// Write a feed the way the controller streams it, and parse what comes out
+const readFeed = async (options) => {
+  const writer = createCalendarWriter({ name: 'Tasks', timezone: 'UTC', ...options });
+  const stream = Readable.from(
+    (function* feed() {
+      yield writer.start();
+      for (const task of tasks) yield writer.item(task, names);
+      yield writer.end();
+    })()
+  );
+  const ics = await text(stream);
+  return { ics, calendar: new ICAL.Component(ICAL.parse(ics)) };
+};
+
+const byUid = (components, uid) => components.find((c) => c.getFirstPropertyValue('uid') === uid);
+
+test.describe('createCalendarWriter', () => {
+  test.it('writes a calendar that parses, with CRLF lines of at most 75 bytes', async () => {
+    const { ics, calendar } = await readFeed({ type: 'all' });
+
+    assert.equal(calendar.name, 'vcalendar');
+    assert.equal(calendar.getFirstPropertyValue('version'), '2.0');
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+    const lines = ics.split('\r\n').slice(0, -1);
+    for (const line of lines) {
+      assert.ok(!line.includes('\n'), 'lines end with CRLF');
+      assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+    }
+  });
+
+  test.it('writes a VTODO per task and a VEVENT per due date', async () => {
+    const { calendar } = await readFeed({ type: 'all' });
+    const todos = calendar.getAllSubcomponents('vtodo');
+    const events = calendar.getAllSubcomponents('vevent');
+
+    assert.deepEqual(
+      todos.map((todo) => todo.getFirstPropertyValue('uid')),
+      ['task-task1@task-tracker', 'task-task2@task-tracker', 'task-task3@task-tracker']
+    );
+    assert.deepEqual(
+      events.map((event) => event.getFirstPropertyValue('uid')),
+      ['task-task1-due@task-tracker', 'task-task2-due@task-tracker']
+    );
+
+    for (const component of [...todos, ...events]) {
+      for (const property of ['uid', 'dtstamp', 'summary']) {
+        assert.ok(component.hasProperty(property), `${property} is required`);
+      }
+    }
+  });
+
+  test.it('reads back escaped and folded text', async () => {
+    const { calendar } = await readFeed({ type: 'todo' });
+    const todo = byUid(calendar.getAllSubcomponents('vtodo'), 'task-task1@task-tracker');
+
+    assert.equal(todo.getFirstPropertyValue('summary'), tasks[0].title);
+    assert.equal(todo.getFirstPropertyValue('description'), tasks[0].description);
+    assert.deepEqual(todo.getFirstProperty('categories').getValues(), ['work, urgent']);
+    assert.equal(todo.getFirstPropertyValue('priority'), 1);
+  });
+
+  test.it('writes DUE later than DTSTART', async () => {
+    const { calendar } = await readFeed({ type: 'todo' });
+
+    for (const todo of calendar.getAllSubcomponents('vtodo')) {
+      const start = todo.getFirstPropertyValue('dtstart');
+      const due = todo.getFirstPropertyValue('due');
+      if (start && due) {
+        const uid = todo.getFirstPropertyValue('uid');
+        assert.ok(due.compare(start) > 0, `DUE must be after DTSTART in ${uid}`);
+      }
+    }
+
+    // A start on the due moment is left out
+    const sameMoment = byUid(calendar.getAllSubcomponents('vtodo'), 'task-task2@task-tracker');
+    assert.equal(sameMoment.getFirstPropertyValue('dtstart'), null);
+    assert.equal(
+      sameMoment.getFirstPropertyValue('due').toJSDate().toISOString(),
+      '2026-01-07T10:00:00.000Z'
+    );
+  });
+
+  test.it('writes completed tasks as COMPLETED', async () => {
+    const { calendar } = await readFeed({ type: 'todo' });
+    const todo = byUid(calendar.getAllSubcomponents('vtodo'), 'task-task3@task-tracker');
+
+    assert.equal(todo.getFirstPropertyValue('status'), 'COMPLETED');
+    assert.equal(todo.getFirstPropertyValue('percent-complete'), 100);
+    assert.equal(
+      todo.getFirstPropertyValue('completed').toJSDate().toISOString(),
+      '2026-01-03T12:00:00.000Z'
+    );
+  });
+
+  test.it('writes all-day events on the due day in the timezone', async () => {
+    // 17:00 UTC on Jan 6 is already Jan 7 in Tokyo
+    const { calendar } = await readFeed({ type: 'event', timezone: 'Asia/Tokyo' });
+    const event = byUid(calendar.getAllSubcomponents('vevent'), 'task-task1-due@task-tracker');
+
+    assert.equal(calendar.getAllSubcomponents('vtodo').length, 0);
+    assert.equal(event.getFirstPropertyValue('dtstart').toString(), '2026-01-07');
+    assert.equal(event.getFirstPropertyValue('dtend').toString(), '2026-01-08');
+  });
+});
+
+test.describe('foldLine', () => {
+  test.it('never splits a multi-byte character', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(100)}`);
+    const lines = folded.split('\r\n').slice(0, -1);
+
+    assert.ok(lines.length > 1);
+    for (const line of lines) assert.ok(Buffer.byteLength(line) <= 75);
+    const unfolded = lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('');
+    assert.equal(unfolded, `SUMMARY:${'é'.repeat(100)}`);
+  });
+});
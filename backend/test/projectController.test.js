@@ -0,0 +1,68 @@
+/**
+ * Tests for controllers/projectController.js
+ *
+ * The database is replaced with mocks, so these tests only check what the
+ * handlers answer.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Project = require('../models/Project');
+const { createProject, updateProject } = require('../controllers/projectController');
+
+// A response that records what the handler sends
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Send a request to a handler and return the response
+const send = async (handler, req) => {
+  const res = createResponse();
+  await handler({ userId: 'user1', params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+const INVALID_NAMES = [42, ['Home'], { name: 'Home' }, true, '   '];
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test.describe('createProject', () => {
+  test.it('refuses a name that is not a string', async () => {
+    const create = test.mock.method(Project, 'create', async (doc) => doc);
+    for (const name of INVALID_NAMES) {
+      const res = await send(createProject, { body: { name } });
+      assert.equal(res.statusCode, 400, `name ${JSON.stringify(name)}`);
+      assert.equal(res.body.message, 'Please provide a project name');
+    }
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+test.describe('updateProject', () => {
+  test.it('refuses a name that is not a string', async () => {
+    const project = new Project({ userId: '64b000000000000000000001', name: 'Home' });
+    const save = test.mock.method(project, 'save', async () => project);
+    test.mock.method(Project, 'findOne', async () => project);
+
+    for (const name of [...INVALID_NAMES, null]) {
+      const res = await send(updateProject, { params: { id: 'project1' }, body: { name } });
+      assert.equal(res.statusCode, 400, `name ${JSON.stringify(name)}`);
+      assert.equal(res.body.message, 'Project name cannot be empty');
+    }
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Tests for utils/recurrence.js
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRule, formatRule, getNextOccurrence } = require('../utils/recurrence');
+
+// Parse a rule that must be valid
+const rule = (ruleString) => {
+  const result = parseRule(ruleString);
+  assert.equal(result.error, null);
+  return result.rule;
+};
+
+// An ISO string for comparing dates
+const iso = (date) => date.toISOString();
+
+test.describe('parseRule', () => {
+  test.it('parses a weekly rule', () => {
+    assert.deepEqual(parseRule('FREQ=WEEKLY;BYDAY=MO,WE'), {
+      error: null,
+      rule: { freq: 'WEEKLY', interval: 1, byDay: [1, 3], byMonthDay: null, fromCompletion: false },
+    });
+  });
+
+  test.it('accepts an RRULE: prefix and lower case, and sorts BYDAY without duplicates', () => {
+    assert.deepEqual(rule('rrule:freq=weekly;interval=2;byday=fr,mo,fr').byDay, [1, 5]);
+    assert.equal(rule('rrule:freq=weekly;interval=2;byday=fr,mo,fr').interval, 2);
+  });
+
+  test.it('parses BYMONTHDAY=-1 and FROM=COMPLETION', () => {
+    assert.equal(rule('FREQ=MONTHLY;BYMONTHDAY=-1').byMonthDay, -1);
+    assert.equal(rule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION').fromCompletion, true);
+  });
+
+  test.it('rejects invalid rules', () => {
+    const invalid = [
+      '',
+      42,
+      'FREQ=YEARLY',
+      'FREQ=DAILY;INTERVAL=0',
+      'FREQ=DAILY;INTERVAL=1.5',
+      'FREQ=DAILY;INTERVAL=366',
+      'FREQ=DAILY;BYDAY=MO',
+      'FREQ=WEEKLY;BYDAY=XX',
+      'FREQ=MONTHLY;BYMONTHDAY=0',
+      'FREQ=MONTHLY;BYMONTHDAY=-2',
+      'FREQ=MONTHLY;BYMONTHDAY=32',
+      'FREQ=WEEKLY;BYMONTHDAY=1',
+      'FREQ=WEEKLY;FROM=COMPLETION',
+      'FREQ=DAILY;FROM=DUE',
+      'FREQ=DAILY;COUNT=3',
+      'FREQ=DAILY;INTERVAL',
+    ];
+    for (const ruleString of invalid) {
+      const result = parseRule(ruleString);
+      assert.equal(result.rule, null, `${ruleString} should be invalid`);
+      assert.equal(typeof result.error, 'string');
+    }
+  });
+});
+
+test.describe('formatRule', () => {
+  test.it('writes the canonical form', () => {
+    assert.equal(formatRule(rule('byday=we,mo;freq=weekly')), 'FREQ=WEEKLY;BYDAY=MO,WE');
+    assert.equal(formatRule(rule('FREQ=DAILY;INTERVAL=1')), 'FREQ=DAILY');
+  });
+
+  test.it('round-trips through parseRule', () => {
+    const rules = [
+      'FREQ=DAILY;INTERVAL=2',
+      'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU',
+      'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+      'FREQ=MONTHLY;BYMONTHDAY=15',
+      'FREQ=MONTHLY;BYMONTHDAY=-1',
+      'FREQ=DAILY;INTERVAL=3;FROM=COMPLETION',
+    ];
+    for (const ruleString of rules) {
+      assert.equal(formatRule(rule(ruleString)), ruleString);
+    }
+  });
+});
+
+test.describe('getNextOccurrence', () => {
+  // Follow a rule from a due date, completing each occurrence an hour before it is due
+  const occurrences = (ruleString, dueDate, count, options = {}) => {
+    const dates = [];
+    let due = new Date(dueDate);
+    for (let i = 0; i < count; i++) {
+      due = getNextOccurrence(rule(ruleString), {
+        dueDate: due,
+        completedAt: new Date(due.getTime() - 60 * 60 * 1000),
+        ...options,
+      });
+      dates.push(iso(due));
+    }
+    return dates;
+  };
+
+  test.it('repeats daily and keeps the time of day', () => {
+    assert.deepEqual(occurrences('FREQ=DAILY;INTERVAL=2', '2026-01-01T09:00:00Z', 2), [
+      '2026-01-03T09:00:00.000Z',
+      '2026-01-05T09:00:00.000Z',
+    ]);
+  });
+
+  test.it('repeats monthly from Jan 31 on the last day of shorter months', () => {
+    // The API pins BYMONTHDAY to the due date's day, so February does not move March
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31T09:00:00Z', 3), [
+      '2026-02-28T09:00:00.000Z',
+      '2026-03-31T09:00:00.000Z',
+      '2026-04-30T09:00:00.000Z',
+    ]);
+    assert.deepEqual(occurrences('FREQ=MONTHLY', '2026-01-31T09:00:00Z', 1), [
+      '2026-02-28T09:00:00.000Z',
+    ]);
+  });
+
+  test.it('repeats on the last day of the month with BYMONTHDAY=-1', () => {
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-15T09:00:00Z', 3), [
+      '2024-01-31T09:00:00.000Z',
+      '2024-02-29T09:00:00.000Z',
+      '2024-03-31T09:00:00.000Z',
+    ]);
+  });
+
+  test.it('repeats every other week with INTERVAL=2', () => {
+    // Monday 2026-01-05; weeks start on Monday
+    assert.deepEqual(
+      occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2026-01-05T09:00:00Z', 4),
+      [
+        '2026-01-09T09:00:00.000Z',
+        '2026-01-19T09:00:00.000Z',
+        '2026-01-23T09:00:00.000Z',
+        '2026-02-02T09:00:00.000Z',
+      ]
+    );
+    assert.deepEqual(occurrences('FREQ=WEEKLY;INTERVAL=2', '2026-01-07T09:00:00Z', 2), [
+      '2026-01-21T09:00:00.000Z',
+      '2026-02-04T09:00:00.000Z',
+    ]);
+  });
+
+  test.it('skips occurrences that are already past', () => {
+    const next = getNextOccurrence(rule('FREQ=DAILY'), {
+      dueDate: new Date('2026-01-01T09:00:00Z'),
+      completedAt: new Date('2026-01-10T12:00:00Z'),
+    });
+    assert.equal(iso(next), '2026-01-11T09:00:00.000Z');
+  });
+
+  test.it('counts from the completion day with FROM=COMPLETION', () => {
+    const next = getNextOccurrence(rule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION'), {
+      dueDate: new Date('2026-01-01T09:00:00Z'),
+      completedAt: new Date('2026-01-10T18:00:00Z'),
+    });
+    assert.equal(iso(next), '2026-01-13T09:00:00.000Z');
+
+    // Without a due date, the completion time is used
+    const undated = getNextOccurrence(rule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION'), {
+      completedAt: new Date('2026-01-10T18:00:00Z'),
+    });
+    assert.equal(iso(undated), '2026-01-13T18:00:00.000Z');
+  });
+
+  test.it('counts the completion day in the timezone', () => {
+    // 23:30 on Jan 10 in New York is already Jan 11 in UTC
+    const next = getNextOccurrence(rule('FREQ=DAILY;FROM=COMPLETION'), {
+      dueDate: new Date('2026-01-05T14:00:00Z'),
+      completedAt: new Date('2026-01-11T04:30:00Z'),
+      timezone: 'America/New_York',
+    });
+    assert.equal(iso(next), '2026-01-11T14:00:00.000Z');
+  });
+
+  // Clock changes in 2026:
+  // - Europe/Berlin (east of UTC): forward on Mar 29 02:00 -> 03:00, back on Oct 25 03:00 -> 02:00
+  // - America/New_York (west of UTC): forward on Mar 8 02:00 -> 03:00, back on Nov 1 02:00 -> 01:00
+  const zones = [
+    {
+      timezone: 'Europe/Berlin',
+      morning: {
+        due: '2026-03-28T08:00:00Z', // 09:00 CET
+        next: ['2026-03-29T07:00:00.000Z', '2026-03-30T07:00:00.000Z'], // 09:00 CEST
+      },
+      springForward: {
+        due: '2026-03-28T01:30:00Z', // 02:30 CET
+        next: [
+          '2026-03-29T01:30:00.000Z', // 02:30 does not exist: 03:30 CEST
+          '2026-03-30T00:30:00.000Z', // 02:30 CEST
+        ],
+      },
+      fallBack: {
+        time: '02:30',
+        due: '2026-10-24T00:30:00Z', // 02:30 CEST
+        next: [
+          '2026-10-25T00:30:00.000Z', // 02:30 happens twice: the first one (CEST)
+          '2026-10-26T01:30:00.000Z', // 02:30 CET
+        ],
+      },
+    },
+    {
+      timezone: 'America/New_York',
+      morning: {
+        due: '2026-03-07T14:00:00Z', // 09:00 EST
+        next: ['2026-03-08T13:00:00.000Z', '2026-03-09T13:00:00.000Z'], // 09:00 EDT
+      },
+      springForward: {
+        due: '2026-03-07T07:30:00Z', // 02:30 EST
+        next: [
+          '2026-03-08T07:30:00.000Z', // 02:30 does not exist: 03:30 EDT
+          '2026-03-09T06:30:00.000Z', // 02:30 EDT
+        ],
+      },
+      fallBack: {
+        time: '01:30',
+        due: '2026-10-31T05:30:00Z', // 01:30 EDT
+        next: [
+          '2026-11-01T05:30:00.000Z', // 01:30 happens twice: the first one (EDT)
+          '2026-11-02T06:30:00.000Z', // 01:30 EST
+        ],
+      },
+    },
+  ];
+
+  for (const { timezone, morning, springForward, fallBack } of zones) {
+    test.describe(timezone, () => {
+      test.it('keeps the wall-clock time across a clock change', () => {
+        assert.deepEqual(
+          occurrences('FREQ=DAILY', morning.due, 2, { timezone, time: '09:00' }),
+          morning.next
+        );
+      });
+
+      test.it('moves a time in the spring-forward gap for that occurrence only', () => {
+        assert.deepEqual(
+          occurrences('FREQ=DAILY', springForward.due, 2, { timezone, time: '02:30' }),
+          springForward.next
+        );
+      });
+
+      test.it('uses the first of a time that happens twice when the clocks fall back', () => {
+        assert.deepEqual(
+          occurrences('FREQ=DAILY', fallBack.due, 2, { timezone, time: fallBack.time }),
+          fallBack.next
+        );
+      });
+    });
+  }
+});
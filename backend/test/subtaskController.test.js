@@ -0,0 +1,58 @@
+/**
+ * Tests for controllers/subtaskController.js
+ *
+ * The database is replaced with mocks, so these tests only check what the
+ * handlers answer.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Task = require('../models/Task');
+const { addSubtask, updateSubtask } = require('../controllers/subtaskController');
+
+// A response that records what the handler sends
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Send a request to a handler and return the response
+const send = async (handler, req) => {
+  const res = createResponse();
+  await handler({ userId: 'user1', params: { id: 'task1', subtaskId: 'subtask1' }, ...req }, res);
+  return res;
+};
+
+const INVALID_TITLES = [undefined, 42, ['Buy milk'], { title: 'Buy milk' }, true, '   '];
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+for (const [name, handler] of [
+  ['addSubtask', addSubtask],
+  ['updateSubtask', updateSubtask],
+]) {
+  test.describe(name, () => {
+    test.it('refuses a title that is not a string', async () => {
+      const findOne = test.mock.method(Task, 'findOne', async () => null);
+      for (const title of INVALID_TITLES) {
+        const res = await send(handler, { body: { title } });
+        assert.equal(res.statusCode, 400, `title ${JSON.stringify(title)}`);
+        assert.equal(res.body.message, 'Please provide a subtask title');
+      }
+      assert.equal(findOne.mock.callCount(), 0);
+    });
+  });
+}
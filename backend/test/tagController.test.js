@@ -0,0 +1,126 @@
+/**
+ * Tests for controllers/tagController.js
+ *
+ * The database is replaced with mocks, so these tests only check what the
+ * handlers answer and how they query.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Tag = require('../models/Tag');
+const { createTag, updateTag } = require('../controllers/tagController');
+
+// A response that records what the handler sends
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Send a request to a handler and return the response
+const send = async (handler, req) => {
+  const res = createResponse();
+  await handler({ userId: 'user1', params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+// Let Tag.findOne(...) (also with .collation(...)) find these results in turn,
+// and record the filters and collations it was called with
+const mockFindOne = (...results) => {
+  const calls = [];
+  test.mock.method(Tag, 'findOne', (filter) => {
+    const call = { filter, collation: null };
+    calls.push(call);
+    const query = Promise.resolve(results.shift() || null);
+    query.collation = (collation) => {
+      call.collation = collation;
+      return query;
+    };
+    return query;
+  });
+  return calls;
+};
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test.describe('createTag', () => {
+  test.it('refuses a name that is not a string', async () => {
+    mockFindOne();
+    for (const name of [42, ['work'], { name: 'work' }, true, '   ']) {
+      const res = await send(createTag, { body: { name } });
+      assert.equal(res.statusCode, 400, `name ${JSON.stringify(name)}`);
+      assert.equal(res.body.message, 'Please provide a tag name');
+    }
+  });
+
+  test.it('refuses a name that only differs in case from an existing tag', async () => {
+    const calls = mockFindOne({ _id: 'tag1', name: 'Work' });
+    const create = test.mock.method(Tag, 'create', async (doc) => doc);
+
+    const res = await send(createTag, { body: { name: ' work ' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'You already have a tag with this name');
+    assert.deepEqual(calls[0].filter, { userId: 'user1', name: 'work' });
+    assert.deepEqual(calls[0].collation, CASE_INSENSITIVE);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test.it('answers 400 when the same name is created at the same time', async () => {
+    mockFindOne();
+    test.mock.method(Tag, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const res = await send(createTag, { body: { name: 'Work' } });
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+test.describe('updateTag', () => {
+  const existingTag = () => new Tag({ userId: '64b000000000000000000001', name: 'work' });
+
+  test.it('refuses a name that is not a string', async () => {
+    for (const name of [42, ['work'], null, '']) {
+      mockFindOne(existingTag());
+      const res = await send(updateTag, { params: { id: 'tag1' }, body: { name } });
+      assert.equal(res.statusCode, 400, `name ${JSON.stringify(name)}`);
+      Tag.findOne.mock.restore();
+    }
+  });
+
+  test.it('refuses a name that only differs in case from another tag', async () => {
+    const tag = existingTag();
+    const save = test.mock.method(tag, 'save', async () => tag);
+    const calls = mockFindOne(tag, { _id: 'tag2', name: 'Home' });
+
+    const res = await send(updateTag, { params: { id: 'tag1' }, body: { name: 'HOME' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(calls[1].collation, CASE_INSENSITIVE);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+test.describe('Tag model', () => {
+  test.it('makes names unique per user without case', () => {
+    const [, options] = Tag.schema.indexes().find(([fields]) => fields.name === 1);
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.collation, CASE_INSENSITIVE);
+    assert.deepEqual(Tag.NAME_COLLATION, CASE_INSENSITIVE);
+  });
+});
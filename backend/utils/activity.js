@@ -0,0 +1,189 @@
+/**
+ * Activity Helpers
+ *
+ * Records system entries in a task's comment thread when the task changes,
+ * e.g. "priority changed High → Low" or "marked completed".
+ *
+ * Usage in a controller:
+ * 1. const before = snapshotTask(task)   (before changing the task)
+ * 2. change and save the task
+ * 3. await recordTaskChanges(before, task)
+ */
+
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+
+/**
+ * Format a date for the entry text, e.g. "2024-01-05"
+ * (the frontend shows dates from entry.change in the user's own timezone)
+ */
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : 'none');
+
+/**
+ * Copy the fields we track, so they can be compared after the task changes
+ *
+ * @param {Object} task - Task document
+ * @returns {Object} Plain copy of the tracked fields
+ */
+const snapshotTask = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  priority: task.priority,
+  status: task.status,
+  statusCategory: task.statusCategory,
+  dueDate: task.dueDate ? new Date(task.dueDate) : null,
+  startDate: task.startDate ? new Date(task.startDate) : null,
+  tags: (task.tags || []).map((id) => id.toString()),
+  projectId: task.projectId ? task.projectId.toString() : null,
+  rule: task.recurrence ? task.recurrence.rule : null,
+  timezone: task.recurrence ? task.recurrence.timezone : null,
+});
+
+/**
+ * Describe a date field change ("due date set / changed / removed")
+ */
+const describeDateChange = (label, field, from, to) => {
+  const change = { field, from, to };
+  if (!from) return { body: `${label} set to ${formatDate(to)}`, change };
+  if (!to) return { body: `${label} removed (was ${formatDate(from)})`, change };
+  return { body: `${label} changed ${formatDate(from)} → ${formatDate(to)}`, change };
+};
+
+/**
+ * Work out the system entries for the differences between two snapshots
+ *
+ * @param {Object} before - snapshotTask() before the change
+ * @param {Object} after - snapshotTask() after the change
+ * @returns {Promise<Object[]>} Entries like { body, change: { field, from, to } }
+ */
+const describeTaskChanges = async (before, after) => {
+  const entries = [];
+  const sameTime = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+
+  if (before.title !== after.title) {
+    entries.push({
+      body: `renamed "${before.title}" → "${after.title}"`,
+      change: { field: 'title', from: before.title, to: after.title },
+    });
+  }
+
+  if (before.description !== after.description) {
+    entries.push({ body: 'description updated', change: { field: 'description' } });
+  }
+
+  if (before.priority !== after.priority) {
+    entries.push({
+      body: `priority changed ${before.priority} → ${after.priority}`,
+      change: { field: 'priority', from: before.priority, to: after.priority },
+    });
+  }
+
+  if (before.status !== after.status) {
+    const wasDone = before.statusCategory === 'done';
+    const isDone = after.statusCategory === 'done';
+    // e.g. "marked completed: In Review → Completed" or "status changed Pending → In Progress"
+    let action = 'status changed';
+    if (isDone && !wasDone) action = 'marked completed:';
+    if (wasDone && !isDone) action = 'reopened:';
+    const body = `${action} ${before.status} → ${after.status}`;
+
+    entries.push({
+      body,
+      change: { field: 'status', from: before.status, to: after.status },
+    });
+  }
+
+  if (!sameTime(before.dueDate, after.dueDate)) {
+    entries.push(describeDateChange('due date', 'dueDate', before.dueDate, after.dueDate));
+  }
+
+  if (!sameTime(before.startDate, after.startDate)) {
+    entries.push(
+      describeDateChange('start date', 'startDate', before.startDate, after.startDate)
+    );
+  }
+
+  // Tags: one entry listing what was added and removed, by name
+  const added = after.tags.filter((id) => !before.tags.includes(id));
+  const removed = before.tags.filter((id) => !after.tags.includes(id));
+  if (added.length || removed.length) {
+    const tags = await Tag.find({ _id: { $in: [...added, ...removed] } }).select('name');
+    const names = (ids) =>
+      ids
+        .map((id) => tags.find((tag) => tag._id.toString() === id))
+        .filter(Boolean)
+        .map((tag) => `#${tag.name}`)
+        .join(', ');
+
+    const parts = [];
+    if (added.length) parts.push(`added ${names(added) || 'tags'}`);
+    if (removed.length) parts.push(`removed ${names(removed) || 'tags'}`);
+    entries.push({
+      body: `tags: ${parts.join(', ')}`,
+      change: { field: 'tags', from: before.tags, to: after.tags },
+    });
+  }
+
+  if (before.projectId !== after.projectId) {
+    const project = after.projectId
+      ? await Project.findById(after.projectId).select('name')
+      : null;
+    entries.push({
+      body: project ? `moved to project "${project.name}"` : 'moved to the Inbox',
+      change: { field: 'projectId', from: before.projectId, to: after.projectId },
+    });
+  }
+
+  if (before.rule !== after.rule) {
+    let body = `repeat changed to ${after.rule}`;
+    if (!before.rule) body = `set to repeat (${after.rule})`;
+    if (!after.rule) body = 'stopped repeating';
+    entries.push({
+      body,
+      change: { field: 'recurrence', from: before.rule, to: after.rule },
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Save system entries in a task's thread
+ *
+ * @param {Object} task - Task document
+ * @param {Object[]} entries - Entries like { body, change }
+ * @returns {Promise<Object[]>} The created comments
+ */
+const recordActivity = async (task, entries) => {
+  if (entries.length === 0) return [];
+
+  return Comment.insertMany(
+    entries.map((entry) => ({
+      taskId: task._id,
+      userId: task.userId,
+      type: 'system',
+      body: entry.body,
+      change: entry.change || null,
+    }))
+  );
+};
+
+/**
+ * Record everything that changed since the snapshot was taken
+ *
+ * @param {Object} before - snapshotTask() before the change
+ * @param {Object} task - Task document after saving
+ * @param {Object[]} extraEntries - More entries to add (e.g. about subtasks)
+ * @returns {Promise<Object[]>} The created comments
+ */
+const recordTaskChanges = async (before, task, extraEntries = []) => {
+  const entries = await describeTaskChanges(before, snapshotTask(task));
+  return recordActivity(task, [...entries, ...extraEntries]);
+};
+
+module.exports = {
+  snapshotTask,
+  recordActivity,
+  recordTaskChanges,
+};
@@ -0,0 +1,100 @@
+/**
+ * CSV Helpers
+ *
+ * A small CSV reader and writer for importing and exporting tasks
+ * (RFC 4180: comma-separated, fields with commas, quotes or line breaks
+ * are wrapped in double quotes, and quotes inside them are doubled).
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * Handles quoted fields (with commas, "" and line breaks inside), \n and
+ * \r\n line endings and a byte order mark at the start (Excel adds one).
+ * Empty lines are skipped.
+ *
+ * @param {string} text - CSV file content
+ * @returns {{ error: string|null, rows: string[][] }} Error message or the rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    // A line with nothing on it is not a row
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+    } else {
+      cell += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    return { error: 'The CSV file has a quoted field that is never closed', rows: [] };
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return { error: null, rows };
+};
+
+/**
+ * Format one CSV cell
+ *
+ * Cells starting with =, +, - or @ get a leading apostrophe, so spreadsheet
+ * programs show them as text instead of running them as formulas.
+ *
+ * @param {*} value - Cell value (null and undefined become an empty cell)
+ * @returns {string} The cell, quoted if needed
+ */
+const formatCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line (ends with \r\n, as RFC 4180 asks)
+ *
+ * @param {Array} values - Cell values
+ * @returns {string} The line
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvCell).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -0,0 +1,142 @@
+/**
+ * Date Helpers
+ *
+ * Small helpers for working with task dates (due dates, start dates).
+ * Keeps the date parsing and "today / this week" math out of the controllers.
+ *
+ * About timezones:
+ * The server and the user can live in different timezones, so "today" is not
+ * the same moment for both. The frontend sends its timezone offset
+ * (the value of new Date().getTimezoneOffset(), in minutes) and we use it
+ * to work out where the user's day and week start.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// The due-date slices that GET /api/tasks?due=<slice> understands
+const DUE_FILTERS = ['overdue', 'today', 'week'];
+
+/**
+ * Parse an optional date value from a request body
+ *
+ * Accepts anything new Date() understands (e.g. "2024-01-31" or an ISO string).
+ * null and "" mean "no date", so a date can be cleared on update.
+ *
+ * @param {*} value - Raw value from req.body
+ * @returns {{ valid: boolean, date: Date|null }} Parsed date, or valid: false if unparseable
+ */
+const parseOptionalDate = (value) => {
+  if (value === null || value === '') {
+    return { valid: true, date: null };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { valid: false, date: null };
+  }
+
+  return { valid: true, date };
+};
+
+/**
+ * Parse the timezone offset sent by the frontend
+ *
+ * @param {*} value - Offset in minutes (same sign as Date.getTimezoneOffset())
+ * @param {Date} now - Used for the server's own offset when none is sent
+ * @returns {number|null} Offset in minutes, or null if the value is invalid
+ */
+const parseTimezoneOffset = (value, now = new Date()) => {
+  if (value === undefined || value === '') {
+    return now.getTimezoneOffset();
+  }
+
+  const offset = Number(value);
+  // Real-world offsets are between UTC-12 and UTC+14
+  if (!Number.isInteger(offset) || offset < -14 * 60 || offset > 12 * 60) {
+    return null;
+  }
+
+  return offset;
+};
+
+/**
+ * Get midnight (the start of the day) in the user's timezone
+ *
+ * @param {Date} date - Any moment during the day
+ * @param {number} tzOffset - Timezone offset in minutes
+ * @returns {Date} The moment the user's day started
+ */
+const startOfDay = (date, tzOffset) => {
+  // Shift the moment so its UTC fields show the user's wall-clock time,
+  // cut it down to midnight, then shift it back
+  const shifted = new Date(date.getTime() - tzOffset * MS_PER_MINUTE);
+  shifted.setUTCHours(0, 0, 0, 0);
+  return new Date(shifted.getTime() + tzOffset * MS_PER_MINUTE);
+};
+
+/**
+ * Add a number of days to a date
+ *
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (can be negative)
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+  return new Date(date.getTime() + days * 24 * 60 * MS_PER_MINUTE);
+};
+
+/**
+ * Turn a timezone offset into the "+hh:mm" form MongoDB's date operators use
+ *
+ * getTimezoneOffset() counts the other way round: -60 means UTC+1.
+ *
+ * @param {number} tzOffset - Timezone offset in minutes
+ * @returns {string} e.g. "+01:00" for tzOffset -60
+ */
+const toUtcOffsetString = (tzOffset) => {
+  const minutes = Math.abs(tzOffset);
+  const sign = tzOffset > 0 ? '-' : '+';
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${sign}${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Build the MongoDB query for a due-date slice
+ *
+ * - overdue: tasks that are not done and whose due date has already passed
+ * - today:   tasks due at any time during the user's current day
+ * - week:    tasks due from today until the end of Sunday
+ *
+ * @param {string} slice - One of DUE_FILTERS
+ * @param {number} tzOffset - Timezone offset in minutes
+ * @param {Date} now - Current time (can be passed in for testing)
+ * @returns {Object|null} Query conditions, or null for an unknown slice
+ */
+const buildDueFilter = (slice, tzOffset, now = new Date()) => {
+  const today = startOfDay(now, tzOffset);
+
+  switch (slice) {
+    case 'overdue':
+      return { dueDate: { $lt: now }, statusCategory: { $ne: 'done' } };
+    case 'today':
+      return { dueDate: { $gte: today, $lt: addDays(today, 1) } };
+    case 'week': {
+      // getUTCDay() of the shifted date is the user's weekday (0 = Sunday)
+      const weekday = new Date(today.getTime() - tzOffset * MS_PER_MINUTE).getUTCDay();
+      const daysUntilMonday = ((7 - weekday) % 7) + 1;
+      return { dueDate: { $gte: today, $lt: addDays(today, daysUntilMonday) } };
+    }
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  DUE_FILTERS,
+  parseOptionalDate,
+  parseTimezoneOffset,
+  startOfDay,
+  addDays,
+  toUtcOffsetString,
+  buildDueFilter,
+};
@@ -0,0 +1,151 @@
+/**
+ * Dependency Helpers
+ *
+ * Tasks can be "blocked by" other tasks of the same user (Task.blockedBy).
+ * The other direction ("blocks") is not stored: task A blocks task B when
+ * A's ID is in B's blockedBy list.
+ *
+ * Task.blockedCount stores how many of a task's blockers are still pending,
+ * i.e. not in a "done" status (trashed blockers do not count), so blocked tasks can be filtered and
+ * counted without extra lookups.
+ * Call refreshBlockedCounts() / refreshDependents() whenever a link is added
+ * or removed, or a blocker is completed, reopened, trashed, restored or deleted.
+ */
+
+const Task = require('../models/Task');
+
+/**
+ * Check whether "taskId is blocked by blockerId" would create a cycle
+ *
+ * That happens when blockerId already waits (directly or through other
+ * tasks) for taskId, e.g. A blocked by B, B blocked by C, then C blocked by A.
+ * Walks the blockedBy links from the blocker one level at a time.
+ *
+ * @param {string} taskId - Task that would be blocked
+ * @param {string} blockerId - Task that would block it
+ * @param {Function} loadBlockedBy - async (ids) => [{ _id, blockedBy }] for those tasks
+ * @returns {Promise<string[]|null>} The cycle as a list of task IDs
+ *   (taskId, blockerId, ..., taskId), or null if there is no cycle
+ */
+const findDependencyCycle = async (taskId, blockerId, loadBlockedBy) => {
+  const target = taskId.toString();
+  const start = blockerId.toString();
+  if (start === target) return [target, target];
+
+  // How we reached each task, to rebuild the path at the end
+  const reachedFrom = new Map([[start, null]]);
+  let frontier = [start];
+
+  while (frontier.length > 0) {
+    const tasks = await loadBlockedBy(frontier);
+    const next = [];
+
+    for (const task of tasks) {
+      for (const id of task.blockedBy.map(String)) {
+        if (reachedFrom.has(id)) continue;
+        reachedFrom.set(id, task._id.toString());
+
+        if (id === target) {
+          // Rebuild blockerId → ... → taskId, then close the loop
+          const path = [];
+          for (let step = id; step !== null; step = reachedFrom.get(step)) {
+            path.unshift(step);
+          }
+          return [target, ...path];
+        }
+        next.push(id);
+      }
+    }
+
+    frontier = next;
+  }
+
+  return null;
+};
+
+/**
+ * Load the blockedBy lists of some of a user's tasks (for findDependencyCycle)
+ *
+ * Trashed tasks are included: their links come back when they are restored.
+ *
+ * @param {string} userId - The logged-in user's ID
+ * @returns {Function} async (ids) => tasks with _id and blockedBy
+ */
+const blockedByLoader = (userId) => (ids) =>
+  Task.find({ _id: { $in: ids }, userId }).select('blockedBy');
+
+/**
+ * Recalculate blockedCount for some tasks
+ *
+ * Uses updateOne without timestamps: a blocker finishing does not count as
+ * editing the tasks it was blocking.
+ *
+ * @param {Array} taskIds - IDs of the tasks to update
+ */
+const refreshBlockedCounts = async (taskIds) => {
+  if (taskIds.length === 0) return;
+
+  const tasks = await Task.find({ _id: { $in: taskIds } }).select('blockedBy');
+  if (tasks.length === 0) return;
+
+  const blockerIds = [...new Set(tasks.flatMap((task) => task.blockedBy.map(String)))];
+  const pending = new Set(
+    (
+      await Task.find({
+        _id: { $in: blockerIds },
+        statusCategory: { $ne: 'done' },
+        deletedAt: null,
+      }).distinct('_id')
+    ).map(String)
+  );
+
+  await Task.bulkWrite(
+    tasks.map((task) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: {
+          $set: {
+            blockedCount: task.blockedBy.filter((id) => pending.has(id.toString())).length,
+          },
+        },
+        timestamps: false,
+      },
+    }))
+  );
+};
+
+/**
+ * Recalculate blockedCount for every task blocked by the given tasks
+ * (after they were completed, reopened, trashed or restored)
+ *
+ * @param {Array} blockerIds - IDs of the blocking tasks
+ */
+const refreshDependents = async (blockerIds) => {
+  const dependentIds = await Task.find({ blockedBy: { $in: blockerIds } }).distinct('_id');
+  await refreshBlockedCounts(dependentIds);
+};
+
+/**
+ * Remove deleted tasks from every blockedBy list and update the counts
+ *
+ * @param {Array} taskIds - IDs of the deleted tasks
+ */
+const unlinkDeletedTasks = async (taskIds) => {
+  const dependentIds = await Task.find({ blockedBy: { $in: taskIds } }).distinct('_id');
+  if (dependentIds.length === 0) return;
+
+  await Task.updateMany(
+    { _id: { $in: dependentIds } },
+    { $pull: { blockedBy: { $in: taskIds } } },
+    { timestamps: false }
+  );
+  await refreshBlockedCounts(dependentIds);
+};
+
+module.exports = {
+  findDependencyCycle,
+  blockedByLoader,
+  refreshBlockedCounts,
+  refreshDependents,
+  unlinkDeletedTasks,
+};
@@ -0,0 +1,150 @@
+/**
+ * Email Verification Helpers
+ *
+ * New accounts start with an unverified email. Registering sends an email
+ * with a link; opening it (GET /api/auth/verify/:token) marks the email as
+ * verified. Like the other secret links, only the token's hash is stored.
+ *
+ * What an unverified account may do is set with UNVERIFIED_ACCESS:
+ * - "full": use the app like a verified account
+ * - "read-only" (default): log in and look, but not change anything
+ * - "none": not log in at all until the email is verified
+ */
+
+const User = require('../models/User');
+const { generateSecretToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+const { buildVerificationEmail } = require('./emails');
+const { readPositiveNumber } = require('./env');
+
+const ACCESS_LEVELS = ['full', 'read-only', 'none'];
+const DEFAULT_ACCESS = 'read-only';
+
+const DEFAULT_VERIFICATION_HOURS = 24;
+const DEFAULT_RESEND_SECONDS = 60;
+
+// Loose on purpose: the verification email is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Check that an email address is well-formed
+ *
+ * @param {string} email - Email address
+ * @returns {boolean} True if it looks like an email address
+ */
+const isValidEmail = (email) =>
+  typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(email);
+
+/**
+ * What unverified accounts may do (UNVERIFIED_ACCESS, default "read-only")
+ *
+ * @returns {string} "full", "read-only" or "none"
+ */
+const getUnverifiedAccess = () => {
+  const value = process.env.UNVERIFIED_ACCESS;
+  return ACCESS_LEVELS.includes(value) ? value : DEFAULT_ACCESS;
+};
+
+/**
+ * Hours a verification link works (EMAIL_VERIFICATION_HOURS, default 24)
+ */
+const getVerificationHours = () =>
+  readPositiveNumber(process.env.EMAIL_VERIFICATION_HOURS, DEFAULT_VERIFICATION_HOURS);
+
+/**
+ * Seconds to wait before another verification email can be sent
+ * (VERIFICATION_RESEND_SECONDS, default 60)
+ */
+const getResendSeconds = () =>
+  readPositiveNumber(process.env.VERIFICATION_RESEND_SECONDS, DEFAULT_RESEND_SECONDS);
+
+/**
+ * Send a verification link to an address of a user
+ *
+ * The new link replaces any earlier one. Sending errors are logged, not
+ * thrown: the user can ask for the email again.
+ *
+ * @param {string} userId - The user's ID
+ * @param {string} email - The address to verify (it becomes the user's email once verified)
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendVerificationEmail = async (userId, email) => {
+  const hours = getVerificationHours();
+  const token = generateSecretToken();
+  const now = new Date();
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      emailVerification: {
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000),
+        sentAt: now,
+      },
+    }
+  );
+
+  try {
+    await sendMail({ to: email, ...buildVerificationEmail(token, hours) });
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Seconds until another verification email may be sent to a user (0 = now)
+ *
+ * @param {Object} user - User with emailVerification
+ * @returns {number} Seconds to wait
+ */
+const getResendWaitSeconds = (user) => {
+  const sentAt = user.emailVerification && user.emailVerification.sentAt;
+  if (!sentAt) return 0;
+  const waitMs = sentAt.getTime() + getResendSeconds() * 1000 - Date.now();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+/**
+ * Check a verification token and mark its address as the user's verified email
+ *
+ * The token is cleared in the same step, so a link works only once.
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object|null>} The updated user, or null if the link is
+ *   unknown or has expired
+ */
+const verifyEmailToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const user = await User.findOne({
+    'emailVerification.tokenHash': tokenHash,
+    'emailVerification.expiresAt': { $gt: new Date() },
+  }).select('emailVerification');
+  if (!user) return null;
+
+  return User.findOneAndUpdate(
+    { _id: user._id, 'emailVerification.tokenHash': tokenHash },
+    {
+      $set: {
+        email: user.emailVerification.email,
+        emailVerified: true,
+        emailVerification: null,
+      },
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  isValidEmail,
+  getUnverifiedAccess,
+  getVerificationHours,
+  getResendSeconds,
+  sendVerificationEmail,
+  getResendWaitSeconds,
+  verifyEmailToken,
+};
@@ -0,0 +1,69 @@
+/**
+ * Email Templates
+ *
+ * The texts of the emails the app sends (sent with utils/mailer.js).
+ * Links in emails point to the frontend (APP_URL), which calls the API.
+ */
+
+const DEFAULT_APP_URL = 'http://localhost:3000';
+
+/**
+ * Build a link to a page of the frontend
+ *
+ * @param {string} pathname - Page path, e.g. "/reset-password"
+ * @param {Object} params - Query parameters
+ * @returns {string} The link
+ */
+const buildAppLink = (pathname, params) => {
+  const base = (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/+$/, '');
+  return `${base}${pathname}?${new URLSearchParams(params)}`;
+};
+
+/**
+ * The password reset email
+ *
+ * @param {string} token - The reset token (only ever sent in this email)
+ * @param {number} minutes - How long the link works
+ * @returns {{ subject: string, text: string }} Subject and text
+ */
+const buildPasswordResetEmail = (token, minutes) => ({
+  subject: 'Reset your Task Tracker password',
+  text: [
+    'Hi,',
+    '',
+    'Someone (hopefully you) asked to reset the password of your Task Tracker account.',
+    'Open this link to choose a new password:',
+    '',
+    buildAppLink('/reset-password', { token }),
+    '',
+    `The link works once, for ${minutes} minutes.`,
+    'If you did not ask for this, you can ignore this email: your password stays the same.',
+  ].join('\n'),
+});
+
+/**
+ * The email verification email
+ *
+ * @param {string} token - The verification token (only ever sent in this email)
+ * @param {number} hours - How long the link works
+ * @returns {{ subject: string, text: string }} Subject and text
+ */
+const buildVerificationEmail = (token, hours) => ({
+  subject: 'Verify your Task Tracker email address',
+  text: [
+    'Hi,',
+    '',
+    'Please confirm that this is your email address by opening this link:',
+    '',
+    buildAppLink('/verify-email', { token }),
+    '',
+    `The link works for ${hours} hours.`,
+    'If you did not create a Task Tracker account, you can ignore this email.',
+  ].join('\n'),
+});
+
+module.exports = {
+  buildAppLink,
+  buildPasswordResetEmail,
+  buildVerificationEmail,
+};
@@ -0,0 +1,27 @@
+/**
+ * Environment Helpers
+ *
+ * Reading optional settings from environment variables (see env.template).
+ * A missing, empty or invalid value falls back to the default, so a typo in
+ * .env never stops the server.
+ */
+
+/**
+ * Read a positive number from an environment variable
+ *
+ * @param {string|undefined} value - The variable's value, e.g. process.env.ACCESS_TOKEN_MINUTES
+ * @param {number} fallback - Default when the value is missing or invalid
+ * @param {Object} options
+ * @param {boolean} options.allowZero - Also accept 0 (e.g. "0 = never")
+ * @returns {number} The number, or the fallback
+ */
+const readPositiveNumber = (value, fallback, { allowZero = false } = {}) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return number > 0 || (allowZero && number === 0) ? number : fallback;
+};
+
+module.exports = {
+  readPositiveNumber,
+};
@@ -0,0 +1,218 @@
+/**
+ * iCalendar Helpers
+ *
+ * Writes tasks in the iCalendar format (RFC 5545, ".ics" files) that
+ * calendar apps read from the calendar feed:
+ * - Every task is a VTODO (a to-do, shown by apps with task lists)
+ * - Tasks with a due date are also a VEVENT: an all-day event on the due
+ *   day, because many calendar apps only show events
+ *
+ * UIDs are built from the task ID, so an app recognizes a task again on
+ * every refresh and updates it instead of adding a copy.
+ */
+
+const { toWallClock } = require('./recurrence');
+
+const PRODUCT_ID = '-//Task Tracker//Task Feed//EN';
+
+// Domain part of the UIDs (any fixed text works, it only has to be unique to us)
+const UID_DOMAIN = 'task-tracker';
+
+// Entry types the feed can contain
+const ENTRY_TYPES = ['all', 'todo', 'event'];
+
+// iCalendar priority: 1 = highest, 9 = lowest (1-4 high, 5 medium, 6-9 low)
+const PRIORITY_MAP = { High: 1, Medium: 5, Low: 9 };
+
+// VTODO status per status category
+const TODO_STATUS_MAP = {
+  todo: 'NEEDS-ACTION',
+  'in-progress': 'IN-PROCESS',
+  done: 'COMPLETED',
+};
+
+// Lines longer than this many bytes are folded onto continuation lines
+const MAX_LINE_BYTES = 75;
+
+/**
+ * Escape text for a TEXT value (backslashes, commas, semicolons, line breaks)
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line: lines may be at most 75 bytes long, longer ones go
+ * on in lines starting with a space (multi-byte characters are never split)
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, ending with CRLF
+ */
+const foldLine = (line) => {
+  let folded = '';
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (bytes + size > MAX_LINE_BYTES) {
+      folded += `${current}\r\n`;
+      current = ` ${char}`;
+      bytes = 1 + size;
+    } else {
+      current += char;
+      bytes += size;
+    }
+  }
+
+  return `${folded}${current}\r\n`;
+};
+
+/**
+ * Format a moment as a UTC DATE-TIME, e.g. 20240131T093000Z
+ */
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a calendar day as a DATE, e.g. 20240131
+ *
+ * @param {Date} date - A moment in time
+ * @param {string} timezone - IANA timezone whose calendar day is used
+ * @returns {string} Date value
+ */
+const formatDate = (date, timezone) =>
+  toWallClock(new Date(date), timezone).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * The day after a DATE value (the end of an all-day event is exclusive)
+ */
+const nextDate = (value) => {
+  const day = new Date(
+    Date.UTC(Number(value.slice(0, 4)), Number(value.slice(4, 6)) - 1, Number(value.slice(6, 8)) + 1)
+  );
+  return day.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Build the lines both entry types share (summary, description, priority, tags)
+ */
+const sharedLines = (task, names) => {
+  const lines = [`SUMMARY:${escapeText(task.title)}`];
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  lines.push(`PRIORITY:${PRIORITY_MAP[task.priority] || 0}`);
+
+  const tags = (task.tags || []).map((id) => names.tags.get(String(id))).filter(Boolean);
+  if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+
+  const project = task.projectId && names.projects.get(String(task.projectId));
+  if (project) lines.push(`X-TASK-PROJECT:${escapeText(project)}`);
+  lines.push(`X-TASK-STATUS:${escapeText(task.status)}`);
+
+  return lines;
+};
+
+/**
+ * Build the VTODO of a task
+ *
+ * @param {Object} task - Task (plain object)
+ * @param {{ tags: Map, projects: Map }} names - Tag and project names by ID
+ * @returns {string[]} Content lines
+ */
+const buildTodo = (task, names) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:task-${task._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    ...sharedLines(task, names),
+    `STATUS:${TODO_STATUS_MAP[task.statusCategory] || 'NEEDS-ACTION'}`,
+  ];
+  // DUE must be later than DTSTART, so a start on the due moment itself is left out
+  if (task.startDate && (!task.dueDate || new Date(task.startDate) < new Date(task.dueDate))) {
+    lines.push(`DTSTART:${formatDateTime(task.startDate)}`);
+  }
+  if (task.dueDate) lines.push(`DUE:${formatDateTime(task.dueDate)}`);
+  if (task.statusCategory === 'done') {
+    lines.push('PERCENT-COMPLETE:100');
+    if (task.completedAt) lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+  }
+  lines.push('END:VTODO');
+  return lines;
+};
+
+/**
+ * Build the all-day VEVENT on a task's due day
+ *
+ * @param {Object} task - Task (plain object) with a due date
+ * @param {{ tags: Map, projects: Map }} names - Tag and project names by ID
+ * @param {string} timezone - IANA timezone whose calendar day is used
+ * @returns {string[]} Content lines
+ */
+const buildEvent = (task, names, timezone) => {
+  const day = formatDate(task.dueDate, timezone);
+  return [
+    'BEGIN:VEVENT',
+    `UID:task-${task._id}-due@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt || task.createdAt)}`,
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${nextDate(day)}`,
+    ...sharedLines(task, names),
+    'STATUS:CONFIRMED',
+    // Due dates do not make the user busy
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Create the writer for a calendar feed
+ *
+ * Like the task export, the feed is written a piece at a time
+ * (start, one piece per task, end).
+ *
+ * @param {Object} options - { name, type ("all", "todo" or "event"), timezone }
+ * @returns {{ start: Function, item: Function, end: Function }} Functions returning text
+ */
+const createCalendarWriter = ({ name, type, timezone }) => ({
+  start: () =>
+    [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      // Ask apps to check for changes every hour
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H',
+    ]
+      .map(foldLine)
+      .join(''),
+  item: (task, names) => {
+    const lines = [];
+    if (type !== 'event') lines.push(...buildTodo(task, names));
+    if (type !== 'todo' && task.dueDate) lines.push(...buildEvent(task, names, timezone));
+    return lines.map(foldLine).join('');
+  },
+  end: () => foldLine('END:VCALENDAR'),
+});
+
+module.exports = {
+  ENTRY_TYPES,
+  PRIORITY_MAP,
+  TODO_STATUS_MAP,
+  escapeText,
+  foldLine,
+  createCalendarWriter,
+};
@@ -0,0 +1,454 @@
+/**
+ * Import / Export Helpers
+ *
+ * Turns tasks into files (JSON, CSV or a Markdown checklist) and reads
+ * tasks back from JSON and CSV files.
+ *
+ * Exported files name tags and projects instead of using their IDs, so a
+ * file can be imported into another account. Importing reads the file's
+ * columns (CSV header or JSON keys), maps them to task fields and checks
+ * every row, so the user can preview the result before anything is saved.
+ */
+
+const { parseCsv, formatCsvRow } = require('./csv');
+const { parseOptionalDate } = require('./dates');
+const { toWallClock } = require('./recurrence');
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Longest tag and project names (same limits as the Tag and Project models)
+const MAX_TAG_NAME_LENGTH = 30;
+const MAX_PROJECT_NAME_LENGTH = 60;
+
+// Most rows one import may have
+const MAX_IMPORT_ROWS = 1000;
+
+// ==================== Export ====================
+
+// File types GET /api/tasks/export can write
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+};
+
+// Columns of an exported CSV file, in order
+const CSV_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'startDate',
+  'tags',
+  'project',
+  'recurrence',
+  'createdAt',
+  'completedAt',
+];
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Turn a task into the record that is written to the file
+ *
+ * @param {Object} task - Task (plain object from a lean query)
+ * @param {{ tags: Map, projects: Map }} names - Tag and project names by ID
+ * @returns {Object} Export record
+ */
+const toExportRecord = (task, names) => ({
+  id: String(task._id),
+  title: task.title,
+  description: task.description || '',
+  status: task.status,
+  statusCategory: task.statusCategory,
+  priority: task.priority,
+  dueDate: toIsoString(task.dueDate),
+  startDate: toIsoString(task.startDate),
+  tags: (task.tags || []).map((id) => names.tags.get(String(id))).filter(Boolean),
+  project: (task.projectId && names.projects.get(String(task.projectId))) || null,
+  subtasks: [...(task.subtasks || [])]
+    .sort((a, b) => a.order - b.order)
+    .map((subtask) => ({ title: subtask.title, done: subtask.done })),
+  recurrence: task.recurrence
+    ? { rule: task.recurrence.rule, timezone: task.recurrence.timezone }
+    : null,
+  createdAt: toIsoString(task.createdAt),
+  completedAt: toIsoString(task.completedAt),
+});
+
+/**
+ * Format a date as YYYY-MM-DD on the user's calendar
+ */
+const formatDay = (date, timezone) => toWallClock(new Date(date), timezone).toISOString().slice(0, 10);
+
+/**
+ * Format one task as a Markdown checklist item, with its description and
+ * subtasks indented below it
+ */
+const formatMarkdownItem = (record, timezone) => {
+  const details = [record.status, `${record.priority} priority`];
+  if (record.dueDate) details.push(`due ${formatDay(record.dueDate, timezone)}`);
+  if (record.project) details.push(`project: ${record.project}`);
+  if (record.tags.length > 0) details.push(record.tags.map((tag) => `#${tag}`).join(' '));
+
+  const done = record.statusCategory === 'done' ? 'x' : ' ';
+  const lines = [`- [${done}] ${record.title.replace(/\s*\n\s*/g, ' ')} (${details.join(' · ')})`];
+
+  if (record.description) {
+    record.description.split(/\r?\n/).forEach((line) => {
+      lines.push(line ? `  ${line}` : '');
+    });
+  }
+  record.subtasks.forEach((subtask) => {
+    lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.title}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Create the writer for an export format
+ *
+ * The export is written a piece at a time (the file's start, one piece per
+ * task, the file's end), so large exports never sit in memory as a whole.
+ *
+ * @param {string} format - "json", "csv" or "md"
+ * @param {string} timezone - IANA timezone for the dates in Markdown files
+ * @returns {{ start: Function, item: Function, end: Function }} Functions returning text
+ */
+const createExportWriter = (format, timezone) => {
+  if (format === 'csv') {
+    return {
+      start: () => formatCsvRow(CSV_COLUMNS),
+      item: (record) =>
+        formatCsvRow(
+          CSV_COLUMNS.map((column) => {
+            if (column === 'tags') return record.tags.join(', ');
+            if (column === 'recurrence') return record.recurrence && record.recurrence.rule;
+            return record[column];
+          })
+        ),
+      end: () => '',
+    };
+  }
+
+  if (format === 'md') {
+    return {
+      start: () => `# Tasks\n\nExported on ${formatDay(new Date(), timezone)}\n\n`,
+      item: (record) => formatMarkdownItem(record, timezone),
+      end: () => '',
+    };
+  }
+
+  // JSON: an array with one task per line
+  return {
+    start: () => '[\n',
+    item: (record, index) => `${index > 0 ? ',\n' : ''}  ${JSON.stringify(record)}`,
+    end: (count) => (count > 0 ? '\n]\n' : ']\n'),
+  };
+};
+
+// ==================== Import ====================
+
+// Task fields an import can fill
+const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'startDate',
+  'tags',
+  'project',
+];
+
+// Column names recognized for each field (compared without case, spaces or punctuation)
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'task', 'taskname', 'summary', 'subject'],
+  description: ['description', 'notes', 'note', 'details', 'body'],
+  status: ['status', 'state', 'column'],
+  priority: ['priority', 'importance'],
+  dueDate: ['duedate', 'due', 'deadline', 'dueon', 'dueat'],
+  startDate: ['startdate', 'start', 'starton', 'startat'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  project: ['project', 'projectname', 'list'],
+};
+
+const normalizeColumnName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read the rows of an import file
+ *
+ * CSV files need a header row with the column names. JSON files hold an
+ * array of task objects (like the JSON export), or { tasks: [...] }.
+ *
+ * @param {string} format - "csv" or "json"
+ * @param {string} content - File content
+ * @returns {{ error: string|null, columns: string[], records: Object[] }} Error message, or
+ *   the column names and the rows ({ row, values }, values by column; null if not an object)
+ */
+const readImportFile = (format, content) => {
+  const fail = (error) => ({ error, columns: [], records: [] });
+  let columns = [];
+  let records = [];
+
+  if (format === 'csv') {
+    const { error, rows } = parseCsv(content);
+    if (error) return fail(error);
+    if (rows.length === 0) return fail('The file is empty');
+
+    columns = rows[0].map((name, index) => name.trim() || `Column ${index + 1}`);
+    if (new Set(columns).size !== columns.length) {
+      return fail('The column names in the first row must be unique');
+    }
+
+    // Row numbers count the header as row 1, like a spreadsheet
+    records = rows.slice(1).map((cells, index) => {
+      const values = {};
+      columns.forEach((column, columnIndex) => {
+        // Undo the apostrophe the CSV export puts in front of formula-like text
+        values[column] = (cells[columnIndex] || '').replace(/^'(?=[=+\-@])/, '');
+      });
+      return { row: index + 2, values };
+    });
+    // Spreadsheets often save blank rows as a line of commas
+    records = records.filter(({ values }) => Object.values(values).some((value) => value.trim()));
+  } else {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return fail('The file is not valid JSON');
+    }
+
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.tasks) && data.tasks;
+    if (!items) return fail('The JSON file must contain an array of tasks');
+
+    const seen = new Set();
+    records = items.map((item, index) => {
+      const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+      if (isObject) {
+        Object.keys(item).forEach((key) => {
+          if (!seen.has(key)) {
+            seen.add(key);
+            columns.push(key);
+          }
+        });
+      }
+      return { row: index + 1, values: isObject ? item : null };
+    });
+  }
+
+  if (records.length === 0) return fail('The file has no tasks');
+  if (records.length > MAX_IMPORT_ROWS) {
+    return fail(`An import can have at most ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  return { error: null, columns, records };
+};
+
+/**
+ * Work out which column fills which task field
+ *
+ * Columns are matched by name first (e.g. "Due" or "Deadline" fill dueDate);
+ * the mapping sent by the user then overrides single fields
+ * (a column name, or null to leave the field empty).
+ *
+ * @param {string[]} columns - Column names of the file
+ * @param {*} requested - Raw value of req.body.mapping (optional)
+ * @returns {{ error: string|null, mapping: Object }} Error message or the column per field
+ */
+const resolveMapping = (columns, requested) => {
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS.forEach((field) => {
+    const column = columns.find(
+      (name) => !used.has(name) && FIELD_ALIASES[field].includes(normalizeColumnName(name))
+    );
+    mapping[field] = column || null;
+    if (column) used.add(column);
+  });
+
+  if (requested !== undefined && requested !== null) {
+    if (typeof requested !== 'object' || Array.isArray(requested)) {
+      return { error: 'Mapping must be an object of field: column name', mapping };
+    }
+
+    for (const [field, column] of Object.entries(requested)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        return { error: `Mapping fields must be one of: ${IMPORT_FIELDS.join(', ')}`, mapping };
+      }
+      if (column !== null && column !== '' && !columns.includes(column)) {
+        return { error: `The file has no column "${column}"`, mapping };
+      }
+      mapping[field] = column || null;
+    }
+  }
+
+  if (!mapping.title) {
+    return { error: 'Choose the column that holds the task titles', mapping };
+  }
+
+  return { error: null, mapping };
+};
+
+/**
+ * Read one cell as text (numbers and booleans are turned into text)
+ * Returns null for values that cannot be text, like objects.
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return null;
+};
+
+/**
+ * Read the tag names of a cell: a list separated by commas or semicolons,
+ * or (in JSON files) an array of names. A leading "#" is dropped.
+ */
+const parseTagNames = (value) => {
+  let names;
+  if (Array.isArray(value)) {
+    names = value.map(cellText);
+    if (names.includes(null)) return null;
+  } else {
+    const text = cellText(value);
+    if (text === null) return null;
+    names = text.split(/[,;]/);
+  }
+
+  const unique = new Map();
+  names
+    .map((name) => name.trim().replace(/^#/, '').trim())
+    .filter(Boolean)
+    .forEach((name) => {
+      if (!unique.has(name.toLowerCase())) unique.set(name.toLowerCase(), name);
+    });
+  return [...unique.values()];
+};
+
+/**
+ * Check one row of an import file and turn it into task values
+ *
+ * Priorities and statuses are matched without case (a status can also be
+ * given by its category, e.g. "done"); empty cells get the same defaults
+ * as a new task (Medium priority, the first "todo" status).
+ * Tags and projects are matched by name and the missing ones are marked
+ * as new (they are created when the import runs).
+ *
+ * @param {Object|null} values - The row's values by column
+ * @param {Object} mapping - Column per task field
+ * @param {Object} context - { workflow, tags: Map, projects: Map } (lower-case name → document)
+ * @returns {{ errors: string[], task: Object|null }} Problems with the row, and the task values
+ *   ({ title, description, status, statusCategory, priority, dueDate, startDate,
+ *   tags: [names], newTags: [names], project, newProject })
+ */
+const validateImportRow = (values, mapping, context) => {
+  if (!values) {
+    return { errors: ['Each task must be an object'], task: null };
+  }
+
+  const errors = [];
+  const read = (field) => {
+    const raw = mapping[field] ? values[mapping[field]] : undefined;
+    const text = cellText(raw);
+    if (text === null) errors.push(`${field} must be text`);
+    return text === null ? '' : text;
+  };
+
+  const title = read('title');
+  if (!title) errors.push('Title is required');
+
+  const description = read('description');
+
+  const priorityText = read('priority');
+  const priority = priorityText
+    ? PRIORITIES.find((name) => name.toLowerCase() === priorityText.toLowerCase())
+    : 'Medium';
+  if (!priority) errors.push(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+
+  const { workflow } = context;
+  const statusText = read('status');
+  const statusKey = statusText.toLowerCase();
+  const status = statusText
+    ? workflow.find((item) => item.name.toLowerCase() === statusKey) ||
+      workflow.find((item) => item.category === statusKey)
+    : workflow.find((item) => item.category === 'todo');
+  if (!status) {
+    errors.push(`Status must be one of: ${workflow.map((item) => item.name).join(', ')}`);
+  }
+
+  const dates = {};
+  ['dueDate', 'startDate'].forEach((field) => {
+    const raw = mapping[field] ? values[mapping[field]] : null;
+    const { valid, date } = parseOptionalDate(typeof raw === 'string' ? raw.trim() : raw);
+    if (!valid || (raw !== null && typeof raw === 'object') || typeof raw === 'boolean') {
+      errors.push(`${field} must be a valid date`);
+    }
+    dates[field] = valid ? date : null;
+  });
+  if (dates.dueDate && dates.startDate && dates.startDate > dates.dueDate) {
+    errors.push('Start date cannot be after the due date');
+  }
+
+  const tagNames = mapping.tags ? parseTagNames(values[mapping.tags]) : [];
+  if (tagNames === null) errors.push('tags must be text or a list of names');
+  const tags = [];
+  const newTags = [];
+  (tagNames || []).forEach((name) => {
+    const existing = context.tags.get(name.toLowerCase());
+    if (existing) {
+      tags.push(existing.name);
+    } else if (name.length > MAX_TAG_NAME_LENGTH) {
+      errors.push(`Tag "${name}" is longer than ${MAX_TAG_NAME_LENGTH} characters`);
+    } else {
+      tags.push(name);
+      newTags.push(name);
+    }
+  });
+
+  const projectText = read('project');
+  const existingProject = projectText ? context.projects.get(projectText.toLowerCase()) : null;
+  if (projectText && !existingProject && projectText.length > MAX_PROJECT_NAME_LENGTH) {
+    errors.push(`Project name is longer than ${MAX_PROJECT_NAME_LENGTH} characters`);
+  }
+
+  return {
+    errors,
+    task: {
+      title,
+      description,
+      status: status ? status.name : statusText,
+      statusCategory: status ? status.category : null,
+      priority: priority || priorityText,
+      dueDate: dates.dueDate,
+      startDate: dates.startDate,
+      tags,
+      newTags,
+      project: existingProject ? existingProject.name : projectText || null,
+      newProject: Boolean(projectText && !existingProject),
+    },
+  };
+};
+
+/**
+ * Key used to find duplicates: the same title (ignoring case) and due date
+ */
+const duplicateKey = (title, dueDate) =>
+  `${title.trim().toLowerCase()}|${dueDate ? new Date(dueDate).toISOString() : ''}`;
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  toExportRecord,
+  createExportWriter,
+  readImportFile,
+  resolveMapping,
+  validateImportRow,
+  duplicateKey,
+};
@@ -0,0 +1,86 @@
+/**
+ * Login Lockout Helpers
+ *
+ * Failed logins are counted per account (by email, also for emails without
+ * an account, so the answers do not tell which accounts exist). After
+ * LOGIN_LOCK_AFTER failures (default 5) the account is locked for
+ * LOGIN_LOCK_SECONDS (default 30); every further failure doubles the lock,
+ * up to LOGIN_LOCK_MAX_MINUTES (default 60). While locked, even the right
+ * password is refused.
+ *
+ * A successful login or a password reset clears the failures; otherwise
+ * they are forgotten a day after the first one.
+ */
+
+const { getRateLimitStore } = require('./rateLimit');
+const { readPositiveNumber } = require('./env');
+
+const DEFAULT_LOCK_AFTER = 5;
+const DEFAULT_LOCK_SECONDS = 30;
+const DEFAULT_LOCK_MAX_MINUTES = 60;
+
+// Failures are counted in windows of a day
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The counter key of an account's failed logins
+ */
+const failureKey = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+
+/**
+ * Seconds an account is locked after a number of failed logins (0 = not locked)
+ *
+ * @param {number} failures - Failed logins so far
+ * @returns {number} Seconds
+ */
+const getLockSeconds = (failures) => {
+  const lockAfter = Math.ceil(readPositiveNumber(process.env.LOGIN_LOCK_AFTER, DEFAULT_LOCK_AFTER));
+  if (failures < lockAfter) return 0;
+
+  const baseSeconds = readPositiveNumber(process.env.LOGIN_LOCK_SECONDS, DEFAULT_LOCK_SECONDS);
+  const maxSeconds =
+    readPositiveNumber(process.env.LOGIN_LOCK_MAX_MINUTES, DEFAULT_LOCK_MAX_MINUTES) * 60;
+  return Math.ceil(Math.min(baseSeconds * 2 ** (failures - lockAfter), maxSeconds));
+};
+
+/**
+ * Seconds until an account may try to log in again (0 = now)
+ *
+ * @param {string} email - The email the login is for
+ * @returns {Promise<number>} Seconds to wait
+ */
+const getLoginLockWait = async (email) => {
+  const record = await getRateLimitStore().get(failureKey(email));
+  if (!record) return 0;
+
+  const lockedUntil = record.lastAt.getTime() + getLockSeconds(record.count) * 1000;
+  const waitMs = lockedUntil - Date.now();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+/**
+ * Count a failed login
+ *
+ * @param {string} email - The email the login was for
+ * @returns {Promise<number>} Seconds the account is now locked (0 = not locked)
+ */
+const recordLoginFailure = async (email) => {
+  const record = await getRateLimitStore().hit(failureKey(email), FAILURE_WINDOW_MS);
+  return getLockSeconds(record.count);
+};
+
+/**
+ * Forget the failed logins of an account
+ *
+ * @param {string} email - The account's email
+ */
+const clearLoginFailures = async (email) => {
+  await getRateLimitStore().reset(failureKey(email));
+};
+
+module.exports = {
+  getLockSeconds,
+  getLoginLockWait,
+  recordLoginFailure,
+  clearLoginFailures,
+};
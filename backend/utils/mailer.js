@@ -0,0 +1,160 @@
+/**
+ * Mailer
+ *
+ * Sends the emails the app needs (password reset, ...) through a transport
+ * chosen with MAIL_TRANSPORT:
+ * - "console" (default): prints the email to the server log
+ * - "file": writes every email to an .eml file in MAIL_DIR (opens in any
+ *   mail program), for trying things out locally
+ * - "smtp": sends the email through an SMTP server (SMTP_HOST, SMTP_PORT,
+ *   SMTP_SECURE, SMTP_USER, SMTP_PASS) with nodemailer. Without
+ *   SMTP_SECURE, the connection must switch to TLS (STARTTLS) before the
+ *   login is sent; SMTP_ALLOW_INSECURE=true allows plain connections (only
+ *   for local test servers)
+ *
+ * Every transport gets the same message: { from, to, subject, text }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['console', 'file', 'smtp'];
+
+const DEFAULT_FROM = 'Task Tracker <no-reply@localhost>';
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'mail');
+const DEFAULT_SMTP_PORT = 587;
+
+// Give up on an SMTP server that does not answer within this time
+const SMTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * The address part of "Name <address>" (or the whole text without brackets)
+ */
+const extractAddress = (value) => {
+  const match = /<([^>]*)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * Encode a header value that is not plain ASCII (RFC 2047)
+ */
+const encodeHeader = (value) =>
+  /^[ -~]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+/**
+ * Build the full text of an email (headers and body, RFC 5322)
+ *
+ * The body is base64-encoded, so any text and line length is safe to send.
+ *
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} The message, with CRLF line endings
+ */
+const formatMessage = ({ from, to, subject, text }) => {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'))
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+};
+
+/**
+ * Print the email to the server log
+ */
+const sendToConsole = async (mail) => {
+  console.log(
+    `📧 Email to ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n${'-'.repeat(40)}`
+  );
+};
+
+/**
+ * Write the email to an .eml file in MAIL_DIR
+ */
+const sendToFile = async (mail) => {
+  const directory = process.env.MAIL_DIR || DEFAULT_MAIL_DIR;
+  await fs.mkdir(directory, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const recipient = extractAddress(mail.to).replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(directory, `${stamp}-${recipient}.eml`);
+  await fs.writeFile(file, formatMessage(mail));
+  console.log(`📧 Email to ${mail.to} written to ${file}`);
+};
+
+/**
+ * Send the email through the SMTP server
+ */
+const sendWithSmtp = async (mail) => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set to send email with MAIL_TRANSPORT=smtp');
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = Number(process.env.SMTP_PORT) || (secure ? 465 : DEFAULT_SMTP_PORT);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure,
+    // Refuse to go on (and send the password) if the server does not offer STARTTLS
+    requireTLS: !secure && process.env.SMTP_ALLOW_INSECURE !== 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS,
+  });
+
+  try {
+    await transporter.sendMail(mail);
+  } finally {
+    transporter.close();
+  }
+};
+
+const SENDERS = {
+  console: sendToConsole,
+  file: sendToFile,
+  smtp: sendWithSmtp,
+};
+
+/**
+ * The transport chosen with MAIL_TRANSPORT (default "console")
+ */
+const getTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`MAIL_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} mail - { to, subject, text } (from defaults to MAIL_FROM)
+ * @returns {Promise<void>} Resolves once the transport has taken the email
+ */
+const sendMail = async ({ to, subject, text, from }) => {
+  const mail = { from: from || process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text };
+  await SENDERS[getTransport()](mail);
+};
+
+module.exports = {
+  TRANSPORTS,
+  formatMessage,
+  sendMail,
+};
@@ -0,0 +1,120 @@
+/**
+ * Position Helpers
+ *
+ * Users can put their tasks in any order by hand ("manual order", sorted by
+ * Task.position, smallest first). There is one order per user; filtered
+ * lists and board columns show their tasks in that same order.
+ *
+ * Positions are numbers with gaps between them (fractional indexing): moving
+ * a task only changes its own position, to the number halfway between its
+ * new neighbours. Halving the gap again and again eventually runs out of
+ * precision, so when a gap gets too small all of the user's positions are
+ * spread out again (this is rare).
+ */
+
+const Task = require('../models/Task');
+
+// Gap between tasks after spreading them out, and between a new task and the first one
+const POSITION_STEP = 1024;
+
+// Smaller gaps are spread out before placing a task in them
+const MIN_GAP = 1e-6;
+
+/**
+ * Get the position for a task that goes to the top of the user's order
+ * (new tasks start at the top, like in the default newest-first list)
+ *
+ * @param {string} userId - The task owner's ID
+ * @returns {Promise<number>} Position above the current first task
+ */
+const getTopPosition = async (userId) => {
+  const first = await Task.findOne({ userId, position: { $ne: null } })
+    .sort({ position: 1 })
+    .select('position');
+  return first ? first.position - POSITION_STEP : 0;
+};
+
+/**
+ * Spread out all of a user's positions again, keeping their order
+ * Tasks without a position (created before manual order existed) go last.
+ * Trashed tasks keep their place too, for when they are restored.
+ *
+ * @param {string} userId - The user's ID
+ */
+const spreadPositions = async (userId) => {
+  const tasks = await Task.find({ userId }).sort({ position: 1, _id: 1 }).select('position');
+  const ordered = [
+    ...tasks.filter((task) => task.position !== null),
+    ...tasks.filter((task) => task.position === null),
+  ];
+  if (ordered.length === 0) return;
+
+  // Reordering does not count as editing the tasks
+  await Task.bulkWrite(
+    ordered.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { position: index * POSITION_STEP } },
+        timestamps: false,
+      },
+    }))
+  );
+};
+
+/**
+ * Work out the position right before or after a sibling task
+ *
+ * @param {Object} task - The task that moves
+ * @param {Object} sibling - The task it is placed next to
+ * @param {string} where - "before" or "after"
+ * @returns {Promise<number|null>} New position, or null if the positions
+ *   around the sibling need to be spread out first
+ */
+const findPositionNextTo = async (task, sibling, where) => {
+  if (sibling.position === null) return null;
+
+  const others = { userId: task.userId, _id: { $nin: [task._id, sibling._id] } };
+
+  // A tie with the sibling makes "right next to it" ambiguous
+  if (await Task.exists({ ...others, position: sibling.position })) return null;
+
+  const before = where === 'before';
+  const neighbour = await Task.findOne({
+    ...others,
+    position: before ? { $lt: sibling.position } : { $gt: sibling.position },
+  })
+    .sort({ position: before ? -1 : 1 })
+    .select('position');
+
+  if (!neighbour) {
+    return sibling.position + (before ? -POSITION_STEP : POSITION_STEP);
+  }
+  if (Math.abs(sibling.position - neighbour.position) < MIN_GAP) return null;
+
+  return (sibling.position + neighbour.position) / 2;
+};
+
+/**
+ * Get the new position for a task placed before or after a sibling
+ * (spreads the user's positions out first if there is no room)
+ *
+ * @param {Object} task - The task that moves
+ * @param {Object} sibling - The task it is placed next to
+ * @param {string} where - "before" or "after"
+ * @returns {Promise<number>} New position
+ */
+const getPositionNextTo = async (task, sibling, where) => {
+  const position = await findPositionNextTo(task, sibling, where);
+  if (position !== null) return position;
+
+  await spreadPositions(task.userId);
+  const respaced = await Task.findById(sibling._id).select('userId position');
+  return findPositionNextTo(task, respaced, where);
+};
+
+module.exports = {
+  POSITION_STEP,
+  getTopPosition,
+  spreadPositions,
+  getPositionNextTo,
+};
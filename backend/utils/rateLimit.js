@@ -0,0 +1,144 @@
+/**
+ * Rate Limit Helpers
+ *
+ * Counters for rate limits and login lockouts. Each key (e.g. "auth:<ip>")
+ * is counted in a fixed time window: the first hit starts the window, and
+ * when it ends the count starts again from zero.
+ *
+ * The counts are kept in a store, chosen with RATE_LIMIT_STORE:
+ * - "memory" (default): in this server process; fast, but every server
+ *   instance counts on its own and a restart forgets the counts
+ * - "mongo": in MongoDB (models/RateLimit.js), shared by all instances
+ *
+ * Both stores have the same (async) methods:
+ * - hit(key, windowMs): count a hit, returns { count, resetAt, lastAt }
+ * - get(key): the current count, or null if there is none
+ * - reset(key): forget the key
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+// How often the memory store forgets finished windows
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Say how long to wait, for error messages ("45 seconds", "15 minutes")
+ *
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} The wait in words
+ */
+const formatWait = (seconds) => {
+  if (seconds === 1) return '1 second';
+  if (seconds < 120) return `${seconds} seconds`;
+  return `${Math.ceil(seconds / 60)} minutes`;
+};
+
+/**
+ * Seconds until a counter's window ends (at least 1)
+ *
+ * @param {{ resetAt: Date }} record - A counter from a store
+ * @returns {number} Seconds
+ */
+const secondsUntilReset = (record) =>
+  Math.max(1, Math.ceil((record.resetAt.getTime() - Date.now()) / 1000));
+
+/**
+ * Store that keeps the counts in this process
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // unref() lets the process exit even though the timer is still scheduled
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt.getTime() <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = new Date();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: new Date(now.getTime() + windowMs), lastAt: now };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      entry.lastAt = now;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.resetAt > new Date() ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Store that keeps the counts in MongoDB
+ *
+ * A hit is one atomic update, so concurrent requests (also to different
+ * server instances) are all counted.
+ */
+const createMongoStore = () => ({
+  async hit(key, windowMs) {
+    const now = new Date();
+    const running = { $gt: ['$resetAt', now] };
+    // An update pipeline, so a finished window can be restarted in the same step
+    const update = [
+      {
+        $set: {
+          count: { $cond: [running, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [running, '$resetAt', new Date(now.getTime() + windowMs)] },
+          lastAt: now,
+        },
+      },
+    ];
+
+    try {
+      return await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+      // Two first hits at the same time both try to create the counter;
+      // the one that lost counts on the counter the other one created
+      if (error.code !== 11000) throw error;
+      return RateLimit.findOneAndUpdate({ key }, update, { new: true }).lean();
+    }
+  },
+
+  async get(key) {
+    return RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+});
+
+const stores = {};
+
+/**
+ * The store chosen with RATE_LIMIT_STORE ("memory" or "mongo")
+ *
+ * @returns {Object} The store (created on first use)
+ */
+const getRateLimitStore = () => {
+  const type = process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory';
+  if (!stores[type]) {
+    stores[type] = type === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return stores[type];
+};
+
+module.exports = {
+  formatWait,
+  secondsUntilReset,
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+};
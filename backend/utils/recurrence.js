@@ -0,0 +1,406 @@
+/**
+ * Recurrence Helpers
+ *
+ * Parses RRULE-style recurrence rules and calculates the next occurrence
+ * of a recurring task.
+ *
+ * Supported rules (a small subset of the iCalendar RRULE format):
+ * - FREQ=DAILY;INTERVAL=2                   every 2 days
+ * - FREQ=WEEKLY;BYDAY=MO,WE,FR              every week on Mon, Wed and Fri
+ * - FREQ=WEEKLY;INTERVAL=2;BYDAY=TU         every other Tuesday
+ * - FREQ=MONTHLY;BYMONTHDAY=15              every month on the 15th
+ * - FREQ=MONTHLY;BYMONTHDAY=-1              every month on the last day
+ * - FREQ=DAILY;INTERVAL=3;FROM=COMPLETION   3 days after the task was completed
+ *
+ * FROM=COMPLETION is our own addition to the format: the next date is counted
+ * from the day the task was completed instead of from its due date.
+ *
+ * About timezones and daylight saving time (DST):
+ * "Every day at 9:00" means 9:00 on the user's wall clock, even when the clocks
+ * change. So all date math happens on wall-clock dates in the user's timezone
+ * (an IANA name like "Europe/Berlin") and is converted back to a real moment at the end.
+ * The time of day is stored with the rule ("time", taken from the first due
+ * date), so an occurrence that had to move because of a clock change does not
+ * move the ones after it.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Upper limit for INTERVAL, to keep schedules sensible
+const MAX_INTERVAL = 365;
+
+// Far enough from a moment to be on the other side of a clock change
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+// A time of day on the wall clock, "HH:MM" (24-hour)
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a recurrence rule string
+ *
+ * @param {string} ruleString - e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {{ error: string|null, rule: Object|null }} Error message, or the parsed rule:
+ *   { freq, interval, byDay: number[] (0 = Sunday), byMonthDay: number|null, fromCompletion }
+ */
+const parseRule = (ruleString) => {
+  if (typeof ruleString !== 'string' || !ruleString.trim()) {
+    return { error: 'Recurrence rule must be a non-empty string', rule: null };
+  }
+
+  // Split "KEY=VALUE;KEY=VALUE" into an object (an optional "RRULE:" prefix is allowed)
+  const parts = {};
+  const body = ruleString.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      return { error: `Invalid rule part "${part}"`, rule: null };
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const allowedKeys = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'FROM'];
+  const unknownKey = Object.keys(parts).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return { error: `Unsupported rule part "${unknownKey}"`, rule: null };
+  }
+
+  // FREQ is required
+  const freq = parts.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}`, rule: null };
+  }
+
+  // INTERVAL defaults to 1
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`, rule: null };
+  }
+
+  // BYDAY is only used by weekly rules
+  let byDay = [];
+  if (parts.BYDAY !== undefined) {
+    if (freq !== 'WEEKLY') {
+      return { error: 'BYDAY can only be used with FREQ=WEEKLY', rule: null };
+    }
+    const days = parts.BYDAY.split(',');
+    if (!days.every((day) => WEEKDAYS.includes(day))) {
+      return { error: 'BYDAY must be a list like MO,WE,FR', rule: null };
+    }
+    // Remove duplicates and sort (0 = Sunday ... 6 = Saturday)
+    byDay = [...new Set(days.map((day) => WEEKDAYS.indexOf(day)))].sort((a, b) => a - b);
+  }
+
+  // BYMONTHDAY is only used by monthly rules (-1 = last day of the month)
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY !== undefined) {
+    if (freq !== 'MONTHLY') {
+      return { error: 'BYMONTHDAY can only be used with FREQ=MONTHLY', rule: null };
+    }
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(byMonthDay) || byMonthDay === 0 || byMonthDay < -1 || byMonthDay > 31) {
+      return { error: 'BYMONTHDAY must be a day from 1 to 31, or -1 for the last day', rule: null };
+    }
+  }
+
+  // FROM=COMPLETION counts days from the completion date
+  let fromCompletion = false;
+  if (parts.FROM !== undefined) {
+    if (parts.FROM !== 'COMPLETION') {
+      return { error: 'FROM can only be COMPLETION', rule: null };
+    }
+    if (freq !== 'DAILY') {
+      return { error: 'FROM=COMPLETION can only be used with FREQ=DAILY', rule: null };
+    }
+    fromCompletion = true;
+  }
+
+  return {
+    error: null,
+    rule: { freq, interval, byDay, byMonthDay, fromCompletion },
+  };
+};
+
+/**
+ * Turn a parsed rule back into its canonical string form
+ *
+ * @param {Object} rule - Parsed rule from parseRule()
+ * @returns {string} e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ */
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map((day) => WEEKDAYS[day]).join(',')}`);
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.fromCompletion) parts.push('FROM=COMPLETION');
+  return parts.join(';');
+};
+
+/**
+ * Check if a string is a timezone name the runtime knows (e.g. "Europe/Berlin")
+ *
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    // Intl throws a RangeError for unknown timezones
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the wall-clock time of a moment in a timezone
+ *
+ * The result is stored in a Date's UTC fields, so the usual calendar math
+ * (Date.UTC with day/month overflow) works on it without any DST surprises.
+ *
+ * @param {Date} date - A real moment in time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} "Wall-clock date" (read it with getUTC* methods)
+ */
+const toWallClock = (date, timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  const values = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    values[type] = Number(value);
+  });
+
+  return new Date(
+    Date.UTC(
+      values.year,
+      values.month - 1,
+      values.day,
+      values.hour,
+      values.minute,
+      values.second,
+      date.getUTCMilliseconds()
+    )
+  );
+};
+
+/**
+ * Convert a wall-clock time in a timezone back to a real moment
+ *
+ * Clock changes are handled like in iCalendar (RFC 5545):
+ * - A time that happens twice (clocks fall back) is the first of the two
+ *   (01:30 is the one before the change)
+ * - A time that does not exist (the hour skipped when clocks spring forward)
+ *   is read with the offset from before the change, so it moves forward by the
+ *   length of the gap (02:30 becomes 03:30), east and west of UTC alike
+ *
+ * @param {Date} wallClock - Wall-clock date (UTC fields hold the local time)
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Real moment in time
+ */
+const fromWallClock = (wallClock, timezone) => {
+  // The timezone's offset from UTC at a moment, in milliseconds
+  const offsetAt = (date) => toWallClock(date, timezone).getTime() - date.getTime();
+
+  // The offsets before and after a clock change near this time (the same if there is none)
+  const offsetBefore = offsetAt(new Date(wallClock.getTime() - HALF_DAY_MS));
+  const offsetAfter = offsetAt(new Date(wallClock.getTime() + HALF_DAY_MS));
+
+  // The earliest moment that shows this time on the wall clock
+  const candidates = [wallClock.getTime() - offsetBefore, wallClock.getTime() - offsetAfter]
+    .sort((a, b) => a - b)
+    .map((time) => new Date(time));
+  const match = candidates.find(
+    (candidate) => toWallClock(candidate, timezone).getTime() === wallClock.getTime()
+  );
+
+  // No moment shows it: the time is in a spring-forward gap
+  return match || new Date(wallClock.getTime() - offsetBefore);
+};
+
+/**
+ * Read the wall-clock time of day of a moment, for storing with a rule
+ *
+ * @param {Date} date - A real moment in time
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} "HH:MM" (24-hour)
+ */
+const getTimeOfDay = (date, timezone) => {
+  const wallClock = toWallClock(date, timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(wallClock.getUTCHours())}:${pad(wallClock.getUTCMinutes())}`;
+};
+
+/**
+ * Set the time of day of a wall-clock date
+ *
+ * @param {Date} wallClock - Wall-clock date
+ * @param {string} time - "HH:MM" (24-hour)
+ * @returns {Date} New wall-clock date on the same day
+ */
+const setTimeOfDay = (wallClock, time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  const result = new Date(wallClock.getTime());
+  result.setUTCHours(Number(hours), Number(minutes), 0, 0);
+  return result;
+};
+
+/**
+ * Get the number of days in a month
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0 = January)
+ * @returns {number} 28 to 31
+ */
+const daysInMonth = (year, month) => {
+  // Day 0 of the next month is the last day of this month
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+/**
+ * Add days to a wall-clock date
+ *
+ * @param {Date} wallClock - Wall-clock date
+ * @param {number} days - Days to add
+ * @returns {Date} New wall-clock date (same time of day)
+ */
+const addWallClockDays = (wallClock, days) => {
+  const result = new Date(wallClock.getTime());
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * Find the first matching day after a wall-clock date (one step of the rule)
+ *
+ * @param {Object} rule - Parsed rule
+ * @param {Date} anchor - Wall-clock date to count from
+ * @returns {Date} Next wall-clock date
+ */
+const stepRule = (rule, anchor) => {
+  if (rule.freq === 'DAILY') {
+    return addWallClockDays(anchor, rule.interval);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Without BYDAY, repeat on the anchor's weekday
+    const days = rule.byDay.length > 0 ? rule.byDay : [anchor.getUTCDay()];
+
+    // Weeks start on Monday; count days from the Monday of the anchor's week
+    const anchorOffset = (anchor.getUTCDay() + 6) % 7;
+
+    for (let step = 1; step <= 7 * rule.interval + 7; step++) {
+      const candidate = addWallClockDays(anchor, step);
+      const weekIndex = Math.floor((anchorOffset + step) / 7);
+      if (weekIndex % rule.interval === 0 && days.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+  }
+
+  if (rule.freq !== 'MONTHLY') {
+    throw new Error(`Unsupported frequency: ${rule.freq}`);
+  }
+
+  // MONTHLY: without BYMONTHDAY, repeat on the anchor's day of the month
+  const targetDay = rule.byMonthDay !== null ? rule.byMonthDay : anchor.getUTCDate();
+
+  for (let months = 0; ; months += rule.interval) {
+    const year = anchor.getUTCFullYear();
+    const month = anchor.getUTCMonth() + months;
+    const lastDay = daysInMonth(year, month);
+
+    // -1 means the last day; days that don't exist (e.g. the 31st in April) use the last day
+    const day = targetDay === -1 ? lastDay : Math.min(targetDay, lastDay);
+
+    const candidate = new Date(
+      Date.UTC(
+        year,
+        month,
+        day,
+        anchor.getUTCHours(),
+        anchor.getUTCMinutes(),
+        anchor.getUTCSeconds(),
+        anchor.getUTCMilliseconds()
+      )
+    );
+    if (candidate > anchor) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Calculate the next occurrence of a recurring task
+ *
+ * - Normal rules count from the task's due date (or the completion time
+ *   if the task has no due date).
+ * - FROM=COMPLETION rules count from the completion day.
+ * - Every occurrence is at the rule's time of day (see getTimeOfDay). Without
+ *   one (tasks saved before it was stored), the due date's time of day is kept.
+ * - Occurrences that are already in the past are skipped, so finishing
+ *   a daily task a week late does not create a pile of overdue copies.
+ *
+ * @param {Object} rule - Parsed rule from parseRule()
+ * @param {Object} options
+ * @param {Date|null} options.dueDate - Due date of the instance that was completed
+ * @param {Date} options.completedAt - When it was completed
+ * @param {string} options.timezone - IANA timezone for wall-clock math (default "UTC")
+ * @param {string|null} options.time - Time of day of every occurrence, "HH:MM"
+ * @returns {Date} Due date of the next occurrence
+ */
+const getNextOccurrence = (
+  rule,
+  { dueDate = null, completedAt, timezone = 'UTC', time = null }
+) => {
+  const completedWall = toWallClock(completedAt, timezone);
+  let anchor = dueDate ? toWallClock(dueDate, timezone) : completedWall;
+  if (time && TIME_PATTERN.test(time)) {
+    anchor = setTimeOfDay(anchor, time);
+  }
+
+  if (rule.fromCompletion) {
+    // Completion day, but keep the due date's time of day (if there is one)
+    anchor = new Date(
+      Date.UTC(
+        completedWall.getUTCFullYear(),
+        completedWall.getUTCMonth(),
+        completedWall.getUTCDate(),
+        anchor.getUTCHours(),
+        anchor.getUTCMinutes(),
+        anchor.getUTCSeconds(),
+        anchor.getUTCMilliseconds()
+      )
+    );
+    return fromWallClock(stepRule(rule, anchor), timezone);
+  }
+
+  let next = stepRule(rule, anchor);
+  while (next <= completedWall) {
+    next = stepRule(rule, next);
+  }
+
+  return fromWallClock(next, timezone);
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  isValidTimezone,
+  toWallClock,
+  fromWallClock,
+  getTimeOfDay,
+  getNextOccurrence,
+};
@@ -0,0 +1,94 @@
+/**
+ * Revision Helpers
+ *
+ * Saves a TaskRevision whenever a task changes, using the same snapshots
+ * as the activity thread (see utils/activity.js):
+ * 1. const before = snapshotTask(task)   (before changing the task)
+ * 2. change and save the task
+ * 3. await recordRevision(before, task, { changedBy, action })
+ *
+ * Checklist items are not part of revisions; they are changed through
+ * their own endpoints and are left alone when a task is rolled back.
+ */
+
+const TaskRevision = require('../models/TaskRevision');
+const { snapshotTask } = require('./activity');
+
+// The task fields stored in a revision, in the order they are listed
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'status',
+  'dueDate',
+  'startDate',
+  'tags',
+  'projectId',
+  'recurrence',
+];
+
+/**
+ * Turn an activity snapshot into the values stored in a revision
+ * (the recurrence rule and timezone become one "recurrence" field)
+ *
+ * @param {Object} snapshot - From snapshotTask()
+ * @returns {Object} One value per field in REVISION_FIELDS
+ */
+const toRevisionValues = (snapshot) => ({
+  title: snapshot.title,
+  description: snapshot.description,
+  priority: snapshot.priority,
+  status: snapshot.status,
+  dueDate: snapshot.dueDate,
+  startDate: snapshot.startDate,
+  tags: snapshot.tags,
+  projectId: snapshot.projectId,
+  recurrence: snapshot.rule ? { rule: snapshot.rule, timezone: snapshot.timezone } : null,
+});
+
+/**
+ * Compare two values of a field (dates, arrays and objects by content)
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * List the fields that differ between two sets of revision values
+ *
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object[]} Changes like { field, from, to }
+ */
+const diffRevisionValues = (before, after) =>
+  REVISION_FIELDS.filter((field) => !sameValue(before[field], after[field])).map((field) => ({
+    field,
+    from: before[field],
+    to: after[field],
+  }));
+
+/**
+ * Save a revision for everything that changed since the snapshot was taken
+ *
+ * @param {Object} before - snapshotTask() before the change
+ * @param {Object} task - Task document after saving
+ * @param {Object} options - { changedBy, action, revertedFrom }
+ * @returns {Promise<Object|null>} The revision, or null if nothing changed
+ */
+const recordRevision = async (before, task, { changedBy, action, revertedFrom = null }) => {
+  const beforeValues = toRevisionValues(before);
+  const changes = diffRevisionValues(beforeValues, toRevisionValues(snapshotTask(task)));
+  if (changes.length === 0) return null;
+
+  return TaskRevision.create({
+    taskId: task._id,
+    userId: task.userId,
+    changedBy,
+    action,
+    changes,
+    before: beforeValues,
+    revertedFrom,
+  });
+};
+
+module.exports = {
+  recordRevision,
+};
@@ -0,0 +1,188 @@
+/**
+ * Search Helpers
+ *
+ * Reads the search box text for GET /api/tasks/search and builds the
+ * highlighted snippets shown with each result.
+ *
+ * Supported syntax (the same as MongoDB's $text search):
+ * - words:          report budget   (tasks with any of the words)
+ * - quoted phrases: "weekly report" (tasks must contain the exact phrase)
+ * - exclusions:     -draft          (tasks with this word are left out)
+ *
+ * MongoDB matches word stems ("reports" also finds "report"), so the
+ * highlighter below also marks words that start with the stem of a term.
+ */
+
+const MAX_QUERY_LENGTH = 200;
+
+// Length of the description snippet around the first match (in characters)
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split the search text into words, phrases and excluded words
+ *
+ * @param {string} query - e.g. 'report "q3 budget" -draft'
+ * @returns {{ terms: string[], phrases: string[], excluded: string[] }}
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  // A quoted phrase, or a run of characters without spaces
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (!phrase) continue;
+      // A negated phrase excludes its words
+      if (match[1]) excluded.push(phrase);
+      else phrases.push(phrase);
+    } else if (match[3].startsWith('-')) {
+      const word = match[3].slice(1);
+      if (word) excluded.push(word);
+    } else {
+      terms.push(match[3].replace(/"/g, ''));
+    }
+  }
+
+  return { terms: terms.filter(Boolean), phrases, excluded };
+};
+
+/**
+ * Check the search text and turn it into the $text search string
+ *
+ * @param {string} query - req.query.q
+ * @returns {{ error: string|null, search: string, parsed: Object }}
+ */
+const validateSearchQuery = (query) => {
+  const text = typeof query === 'string' ? query.trim() : '';
+
+  if (!text) {
+    return { error: 'Please provide a search query (q)' };
+  }
+
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query cannot be more than ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const parsed = parseSearchQuery(text);
+
+  // MongoDB returns nothing for a search made only of exclusions
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    return { error: 'Search must contain at least one word that is not excluded' };
+  }
+
+  // Rebuild the string so unbalanced quotes cannot confuse MongoDB
+  const search = [
+    ...parsed.terms,
+    ...parsed.phrases.map((phrase) => `"${phrase}"`),
+    ...parsed.excluded.map((word) => (word.includes(' ') ? `-"${word}"` : `-${word}`)),
+  ].join(' ');
+
+  return { error: null, search, parsed };
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rough English stem of a word, so "reports" also highlights "report"
+ *
+ * @param {string} word - Search term
+ * @returns {string} The word without a common ending
+ */
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const ending = ['ing', 'ies', 'es', 'ed', 's'].find(
+    (suffix) => lower.endsWith(suffix) && lower.length - suffix.length >= 3
+  );
+  return ending ? lower.slice(0, -ending.length) : lower;
+};
+
+/**
+ * Build one regular expression that finds every phrase and term
+ *
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {RegExp|null} Pattern, or null if there is nothing to highlight
+ */
+const buildHighlightPattern = ({ terms, phrases }) => {
+  const parts = [
+    // Phrases first, so they win over the single words inside them
+    ...phrases.map((phrase) => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    // Terms match at the start of a word, followed by the rest of the word
+    ...terms.map((term) => `\\b${escapeRegExp(stem(term))}\\w*`),
+  ];
+
+  return parts.length ? new RegExp(`(${parts.join('|')})`, 'gi') : null;
+};
+
+/**
+ * Split text into plain and highlighted parts
+ *
+ * Returning parts instead of HTML keeps the frontend safe from
+ * markup inside task titles.
+ *
+ * @param {string} text - Text to highlight
+ * @param {RegExp|null} pattern - From buildHighlightPattern()
+ * @returns {{ text: string, match: boolean }[]} e.g. [{ text: "Weekly ", match: false }, { text: "report", match: true }]
+ */
+const highlight = (text, pattern) => {
+  if (!text) return [];
+  if (!pattern) return [{ text, match: false }];
+
+  // split() with a capturing group puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((part) => part.text);
+};
+
+/**
+ * Cut a long text down to the part around the first match
+ *
+ * @param {string} text - Full text (e.g. the description)
+ * @param {RegExp|null} pattern - From buildHighlightPattern()
+ * @returns {string} The snippet, with "…" where text was cut off
+ */
+const extractSnippet = (text, pattern) => {
+  if (!text || text.length <= SNIPPET_LENGTH) return text || '';
+
+  const match = pattern ? text.search(pattern) : -1;
+  const matchIndex = Math.max(0, match);
+
+  // Put the match about a third of the way into the snippet
+  let start = Math.max(0, matchIndex - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) start = space + 1;
+  }
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build the highlighted title and description snippet for one task
+ *
+ * @param {Object} task - Task document
+ * @param {RegExp|null} pattern - From buildHighlightPattern()
+ * @returns {{ title: Object[], description: Object[] }} Highlighted parts
+ */
+const buildHighlights = (task, pattern) => ({
+  title: highlight(task.title, pattern),
+  description: highlight(extractSnippet(task.description, pattern), pattern),
+});
+
+module.exports = {
+  validateSearchQuery,
+  buildHighlightPattern,
+  buildHighlights,
+};
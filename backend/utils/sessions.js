@@ -0,0 +1,218 @@
+/**
+ * Session Helpers
+ *
+ * Logging in gives the user two tokens:
+ * - An access token: a short-lived JWT sent with every request
+ *   (Authorization: Bearer <token>). It carries the user ID and the ID of
+ *   the session it belongs to.
+ * - A refresh token: a long random token, only sent to POST /api/auth/refresh
+ *   to get a new access token when the old one has expired.
+ *
+ * Every refresh also replaces the refresh token (rotation). If a replaced
+ * token is ever used again, someone else has a copy of it, so the whole
+ * session is ended (reuse detection): the thief and the user both have to
+ * log in again, and the thief cannot, without the password.
+ *
+ * Logging out ends the session; the auth middleware rejects access tokens
+ * of sessions that have ended, even before they expire.
+ */
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateSecretToken, hashToken } = require('./tokens');
+const { getUnverifiedAccess } = require('./emailVerification');
+const { readPositiveNumber } = require('./env');
+
+const UNVERIFIED_LOGIN_MESSAGE = 'Please verify your email address before logging in.';
+
+const DEFAULT_ACCESS_TOKEN_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Replaced refresh tokens kept per session, to recognize them when they come back
+const MAX_PREVIOUS_TOKENS = 20;
+
+// A replaced token that comes back this soon is most likely a second browser
+// tab that refreshed at the same moment, not a thief: it is refused, but the
+// session goes on
+const REUSE_GRACE_MS = 10 * 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes an access token stays valid (ACCESS_TOKEN_MINUTES, default 15)
+ */
+const getAccessTokenMinutes = () =>
+  readPositiveNumber(process.env.ACCESS_TOKEN_MINUTES, DEFAULT_ACCESS_TOKEN_MINUTES);
+
+/**
+ * Days a session lasts without being used (REFRESH_TOKEN_DAYS, default 30)
+ */
+const getRefreshTokenDays = () =>
+  readPositiveNumber(process.env.REFRESH_TOKEN_DAYS, DEFAULT_REFRESH_TOKEN_DAYS);
+
+/**
+ * Create the tokens a client receives for a session
+ *
+ * The access token also says whether the user's email is verified ("ev"),
+ * so unverified accounts can be limited without looking the user up.
+ *
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - The session's current refresh token
+ * @param {boolean} emailVerified - Whether the user's email is verified
+ * @returns {{ token: string, refreshToken: string, expiresIn: number }} Access token,
+ *   refresh token and the access token's lifetime in seconds
+ */
+const issueTokens = (session, refreshToken, emailVerified) => {
+  const expiresIn = Math.round(getAccessTokenMinutes() * 60);
+  const token = jwt.sign(
+    { userId: String(session.userId), sid: String(session._id), ev: Boolean(emailVerified) },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+  return { token, refreshToken, expiresIn };
+};
+
+/**
+ * Start a session for a user who just logged in (or registered)
+ *
+ * @param {Object} user - The user (with _id and emailVerified)
+ * @param {Object} req - The login request (for the browser's user agent)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateSecretToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * MS_PER_DAY),
+    userAgent: String(req.get('user-agent') || '').slice(0, 200),
+  });
+  return issueTokens(session, refreshToken, user.emailVerified);
+};
+
+/**
+ * Exchange a refresh token for new tokens (and replace the refresh token)
+ *
+ * The session ends instead if its user no longer exists, or may not log in
+ * (unverified email with UNVERIFIED_ACCESS=none).
+ *
+ * @param {string} refreshToken - The client's refresh token
+ * @returns {Promise<{ error: string|null, tokens: Object|null }>} Error message,
+ *   or { token, refreshToken, expiresIn }
+ */
+const refreshSession = async (refreshToken) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateSecretToken();
+
+  // Only one request can replace a token: the filter no longer matches afterwards
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt: new Date(now.getTime() + getRefreshTokenDays() * MS_PER_DAY),
+        lastUsedAt: now,
+      },
+      $push: {
+        previousTokens: { $each: [{ hash: tokenHash, rotatedAt: now }], $slice: -MAX_PREVIOUS_TOKENS },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    const user = await User.findById(session.userId).select('emailVerified');
+    let loginError = null;
+    if (!user) {
+      loginError = 'This account no longer exists';
+    } else if (!user.emailVerified && getUnverifiedAccess() === 'none') {
+      loginError = UNVERIFIED_LOGIN_MESSAGE;
+    }
+    if (loginError) {
+      await revokeSession(session._id, 'login not allowed');
+      return { error: loginError, tokens: null };
+    }
+    return { error: null, tokens: issueTokens(session, newRefreshToken, user.emailVerified) };
+  }
+
+  // A token that was already replaced: end the session, unless it was replaced just now
+  const reused = await Session.findOne({ 'previousTokens.hash': tokenHash, revokedAt: null });
+  if (reused) {
+    const previous = reused.previousTokens.find((entry) => entry.hash === tokenHash);
+    if (now - previous.rotatedAt < REUSE_GRACE_MS) {
+      return { error: 'This refresh token was just replaced', tokens: null };
+    }
+
+    await revokeSession(reused._id, 'refresh token reused');
+    return {
+      error: 'This refresh token was already used, so the session was ended for safety. Please log in again.',
+      tokens: null,
+    };
+  }
+
+  return { error: 'Your session has ended. Please log in again.', tokens: null };
+};
+
+/**
+ * End one session (its refresh token and access tokens stop working)
+ *
+ * @param {string} sessionId - The session's ID
+ * @param {string} reason - Why, e.g. "logout"
+ * @returns {Promise<boolean>} True if the session was still active
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End all of a user's sessions, optionally except one (e.g. the current one)
+ *
+ * @param {string} userId - The user's ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {Promise<number>} How many sessions were ended
+ */
+const revokeUserSessions = async (userId, { exceptSessionId = null, reason } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Find the session a refresh token belongs to (used when logging out)
+ *
+ * @param {string} refreshToken - The client's refresh token
+ * @returns {Promise<Object|null>} The session, or null
+ */
+const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+
+/**
+ * Check if a session is still going (not ended and not expired)
+ *
+ * @param {string} sessionId - The session's ID (from an access token)
+ * @returns {Promise<boolean>} True if active
+ */
+const isSessionActive = async (sessionId) =>
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+module.exports = {
+  UNVERIFIED_LOGIN_MESSAGE,
+  getAccessTokenMinutes,
+  getRefreshTokenDays,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+};
@@ -0,0 +1,174 @@
+/**
+ * Stats Helpers
+ *
+ * Calendar math for the productivity stats (GET /api/stats).
+ *
+ * The stats are counted per day, week and month of the user's own calendar.
+ * MongoDB does the grouping (its date operators take an IANA timezone name),
+ * and these helpers build the same period keys on our side, so days without
+ * any tasks still show up in the results with a count of 0.
+ *
+ * Period keys use the formats of MongoDB's $dateToString:
+ * - day:   "2024-03-31"  (%Y-%m-%d)
+ * - week:  "2024-W13"    (%G-W%V, ISO week: weeks start on Monday)
+ * - month: "2024-03"     (%Y-%m)
+ */
+
+const { toWallClock, fromWallClock } = require('./recurrence');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const PERIODS = ['day', 'week', 'month'];
+
+// $dateToString formats matching the keys built below
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+// Index 0 is Monday, like MongoDB's $isoDayOfWeek (1 = Monday) minus one
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parse a calendar date ("YYYY-MM-DD")
+ *
+ * @param {string} value - Date from the query string
+ * @returns {Date|null} Calendar date at midnight UTC, or null if invalid
+ */
+const parseCalendarDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Date.UTC rolls "2024-02-31" over into March, so check it did not
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+/**
+ * Get today's calendar date in a timezone
+ *
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} now - Current time (can be passed in for testing)
+ * @returns {Date} Calendar date at midnight UTC
+ */
+const todayIn = (timezone, now = new Date()) => {
+  const wallClock = toWallClock(now, timezone);
+  return new Date(
+    Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate())
+  );
+};
+
+/**
+ * Add days to a calendar date
+ *
+ * @param {Date} day - Calendar date at midnight UTC
+ * @param {number} days - Days to add (can be negative)
+ * @returns {Date} New calendar date
+ */
+const addCalendarDays = (day, days) => new Date(day.getTime() + days * MS_PER_DAY);
+
+/**
+ * Get the moment a calendar day starts in a timezone
+ *
+ * @param {Date} day - Calendar date at midnight UTC
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Real moment of local midnight
+ */
+const startOfCalendarDay = (day, timezone) => fromWallClock(day, timezone);
+
+/**
+ * Build the period key of a calendar date
+ *
+ * @param {Date} day - Calendar date at midnight UTC
+ * @param {string} period - One of PERIODS
+ * @returns {string} e.g. "2024-03-31", "2024-W13" or "2024-03"
+ */
+const periodKey = (day, period) => {
+  const iso = day.toISOString();
+  if (period === 'day') return iso.slice(0, 10);
+  if (period === 'month') return iso.slice(0, 7);
+
+  // ISO week: the week belongs to the year its Thursday falls in
+  const weekday = (day.getUTCDay() + 6) % 7; // 0 = Monday
+  const thursday = addCalendarDays(day, 3 - weekday);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * MS_PER_DAY)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * List the period keys covered by a range of calendar dates, in order
+ *
+ * @param {Date} fromDay - First calendar date
+ * @param {Date} toDay - Last calendar date (included)
+ * @param {string} period - One of PERIODS
+ * @returns {string[]} Unique keys, oldest first
+ */
+const listPeriods = (fromDay, toDay, period) => {
+  const keys = [];
+  for (let day = fromDay; day <= toDay; day = addCalendarDays(day, 1)) {
+    const key = periodKey(day, period);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Find the current and the longest run of consecutive days with completions
+ *
+ * The current streak is still alive if the last completion was today or
+ * yesterday: a streak does not break before the day is over.
+ *
+ * @param {string[]} days - Distinct day keys with at least one completion, oldest first
+ * @param {Date} today - Today's calendar date in the user's timezone
+ * @returns {{ current: number, longest: number, longestFrom: string|null,
+ *   longestTo: string|null, lastCompletedOn: string|null }}
+ */
+const calculateStreaks = (days, today) => {
+  const result = {
+    current: 0,
+    longest: 0,
+    longestFrom: null,
+    longestTo: null,
+    lastCompletedOn: days.length ? days[days.length - 1] : null,
+  };
+
+  let runStart = 0;
+  days.forEach((key, index) => {
+    const previous = index > 0 ? periodKey(addCalendarDays(parseCalendarDate(key), -1), 'day') : null;
+    if (previous !== days[index - 1]) runStart = index;
+
+    const length = index - runStart + 1;
+    if (length > result.longest) {
+      result.longest = length;
+      result.longestFrom = days[runStart];
+      result.longestTo = key;
+    }
+
+    if (index === days.length - 1) {
+      const yesterday = periodKey(addCalendarDays(today, -1), 'day');
+      if (key === periodKey(today, 'day') || key === yesterday) result.current = length;
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  PERIODS,
+  PERIOD_FORMATS,
+  WEEKDAY_NAMES,
+  parseCalendarDate,
+  todayIn,
+  addCalendarDays,
+  startOfCalendarDay,
+  periodKey,
+  listPeriods,
+  calculateStreaks,
+};
@@ -0,0 +1,35 @@
+/**
+ * Streaming Helpers
+ *
+ * Helpers for responses that are written a piece at a time (task exports
+ * and the calendar feed), so large responses never sit in memory as a whole.
+ */
+
+const { once } = require('events');
+
+/**
+ * Write a piece of a response, waiting while the client catches up
+ * (res.write() returns false when its buffer is full; "close" means the
+ * client has gone away and will never catch up)
+ *
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to send (empty text is skipped)
+ */
+const writeChunk = async (res, chunk) => {
+  if (chunk && !res.write(chunk)) {
+    // Remove the listener that did not fire, so they do not pile up
+    const done = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: done.signal }),
+        once(res, 'close', { signal: done.signal }),
+      ]);
+    } finally {
+      done.abort();
+    }
+  }
+};
+
+module.exports = {
+  writeChunk,
+};
@@ -0,0 +1,32 @@
+/**
+ * Task Cleanup Helpers
+ *
+ * Tasks have data stored in other collections (comments, time entries, revisions)
+ * and can be linked to other tasks (blockedBy). When tasks are deleted
+ * for good, that data and those links have to go too.
+ */
+
+const Comment = require('../models/Comment');
+const TimeEntry = require('../models/TimeEntry');
+const TaskRevision = require('../models/TaskRevision');
+const { unlinkDeletedTasks } = require('./dependencies');
+
+/**
+ * Delete everything that belongs to the given tasks
+ *
+ * Call this together with deleting the tasks themselves.
+ *
+ * @param {Array} taskIds - IDs of the deleted tasks
+ */
+const deleteTaskData = async (taskIds) => {
+  await Promise.all([
+    Comment.deleteMany({ taskId: { $in: taskIds } }),
+    TimeEntry.deleteMany({ taskId: { $in: taskIds } }),
+    TaskRevision.deleteMany({ taskId: { $in: taskIds } }),
+    unlinkDeletedTasks(taskIds),
+  ]);
+};
+
+module.exports = {
+  deleteTaskData,
+};
@@ -0,0 +1,314 @@
+/**
+ * Task Query Helpers
+ *
+ * Turns the query parameters of GET /api/tasks into a MongoDB filter,
+ * a sort order and a pagination cursor.
+ *
+ * About cursor pagination:
+ * Instead of "skip the first 500 tasks" (which gets slower the further you go
+ * and skips/repeats tasks when the list changes), every page ends with a cursor
+ * that remembers the sort value and _id of the last task. The next page starts
+ * right after that task. _id is used as a tie-breaker, so tasks with the same
+ * sort value (e.g. same priority) are never skipped or repeated.
+ */
+
+const mongoose = require('mongoose');
+const { DUE_FILTERS, parseTimezoneOffset, buildDueFilter } = require('./dates');
+const { STATUS_CATEGORIES } = require('./workflow');
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Fields the list can be sorted by, and the type of their values
+const SORT_FIELDS = {
+  createdAt: 'date',
+  updatedAt: 'date',
+  dueDate: 'date',
+  priority: 'number', // Sorted by priorityRank (High = 3, Medium = 2, Low = 1)
+  title: 'string',
+  position: 'number', // Manual order (see utils/position.js)
+};
+
+// Fields that can be empty (null) and need special care in the cursor
+// (tasks from before manual order existed have no position until the migration runs)
+const NULLABLE_SORT_FIELDS = ['dueDate', 'position'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a comma-separated list and check every value is allowed
+ *
+ * @param {string} value - e.g. "High,Medium"
+ * @param {string[]} allowed - Allowed values
+ * @returns {string[]|null} The values, or null if one is not allowed
+ */
+const parseList = (value, allowed) => {
+  const values = String(value).split(',');
+  return values.every((item) => allowed.includes(item)) ? values : null;
+};
+
+/**
+ * Parse a date query parameter
+ *
+ * @param {string} value - Date string, e.g. "2024-01-31"
+ * @returns {Date|null} The date, or null if invalid
+ */
+const parseQueryDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the MongoDB filter for the task list
+ *
+ * Supported query parameters:
+ * - status:   A status name of the user's workflow, e.g. "In Progress",
+ *             or a comma-separated list (unknown names match no tasks)
+ * - category: "todo", "in-progress", "done" or a comma-separated list
+ * - priority: "High", "Medium", "Low" or a comma-separated list
+ * - due:      "overdue", "today" or "week" (with tzOffset)
+ * - tag:      Tag ID
+ * - project:  Project ID or "inbox"
+ * - blocked:  "true" for tasks waiting on pending blockers, "false" for the others
+ * - createdFrom / createdTo / dueFrom / dueTo: date range limits (inclusive)
+ *
+ * @param {string} userId - The logged-in user's ID
+ * @param {Object} params - req.query
+ * @returns {{ error: string|null, conditions: Object[] }} Error message, or a list of
+ *   conditions that must all match (use as { $and: conditions })
+ */
+const buildTaskFilter = (userId, params) => {
+  // Every condition in this list must match
+  // Trashed tasks are only shown in the trash (GET /api/tasks/trash)
+  const conditions = [{ userId, deletedAt: null }];
+  const fail = (error) => ({ error, conditions: [] });
+
+  if (params.status) {
+    const statuses = String(params.status)
+      .split(',')
+      .map((status) => status.trim());
+    if (statuses.some((status) => !status)) return fail('Status names cannot be empty');
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  if (params.category) {
+    const categories = parseList(params.category, STATUS_CATEGORIES);
+    if (!categories) return fail(`Category must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    conditions.push({ statusCategory: { $in: categories } });
+  }
+
+  if (params.priority) {
+    const priorities = parseList(params.priority, PRIORITIES);
+    if (!priorities) return fail(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+    conditions.push({ priority: { $in: priorities } });
+  }
+
+  // Due-date slice, e.g. ?due=overdue&tzOffset=-60
+  // tzOffset lets "today" and "this week" follow the user's timezone
+  if (params.due) {
+    if (!DUE_FILTERS.includes(params.due)) {
+      return fail(`Due filter must be one of: ${DUE_FILTERS.join(', ')}`);
+    }
+
+    const offset = parseTimezoneOffset(params.tzOffset);
+    if (offset === null) return fail('tzOffset must be a whole number of minutes');
+
+    conditions.push(buildDueFilter(params.due, offset));
+  }
+
+  // Tag filter: matches tasks whose tags array contains this ID
+  if (params.tag) {
+    if (!mongoose.isValidObjectId(params.tag)) return fail('Tag filter must be a tag ID');
+    conditions.push({ tags: params.tag });
+  }
+
+  // Project filter: a project ID, or "inbox" for tasks without a project
+  if (params.project) {
+    if (params.project === 'inbox') {
+      conditions.push({ projectId: null });
+    } else if (mongoose.isValidObjectId(params.project)) {
+      conditions.push({ projectId: params.project });
+    } else {
+      return fail('Project filter must be a project ID or "inbox"');
+    }
+  }
+
+  // Blocked filter: tasks with (or without) blockers that are still pending
+  if (params.blocked) {
+    if (params.blocked === 'true') {
+      conditions.push({ blockedCount: { $gt: 0 } });
+    } else if (params.blocked === 'false') {
+      // $not also matches older tasks that have no blockedCount yet
+      conditions.push({ blockedCount: { $not: { $gt: 0 } } });
+    } else {
+      return fail('Blocked filter must be true or false');
+    }
+  }
+
+  // Date ranges, e.g. ?dueFrom=2024-01-01&dueTo=2024-01-31
+  const ranges = [
+    { field: 'createdAt', from: 'createdFrom', to: 'createdTo' },
+    { field: 'dueDate', from: 'dueFrom', to: 'dueTo' },
+  ];
+
+  for (const { field, from, to } of ranges) {
+    const range = {};
+
+    if (params[from]) {
+      const date = parseQueryDate(params[from]);
+      if (!date) return fail(`${from} must be a valid date`);
+      range.$gte = date;
+    }
+
+    if (params[to]) {
+      const date = parseQueryDate(params[to]);
+      if (!date) return fail(`${to} must be a valid date`);
+      range.$lte = date;
+    }
+
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+    }
+  }
+
+  return { error: null, conditions };
+};
+
+/**
+ * Read the sort and page size options
+ *
+ * - sort:  one of SORT_FIELDS (default "createdAt")
+ * - order: "asc" or "desc" (default "desc")
+ * - limit: tasks per page, 1 to 100 (default 50)
+ *
+ * @param {Object} params - req.query
+ * @returns {{ error: string|null, sort: string, order: string, limit: number }}
+ */
+const parseSortOptions = (params) => {
+  const sort = params.sort || 'createdAt';
+  const order = params.order || 'desc';
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+
+  if (!SORT_FIELDS[sort]) {
+    return { error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Order must be asc or desc' };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  return { error: null, sort, order, limit };
+};
+
+/**
+ * Get the database field used for a sort option
+ *
+ * @param {string} sort - Sort option
+ * @returns {string} Field name in the Task schema
+ */
+const sortFieldFor = (sort) => (sort === 'priority' ? 'priorityRank' : sort);
+
+/**
+ * Build the MongoDB sort object (with _id as the tie-breaker)
+ *
+ * @param {string} sort - Sort option
+ * @param {string} order - "asc" or "desc"
+ * @returns {Object} e.g. { dueDate: 1, _id: 1 }
+ */
+const buildSort = (sort, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return { [sortFieldFor(sort)]: direction, _id: direction };
+};
+
+/**
+ * Create the cursor that points just after a task
+ *
+ * The cursor is base64url-encoded JSON, so the frontend can treat it as an
+ * opaque string. It remembers the sort it belongs to, so it cannot be used
+ * with a different sort by mistake.
+ *
+ * @param {Object} task - Last task of the current page
+ * @param {string} sort - Sort option
+ * @param {string} order - "asc" or "desc"
+ * @returns {string} Cursor string
+ */
+const encodeCursor = (task, sort, order) => {
+  const value = task[sortFieldFor(sort)];
+  const payload = {
+    s: sort,
+    o: order,
+    v: value === undefined ? null : value,
+    id: task._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Turn a cursor back into a MongoDB condition for "tasks after this one"
+ *
+ * MongoDB sorts null before any date, so for fields that can be empty the
+ * nulls come first in ascending order and last in descending order.
+ *
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @param {string} sort - Sort option of the current request
+ * @param {string} order - "asc" or "desc"
+ * @returns {{ error: string|null, condition: Object|null }}
+ */
+const decodeCursor = (cursor, sort, order) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor', condition: null };
+  }
+
+  if (
+    !payload ||
+    payload.s !== sort ||
+    payload.o !== order ||
+    !mongoose.isValidObjectId(payload.id)
+  ) {
+    return { error: 'Cursor does not match this sort order', condition: null };
+  }
+
+  const field = sortFieldFor(sort);
+  const id = new mongoose.Types.ObjectId(payload.id);
+  const after = order === 'asc' ? '$gt' : '$lt';
+
+  // Restore the value to its original type
+  let value = payload.v;
+  if (value !== null && SORT_FIELDS[sort] === 'date') {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) {
+      return { error: 'Invalid cursor', condition: null };
+    }
+  }
+
+  // Same value with a later _id, or a later value
+  const conditions = [{ [field]: value, _id: { [after]: id } }];
+
+  if (value === null) {
+    // Ascending: every non-empty value comes after the nulls
+    if (order === 'asc') conditions.push({ [field]: { $ne: null } });
+  } else {
+    conditions.push({ [field]: { [after]: value } });
+    // Descending: the nulls come after every non-empty value
+    if (order === 'desc' && NULLABLE_SORT_FIELDS.includes(field)) {
+      conditions.push({ [field]: null });
+    }
+  }
+
+  return { error: null, condition: { $or: conditions } };
+};
+
+module.exports = {
+  buildTaskFilter,
+  parseSortOptions,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,101 @@
+/**
+ * Time Tracking Helpers
+ *
+ * Validation of time entry times and the "total tracked time" kept on
+ * each task (Task.trackedSeconds).
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const { parseOptionalDate } = require('./dates');
+
+// A single entry can be at most one day long
+const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+
+// Allow for clocks that are slightly ahead of the server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Validate the times of a manual or edited time entry
+ *
+ * The end can be given as endedAt, or as a length in whole minutes.
+ * Only fields present in the body are checked; pass the entry when editing
+ * so the missing values are taken from it.
+ *
+ * @param {Object} body - req.body ({ startedAt, endedAt, minutes })
+ * @param {Object} current - Existing entry (when editing)
+ * @returns {{ error: string|null, times: { startedAt: Date, endedAt: Date|null } }}
+ */
+const validateEntryTimes = (body, current = {}) => {
+  const fail = (error) => ({ error, times: null });
+  const now = Date.now();
+
+  let startedAt = current.startedAt || null;
+  if (body.startedAt !== undefined) {
+    const { valid, date } = parseOptionalDate(body.startedAt);
+    if (!valid || !date) return fail('startedAt must be a valid date');
+    startedAt = date;
+  }
+  if (!startedAt) return fail('Please provide startedAt');
+  if (startedAt.getTime() > now + CLOCK_SKEW_MS) return fail('startedAt cannot be in the future');
+
+  // A running timer has no end yet; only its start can be moved
+  const running = current.startedAt && !current.endedAt;
+  if (running) {
+    if (body.endedAt !== undefined || body.minutes !== undefined) {
+      return fail('Stop the timer before changing its end');
+    }
+    return { error: null, times: { startedAt, endedAt: null } };
+  }
+
+  let endedAt = current.endedAt || null;
+  if (body.minutes !== undefined) {
+    const minutes = Number(body.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return fail('minutes must be a whole number greater than 0');
+    }
+    endedAt = new Date(startedAt.getTime() + minutes * 60 * 1000);
+  } else if (body.endedAt !== undefined) {
+    const { valid, date } = parseOptionalDate(body.endedAt);
+    if (!valid || !date) return fail('endedAt must be a valid date');
+    endedAt = date;
+  } else if (body.startedAt !== undefined && current.endedAt) {
+    // Moving the start of a finished entry keeps its length
+    endedAt = new Date(startedAt.getTime() + (current.endedAt - current.startedAt));
+  }
+
+  if (!endedAt) return fail('Please provide endedAt or minutes');
+  if (endedAt <= startedAt) return fail('endedAt must be after startedAt');
+  if (endedAt.getTime() > now + CLOCK_SKEW_MS) return fail('endedAt cannot be in the future');
+  if ((endedAt - startedAt) / 1000 > MAX_ENTRY_SECONDS) {
+    return fail('A time entry cannot be longer than 24 hours');
+  }
+
+  return { error: null, times: { startedAt, endedAt } };
+};
+
+/**
+ * Recalculate a task's total tracked time from its finished entries
+ *
+ * Uses updateOne without timestamps, so tracking time does not count as
+ * editing the task (its updatedAt stays the same).
+ *
+ * @param {string|Object} taskId - Task ID
+ * @returns {Promise<number>} The new total in seconds
+ */
+const refreshTrackedTime = async (taskId) => {
+  const [result] = await TimeEntry.aggregate([
+    { $match: { taskId: new mongoose.Types.ObjectId(taskId), endedAt: { $ne: null } } },
+    { $group: { _id: null, seconds: { $sum: '$duration' } } },
+  ]);
+
+  const seconds = result ? result.seconds : 0;
+  await Task.updateOne({ _id: taskId }, { trackedSeconds: seconds }, { timestamps: false });
+  return seconds;
+};
+
+module.exports = {
+  validateEntryTimes,
+  refreshTrackedTime,
+};
@@ -0,0 +1,34 @@
+/**
+ * Secret Token Helpers
+ *
+ * Random tokens for links that work without logging in (e.g. the calendar
+ * feed URL). Only a hash of each token is stored, so the tokens cannot be
+ * read from the database: the user sees a token once, when it is created,
+ * and every request is checked by hashing the token it brings along.
+ */
+
+const crypto = require('crypto');
+
+// Random bytes per token (hex-encoded, so tokens are twice as many characters)
+const TOKEN_BYTES = 24;
+
+/**
+ * Create a new random token
+ *
+ * @returns {string} Token (hex), safe to use in URLs
+ */
+const generateSecretToken = () => crypto.randomBytes(TOKEN_BYTES).toString('hex');
+
+/**
+ * Hash a token for storing or looking it up
+ * (SHA-256 is enough here: the tokens are long and random, not passwords)
+ *
+ * @param {string} token - Token as given to the user
+ * @returns {string} Hash (hex)
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateSecretToken,
+  hashToken,
+};
@@ -0,0 +1,164 @@
+/**
+ * Trash Helpers
+ *
+ * Deleting a task moves it to the trash: Task.deletedAt is set and the task
+ * is left out of lists, counts, search results and dependencies, but all of
+ * its data stays. A trashed task can be restored, or deleted for good.
+ *
+ * Trashed tasks older than TRASH_RETENTION_DAYS (default 30, 0 = never) are
+ * deleted for good automatically (see startTrashPurge, run by server.js).
+ */
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const TimeEntry = require('../models/TimeEntry');
+const { deleteTaskData } = require('./taskCleanup');
+const { refreshTrackedTime } = require('./timeTracking');
+const { refreshBlockedCounts, refreshDependents } = require('./dependencies');
+const { readPositiveNumber } = require('./env');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often the auto-purge looks for old trashed tasks
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Read how many days trashed tasks are kept
+ *
+ * @returns {number} Days, or 0 if trashed tasks are never purged automatically
+ */
+const getRetentionDays = () =>
+  readPositiveNumber(process.env.TRASH_RETENTION_DAYS, DEFAULT_RETENTION_DAYS, { allowZero: true });
+
+/**
+ * Work out when a trashed task will be purged
+ *
+ * @param {Date} deletedAt - When the task was trashed
+ * @returns {Date|null} The purge date, or null if auto-purge is off
+ */
+const getPurgeDate = (deletedAt) => {
+  const days = getRetentionDays();
+  if (!days || !deletedAt) return null;
+  return new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Move tasks to the trash
+ *
+ * Running timers on the tasks are stopped, and tasks they were blocking
+ * are no longer blocked by them.
+ * Uses updateMany without timestamps, so a restored task keeps its updatedAt.
+ *
+ * @param {Array} taskIds - IDs of the tasks to trash
+ */
+const trashTasks = async (taskIds) => {
+  await Task.updateMany(
+    { _id: { $in: taskIds }, deletedAt: null },
+    { deletedAt: new Date() },
+    { timestamps: false }
+  );
+
+  const running = await TimeEntry.find({ taskId: { $in: taskIds }, endedAt: null });
+  for (const entry of running) {
+    entry.endedAt = new Date();
+    await entry.save();
+    await refreshTrackedTime(entry.taskId);
+  }
+
+  await refreshDependents(taskIds);
+};
+
+/**
+ * Take tasks out of the trash
+ *
+ * Tasks whose project was deleted in the meantime go back to the Inbox.
+ *
+ * @param {Array} taskIds - IDs of the tasks to restore
+ */
+const restoreTasks = async (taskIds) => {
+  await Task.updateMany(
+    { _id: { $in: taskIds } },
+    { deletedAt: null },
+    { timestamps: false }
+  );
+
+  const projectIds = await Task.find({ _id: { $in: taskIds }, projectId: { $ne: null } }).distinct(
+    'projectId'
+  );
+  const existingIds = await Project.find({ _id: { $in: projectIds } }).distinct('_id');
+  const missingIds = projectIds.filter((id) => !existingIds.some((existing) => existing.equals(id)));
+
+  if (missingIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: taskIds }, projectId: { $in: missingIds } },
+      { projectId: null },
+      { timestamps: false }
+    );
+  }
+
+  // The tasks can block others again, and their own blockers may have changed
+  await refreshDependents(taskIds);
+  await refreshBlockedCounts(taskIds);
+};
+
+/**
+ * Delete tasks for good, together with their comments, time entries and links
+ *
+ * @param {Array} taskIds - IDs of the tasks to delete
+ */
+const purgeTasks = async (taskIds) => {
+  if (taskIds.length === 0) return;
+
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await deleteTaskData(taskIds);
+};
+
+/**
+ * Delete every trashed task that is older than the retention period
+ *
+ * @returns {Promise<number>} How many tasks were deleted
+ */
+const purgeExpiredTrash = async () => {
+  const days = getRetentionDays();
+  if (!days) return 0;
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const taskIds = await Task.find({
+    deletedAt: { $type: 'date', $lte: cutoff },
+  }).distinct('_id');
+
+  await purgeTasks(taskIds);
+  return taskIds.length;
+};
+
+/**
+ * Run the auto-purge now and then every hour
+ *
+ * Call once the database is connected.
+ */
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const count = await purgeExpiredTrash();
+      if (count > 0) {
+        console.log(`🗑️  Purged ${count} task(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge error:', error);
+    }
+  };
+
+  run();
+  // unref() lets the process exit even though the timer is still scheduled
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  trashTasks,
+  restoreTasks,
+  purgeTasks,
+  purgeExpiredTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,191 @@
+/**
+ * Workflow Helpers
+ *
+ * Every user has an ordered list of task statuses (their workflow), e.g.
+ * Pending → In Progress → In Review → Completed. Each status belongs to a
+ * category:
+ * - todo:        not started (new and reopened tasks get the first one)
+ * - in-progress: being worked on
+ * - done:        finished ("complete" moves a task to the first one)
+ *
+ * Tasks store the status name (Task.status) and its category
+ * (Task.statusCategory). The rest of the app only looks at the category,
+ * e.g. "pending" means any category but done.
+ *
+ * A status can list the statuses a task may move to next (next: [names]).
+ * An empty list means the task may move to any status.
+ *
+ * A status can also have a work-in-progress limit (wipLimit). It is only a
+ * warning on the board: tasks can still be moved into a full status.
+ */
+
+const User = require('../models/User');
+
+const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
+const MAX_STATUSES = 20;
+const MAX_STATUS_NAME_LENGTH = 30;
+const MAX_WIP_LIMIT = 999;
+
+/**
+ * Turn a status (sub-document or plain object) into a plain object
+ */
+const toPlainStatus = (status) => ({
+  _id: status._id,
+  name: status.name,
+  category: status.category,
+  next: [...(status.next || [])],
+  wipLimit: status.wipLimit || null,
+});
+
+/**
+ * Load a user's workflow
+ *
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object[]>} Statuses in order: { _id, name, category, next, wipLimit }
+ */
+const getWorkflow = async (userId) => {
+  const user = await User.findById(userId).select('statuses');
+  const statuses = user && user.statuses.length > 0 ? user.statuses : User.DEFAULT_STATUSES;
+  return statuses.map(toPlainStatus);
+};
+
+/**
+ * Find a status of the workflow by name
+ *
+ * @returns {Object|undefined} The status
+ */
+const findStatus = (workflow, name) => workflow.find((status) => status.name === name);
+
+/**
+ * The status new and reopened tasks get: the first "todo" status
+ */
+const getInitialStatus = (workflow) => workflow.find((status) => status.category === 'todo');
+
+/**
+ * The status "complete" moves a task to: the first "done" status
+ */
+const getDoneStatus = (workflow) => workflow.find((status) => status.category === 'done');
+
+/**
+ * Check that a task may move from one status to another
+ *
+ * Staying in the same status is always allowed. A current status that is
+ * not in the workflow (any more) does not limit where the task can go.
+ *
+ * @param {Object[]} workflow - From getWorkflow()
+ * @param {string} from - Current status name
+ * @param {string} to - New status name
+ * @returns {string|null} Error message, or null if the move is allowed
+ */
+const checkTransition = (workflow, from, to) => {
+  const target = findStatus(workflow, to);
+  if (!target) {
+    return `Status must be one of: ${workflow.map((status) => status.name).join(', ')}`;
+  }
+
+  const current = findStatus(workflow, from);
+  if (from !== to && current && current.next.length > 0 && !current.next.includes(to)) {
+    return `A task cannot move from "${from}" to "${to}" (allowed: ${current.next.join(', ')})`;
+  }
+
+  return null;
+};
+
+/**
+ * Put a task in a status (sets the name and the category)
+ *
+ * @param {Object} task - Task document
+ * @param {Object} status - A status of the workflow
+ */
+const applyStatus = (task, status) => {
+  task.status = status.name;
+  task.statusCategory = status.category;
+};
+
+/**
+ * Validate a new workflow sent by the user
+ *
+ * Names must be unique (ignoring case) and may not contain commas (lists
+ * of statuses are comma-separated in query strings). There must be at
+ * least one todo and one done status, so tasks can be created and completed.
+ *
+ * @param {*} statuses - Raw value of req.body.statuses
+ * @returns {{ error: string|null, statuses: Object[] }} Error message or the cleaned statuses
+ */
+const validateWorkflow = (statuses) => {
+  const fail = (error) => ({ error, statuses: [] });
+
+  if (!Array.isArray(statuses) || statuses.length === 0 || statuses.length > MAX_STATUSES) {
+    return fail(`Statuses must be a list of 1 to ${MAX_STATUSES} statuses`);
+  }
+
+  const cleaned = [];
+  for (const status of statuses) {
+    if (!status || typeof status !== 'object') {
+      return fail('Every status must be an object with a name and a category');
+    }
+
+    const name = typeof status.name === 'string' ? status.name.trim() : '';
+
+    if (!name || name.length > MAX_STATUS_NAME_LENGTH) {
+      return fail(`Every status needs a name of 1 to ${MAX_STATUS_NAME_LENGTH} characters`);
+    }
+    if (name.includes(',')) {
+      return fail(`Status names cannot contain commas ("${name}")`);
+    }
+    if (cleaned.some((other) => other.name.toLowerCase() === name.toLowerCase())) {
+      return fail(`Status names must be unique ("${name}" is used twice)`);
+    }
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return fail(`Category of "${name}" must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    if (status.next !== undefined && !Array.isArray(status.next)) {
+      return fail(`next of "${name}" must be a list of status names`);
+    }
+    // No limit: left out or null
+    const wipLimit = status.wipLimit === undefined ? null : status.wipLimit;
+    if (
+      wipLimit !== null &&
+      (!Number.isInteger(wipLimit) || wipLimit < 1 || wipLimit > MAX_WIP_LIMIT)
+    ) {
+      return fail(`WIP limit of "${name}" must be a whole number from 1 to ${MAX_WIP_LIMIT}`);
+    }
+    if (status._id && cleaned.some((other) => String(other._id) === String(status._id))) {
+      return fail(`Status IDs must be unique ("${name}" reuses one)`);
+    }
+
+    cleaned.push({
+      // Only statuses that already exist have an _id
+      ...(status._id ? { _id: status._id } : {}),
+      name,
+      category: status.category,
+      next: [...new Set((status.next || []).map((next) => String(next).trim()))],
+      wipLimit,
+    });
+  }
+
+  // Transitions can only point to statuses of the new workflow
+  for (const status of cleaned) {
+    const unknown = status.next.find((name) => !findStatus(cleaned, name));
+    if (unknown) {
+      return fail(`"${status.name}" lists an unknown next status: "${unknown}"`);
+    }
+  }
+
+  if (!getInitialStatus(cleaned) || !getDoneStatus(cleaned)) {
+    return fail('The workflow needs at least one todo status and one done status');
+  }
+
+  return { error: null, statuses: cleaned };
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  getWorkflow,
+  findStatus,
+  getInitialStatus,
+  getDoneStatus,
+  checkTransition,
+  applyStatus,
+  validateWorkflow,
+};
@@ -9,16 +9,45 @@
  * 2. If not logged in: Show Login/Register forms
  * 3. If logged in: Show TaskList
  * 4. Handle login/logout/register
+ * 5. Show the login form again when the session ends (e.g. logged out
+ *    elsewhere, or the login has not been used for too long)
+ * 6. Show the ResetPassword page for links from password reset emails
+ *    (/reset-password?token=...) and the VerifyEmail page for links from
+ *    verification emails (/verify-email?token=...)
+ * 7. Remind users with an unverified email to verify it
+ * 8. Show the account settings instead of the tasks when asked
  */
 
 import React, { useState, useEffect } from 'react';
 import Login from './components/Login';
 import Register from './components/Register';
 import TaskList from './components/TaskList';
-import { initAuthToken, getAuthToken, logoutUser } from './services/api';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import VerificationBanner from './components/VerificationBanner';
+import AccountSettings from './components/AccountSettings';
+import {
+  initAuthToken,
+  getAuthToken,
+  logoutUser,
+  onSessionExpired,
+  isEmailVerified,
+  refreshAuthTokens,
+} from './services/api';
 import { getRandomQuote } from './utils/quotes';
 import './App.css';
 
+/**
+ * Read the token of a link from an email, if the app was opened at that page
+ *
+ * @param {string} pathname - The link's page, e.g. "/reset-password"
+ * @returns {string|null} The token, or null
+ */
+const getLinkToken = (pathname) =>
+  window.location.pathname === pathname
+    ? new URLSearchParams(window.location.search).get('token')
+    : null;
+
 const App = () => {
   // State to track if user is logged in
   const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -32,6 +61,21 @@ const App = () => {
   // State for random motivational quote
   const [quote, setQuote] = useState(null);
 
+  // Notice shown above the login form when the session has ended
+  const [sessionNotice, setSessionNotice] = useState('');
+
+  // Token from a password reset link (the app was opened at /reset-password?token=...)
+  const [resetToken, setResetToken] = useState(() => getLinkToken('/reset-password'));
+
+  // Token from an email verification link (/verify-email?token=...)
+  const [verifyToken, setVerifyToken] = useState(() => getLinkToken('/verify-email'));
+
+  // Whether the logged-in user's email is verified (from the access token)
+  const [emailVerified, setEmailVerified] = useState(true);
+
+  // Whether the account settings are shown instead of the tasks
+  const [showSettings, setShowSettings] = useState(false);
+
   /**
    * Check authentication status when app loads
    * If there's a token in localStorage, user is logged in
@@ -43,10 +87,20 @@ const App = () => {
     // Check if token exists
     const token = getAuthToken();
     setIsLoggedIn(!!token);
+    setEmailVerified(isEmailVerified());
     setLoading(false);
     
     // Get a random quote when component mounts
     setQuote(getRandomQuote());
+
+    // When the session ends, go back to the login form
+    onSessionExpired(() => {
+      setIsLoggedIn(false);
+      setShowRegister(false);
+      setShowSettings(false);
+      setSessionNotice('Your session has ended. Please log in again.');
+    });
+    return () => onSessionExpired(null);
   }, []);
 
   /**
@@ -56,6 +110,8 @@ const App = () => {
   const handleAuthSuccess = () => {
     setIsLoggedIn(true);
     setShowRegister(false);
+    setSessionNotice('');
+    setEmailVerified(isEmailVerified());
   };
 
   /**
@@ -66,6 +122,49 @@ const App = () => {
     logoutUser();
     setIsLoggedIn(false);
     setShowRegister(false);
+    setShowSettings(false);
+  };
+
+  /**
+   * Handle a deleted account
+   * The tokens are already gone; show the login form with a notice
+   */
+  const handleAccountDeleted = () => {
+    setIsLoggedIn(false);
+    setShowRegister(false);
+    setShowSettings(false);
+    setSessionNotice('Your account has been deleted.');
+  };
+
+  /**
+   * Leave the reset password page for the login form
+   * A successful reset ends all sessions, so this browser is logged out too
+   */
+  const handleResetDone = () => {
+    window.history.replaceState(null, '', '/');
+    setResetToken(null);
+    if (isLoggedIn) {
+      logoutUser();
+      setIsLoggedIn(false);
+    }
+    setShowRegister(false);
+  };
+
+  /**
+   * Leave the verify email page
+   * A logged-in user gets new tokens, which say that the email is verified
+   */
+  const handleVerifyDone = async (verified) => {
+    window.history.replaceState(null, '', '/');
+    setVerifyToken(null);
+    if (verified && isLoggedIn) {
+      try {
+        await refreshAuthTokens();
+      } catch (error) {
+        // The banner stays until the next automatic refresh
+      }
+      setEmailVerified(isEmailVerified());
+    }
   };
 
   // Show loading message while checking authentication
@@ -78,7 +177,7 @@ const App = () => {
   }
 
   // If user is not logged in, show login/register forms
-  if (!isLoggedIn) {
+  if (!isLoggedIn || resetToken || verifyToken) {
     return (
       <div className="App">
         <div className="auth-wrapper">
@@ -92,28 +191,36 @@ const App = () => {
           <div className="auth-content">
             {/* Left side: Form */}
             <div className="auth-form-section">
-              {/* Show Login or Register form based on state */}
-              {showRegister ? (
+              {sessionNotice && <div className="session-notice">{sessionNotice}</div>}
+
+              {/* Show the reset password page, or the Login or Register form based on state */}
+              {resetToken ? (
+                <ResetPassword token={resetToken} onDone={handleResetDone} />
+              ) : verifyToken ? (
+                <VerifyEmail token={verifyToken} isLoggedIn={isLoggedIn} onDone={handleVerifyDone} />
+              ) : showRegister ? (
                 <Register onRegisterSuccess={handleAuthSuccess} />
               ) : (
                 <Login onLoginSuccess={handleAuthSuccess} />
               )}
 
               {/* Login/Register toggle buttons below the form */}
-              <div className="auth-tabs">
-                <button
-                  className={`auth-tab ${!showRegister ? 'active' : ''}`}
-                  onClick={() => setShowRegister(false)}
-                >
-                  Login
-                </button>
-                <button
-                  className={`auth-tab ${showRegister ? 'active' : ''}`}
-                  onClick={() => setShowRegister(true)}
-                >
-                  Register
-                </button>
-              </div>
+              {!resetToken && !verifyToken && (
+                <div className="auth-tabs">
+                  <button
+                    className={`auth-tab ${!showRegister ? 'active' : ''}`}
+                    onClick={() => setShowRegister(false)}
+                  >
+                    Login
+                  </button>
+                  <button
+                    className={`auth-tab ${showRegister ? 'active' : ''}`}
+                    onClick={() => setShowRegister(true)}
+                  >
+                    Register
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Right side: Motivational quote */}
@@ -135,17 +242,34 @@ const App = () => {
   // If user is logged in, show task list
   return (
     <div className="App">
-      {/* Header with logout button */}
+      {/* Header with settings and logout buttons */}
       <header className="app-header">
         <h1>Task Management & Productivity Tracker</h1>
-        <button className="btn btn-secondary" onClick={handleLogout}>
-          Logout
-        </button>
+        <div className="app-header-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowSettings(!showSettings)}
+            aria-pressed={showSettings}
+          >
+            Settings
+          </button>
+          <button className="btn btn-secondary" onClick={handleLogout}>
+            Logout
+          </button>
+        </div>
       </header>
 
-      {/* Main content: Task list */}
+      {/* Main content: Task list, or the account settings */}
       <main className="app-main">
-        <TaskList />
+        {!emailVerified && <VerificationBanner />}
+        {showSettings ? (
+          <AccountSettings
+            onBack={() => setShowSettings(false)}
+            onAccountDeleted={handleAccountDeleted}
+          />
+        ) : (
+          <TaskList />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,302 @@
+/**
+ * AccountSettings Component
+ *
+ * The logged-in user's account page: change the password, change the email
+ * address, or delete the account with all its tasks and other data.
+ *
+ * Every change asks for the current password. Changing the password logs
+ * out all other devices. A new email address only replaces the current one
+ * once the link sent to it is opened; until then it is shown as pending.
+ *
+ * Props:
+ * - onBack: Function called to go back to the tasks
+ * - onAccountDeleted: Function called after the account was deleted
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getAccount,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+  resendVerification,
+} from '../services/api';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+const EMPTY_EMAIL_FORM = { email: '', password: '' };
+
+const AccountSettings = ({ onBack, onAccountDeleted }) => {
+  const [account, setAccount] = useState(null);
+  const [loadError, setLoadError] = useState('');
+
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [passwordStatus, setPasswordStatus] = useState({ error: '', message: '' });
+
+  const [emailForm, setEmailForm] = useState(EMPTY_EMAIL_FORM);
+  const [emailStatus, setEmailStatus] = useState({ error: '', message: '' });
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState('');
+
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getAccount()
+      .then(setAccount)
+      .catch(() => setLoadError('Failed to load your account'));
+  }, []);
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setPasswordStatus({
+        error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        message: '',
+      });
+      return;
+    }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordStatus({ error: 'New passwords do not match', message: '' });
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+      setPasswordStatus({ error: '', message: response.message });
+    } catch (err) {
+      setPasswordStatus({
+        error: err.response?.data?.message || 'Failed to change the password',
+        message: '',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+
+    setBusy(true);
+    try {
+      const response = await changeEmail(emailForm.email, emailForm.password);
+      setAccount(response.account);
+      setEmailForm(EMPTY_EMAIL_FORM);
+      setEmailStatus({ error: '', message: response.message });
+    } catch (err) {
+      setEmailStatus({
+        error: err.response?.data?.message || 'Failed to change the email address',
+        message: '',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Send the link for the pending address again
+  const handleResend = async () => {
+    setBusy(true);
+    try {
+      const response = await resendVerification();
+      setEmailStatus({ error: '', message: response.message });
+    } catch (err) {
+      setEmailStatus({
+        error: err.response?.data?.message || 'Failed to send the email. Please try again.',
+        message: '',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+
+    if (
+      !window.confirm(
+        'Delete your account? All your tasks, projects, tags, comments and time entries are deleted for good.'
+      )
+    ) {
+      return;
+    }
+
+    setBusy(true);
+    setDeleteError('');
+    try {
+      await deleteAccount(deletePassword);
+      onAccountDeleted();
+    } catch (err) {
+      setDeleteError(err.response?.data?.message || 'Failed to delete the account');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="account-settings">
+      <div className="account-settings-header">
+        <h2>Account Settings</h2>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onBack}>
+          Back to Tasks
+        </button>
+      </div>
+
+      {loadError && <div className="error-message">{loadError}</div>}
+
+      {account && (
+        <section className="account-section">
+          <h3>Your Account</h3>
+          <p>
+            <strong>{account.email}</strong>{' '}
+            {account.emailVerified ? '(verified)' : '(not verified yet)'}
+          </p>
+          <p className="account-hint">
+            Member since {new Date(account.createdAt).toLocaleDateString()}
+          </p>
+          {account.pendingEmail && (
+            <p className="account-hint">
+              Waiting for you to open the link sent to <strong>{account.pendingEmail}</strong>.{' '}
+              <button
+                type="button"
+                className="auth-link auth-link-inline"
+                onClick={handleResend}
+                disabled={busy}
+              >
+                Send it again
+              </button>
+            </p>
+          )}
+        </section>
+      )}
+
+      {/* Change password */}
+      <section className="account-section">
+        <h3>Change Password</h3>
+        <p className="account-hint">You stay logged in here; other devices are logged out.</p>
+
+        {passwordStatus.error && <div className="error-message">{passwordStatus.error}</div>}
+        {passwordStatus.message && <p className="account-message">{passwordStatus.message}</p>}
+
+        <form onSubmit={handlePasswordSubmit}>
+          <div className="form-group">
+            <label htmlFor="account-current-password">Current Password</label>
+            <input
+              type="password"
+              id="account-current-password"
+              value={passwordForm.currentPassword}
+              onChange={(e) =>
+                setPasswordForm({ ...passwordForm, currentPassword: e.target.value })
+              }
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="account-new-password">New Password</label>
+              <input
+                type="password"
+                id="account-new-password"
+                value={passwordForm.newPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="account-confirm-password">Confirm New Password</label>
+              <input
+                type="password"
+                id="account-confirm-password"
+                value={passwordForm.confirmPassword}
+                onChange={(e) =>
+                  setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })
+                }
+                autoComplete="new-password"
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            Change Password
+          </button>
+        </form>
+      </section>
+
+      {/* Change email */}
+      <section className="account-section">
+        <h3>Change Email</h3>
+        <p className="account-hint">
+          We send a link to the new address. Your email changes once you open it.
+        </p>
+
+        {emailStatus.error && <div className="error-message">{emailStatus.error}</div>}
+        {emailStatus.message && <p className="account-message">{emailStatus.message}</p>}
+
+        <form onSubmit={handleEmailSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="account-email">New Email</label>
+              <input
+                type="email"
+                id="account-email"
+                value={emailForm.email}
+                onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+                autoComplete="email"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="account-email-password">Current Password</label>
+              <input
+                type="password"
+                id="account-email-password"
+                value={emailForm.password}
+                onChange={(e) => setEmailForm({ ...emailForm, password: e.target.value })}
+                autoComplete="current-password"
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            Change Email
+          </button>
+        </form>
+      </section>
+
+      {/* Delete account */}
+      <section className="account-section account-danger-zone">
+        <h3>Delete Account</h3>
+        <p className="account-hint">
+          Deletes your account with all its tasks (also those in the trash), projects, tags,
+          comments and time entries. This cannot be undone.
+        </p>
+
+        {deleteError && <div className="error-message">{deleteError}</div>}
+
+        <form onSubmit={handleDelete}>
+          <div className="form-group">
+            <label htmlFor="account-delete-password">Current Password</label>
+            <input
+              type="password"
+              id="account-delete-password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-danger" disabled={busy}>
+            Delete My Account
+          </button>
+        </form>
+      </section>
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,164 @@
+/**
+ * BulkActionBar Component
+ *
+ * Bar shown above the task list in selection mode. Runs one action on all
+ * selected tasks: complete, reopen, change status or priority, move to a
+ * project or move to the trash.
+ *
+ * Props:
+ * - count: Number of selected tasks
+ * - shownCount: Number of tasks in the list (for "Select all")
+ * - statuses: The user's workflow statuses (for "Status")
+ * - projects: The user's projects (for "Move to")
+ * - busy: True while an action is running (disables the buttons)
+ * - onAction: Callback (action, options) with an action for POST /api/tasks/bulk
+ * - onSelectAll: Callback to select every task in the list
+ * - onClear: Callback to clear the selection
+ */
+
+import React from 'react';
+
+const BulkActionBar = ({
+  count,
+  shownCount,
+  statuses = [],
+  projects = [],
+  busy = false,
+  onAction,
+  onSelectAll,
+  onClear,
+}) => {
+  const disabled = busy || count === 0;
+
+  /**
+   * Move the selected tasks to a status, then reset the select
+   */
+  const handleStatus = (e) => {
+    const status = e.target.value;
+    e.target.value = '';
+    if (status) onAction('status', { status });
+  };
+
+  /**
+   * Change the priority of the selected tasks, then reset the select
+   */
+  const handlePriority = (e) => {
+    const priority = e.target.value;
+    e.target.value = '';
+    if (priority) onAction('priority', { priority });
+  };
+
+  /**
+   * Move the selected tasks ("inbox" = no project), then reset the select
+   */
+  const handleMove = (e) => {
+    const value = e.target.value;
+    e.target.value = '';
+    if (value) onAction('move', { projectId: value === 'inbox' ? null : value });
+  };
+
+  /**
+   * Move the selected tasks to the trash, after confirming
+   */
+  const handleDelete = () => {
+    if (window.confirm(`Move ${count} task(s) to the trash?`)) {
+      onAction('delete');
+    }
+  };
+
+  return (
+    <div className="bulk-action-bar">
+      <span className="bulk-count">{count} selected</span>
+
+      <div className="bulk-actions">
+        <button
+          type="button"
+          className="btn btn-success btn-sm"
+          onClick={() => onAction('complete')}
+          disabled={disabled}
+        >
+          ✓ Complete
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => onAction('reopen')}
+          disabled={disabled}
+        >
+          ↺ Reopen
+        </button>
+
+        <select
+          className="filter-select"
+          defaultValue=""
+          onChange={handleStatus}
+          disabled={disabled}
+          aria-label="Change status"
+        >
+          <option value="">Status…</option>
+          {statuses.map((status) => (
+            <option key={status.name} value={status.name}>
+              {status.name}
+            </option>
+          ))}
+        </select>
+
+        <select
+          className="filter-select"
+          defaultValue=""
+          onChange={handlePriority}
+          disabled={disabled}
+          aria-label="Change priority"
+        >
+          <option value="">Priority…</option>
+          <option value="High">High</option>
+          <option value="Medium">Medium</option>
+          <option value="Low">Low</option>
+        </select>
+
+        <select
+          className="filter-select"
+          defaultValue=""
+          onChange={handleMove}
+          disabled={disabled}
+          aria-label="Move to project"
+        >
+          <option value="">Move to…</option>
+          <option value="inbox">Inbox</option>
+          {projects
+            .filter((project) => !project.archived)
+            .map((project) => (
+              <option key={project._id} value={project._id}>
+                {project.name}
+              </option>
+            ))}
+        </select>
+
+        <button
+          type="button"
+          className="btn btn-danger btn-sm"
+          onClick={handleDelete}
+          disabled={disabled}
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="bulk-selection">
+        <button
+          type="button"
+          className="subtask-btn"
+          onClick={onSelectAll}
+          disabled={busy || count === shownCount}
+        >
+          Select all ({shownCount})
+        </button>
+        <button type="button" className="subtask-btn" onClick={onClear} disabled={disabled}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,230 @@
+/**
+ * CalendarFeed Component
+ *
+ * Manages the calendar feed: a secret link calendar apps (Google Calendar,
+ * Apple Calendar, Outlook, ...) subscribe to, to show the user's tasks as
+ * to-dos and as all-day events on their due days.
+ *
+ * The link is only shown right after it is created (the server keeps just
+ * a hash of it). Creating a new link or turning the feed off makes the old
+ * link stop working. Before copying the link, the user can narrow it down
+ * to a project, tag or priority.
+ *
+ * Props:
+ * - projects: The user's projects (for the project filter)
+ * - tags: The user's tags (for the tag filter)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getCalendarFeed, createCalendarFeed, revokeCalendarFeed } from '../services/api';
+
+const EMPTY_FILTERS = { project: '', tag: '', priority: '', type: 'all', openOnly: false };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+/**
+ * Add the chosen filters to the feed link
+ */
+const buildFeedLink = (url, filters) => {
+  const link = new URL(url);
+  link.searchParams.set('timezone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+  if (filters.type !== 'all') link.searchParams.set('type', filters.type);
+  if (filters.project) link.searchParams.set('project', filters.project);
+  if (filters.tag) link.searchParams.set('tag', filters.tag);
+  if (filters.priority) link.searchParams.set('priority', filters.priority);
+  if (filters.openOnly) link.searchParams.set('category', 'todo,in-progress');
+  return link.toString();
+};
+
+const CalendarFeed = ({ projects = [], tags = [] }) => {
+  const [feed, setFeed] = useState(null);
+  const [url, setUrl] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    getCalendarFeed()
+      .then(setFeed)
+      .catch(() => setError('Failed to load the calendar feed'));
+  }, []);
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }));
+    setCopied(false);
+  };
+
+  const handleCreate = async () => {
+    if (
+      feed?.active &&
+      !window.confirm('Create a new link? Calendars using the old link will stop updating.')
+    ) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await createCalendarFeed();
+      setFeed(data.feed);
+      setUrl(data.url);
+      setFilters(EMPTY_FILTERS);
+      setCopied(false);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create the calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off the calendar feed? Calendars using it will stop updating.')) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await revokeCalendarFeed();
+      setFeed(data.feed);
+      setUrl('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to turn off the calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const link = url ? buildFeedLink(url, filters) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (err) {
+      setError('Copying failed, please select the link and copy it by hand');
+    }
+  };
+
+  return (
+    <section className="transfer-section calendar-feed">
+      <h4>Calendar Feed</h4>
+      <p className="transfer-hint">
+        Subscribe to your tasks in a calendar app. Tasks appear as to-dos, and tasks with a
+        due date also as all-day events. Anyone with the link can see these tasks, so keep it
+        private.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {feed?.active && (
+        <p className="transfer-hint">
+          Feed on since {formatDateTime(feed.createdAt)}, last read by a calendar app:{' '}
+          {formatDateTime(feed.lastUsedAt)}.
+        </p>
+      )}
+
+      {/* The link, only right after it was created */}
+      {link && (
+        <div className="calendar-feed-link">
+          <p className="transfer-hint">Copy the link now: it is only shown once.</p>
+
+          <div className="calendar-feed-filters">
+            <select
+              value={filters.project}
+              onChange={(e) => updateFilter('project', e.target.value)}
+              aria-label="Project"
+            >
+              <option value="">All projects</option>
+              <option value="inbox">Inbox</option>
+              {projects.map((project) => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.tag}
+              onChange={(e) => updateFilter('tag', e.target.value)}
+              aria-label="Tag"
+            >
+              <option value="">All tags</option>
+              {tags.map((tag) => (
+                <option key={tag._id} value={tag._id}>
+                  {tag.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.priority}
+              onChange={(e) => updateFilter('priority', e.target.value)}
+              aria-label="Priority"
+            >
+              <option value="">All priorities</option>
+              <option value="High">High</option>
+              <option value="Medium">Medium</option>
+              <option value="Low">Low</option>
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              aria-label="Entries"
+            >
+              <option value="all">To-dos and events</option>
+              <option value="todo">To-dos only</option>
+              <option value="event">Due-date events only</option>
+            </select>
+            <label>
+              <input
+                type="checkbox"
+                checked={filters.openOnly}
+                onChange={(e) => updateFilter('openOnly', e.target.checked)}
+              />{' '}
+              Leave out finished tasks
+            </label>
+          </div>
+
+          <div className="calendar-feed-url">
+            <input
+              type="text"
+              value={link}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              aria-label="Calendar feed link"
+            />
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy}>
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <a className="btn btn-secondary btn-sm" href={link.replace(/^https?:/, 'webcal:')}>
+              Open in Calendar App
+            </a>
+          </div>
+        </div>
+      )}
+
+      <div className="transfer-buttons">
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={handleCreate}
+          disabled={busy || !feed}
+        >
+          {feed?.active ? 'Create New Link' : 'Turn On Calendar Feed'}
+        </button>
+        {feed?.active && (
+          <button
+            type="button"
+            className="btn btn-danger btn-sm"
+            onClick={handleRevoke}
+            disabled={busy}
+          >
+            Turn Off
+          </button>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default CalendarFeed;
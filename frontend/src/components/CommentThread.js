@@ -0,0 +1,225 @@
+/**
+ * CommentThread Component
+ *
+ * Shows a task's thread (inside TaskItem): the user's comments and the
+ * activity entries recorded when the task changed.
+ * Lets the user add, edit and delete their own comments.
+ *
+ * Props:
+ * - taskId: ID of the task
+ * - refreshKey: Changes when the task changes (e.g. task.updatedAt),
+ *   so new activity entries are loaded
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getComments, addComment, updateComment, deleteComment } from '../services/api';
+
+// Labels for date fields in activity entries
+const dateLabels = {
+  dueDate: 'due date',
+  startDate: 'start date',
+};
+
+/**
+ * Format a date or date-time for display
+ */
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Text of an activity entry
+ * Date changes are shown in the user's timezone, everything else as recorded
+ */
+const describeEntry = (entry) => {
+  const label = entry.change && dateLabels[entry.change.field];
+  if (!label) return entry.body;
+
+  const { from, to } = entry.change;
+  if (!from) return `${label} set to ${formatDate(to)}`;
+  if (!to) return `${label} removed`;
+  return `${label} changed ${formatDate(from)} → ${formatDate(to)}`;
+};
+
+const CommentThread = ({ taskId, refreshKey }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // State for the "add comment" input
+  const [newBody, setNewBody] = useState('');
+
+  // State for the comment being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+
+  /**
+   * Load the thread from the backend
+   */
+  const fetchComments = useCallback(async () => {
+    setError('');
+    try {
+      setComments(await getComments(taskId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  // Load on open, and again after the task changed
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments, refreshKey]);
+
+  /**
+   * Handle the "add comment" form submission
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBody.trim()) return;
+
+    setError('');
+    try {
+      const comment = await addComment(taskId, newBody.trim());
+      setComments((current) => [...current, comment]);
+      setNewBody('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to add comment');
+    }
+  };
+
+  /**
+   * Save the edited comment
+   */
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editBody.trim()) return;
+
+    setError('');
+    try {
+      const updated = await updateComment(taskId, editingId, editBody.trim());
+      setComments((current) =>
+        current.map((comment) => (comment._id === updated._id ? updated : comment))
+      );
+      setEditingId(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  /**
+   * Delete a comment after confirming
+   */
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    setError('');
+    try {
+      await deleteComment(taskId, commentId);
+      setComments((current) => current.filter((comment) => comment._id !== commentId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="comment-thread">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p className="comment-empty">Loading...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-empty">No comments or activity yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map((comment) =>
+            comment.type === 'system' ? (
+              <li key={comment._id} className="comment-entry system">
+                <span className="comment-text">{describeEntry(comment)}</span>
+                <span className="comment-time">{formatTime(comment.createdAt)}</span>
+              </li>
+            ) : (
+              <li key={comment._id} className="comment-entry">
+                {editingId === comment._id ? (
+                  <form className="subtask-add" onSubmit={handleSaveEdit}>
+                    <input
+                      type="text"
+                      value={editBody}
+                      onChange={(e) => setEditBody(e.target.value)}
+                      maxLength={2000}
+                      autoFocus
+                    />
+                    <button type="submit" className="btn btn-secondary btn-sm">
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setEditingId(null)}
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="comment-text">{comment.body}</span>
+                    <span className="comment-time">
+                      {formatTime(comment.createdAt)}
+                      {comment.editedAt && ' (edited)'}
+                    </span>
+                    <span className="comment-actions">
+                      <button
+                        type="button"
+                        className="subtask-btn"
+                        onClick={() => {
+                          setEditingId(comment._id);
+                          setEditBody(comment.body);
+                        }}
+                        title="Edit comment"
+                      >
+                        ✎
+                      </button>
+                      <button
+                        type="button"
+                        className="subtask-btn subtask-btn-delete"
+                        onClick={() => handleDelete(comment._id)}
+                        title="Delete comment"
+                      >
+                        ×
+                      </button>
+                    </span>
+                  </>
+                )}
+              </li>
+            )
+          )}
+        </ul>
+      )}
+
+      {/* New comment */}
+      <form className="subtask-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newBody}
+          onChange={(e) => setNewBody(e.target.value)}
+          placeholder="Add a comment..."
+          maxLength={2000}
+        />
+        <button type="submit" className="btn btn-secondary btn-sm" disabled={!newBody.trim()}>
+          Post
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
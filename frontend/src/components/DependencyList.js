@@ -0,0 +1,177 @@
+/**
+ * DependencyList Component
+ *
+ * Shows which tasks a task is blocked by and which tasks it blocks
+ * (inside TaskItem). Blockers can be removed, and new ones found with
+ * a small search box.
+ *
+ * Props:
+ * - task: The task object
+ * - onChange: Callback with the updated task after a link is added or removed
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getDependencies,
+  addDependency,
+  removeDependency,
+  searchTasks,
+} from '../services/api';
+import { isTaskDone } from '../utils/workflow';
+
+/**
+ * One linked task: title and status
+ */
+const LinkedTask = ({ task, onRemove }) => (
+  <li className={`dependency-item ${isTaskDone(task) ? 'done' : ''}`}>
+    <span className="dependency-title">{task.title}</span>
+    <span className="dependency-status">{task.status}</span>
+    {onRemove && (
+      <button
+        type="button"
+        className="subtask-btn subtask-btn-delete"
+        onClick={() => onRemove(task)}
+        title="Remove link"
+      >
+        ×
+      </button>
+    )}
+  </li>
+);
+
+const DependencyList = ({ task, onChange }) => {
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [error, setError] = useState('');
+
+  // State for finding a new blocker
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+
+  /**
+   * Load both lists from the backend
+   */
+  const fetchDependencies = useCallback(async () => {
+    try {
+      const data = await getDependencies(task._id);
+      setBlockedBy(data.blockedBy);
+      setBlocks(data.blocks);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load dependencies');
+    }
+  }, [task._id]);
+
+  // Reload when the links or the number of pending blockers change
+  const linkKey = `${(task.blockedBy || []).join(',')}:${task.blockedCount}`;
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies, linkKey]);
+
+  // Search for tasks to add as blockers (waits until typing pauses)
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await searchTasks(text, { limit: 5 });
+        if (!cancelled) setResults(found);
+      } catch (err) {
+        if (!cancelled) setResults([]);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  /**
+   * Run a link API call and pass the updated task to the parent
+   */
+  const runAction = async (action, errorMessage) => {
+    setError('');
+    try {
+      const updatedTask = await action();
+      if (onChange) {
+        onChange(updatedTask);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+    }
+  };
+
+  const handleAdd = (blocker) => {
+    setQuery('');
+    setResults([]);
+    runAction(() => addDependency(task._id, blocker._id), 'Failed to add dependency');
+  };
+
+  const handleRemove = (blocker) => {
+    runAction(() => removeDependency(task._id, blocker._id), 'Failed to remove dependency');
+  };
+
+  // Search results that can be added (not this task, not already a blocker)
+  const candidates = results.filter(
+    (result) =>
+      result._id !== task._id && !blockedBy.some((blocker) => blocker._id === result._id)
+  );
+
+  return (
+    <div className="dependency-list">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      <h4 className="dependency-heading">Blocked by</h4>
+      {blockedBy.length === 0 ? (
+        <p className="comment-empty">Nothing. This task can start any time.</p>
+      ) : (
+        <ul className="dependency-items">
+          {blockedBy.map((blocker) => (
+            <LinkedTask key={blocker._id} task={blocker} onRemove={handleRemove} />
+          ))}
+        </ul>
+      )}
+
+      {/* Find a task to wait for */}
+      <div className="dependency-search">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Add a task this one waits for..."
+          aria-label="Search for a blocking task"
+        />
+        {candidates.length > 0 && (
+          <ul className="dependency-results">
+            {candidates.map((candidate) => (
+              <li key={candidate._id}>
+                <button type="button" onClick={() => handleAdd(candidate)}>
+                  {candidate.title}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {blocks.length > 0 && (
+        <>
+          <h4 className="dependency-heading">Blocks</h4>
+          <ul className="dependency-items">
+            {blocks.map((blocked) => (
+              <LinkedTask key={blocked._id} task={blocked} />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DependencyList;
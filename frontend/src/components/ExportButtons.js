@@ -0,0 +1,92 @@
+/**
+ * ExportButtons Component
+ *
+ * Buttons that download the tasks matching the current filters as a
+ * JSON file, a CSV file (for spreadsheets) or a Markdown checklist.
+ *
+ * Props:
+ * - params: The task list's filters and sort order (the export uses the same)
+ * - total: Number of tasks matching the filters
+ */
+
+import React, { useState } from 'react';
+import { exportTasks } from '../services/api';
+
+const FORMATS = [
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'md', label: 'Markdown' },
+];
+
+/**
+ * Save a downloaded file on the user's computer
+ */
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Read the error message of a failed download
+ * (the response was requested as a file, so its JSON body arrives as a Blob)
+ */
+const readErrorMessage = async (err) => {
+  try {
+    const data = JSON.parse(await err.response.data.text());
+    return data.message || 'Failed to export tasks';
+  } catch (parseError) {
+    return 'Failed to export tasks';
+  }
+};
+
+const ExportButtons = ({ params, total }) => {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError('');
+
+    try {
+      const { blob, filename } = await exportTasks(format, params);
+      saveFile(blob, filename);
+    } catch (err) {
+      setError(await readErrorMessage(err));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <section className="transfer-section">
+      <h4>Export</h4>
+      <p className="transfer-hint">
+        Download the {total} task(s) matching the current filters, in the current sort order.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="transfer-buttons">
+        {FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleExport(format)}
+            disabled={exporting !== null}
+          >
+            {exporting === format ? 'Exporting...' : `⬇ ${label}`}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,87 @@
+/**
+ * ForgotPassword Component
+ *
+ * Shown by the Login component after clicking "Forgot password?".
+ * The user enters their email and gets a link to choose a new password
+ * (the link opens the ResetPassword page).
+ *
+ * Props:
+ * - initialEmail: Email already typed into the login form
+ * - onBack: Function called to go back to the login form
+ */
+
+import React, { useState } from 'react';
+import { requestPasswordReset } from '../services/api';
+
+const ForgotPassword = ({ initialEmail = '', onBack }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await requestPasswordReset(email.trim());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Forgot Password</h2>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {message ? (
+          <p className="auth-info">{message}</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="auth-info">
+              Enter the email of your account and we will send you a link to choose a new
+              password.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="forgot-email">Email</label>
+              <input
+                type="email"
+                id="forgot-email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                placeholder="Enter your email"
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <button type="button" className="auth-link" onClick={onBack}>
+          Back to login
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,197 @@
+/**
+ * HistoryPanel Component
+ *
+ * Shows a task's revision history (inside TaskItem): who changed the task,
+ * when, and which fields changed from what to what.
+ * Any revision can be rolled back, which puts the task back the way it was
+ * just before that change.
+ *
+ * Props:
+ * - task: The task object
+ * - onChange: Callback with the updated task after a rollback
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getTaskHistory, revertTask } from '../services/api';
+
+// Labels for the fields in a revision
+const fieldLabels = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  status: 'Status',
+  dueDate: 'Due date',
+  startDate: 'Start date',
+  tags: 'Tags',
+  projectId: 'Project',
+  recurrence: 'Repeat',
+};
+
+// Labels for the ways a task can be changed
+const actionLabels = {
+  update: 'Edited',
+  complete: 'Completed',
+  reopen: 'Reopened',
+  revert: 'Rolled back',
+};
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Format one value of a field for display
+ * names holds the tag and project names sent with the history
+ */
+const formatValue = (field, value, names) => {
+  switch (field) {
+    case 'dueDate':
+    case 'startDate':
+      return value ? new Date(value).toLocaleDateString() : 'none';
+    case 'tags':
+      return value && value.length > 0
+        ? value.map((id) => `#${names.tags[id] || 'deleted tag'}`).join(', ')
+        : 'none';
+    case 'projectId':
+      return value ? names.projects[value] || 'deleted project' : 'Inbox';
+    case 'recurrence':
+      return value ? value.rule : 'none';
+    case 'description':
+      if (!value) return 'empty';
+      return value.length > 60 ? `"${value.slice(0, 60)}…"` : `"${value}"`;
+    case 'title':
+      return `"${value}"`;
+    default:
+      return value;
+  }
+};
+
+const HistoryPanel = ({ task, onChange }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [names, setNames] = useState({ tags: {}, projects: {} });
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the newest revisions from the backend
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      const data = await getTaskHistory(task._id);
+      setRevisions(data.revisions);
+      setNames(data.names);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  // Reload whenever the task changes
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, task.updatedAt]);
+
+  /**
+   * Add the next page of older revisions
+   */
+  const loadOlder = async () => {
+    setError('');
+    try {
+      const data = await getTaskHistory(task._id, {
+        before: revisions[revisions.length - 1]._id,
+      });
+      setRevisions((current) => [...current, ...data.revisions]);
+      setNames((current) => ({
+        tags: { ...current.tags, ...data.names.tags },
+        projects: { ...current.projects, ...data.names.projects },
+      }));
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+    }
+  };
+
+  /**
+   * Roll the task back to before a revision, after confirming
+   */
+  const handleRollBack = async (revision) => {
+    if (
+      !window.confirm(
+        'Roll this task back to how it was before this change? Later changes are undone too.'
+      )
+    ) {
+      return;
+    }
+
+    setError('');
+    try {
+      const updatedTask = await revertTask(task._id, revision._id);
+      if (onChange) {
+        onChange(updatedTask);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to roll back task');
+    }
+  };
+
+  if (loading) {
+    return <p className="comment-empty">Loading history...</p>;
+  }
+
+  return (
+    <div className="history-panel">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {revisions.length === 0 ? (
+        <p className="comment-empty">No changes yet.</p>
+      ) : (
+        <ul className="history-list">
+          {revisions.map((revision) => (
+            <li key={revision._id} className="history-entry">
+              <div className="history-entry-header">
+                <span className="history-action">{actionLabels[revision.action]}</span>
+                <span className="comment-time">
+                  {formatTime(revision.createdAt)}
+                  {revision.changedBy && ` · ${revision.changedBy.email}`}
+                </span>
+                <button
+                  type="button"
+                  className="subtask-btn history-rollback"
+                  onClick={() => handleRollBack(revision)}
+                  title="Put the task back the way it was before this change"
+                >
+                  ↶ Roll back
+                </button>
+              </div>
+              <ul className="history-changes">
+                {revision.changes.map((change) => (
+                  <li key={change.field}>
+                    <span className="history-field">{fieldLabels[change.field]}:</span>{' '}
+                    {formatValue(change.field, change.from, names)} →{' '}
+                    {formatValue(change.field, change.to, names)}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasMore && (
+        <button type="button" className="btn btn-secondary btn-sm" onClick={loadOlder}>
+          Load older changes
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
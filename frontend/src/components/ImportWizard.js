@@ -0,0 +1,342 @@
+/**
+ * ImportWizard Component
+ *
+ * Imports tasks from a CSV or JSON file in three steps:
+ * 1. Choose a file
+ * 2. Preview: the backend checks every row without saving anything (dry run).
+ *    The user can change which column fills which task field and whether
+ *    duplicates (same title and due date as an existing task) are imported;
+ *    each change runs the preview again
+ * 3. Import: the rows without errors are saved, and the result is shown
+ *
+ * Props:
+ * - onImported: Callback with the import result after tasks were saved
+ */
+
+import React, { useState, useRef } from 'react';
+import { importTasks } from '../services/api';
+
+// Largest file the backend accepts
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  startDate: 'Start date',
+  tags: 'Tags',
+  project: 'Project',
+};
+
+const ROW_STATUS_LABELS = {
+  valid: 'Ready',
+  invalid: 'Error',
+  duplicate: 'Duplicate',
+  imported: 'Imported',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const ImportWizard = ({ onImported }) => {
+  // The chosen file: { name, format, content }
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [duplicates, setDuplicates] = useState('skip');
+
+  // The dry run's report, and the real import's report once it ran
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Only the latest preview counts (the mapping can change while one is loading)
+  const previewRequest = useRef(0);
+
+  /**
+   * Check the file with the backend (dry run) and show the report
+   */
+  const runPreview = async (source, newMapping, newDuplicates) => {
+    const request = (previewRequest.current += 1);
+    setBusy(true);
+    setError('');
+
+    try {
+      const data = await importTasks({
+        format: source.format,
+        content: source.content,
+        mapping: newMapping || undefined,
+        duplicates: newDuplicates,
+        dryRun: true,
+      });
+      if (request !== previewRequest.current) return;
+      setPreview(data);
+      setMapping(data.mapping);
+    } catch (err) {
+      if (request !== previewRequest.current) return;
+      const data = err.response?.data;
+      setError(data?.message || 'Failed to read the file');
+
+      // The file could be read, but a column is missing (e.g. the title):
+      // show the columns so the user can pick one
+      if (data?.columns) {
+        setPreview({ columns: data.columns, fields: data.fields, summary: null, rows: [] });
+        setMapping(data.mapping);
+      } else {
+        setPreview(null);
+      }
+    } finally {
+      if (request === previewRequest.current) setBusy(false);
+    }
+  };
+
+  /**
+   * Read the chosen file and preview it
+   */
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) return;
+
+    if (chosen.size > MAX_FILE_BYTES) {
+      setError('The file is too big (at most 5 MB)');
+      return;
+    }
+
+    const source = {
+      name: chosen.name,
+      format: chosen.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      content: await chosen.text(),
+    };
+    setFile(source);
+    setResult(null);
+    setProblemsOnly(false);
+    runPreview(source, null, duplicates);
+  };
+
+  const handleMappingChange = (field, column) => {
+    const newMapping = { ...mapping, [field]: column || null };
+    setMapping(newMapping);
+    runPreview(file, newMapping, duplicates);
+  };
+
+  const handleDuplicatesChange = (value) => {
+    setDuplicates(value);
+    runPreview(file, mapping, value);
+  };
+
+  /**
+   * Save the rows of the preview
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const data = await importTasks({
+        format: file.format,
+        content: file.content,
+        mapping,
+        duplicates,
+        dryRun: false,
+      });
+      setResult(data);
+      if (onImported) onImported(data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import the tasks');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setMapping(null);
+    setPreview(null);
+    setResult(null);
+    setError('');
+  };
+
+  const report = result || preview;
+  const summary = report ? report.summary : null;
+  const rows = report
+    ? report.rows.filter((row) => !problemsOnly || ['invalid', 'duplicate'].includes(row.status))
+    : [];
+
+  return (
+    <section className="transfer-section import-wizard">
+      <h4>Import</h4>
+
+      {/* Step 1: choose a file */}
+      {!file && (
+        <>
+          <p className="transfer-hint">
+            Import tasks from a CSV file (with column names in the first row) or a JSON file
+            (like the JSON export). You can check the tasks before anything is saved.
+          </p>
+          <label className="btn btn-secondary btn-sm import-file-button">
+            Choose File...
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              className="visually-hidden"
+            />
+          </label>
+        </>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {file && (
+        <p className="transfer-hint">
+          File: <strong>{file.name}</strong>
+          {busy && ' (checking...)'}
+        </p>
+      )}
+
+      {/* Step 2: map the columns and check the rows */}
+      {file && preview && !result && (
+        <>
+          <div className="import-mapping">
+            {preview.fields.map((field) => (
+              <label key={field} className="import-mapping-field">
+                <span>{FIELD_LABELS[field] || field}</span>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                  disabled={busy}
+                >
+                  <option value="">(not imported)</option>
+                  {preview.columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <label className="import-option">
+            Tasks that already exist (same title and due date):{' '}
+            <select
+              value={duplicates}
+              onChange={(e) => handleDuplicatesChange(e.target.value)}
+              disabled={busy}
+            >
+              <option value="skip">Skip them</option>
+              <option value="import">Import them anyway</option>
+            </select>
+          </label>
+        </>
+      )}
+
+      {/* Steps 2 and 3: the report */}
+      {file && summary && (
+        <>
+          <div className="import-summary" role="status">
+            {result ? (
+              <strong>{summary.imported} task(s) imported.</strong>
+            ) : (
+              <strong>
+                {summary.toImport} of {summary.total} task(s) will be imported.
+              </strong>
+            )}{' '}
+            {summary.invalid > 0 && <span>{summary.invalid} with errors. </span>}
+            {summary.duplicates > 0 && (
+              <span>
+                {summary.duplicates} duplicate(s)
+                {duplicates === 'skip' ? ' skipped' : ''}.{' '}
+              </span>
+            )}
+            {summary.newTags.length > 0 && (
+              <span>New tags: {summary.newTags.join(', ')}. </span>
+            )}
+            {summary.newProjects.length > 0 && (
+              <span>New projects: {summary.newProjects.join(', ')}.</span>
+            )}
+          </div>
+
+          {(summary.invalid > 0 || summary.duplicates > 0) && (
+            <label className="import-option">
+              <input
+                type="checkbox"
+                checked={problemsOnly}
+                onChange={(e) => setProblemsOnly(e.target.checked)}
+              />{' '}
+              Only show rows with problems
+            </label>
+          )}
+
+          <div className="import-table-wrapper">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Result</th>
+                  <th>Title</th>
+                  <th>Status</th>
+                  <th>Priority</th>
+                  <th>Due</th>
+                  <th>Tags / Project</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.row} className={`import-row-${row.status}`}>
+                    <td>{row.row}</td>
+                    <td>
+                      <span className={`import-result import-result-${row.status}`}>
+                        {ROW_STATUS_LABELS[row.status]}
+                      </span>
+                      {row.errors.length > 0 && (
+                        <ul className="import-errors">
+                          {row.errors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    <td>{row.task?.title}</td>
+                    <td>{row.task?.status}</td>
+                    <td>{row.task?.priority}</td>
+                    <td>{formatDate(row.task?.dueDate)}</td>
+                    <td>
+                      {[...(row.task?.tags || []).map((tag) => `#${tag}`), row.task?.project]
+                        .filter(Boolean)
+                        .join(' ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {file && (
+        <div className="form-actions">
+          {!result && (
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={busy || !summary || summary.toImport === 0}
+            >
+              {busy ? 'Working...' : `Import ${summary ? summary.toImport : 0} Task(s)`}
+            </button>
+          )}
+          <button type="button" className="btn btn-secondary" onClick={reset} disabled={busy}>
+            {result ? 'Import Another File' : 'Choose Another File'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ImportWizard;
@@ -9,10 +9,14 @@
  * - Form validation
  * - Error message display
  * - Redirects to task list after successful login
+ * - "Forgot password?" shows the ForgotPassword form instead
+ * - Offers to send the verification email again when the account's email
+ *   has to be verified before logging in
  */
 
 import React, { useState } from 'react';
-import { loginUser } from '../services/api';
+import { loginUser, resendVerification } from '../services/api';
+import ForgotPassword from './ForgotPassword';
 
 const Login = ({ onLoginSuccess }) => {
   // State to store form data (email and password)
@@ -27,6 +31,13 @@ const Login = ({ onLoginSuccess }) => {
   // State for loading (shows spinner or disables button during API call)
   const [loading, setLoading] = useState(false);
 
+  // State to show the "Forgot password?" form instead of the login form
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
+
+  // State for an account whose email must be verified before logging in
+  const [unverified, setUnverified] = useState(false);
+  const [resendMessage, setResendMessage] = useState('');
+
   /**
    * Handle input field changes
    * Updates the form data when user types in email or password fields
@@ -39,6 +50,20 @@ const Login = ({ onLoginSuccess }) => {
     });
     // Clear error when user starts typing
     setError('');
+    setUnverified(false);
+    setResendMessage('');
+  };
+
+  /**
+   * Send the verification email again (for accounts that must verify first)
+   */
+  const handleResend = async () => {
+    try {
+      const response = await resendVerification(formData.email);
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage(err.response?.data?.message || 'Failed to send the email. Please try again.');
+    }
   };
 
   /**
@@ -67,7 +92,8 @@ const Login = ({ onLoginSuccess }) => {
         onLoginSuccess(response);
       }
     } catch (err) {
-      // Handle errors (invalid credentials, network error, etc.)
+      // Handle errors (invalid credentials, unverified email, network error, etc.)
+      setUnverified(err.response?.data?.emailVerified === false);
       setError(
         err.response?.data?.message || 'Login failed. Please check your credentials.'
       );
@@ -76,6 +102,15 @@ const Login = ({ onLoginSuccess }) => {
     }
   };
 
+  if (showForgotPassword) {
+    return (
+      <ForgotPassword
+        initialEmail={formData.email}
+        onBack={() => setShowForgotPassword(false)}
+      />
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -84,6 +119,18 @@ const Login = ({ onLoginSuccess }) => {
         {/* Display error message if login fails */}
         {error && <div className="error-message">{error}</div>}
 
+        {/* The email must be verified first: offer a new link */}
+        {unverified && (
+          <p className="auth-info">
+            {resendMessage || 'Did not get the email?'}{' '}
+            {!resendMessage && (
+              <button type="button" className="auth-link auth-link-inline" onClick={handleResend}>
+                Send it again
+              </button>
+            )}
+          </p>
+        )}
+
         <form onSubmit={handleSubmit}>
           {/* Email input field */}
           <div className="form-group">
@@ -118,6 +165,10 @@ const Login = ({ onLoginSuccess }) => {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+
+        <button type="button" className="auth-link" onClick={() => setShowForgotPassword(true)}>
+          Forgot password?
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,252 @@
+/**
+ * ProjectSidebar Component
+ *
+ * Sidebar for switching between projects (task lists).
+ * Shows "All Tasks", the "Inbox" (tasks without a project) and every project
+ * with its pending task count. Projects can be created, archived and deleted here.
+ * The "Trash" entry at the bottom opens the deleted tasks.
+ *
+ * Props:
+ * - projects: The user's projects (including archived ones)
+ * - inbox: Inbox info ({ taskCounts: { pending, completed } })
+ * - selected: "all", "inbox", "trash" or a project ID
+ * - onSelect: Callback with the newly selected value
+ * - onChange: Callback after projects were created, archived or deleted
+ */
+
+import React, { useState } from 'react';
+import { createProject, updateProject, deleteProject } from '../services/api';
+
+const SidebarItem = ({ label, color, count, active, onClick }) => (
+  <button
+    type="button"
+    className={`sidebar-item ${active ? 'active' : ''}`}
+    onClick={onClick}
+  >
+    {color && <span className="sidebar-dot" style={{ backgroundColor: color }} />}
+    <span className="sidebar-label">{label}</span>
+    {count > 0 && <span className="sidebar-count">{count}</span>}
+  </button>
+);
+
+const ProjectSidebar = ({ projects, inbox, selected, onSelect, onChange }) => {
+  // State for the "new project" inputs
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('#667eea');
+
+  // State for showing archived projects
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Project waiting for the user to choose what happens to its tasks
+  const [deleting, setDeleting] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const visibleProjects = projects.filter((project) => showArchived || !project.archived);
+  const hasArchived = projects.some((project) => project.archived);
+
+  /**
+   * Run a project API call, then let the parent refresh
+   */
+  const runAction = async (action, errorMessage) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await action();
+      if (onChange) {
+        onChange();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle the "new project" form submission
+   */
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    runAction(
+      () => createProject({ name: newName.trim(), color: newColor }),
+      'Failed to create project'
+    );
+    setNewName('');
+  };
+
+  /**
+   * Handle delete button click
+   * Projects with tasks ask whether to move the tasks or trash them first
+   */
+  const handleDelete = (project) => {
+    const taskCount = project.taskCounts.pending + project.taskCounts.completed;
+
+    if (taskCount > 0) {
+      setDeleting(project);
+      return;
+    }
+
+    if (window.confirm(`Delete the project "${project.name}"?`)) {
+      runAction(() => deleteProject(project._id), 'Failed to delete project');
+      if (selected === project._id) onSelect('all');
+    }
+  };
+
+  /**
+   * Finish deleting a project once the user chose "move" or "delete"
+   */
+  const confirmDelete = (taskAction) => {
+    const project = deleting;
+    setDeleting(null);
+
+    runAction(
+      () => deleteProject(project._id, { tasks: taskAction, moveTo: 'inbox' }),
+      'Failed to delete project'
+    );
+    if (selected === project._id) onSelect('all');
+  };
+
+  return (
+    <aside className="project-sidebar">
+      <h3 className="sidebar-heading">Lists</h3>
+
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      <SidebarItem
+        label="All Tasks"
+        active={selected === 'all'}
+        onClick={() => onSelect('all')}
+      />
+      <SidebarItem
+        label="Inbox"
+        count={inbox ? inbox.taskCounts.pending : 0}
+        active={selected === 'inbox'}
+        onClick={() => onSelect('inbox')}
+      />
+
+      <h3 className="sidebar-heading">Projects</h3>
+
+      {visibleProjects.map((project) => (
+        <div
+          key={project._id}
+          className={`sidebar-project ${project.archived ? 'archived' : ''}`}
+        >
+          <SidebarItem
+            label={project.name}
+            color={project.color}
+            count={project.taskCounts.pending}
+            active={selected === project._id}
+            onClick={() => onSelect(project._id)}
+          />
+          <div className="sidebar-project-actions">
+            <button
+              type="button"
+              className="subtask-btn"
+              onClick={() =>
+                runAction(
+                  () => updateProject(project._id, { archived: !project.archived }),
+                  'Failed to update project'
+                )
+              }
+              disabled={loading}
+              title={project.archived ? 'Unarchive' : 'Archive'}
+            >
+              {project.archived ? '↺' : '⌂'}
+            </button>
+            <button
+              type="button"
+              className="subtask-btn subtask-btn-delete"
+              onClick={() => handleDelete(project)}
+              disabled={loading}
+              title="Delete project"
+            >
+              ×
+            </button>
+          </div>
+
+          {/* Move or delete the tasks of a project that is being deleted */}
+          {deleting && deleting._id === project._id && (
+            <div className="sidebar-delete-choice">
+              <p>What should happen to the tasks in "{project.name}"?</p>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => confirmDelete('move')}
+              >
+                Move to Inbox
+              </button>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => confirmDelete('delete')}
+              >
+                Move Tasks to Trash
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => setDeleting(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {hasArchived && (
+        <label className="sidebar-toggle">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+          Show archived
+        </label>
+      )}
+
+      {/* New project */}
+      <form className="subtask-add sidebar-new" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New project"
+          maxLength={60}
+          disabled={loading}
+        />
+        <input
+          type="color"
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          title="Project colour"
+          disabled={loading}
+        />
+        <button
+          type="submit"
+          className="btn btn-secondary btn-sm"
+          disabled={loading || !newName.trim()}
+        >
+          +
+        </button>
+      </form>
+
+      {/* Deleted tasks */}
+      <div className="sidebar-trash">
+        <SidebarItem
+          label="🗑 Trash"
+          active={selected === 'trash'}
+          onClick={() => onSelect('trash')}
+        />
+      </div>
+    </aside>
+  );
+};
+
+export default ProjectSidebar;
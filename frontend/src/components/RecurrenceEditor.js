@@ -0,0 +1,116 @@
+/**
+ * RecurrenceEditor Component
+ *
+ * Form fields for making a task repeat (used inside TaskForm).
+ * Choose how often the task repeats, and on which weekdays or day of the month.
+ *
+ * Props:
+ * - value: Repeat settings (see emptyRepeat in utils/recurrence.js)
+ * - onChange: Callback with the new settings
+ */
+
+import React from 'react';
+import { WEEKDAYS } from '../utils/recurrence';
+
+// Unit shown after the "every N" input
+const intervalUnits = {
+  daily: 'day(s)',
+  weekly: 'week(s)',
+  monthly: 'month(s)',
+  afterCompletion: 'day(s) after completion',
+};
+
+const RecurrenceEditor = ({ value, onChange }) => {
+  /**
+   * Update one setting
+   */
+  const update = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue });
+  };
+
+  /**
+   * Add or remove a weekday (weekly rules)
+   */
+  const toggleWeekday = (code) => {
+    const weekdays = value.weekdays.includes(code)
+      ? value.weekdays.filter((day) => day !== code)
+      : [...value.weekdays, code];
+    update('weekdays', weekdays);
+  };
+
+  return (
+    <div className="recurrence-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="repeatFrequency">Repeat</label>
+          <select
+            id="repeatFrequency"
+            value={value.frequency}
+            onChange={(e) => update('frequency', e.target.value)}
+          >
+            <option value="none">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="afterCompletion">After completion</option>
+          </select>
+        </div>
+
+        {value.frequency !== 'none' && (
+          <div className="form-group">
+            <label htmlFor="repeatInterval">Every</label>
+            <div className="recurrence-interval">
+              <input
+                type="number"
+                id="repeatInterval"
+                min="1"
+                max="365"
+                value={value.interval}
+                onChange={(e) => update('interval', e.target.value)}
+              />
+              <span>{intervalUnits[value.frequency]}</span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Weekdays for weekly rules */}
+      {value.frequency === 'weekly' && (
+        <div className="recurrence-weekdays">
+          {WEEKDAYS.map((day) => (
+            <button
+              key={day.code}
+              type="button"
+              className={`weekday-btn ${value.weekdays.includes(day.code) ? 'active' : ''}`}
+              onClick={() => toggleWeekday(day.code)}
+              aria-pressed={value.weekdays.includes(day.code)}
+            >
+              {day.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Day of the month for monthly rules */}
+      {value.frequency === 'monthly' && (
+        <div className="form-group">
+          <label htmlFor="repeatMonthDay">On day</label>
+          <select
+            id="repeatMonthDay"
+            value={value.monthDay}
+            onChange={(e) => update('monthDay', Number(e.target.value))}
+          >
+            {[...Array(31)].map((_, i) => (
+              <option key={i + 1} value={i + 1}>
+                {i + 1}
+              </option>
+            ))}
+            <option value={-1}>Last day</option>
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -9,7 +9,8 @@
  * - Password confirmation field
  * - Form validation
  * - Error message display
- * - Automatically logs in user after successful registration
+ * - Automatically logs in user after successful registration (or, when
+ *   unverified accounts may not log in, asks them to verify their email first)
  */
 
 import React, { useState } from 'react';
@@ -29,6 +30,9 @@ const Register = ({ onRegisterSuccess }) => {
   // State for loading
   const [loading, setLoading] = useState(false);
 
+  // Message shown instead of the form when the user must verify their email first
+  const [message, setMessage] = useState('');
+
   /**
    * Handle input field changes
    */
@@ -76,6 +80,12 @@ const Register = ({ onRegisterSuccess }) => {
         password: formData.password,
       });
 
+      // Without tokens, the user has to verify their email before logging in
+      if (!response.token) {
+        setMessage(response.message);
+        return;
+      }
+
       // If registration successful, call the parent component's callback
       // User is automatically logged in after registration
       if (onRegisterSuccess) {
@@ -99,54 +109,58 @@ const Register = ({ onRegisterSuccess }) => {
         {/* Display error message if registration fails */}
         {error && <div className="error-message">{error}</div>}
 
-        <form onSubmit={handleSubmit}>
-          {/* Email input field */}
-          <div className="form-group">
-            <label htmlFor="email">Email</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              placeholder="Enter your email"
-              required
-            />
-          </div>
-
-          {/* Password input field */}
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              placeholder="Enter your password (min. 6 characters)"
-              required
-            />
-          </div>
-
-          {/* Password confirmation field */}
-          <div className="form-group">
-            <label htmlFor="confirmPassword">Confirm Password</label>
-            <input
-              type="password"
-              id="confirmPassword"
-              name="confirmPassword"
-              value={formData.confirmPassword}
-              onChange={handleChange}
-              placeholder="Confirm your password"
-              required
-            />
-          </div>
-
-          {/* Submit button */}
-          <button type="submit" className="btn btn-primary" disabled={loading}>
-            {loading ? 'Registering...' : 'Register'}
-          </button>
-        </form>
+        {message ? (
+          <p className="auth-info">{message}</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {/* Email input field */}
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                placeholder="Enter your email"
+                required
+              />
+            </div>
+
+            {/* Password input field */}
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                placeholder="Enter your password (min. 6 characters)"
+                required
+              />
+            </div>
+
+            {/* Password confirmation field */}
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                placeholder="Confirm your password"
+                required
+              />
+            </div>
+
+            {/* Submit button */}
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Registering...' : 'Register'}
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,112 @@
+/**
+ * ResetPassword Component
+ *
+ * The page the password reset email links to (/reset-password?token=...).
+ * The user chooses a new password; the link works once, and afterwards
+ * they log in with the new password (all their sessions have ended).
+ *
+ * Props:
+ * - token: Token from the reset link
+ * - onDone: Function called to go on to the login form
+ */
+
+import React, { useState } from 'react';
+import { resetPassword } from '../services/api';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ResetPassword = ({ token, onDone }) => {
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await resetPassword(token, formData.password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset the password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Choose a New Password</h2>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {message ? (
+          <>
+            <p className="auth-info">{message}</p>
+            <button type="button" className="btn btn-primary" onClick={onDone}>
+              Go to Login
+            </button>
+          </>
+        ) : (
+          <>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="reset-password">New Password</label>
+                <input
+                  type="password"
+                  id="reset-password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="reset-confirm-password">Confirm New Password</label>
+                <input
+                  type="password"
+                  id="reset-confirm-password"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  placeholder="Enter the new password again"
+                  required
+                />
+              </div>
+
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {loading ? 'Saving...' : 'Set New Password'}
+              </button>
+            </form>
+
+            <button type="button" className="auth-link" onClick={onDone}>
+              Back to login
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
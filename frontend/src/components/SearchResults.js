@@ -0,0 +1,69 @@
+/**
+ * SearchResults Component
+ *
+ * Shows the results of the search box in the TaskList header.
+ * Every result shows its title and a short description snippet with the
+ * matching words highlighted. Clicking a result opens it for editing.
+ *
+ * Props:
+ * - results: Tasks from the search endpoint (with highlights)
+ * - loading: True while a search is running
+ * - onSelect: Callback with the clicked task
+ */
+
+import React from 'react';
+import { isTaskDone } from '../utils/workflow';
+
+/**
+ * Render highlight parts ({ text, match }) with <mark> around the matches
+ */
+const HighlightedText = ({ parts }) => (
+  <>
+    {parts.map((part, index) =>
+      part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+    )}
+  </>
+);
+
+const SearchResults = ({ results, loading, onSelect }) => {
+  if (loading && results.length === 0) {
+    return <div className="loading-message">Searching...</div>;
+  }
+
+  if (results.length === 0) {
+    return <div className="empty-message">No tasks match your search.</div>;
+  }
+
+  return (
+    <ul className={`search-results ${loading ? 'searching' : ''}`}>
+      {results.map((task) => (
+        <li key={task._id}>
+          <button
+            type="button"
+            className={`search-result ${isTaskDone(task) ? 'completed' : ''}`}
+            onClick={() => onSelect(task)}
+          >
+            <span className="search-result-header">
+              <span className="search-result-title">
+                <HighlightedText parts={task.highlights.title} />
+              </span>
+              <span className={`priority-badge priority-${task.priority.toLowerCase()}`}>
+                {task.priority}
+              </span>
+            </span>
+            {task.highlights.description.length > 0 && (
+              <span className="search-result-snippet">
+                <HighlightedText parts={task.highlights.description} />
+              </span>
+            )}
+            <span className={`status-badge status-${task.statusCategory}`}>
+              {task.status}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SearchResults;
@@ -0,0 +1,175 @@
+/**
+ * SubtaskList Component
+ *
+ * Shows a task's checklist (subtasks) with a progress bar.
+ * Lets the user add, check off, reorder and delete checklist items.
+ *
+ * Props:
+ * - task: The parent task object
+ * - onChange: Callback with the updated task after every change
+ */
+
+import React, { useState } from 'react';
+import {
+  addSubtask,
+  toggleSubtask,
+  reorderSubtasks,
+  deleteSubtask,
+} from '../services/api';
+
+const SubtaskList = ({ task, onChange }) => {
+  // State for the "add item" input
+  const [newTitle, setNewTitle] = useState('');
+
+  // State for loading and error messages
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Subtasks sorted by their position in the checklist
+  const subtasks = [...(task.subtasks || [])].sort((a, b) => a.order - b.order);
+  const progress = task.subtaskProgress || { done: 0, total: 0, label: '0/0' };
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  /**
+   * Run a subtask API call and pass the updated task to the parent
+   */
+  const runAction = async (action, errorMessage) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const updatedTask = await action();
+      if (onChange) {
+        onChange(updatedTask);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle the "add item" form submission
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    runAction(() => addSubtask(task._id, newTitle.trim()), 'Failed to add item');
+    setNewTitle('');
+  };
+
+  /**
+   * Move a checklist item one place up (-1) or down (+1)
+   */
+  const handleMove = (index, direction) => {
+    const order = subtasks.map((subtask) => subtask._id);
+    const target = index + direction;
+
+    // Swap the two IDs
+    [order[index], order[target]] = [order[target], order[index]];
+
+    runAction(() => reorderSubtasks(task._id, order), 'Failed to reorder items');
+  };
+
+  return (
+    <div className="subtask-list">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {/* Progress bar (only when there is something to track) */}
+      {progress.total > 0 && (
+        <div className="subtask-progress">
+          <div className="subtask-progress-bar">
+            <div
+              className="subtask-progress-fill"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <span className="subtask-progress-label">{progress.label}</span>
+        </div>
+      )}
+
+      {/* Checklist items */}
+      <ul className="subtask-items">
+        {subtasks.map((subtask, index) => (
+          <li
+            key={subtask._id}
+            className={`subtask-item ${subtask.done ? 'done' : ''}`}
+          >
+            <label className="subtask-check">
+              <input
+                type="checkbox"
+                checked={subtask.done}
+                onChange={() =>
+                  runAction(
+                    () => toggleSubtask(task._id, subtask._id),
+                    'Failed to update item'
+                  )
+                }
+                disabled={loading}
+              />
+              <span className="subtask-title">{subtask.title}</span>
+            </label>
+
+            <div className="subtask-actions">
+              <button
+                type="button"
+                className="subtask-btn"
+                onClick={() => handleMove(index, -1)}
+                disabled={loading || index === 0}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="subtask-btn"
+                onClick={() => handleMove(index, 1)}
+                disabled={loading || index === subtasks.length - 1}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="subtask-btn subtask-btn-delete"
+                onClick={() =>
+                  runAction(
+                    () => deleteSubtask(task._id, subtask._id),
+                    'Failed to delete item'
+                  )
+                }
+                disabled={loading}
+                title="Delete item"
+              >
+                ×
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {/* Add a new checklist item */}
+      <form className="subtask-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a checklist item"
+          disabled={loading}
+        />
+        <button
+          type="submit"
+          className="btn btn-secondary btn-sm"
+          disabled={loading || !newTitle.trim()}
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SubtaskList;
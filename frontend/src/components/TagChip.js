@@ -0,0 +1,40 @@
+/**
+ * TagChip Component
+ *
+ * Displays a single tag as a small coloured chip.
+ *
+ * Props:
+ * - tag: The tag object ({ name, color })
+ * - selected: Optional, false shows the chip faded (used by the tag picker)
+ * - onClick: Optional click handler (makes the chip a button)
+ */
+
+import React from 'react';
+
+const TagChip = ({ tag, selected = true, onClick }) => {
+  const className = `tag-chip ${selected ? '' : 'unselected'}`;
+  const style = { backgroundColor: tag.color };
+
+  // Clickable chip (tag picker)
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={className}
+        style={style}
+        onClick={onClick}
+        aria-pressed={selected}
+      >
+        {tag.name}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      {tag.name}
+    </span>
+  );
+};
+
+export default TagChip;
@@ -0,0 +1,121 @@
+/**
+ * TagPicker Component
+ *
+ * Lets the user choose tags for a task (used inside TaskForm).
+ * Click a chip to add or remove it, or create a new tag on the spot.
+ *
+ * Props:
+ * - tags: All of the user's tags
+ * - selected: Array of selected tag IDs
+ * - onChange: Callback with the new array of selected tag IDs
+ * - onTagCreated: Callback with the new tag after it is created
+ */
+
+import React, { useState } from 'react';
+import TagChip from './TagChip';
+import { createTag } from '../services/api';
+
+const TagPicker = ({ tags, selected, onChange, onTagCreated }) => {
+  // State for the "new tag" inputs
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('#667eea');
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Add or remove a tag from the selection
+   */
+  const toggleTag = (tagId) => {
+    if (selected.includes(tagId)) {
+      onChange(selected.filter((id) => id !== tagId));
+    } else {
+      onChange([...selected, tagId]);
+    }
+  };
+
+  /**
+   * Create a new tag and select it right away
+   */
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const tag = await createTag({ name: newName.trim(), color: newColor });
+      if (onTagCreated) {
+        onTagCreated(tag);
+      }
+      onChange([...selected, tag._id]);
+      setNewName('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create tag');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Pressing Enter in the name input creates the tag
+   * (instead of submitting the whole task form)
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleCreate();
+    }
+  };
+
+  return (
+    <div className="tag-picker">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {/* Existing tags */}
+      {tags.length > 0 && (
+        <div className="tag-chips">
+          {tags.map((tag) => (
+            <TagChip
+              key={tag._id}
+              tag={tag}
+              selected={selected.includes(tag._id)}
+              onClick={() => toggleTag(tag._id)}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* New tag */}
+      <div className="tag-picker-new">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="New tag name"
+          maxLength={30}
+          disabled={loading}
+        />
+        <input
+          type="color"
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          title="Tag colour"
+          disabled={loading}
+        />
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={handleCreate}
+          disabled={loading || !newName.trim()}
+        >
+          Add Tag
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -0,0 +1,375 @@
+/**
+ * TaskBoard Component
+ *
+ * Shows the loaded tasks as a board with one column per status. Each column
+ * has its first cards in manual order loaded, and loads more with its own
+ * "Load more" button (see utils/board.js).
+ * - Drag a card to another column to change its status (only to statuses
+ *   the workflow allows), or up and down to change its place in the column
+ * - Keyboard: focus a card, then use the arrow keys (left / right = previous
+ *   or next status, up / down = place in the column)
+ * - Columns show their task count and warn when it goes over the status's
+ *   WIP (work in progress) limit
+ *
+ * Cards are in the user's manual order, which is saved on the server
+ * (PATCH /api/tasks/:id/move), so it is the same in the grid's "Manual Order".
+ *
+ * Props:
+ * - tasks: Loaded tasks (the first ones of each column)
+ * - statuses: The user's statuses, in order (one column each)
+ * - counts: Number of matching tasks per status name (statusCounts.byStatus)
+ * - cursors: Cursor of the next page per status name (none = column fully loaded)
+ * - onLoadMore: Function (status) that loads the next page of a column
+ * - renderTask: Function (task) that returns the card for a task
+ * - onComplete: Callback with the updated task when a card moves into a done status
+ * - onChange: Callback with the updated task after any other move
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { updateTask, moveTask } from '../services/api';
+import { isTaskDone, getAllowedStatuses } from '../utils/workflow';
+import { buildColumns, positionBetween } from '../utils/board';
+
+const TaskBoard = ({
+  tasks,
+  statuses,
+  counts = {},
+  cursors = {},
+  onLoadMore,
+  renderTask,
+  onComplete,
+  onChange,
+}) => {
+  const [error, setError] = useState('');
+
+  // Column whose next page is loading (status name)
+  const [loadingColumn, setLoadingColumn] = useState(null);
+
+  // The card being dragged, and where it would land: { status, index }
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Card waiting for its move to be saved: { taskId, status, position }
+  const [moving, setMoving] = useState(null);
+  const movingId = moving ? moving.taskId : null;
+
+  // Read out to screen readers after a keyboard move
+  const [announcement, setAnnouncement] = useState('');
+
+  // Card to focus after a keyboard move (it is drawn again in its new place)
+  const [focusId, setFocusId] = useState(null);
+  const boardRef = useRef(null);
+
+  // A card that is being moved already shows in its new place
+  const columns = useMemo(() => {
+    const shownTasks = moving
+      ? tasks.map((task) =>
+          task._id === moving.taskId
+            ? { ...task, status: moving.status, position: moving.position }
+            : task
+        )
+      : tasks;
+    return buildColumns(statuses, shownTasks);
+  }, [statuses, tasks, moving]);
+
+  useEffect(() => {
+    if (!focusId || !boardRef.current) return;
+    const card = boardRef.current.querySelector(`[data-task-id="${focusId}"]`);
+    if (card) card.focus();
+    setFocusId(null);
+  }, [focusId, columns]);
+
+  const draggedTask = tasks.find((task) => task._id === draggedId);
+
+  /**
+   * Number of tasks in a status (all matching tasks, not only the loaded ones)
+   */
+  const countOf = (column) => Math.max(counts[column.status.name] || 0, column.tasks.length);
+
+  /**
+   * Can a task move to a status? (staying in its own status is always fine)
+   */
+  const canMoveTo = (task, statusName) =>
+    getAllowedStatuses(statuses, task.status).some((status) => status.name === statusName);
+
+  /**
+   * Pass a moved task to the task list
+   */
+  const reportMove = (oldTask, updatedTask) => {
+    if (isTaskDone(updatedTask) && !isTaskDone(oldTask)) {
+      if (onComplete) onComplete(updatedTask);
+    } else if (onChange) {
+      onChange(updatedTask);
+    }
+  };
+
+  /**
+   * Move a card to a place in a column (index is counted without the card)
+   * A different column changes the task's status first; going over the
+   * column's WIP limit asks before that. Returns a message for screen readers.
+   */
+  const moveCard = async (task, column, index) => {
+    const { status } = column;
+    const sameStatus = status.name === task.status;
+    const others = column.tasks.filter((other) => other._id !== task._id);
+    const previous = others[index - 1];
+    const next = others[index];
+    const place = `position ${index + 1} in "${status.name}"`;
+
+    if (sameStatus && column.tasks.findIndex((other) => other._id === task._id) === index) {
+      return `"${task.title}" stays at ${place}`;
+    }
+
+    if (!sameStatus) {
+      if (!canMoveTo(task, status.name)) {
+        const message = `"${task.title}" cannot move from "${task.status}" to "${status.name}"`;
+        setError(message);
+        return message;
+      }
+
+      const count = countOf(column);
+      if (
+        status.wipLimit &&
+        count >= status.wipLimit &&
+        !window.confirm(
+          `"${status.name}" already has ${count} task(s) (WIP limit: ${status.wipLimit}). Move the task anyway?`
+        )
+      ) {
+        return `"${task.title}" was not moved`;
+      }
+    }
+
+    // Show the card in its new place right away
+    setMoving({
+      taskId: task._id,
+      status: status.name,
+      position: positionBetween(previous, next, task.position),
+    });
+    setError('');
+
+    let updatedTask = task;
+    try {
+      if (!sameStatus) {
+        updatedTask = await updateTask(task._id, { status: status.name });
+      }
+      if (next || previous) {
+        updatedTask = await moveTask(
+          task._id,
+          next ? { before: next._id } : { after: previous._id }
+        );
+      }
+      reportMove(task, updatedTask);
+      return `"${task.title}" moved to ${place}`;
+    } catch (err) {
+      // The status may have changed before placing the card failed
+      if (updatedTask !== task) reportMove(task, updatedTask);
+      const message = err.response?.data?.message || 'Failed to move the task';
+      setError(message);
+      return message;
+    } finally {
+      setMoving(null);
+    }
+  };
+
+  /**
+   * Load the next cards of a column
+   */
+  const handleLoadMore = async (status) => {
+    setLoadingColumn(status.name);
+    try {
+      await onLoadMore(status);
+    } finally {
+      setLoadingColumn(null);
+    }
+  };
+
+  /**
+   * Work out where in a column the dragged card would land,
+   * from the mouse position and the cards' positions
+   */
+  const handleDragOver = (e, column) => {
+    if (!draggedTask || !canMoveTo(draggedTask, column.status.name)) return;
+
+    // Allow dropping here
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const cards = [...e.currentTarget.querySelectorAll('[data-task-id]')].filter(
+      (card) => card.dataset.taskId !== draggedId
+    );
+    const below = cards.findIndex((card) => {
+      const rect = card.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    const index = below === -1 ? cards.length : below;
+
+    if (dropTarget?.status !== column.status.name || dropTarget?.index !== index) {
+      setDropTarget({ status: column.status.name, index });
+    }
+  };
+
+  const handleDrop = (e, column) => {
+    e.preventDefault();
+    const task = draggedTask;
+    const index =
+      dropTarget?.status === column.status.name ? dropTarget.index : column.tasks.length;
+    setDraggedId(null);
+    setDropTarget(null);
+    if (task) moveCard(task, column, index);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  /**
+   * Arrow keys on a focused card
+   * Left / right: the nearest column the task may move to; up / down: its place
+   */
+  const handleCardKeyDown = async (e, task, columnIndex, cardIndex) => {
+    // Keys pressed in the card's buttons and fields are theirs
+    if (e.target !== e.currentTarget || movingId) return;
+
+    const column = columns[columnIndex];
+    let target = null;
+    let index = cardIndex;
+
+    if (e.key === 'ArrowUp' && cardIndex > 0) {
+      target = column;
+      index = cardIndex - 1;
+    } else if (e.key === 'ArrowDown' && cardIndex < column.tasks.length - 1) {
+      target = column;
+      index = cardIndex + 1;
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const step = e.key === 'ArrowLeft' ? -1 : 1;
+      for (let i = columnIndex + step; i >= 0 && i < columns.length; i += step) {
+        if (canMoveTo(task, columns[i].status.name)) {
+          target = columns[i];
+          break;
+        }
+      }
+      index = target ? target.tasks.length : 0;
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    if (!target) {
+      setAnnouncement(`"${task.title}" cannot move further`);
+      return;
+    }
+
+    setFocusId(task._id);
+    setAnnouncement(await moveCard(task, target, index));
+  };
+
+  return (
+    <div className="task-board-wrapper">
+      {error && <div className="error-message">{error}</div>}
+
+      <p id="board-instructions" className="visually-hidden">
+        Use the arrow keys to move a card: left and right change its status, up and down
+        change its place in the column.
+      </p>
+      <div className="visually-hidden" aria-live="polite">
+        {announcement}
+      </div>
+
+      <div className="task-board" ref={boardRef}>
+        {columns.map((column, columnIndex) => {
+          const { status } = column;
+          const count = countOf(column);
+          const overLimit = status.wipLimit && count > status.wipLimit;
+          const atLimit = status.wipLimit && count === status.wipLimit;
+          const blocked = draggedTask && !canMoveTo(draggedTask, status.name);
+
+          // Drop places are counted without the dragged card
+          const others = column.tasks.filter((task) => task._id !== draggedId);
+          const dropIndex = dropTarget?.status === status.name ? dropTarget.index : null;
+
+          return (
+            <section
+              key={status.name}
+              className={`board-column ${overLimit ? 'over-limit' : ''} ${
+                blocked ? 'drop-blocked' : ''
+              } ${dropTarget?.status === status.name ? 'drop-active' : ''}`}
+              aria-label={`${status.name} (${count})`}
+            >
+              <header className="board-column-header">
+                <span className={`status-badge status-${status.category}`}>{status.name}</span>
+                <span
+                  className={`board-count ${atLimit ? 'at-limit' : ''}`}
+                  title={status.wipLimit ? `WIP limit: ${status.wipLimit}` : undefined}
+                >
+                  {status.wipLimit ? `${count} / ${status.wipLimit}` : count}
+                </span>
+              </header>
+              {overLimit && (
+                <div className="board-wip-warning" role="status">
+                  Over the WIP limit by {count - status.wipLimit}
+                </div>
+              )}
+
+              <div
+                className="board-cards"
+                onDragOver={(e) => handleDragOver(e, column)}
+                onDrop={(e) => handleDrop(e, column)}
+              >
+                {column.tasks.map((task, cardIndex) => (
+                  <React.Fragment key={task._id}>
+                    {dropIndex !== null && others.indexOf(task) === dropIndex && (
+                      <div className="board-drop-marker" />
+                    )}
+                    <div
+                      className={`board-card ${draggedId === task._id ? 'dragging' : ''} ${
+                        movingId === task._id ? 'moving' : ''
+                      }`}
+                      data-task-id={task._id}
+                      draggable={!movingId}
+                      tabIndex={0}
+                      aria-describedby="board-instructions"
+                      aria-label={`${task.title}, ${status.name}, ${cardIndex + 1} of ${
+                        column.tasks.length
+                      }`}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', task._id);
+                        setDraggedId(task._id);
+                      }}
+                      onDragEnd={handleDragEnd}
+                      onKeyDown={(e) => handleCardKeyDown(e, task, columnIndex, cardIndex)}
+                    >
+                      {renderTask(task)}
+                    </div>
+                  </React.Fragment>
+                ))}
+                {dropIndex !== null && dropIndex >= others.length && (
+                  <div className="board-drop-marker" />
+                )}
+                {column.tasks.length === 0 && !dropTarget && (
+                  <div className="board-empty">No tasks</div>
+                )}
+              </div>
+
+              {cursors[status.name] && onLoadMore && (
+                <button
+                  type="button"
+                  className="btn btn-sm btn-secondary board-load-more"
+                  onClick={() => handleLoadMore(status)}
+                  disabled={loadingColumn === status.name}
+                >
+                  {loadingColumn === status.name
+                    ? 'Loading...'
+                    : `Load more (${column.tasks.length} of ${count})`}
+                </button>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskBoard;
@@ -8,19 +8,46 @@
  * 
  * Props:
  * - task: Task object (if editing) or null (if creating)
+ * - tags: All of the user's tags (for the tag picker)
+ * - projects: The user's projects (for the project select)
+ * - defaultProjectId: Project preselected for new tasks ("" = Inbox)
  * - onSubmit: Callback when form is submitted
  * - onCancel: Callback when form is cancelled
+ * - onTagCreated: Callback when a new tag is created in the tag picker
  */
 
 import React, { useState, useEffect } from 'react';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+import { emptyRepeat, ruleToRepeat, repeatToRule } from '../utils/recurrence';
+import TagPicker from './TagPicker';
+import RecurrenceEditor from './RecurrenceEditor';
 
-const TaskForm = ({ task, onSubmit, onCancel }) => {
+// Empty form values (used for create mode and after submitting)
+// Dates are kept as "YYYY-MM-DD" strings while the user edits them
+const emptyFormData = {
+  title: '',
+  description: '',
+  priority: 'Medium',
+  startDate: '',
+  dueDate: '',
+  tags: [],
+  projectId: '', // "" = Inbox
+};
+
+const TaskForm = ({
+  task,
+  tags = [],
+  projects = [],
+  defaultProjectId = '',
+  onSubmit,
+  onCancel,
+  onTagCreated,
+}) => {
   // State to store form data
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    priority: 'Medium',
-  });
+  const [formData, setFormData] = useState(emptyFormData);
+
+  // State for the repeat settings (kept apart from the simple input fields)
+  const [repeat, setRepeat] = useState(emptyRepeat);
 
   const [error, setError] = useState('');
 
@@ -35,16 +62,18 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
         title: task.title || '',
         description: task.description || '',
         priority: task.priority || 'Medium',
+        startDate: toDateInputValue(task.startDate),
+        dueDate: toDateInputValue(task.dueDate),
+        tags: task.tags || [],
+        projectId: task.projectId || '',
       });
+      setRepeat(ruleToRepeat(task.recurrence ? task.recurrence.rule : null));
     } else {
-      // Create mode: reset form to empty values
-      setFormData({
-        title: '',
-        description: '',
-        priority: 'Medium',
-      });
+      // Create mode: reset form to empty values (in the selected project)
+      setFormData({ ...emptyFormData, projectId: defaultProjectId });
+      setRepeat(emptyRepeat);
     }
-  }, [task]);
+  }, [task, defaultProjectId]);
 
   /**
    * Handle input field changes
@@ -75,21 +104,34 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
       return;
     }
 
+    // "YYYY-MM-DD" strings compare correctly as plain strings
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      setError('Start date cannot be after the due date');
+      return;
+    }
+
+    // Repeating tasks send their rule and our timezone (for correct dates around DST)
+    const rule = repeatToRule(repeat);
+    const recurrence = rule
+      ? { rule, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+      : null;
+
     // Call parent callback with form data
     if (onSubmit) {
       onSubmit({
         ...formData,
         title: formData.title.trim(), // Remove extra whitespace
+        startDate: fromDateInputValue(formData.startDate),
+        dueDate: fromDateInputValue(formData.dueDate, true), // Due at the end of the day
+        projectId: formData.projectId || null, // null = Inbox
+        recurrence,
       });
     }
 
     // Reset form after submission (only if creating new task)
     if (!task) {
-      setFormData({
-        title: '',
-        description: '',
-        priority: 'Medium',
-      });
+      setFormData({ ...emptyFormData, projectId: defaultProjectId });
+      setRepeat(emptyRepeat);
     }
   };
 
@@ -145,6 +187,67 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
             </select>
           </div>
 
+          {/* Project dropdown (archived projects only show if the task is in one) */}
+          <div className="form-group">
+            <label htmlFor="projectId">Project</label>
+            <select
+              id="projectId"
+              name="projectId"
+              value={formData.projectId}
+              onChange={handleChange}
+            >
+              <option value="">Inbox</option>
+              {projects
+                .filter((project) => !project.archived || project._id === formData.projectId)
+                .map((project) => (
+                  <option key={project._id} value={project._id}>
+                    {project.name}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          {/* Start and due dates (both optional) */}
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startDate">Start Date</label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleChange}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="dueDate">Due Date</label>
+              <input
+                type="date"
+                id="dueDate"
+                name="dueDate"
+                value={formData.dueDate}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          {/* Repeat settings */}
+          <RecurrenceEditor value={repeat} onChange={setRepeat} />
+
+          {/* Tags */}
+          <div className="form-group">
+            <label>Tags</label>
+            <TagPicker
+              tags={tags}
+              selected={formData.tags}
+              onChange={(selectedTags) =>
+                setFormData({ ...formData, tags: selectedTags })
+              }
+              onTagCreated={onTagCreated}
+            />
+          </div>
+
           {/* Form buttons */}
           <div className="form-actions">
             <button type="submit" className="btn btn-primary">
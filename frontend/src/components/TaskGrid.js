@@ -0,0 +1,83 @@
+/**
+ * TaskGrid Component
+ *
+ * Shows the loaded tasks as a grid of cards. In manual order the cards can
+ * be dragged to a new place: dropping a card on the left half of another
+ * card puts it before that card, on the right half after it.
+ *
+ * Props:
+ * - tasks: Loaded tasks, in the order to show them
+ * - renderTask: Function (task) that returns the card for a task
+ * - reorderable: Allow dragging cards (only makes sense in manual order)
+ * - onMove: Callback (taskId, placement) when a card is dropped,
+ *   with placement { before: siblingId } or { after: siblingId }
+ */
+
+import React, { useState } from 'react';
+
+const TaskGrid = ({ tasks, renderTask, reorderable = false, onMove }) => {
+  // The card being dragged, and where it would land: { id, where: "before" | "after" }
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  if (!reorderable) {
+    return <div className="task-grid">{tasks.map(renderTask)}</div>;
+  }
+
+  /**
+   * Work out which side of the card under the mouse the dragged card goes to
+   */
+  const handleDragOver = (e, task) => {
+    if (!draggedId || task._id === draggedId) return;
+
+    // Allow dropping here
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const where = e.clientX < rect.left + rect.width / 2 ? 'before' : 'after';
+    if (dropTarget?.id !== task._id || dropTarget?.where !== where) {
+      setDropTarget({ id: task._id, where });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (draggedId && dropTarget) {
+      onMove(draggedId, { [dropTarget.where]: dropTarget.id });
+    }
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  return (
+    <div className="task-grid">
+      {tasks.map((task) => (
+        <div
+          key={task._id}
+          className={`grid-card ${draggedId === task._id ? 'dragging' : ''} ${
+            dropTarget?.id === task._id ? `drop-${dropTarget.where}` : ''
+          }`}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', task._id);
+            setDraggedId(task._id);
+          }}
+          onDragOver={(e) => handleDragOver(e, task)}
+          onDrop={handleDrop}
+          onDragEnd={handleDragEnd}
+        >
+          {renderTask(task)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TaskGrid;
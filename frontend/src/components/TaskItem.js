@@ -2,32 +2,93 @@
  * TaskItem Component
  * 
  * Displays a single task as a card.
- * Shows task details and provides actions (edit, delete, mark complete).
+ * Shows task details and provides actions (edit, delete, mark complete / reopen).
+ * The status badge is a dropdown with the statuses the workflow allows next.
+ * Can be expanded to show the task's comments and activity, its time log,
+ * its dependencies and its revision history (with rollback). Tasks waiting on pending tasks get a "Blocked by N" badge.
+ * Has a start/stop timer for tracking the time spent on the task.
  * 
  * Props:
  * - task: The task object to display
+ * - tags: All of the user's tags (to show this task's tag chips)
+ * - statuses: The user's workflow statuses (for the status dropdown)
  * - onUpdate: Callback when task is updated
- * - onDelete: Callback when task is deleted
- * - onComplete: Callback when task is marked as completed
+ * - onDelete: Callback when task is moved to the trash
+ * - onComplete: Callback when task is marked as completed (also from the status dropdown)
+ * - onChange: Callback with the updated task when its checklist, time log or status
+ *   changes, or it is reopened or rolled back
+ * - runningEntry: The user's running timer if it belongs to this task, otherwise null
+ * - onTimerChange: Callback (runningEntry, updatedTasks) after the timer starts or stops
+ * - selectable: Show a checkbox for selecting the task (bulk actions)
+ * - selected: Whether the checkbox is checked
+ * - onSelect: Callback with the task ID when the checkbox is clicked
  */
 
-import React, { useState } from 'react';
-import { deleteTask, markTaskCompleted } from '../services/api';
+import React, { useState, useEffect } from 'react';
+import {
+  deleteTask,
+  markTaskCompleted,
+  reopenTask,
+  updateTask,
+  startTimer,
+  stopTimer,
+} from '../services/api';
+import { isTaskOverdue } from '../utils/dates';
+import { isTaskDone, getAllowedStatuses } from '../utils/workflow';
+import { describeRule } from '../utils/recurrence';
+import { formatDuration, formatClock, secondsSince } from '../utils/time';
+import SubtaskList from './SubtaskList';
+import TagChip from './TagChip';
+import CommentThread from './CommentThread';
+import TimeLog from './TimeLog';
+import DependencyList from './DependencyList';
+import HistoryPanel from './HistoryPanel';
 
-const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
+/**
+ * Stopwatch for a running timer, updated every second
+ */
+const RunningClock = ({ startedAt }) => {
+  const [elapsed, setElapsed] = useState(() => secondsSince(startedAt));
+
+  useEffect(() => {
+    setElapsed(secondsSince(startedAt));
+    const interval = setInterval(() => setElapsed(secondsSince(startedAt)), 1000);
+    // Stop updating when the timer stops or the card is removed
+    return () => clearInterval(interval);
+  }, [startedAt]);
+
+  return <span className="running-clock">{formatClock(elapsed)}</span>;
+};
+
+const TaskItem = ({
+  task,
+  tags = [],
+  statuses = [],
+  onUpdate,
+  onDelete,
+  onComplete,
+  onChange,
+  runningEntry = null,
+  onTimerChange,
+  selectable = false,
+  selected = false,
+  onSelect,
+}) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // State for showing the comment / activity thread and the time log
+  const [showThread, setShowThread] = useState(false);
+  const [showTimeLog, setShowTimeLog] = useState(false);
+  const [showDependencies, setShowDependencies] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
   /**
    * Handle delete button click
-   * Calls the delete API and triggers the onDelete callback
+   * Moves the task to the trash and triggers the onDelete callback
+   * No confirmation needed: the task list offers "Undo" right after
    */
   const handleDelete = async () => {
-    // Confirm before deleting
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return;
-    }
-
     setLoading(true);
     setError('');
 
@@ -47,13 +108,38 @@ const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
   /**
    * Handle mark as completed button click
    * Only shows if task is not already completed
+   * If checklist items are still open, ask before checking them all off
+   * If the task is still blocked by pending tasks, ask before completing it
    */
   const handleComplete = async () => {
+    const openCount = (task.subtasks || []).filter((subtask) => !subtask.done).length;
+
+    if (
+      task.blockedCount > 0 &&
+      !window.confirm(
+        `This task is still blocked by ${task.blockedCount} pending task(s). Complete it anyway?`
+      )
+    ) {
+      return;
+    }
+
+    if (
+      openCount > 0 &&
+      !window.confirm(
+        `This task still has ${openCount} open checklist item(s). Check them all off and complete the task?`
+      )
+    ) {
+      return;
+    }
+
     setLoading(true);
     setError('');
 
     try {
-      const updatedTask = await markTaskCompleted(task._id);
+      const options = { pendingBlockers: 'warn' };
+      if (openCount > 0) options.openSubtasks = 'cascade';
+
+      const updatedTask = await markTaskCompleted(task._id, options);
       // Call parent callback to update the task list
       if (onComplete) {
         onComplete(updatedTask);
@@ -65,6 +151,88 @@ const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
     }
   };
 
+  /**
+   * Handle the reopen button click (only shown for completed tasks)
+   */
+  const handleReopen = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const updatedTask = await reopenTask(task._id);
+      if (onChange) {
+        onChange(updatedTask);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reopen task');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Move the task to another status from the dropdown
+   * Moving into a "done" status counts as completing the task
+   */
+  const handleStatusChange = async (e) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const updatedTask = await updateTask(task._id, { status: e.target.value });
+      if (isTaskDone(updatedTask) && !isTaskDone(task)) {
+        if (onComplete) onComplete(updatedTask);
+      } else if (onChange) {
+        onChange(updatedTask);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change the status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle the timer button: start the timer, or stop it if it is running
+   * Only one timer can run at a time, so starting may stop another task's timer
+   */
+  const handleTimer = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      if (runningEntry) {
+        const data = await stopTimer(task._id);
+        if (onTimerChange) onTimerChange(null, [data.task]);
+        return;
+      }
+
+      let data;
+      try {
+        data = await startTimer(task._id);
+      } catch (err) {
+        // Another task's timer is running: ask before switching
+        const otherRunning =
+          err.response?.status === 409 && err.response.data.runningEntry;
+        if (
+          !otherRunning ||
+          !window.confirm('A timer is running on another task. Stop it and start this one?')
+        ) {
+          throw err;
+        }
+        data = await startTimer(task._id, { stopRunning: true });
+      }
+
+      if (onTimerChange) {
+        onTimerChange(data.entry, data.stoppedTask ? [data.stoppedTask] : []);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update the timer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Get priority badge color
    * Returns different CSS classes based on priority level
@@ -95,17 +263,49 @@ const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
     });
   };
 
+  // Overdue tasks get a highlighted card
+  const overdue = isTaskOverdue(task);
+
+  // Statuses for the dropdown (keeps the current one, even if it left the workflow)
+  const allowedStatuses = getAllowedStatuses(statuses, task.status);
+  const statusOptions = allowedStatuses.some((status) => status.name === task.status)
+    ? allowedStatuses
+    : [{ name: task.status }, ...allowedStatuses];
+
+  // Look up this task's tags (the task only stores tag IDs)
+  const taskTags = tags.filter((tag) => (task.tags || []).includes(tag._id));
+
   return (
-    <div className={`task-item ${task.status === 'Completed' ? 'completed' : ''}`}>
+    <div
+      className={`task-item ${isTaskDone(task) ? 'completed' : ''} ${
+        overdue ? 'overdue' : ''
+      } ${selected ? 'selected' : ''}`}
+    >
       {/* Error message */}
       {error && <div className="error-message">{error}</div>}
 
       {/* Task header with title and priority */}
       <div className="task-header">
+        {selectable && (
+          <input
+            type="checkbox"
+            className="task-select"
+            checked={selected}
+            onChange={() => onSelect(task._id)}
+            aria-label={`Select "${task.title}"`}
+          />
+        )}
         <h3 className="task-title">{task.title}</h3>
-        <span className={`priority-badge ${getPriorityClass()}`}>
-          {task.priority}
-        </span>
+        <div className="task-badges">
+          {task.blockedCount > 0 && (
+            <span className="blocked-badge" title="Waiting for other tasks to be completed">
+              Blocked by {task.blockedCount}
+            </span>
+          )}
+          <span className={`priority-badge ${getPriorityClass()}`}>
+            {task.priority}
+          </span>
+        </div>
       </div>
 
       {/* Task description */}
@@ -113,21 +313,132 @@ const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
         <p className="task-description">{task.description}</p>
       )}
 
-      {/* Task metadata (status and date) */}
+      {/* Tag chips */}
+      {taskTags.length > 0 && (
+        <div className="tag-chips">
+          {taskTags.map((tag) => (
+            <TagChip key={tag._id} tag={tag} />
+          ))}
+        </div>
+      )}
+
+      {/* Checklist with progress bar */}
+      <SubtaskList task={task} onChange={onChange} />
+
+      {/* Comments and activity (loaded when expanded) */}
+      <button
+        type="button"
+        className="comment-toggle"
+        onClick={() => setShowThread(!showThread)}
+        aria-expanded={showThread}
+      >
+        {showThread ? '▾ Hide activity' : '▸ Comments & activity'}
+      </button>
+      {showThread && <CommentThread taskId={task._id} refreshKey={task.updatedAt} />}
+
+      {/* Dependencies (loaded when expanded) */}
+      <button
+        type="button"
+        className="comment-toggle"
+        onClick={() => setShowDependencies(!showDependencies)}
+        aria-expanded={showDependencies}
+      >
+        {showDependencies ? '▾ Hide dependencies' : '▸ Dependencies'}
+      </button>
+      {showDependencies && <DependencyList task={task} onChange={onChange} />}
+
+      {/* Time log (loaded when expanded) */}
+      <button
+        type="button"
+        className="comment-toggle"
+        onClick={() => setShowTimeLog(!showTimeLog)}
+        aria-expanded={showTimeLog}
+      >
+        {showTimeLog ? '▾ Hide time log' : '▸ Time log'}
+      </button>
+      {showTimeLog && (
+        <TimeLog
+          task={task}
+          runningEntry={runningEntry}
+          onChange={onChange}
+          onTimerDiscarded={() => onTimerChange && onTimerChange(null, [])}
+        />
+      )}
+
+      {/* Revision history (loaded when expanded) */}
+      <button
+        type="button"
+        className="comment-toggle"
+        onClick={() => setShowHistory(!showHistory)}
+        aria-expanded={showHistory}
+      >
+        {showHistory ? '▾ Hide history' : '▸ History'}
+      </button>
+      {showHistory && <HistoryPanel task={task} onChange={onChange} />}
+
+      {/* Task metadata (status and dates) */}
       <div className="task-footer">
         <div className="task-meta">
-          <span className={`status-badge ${task.status.toLowerCase()}`}>
-            {task.status}
-          </span>
+          {statuses.length > 0 ? (
+            <select
+              className={`status-badge status-select status-${task.statusCategory}`}
+              value={task.status}
+              onChange={handleStatusChange}
+              disabled={loading}
+              aria-label="Status"
+            >
+              {statusOptions.map((status) => (
+                <option key={status.name} value={status.name}>
+                  {status.name}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <span className={`status-badge status-${task.statusCategory}`}>{task.status}</span>
+          )}
           <span className="task-date">
             Created: {formatDate(task.createdAt)}
           </span>
+          {task.completedAt && (
+            <span className="task-date completed-date">
+              Completed: {formatDate(task.completedAt)}
+            </span>
+          )}
+          {task.dueDate && (
+            <span className={`task-date due-date ${overdue ? 'overdue' : ''}`}>
+              {overdue ? 'Overdue' : 'Due'}: {formatDate(task.dueDate)}
+            </span>
+          )}
+          {task.recurrence && (
+            <span className="task-date recurrence-indicator" title={task.recurrence.rule}>
+              🔁 {describeRule(task.recurrence.rule)}
+            </span>
+          )}
+          {(task.trackedSeconds > 0 || runningEntry) && (
+            <span className="task-date tracked-time" title="Total tracked time">
+              ⏱ {formatDuration(task.trackedSeconds)}
+              {runningEntry && (
+                <>
+                  {' + '}
+                  <RunningClock startedAt={runningEntry.startedAt} />
+                </>
+              )}
+            </span>
+          )}
         </div>
 
         {/* Action buttons */}
         <div className="task-actions">
-          {/* Mark as completed button (only show if not completed) */}
-          {task.status !== 'Completed' && (
+          {/* Mark as completed button, or reopen button once it is done */}
+          {isTaskDone(task) ? (
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={handleReopen}
+              disabled={loading}
+            >
+              ↺ Reopen
+            </button>
+          ) : (
             <button
               className="btn btn-success btn-sm"
               onClick={handleComplete}
@@ -137,6 +448,16 @@ const TaskItem = ({ task, onUpdate, onDelete, onComplete }) => {
             </button>
           )}
 
+          {/* Start / stop the timer */}
+          <button
+            className={`btn btn-sm ${runningEntry ? 'btn-danger' : 'btn-secondary'}`}
+            onClick={handleTimer}
+            disabled={loading}
+            title={runningEntry ? 'Stop timer' : 'Start timer'}
+          >
+            {runningEntry ? '■ Stop' : '▶ Start'}
+          </button>
+
           {/* Edit button (opens edit form in parent component) */}
           <button
             className="btn btn-secondary btn-sm"
@@ -5,18 +5,60 @@
  * Shows all tasks, allows filtering, and handles task operations.
  * 
  * Features:
- * - Displays all tasks in a grid/list
- * - Filter tasks by status (All, Pending, Completed)
+ * - Displays tasks in a grid/list, loading them page by page ("Load more")
+ * - Filter tasks by status (the user's own statuses, or open / done)
  * - Filter tasks by priority (All, High, Medium, Low)
- * - Shows task count
+ * - Filter tasks by due date (Overdue, Due Today, Due This Week)
+ * - Filter tasks by tag
+ * - Filter blocked tasks (waiting on other tasks) or unblocked ones
+ * - Sort tasks (newest, oldest, due date, priority, title, manual order);
+ *   in manual order the cards can be dragged to a new place
+ * - Switch between projects and the Inbox with the project sidebar
+ * - Search all tasks from the header (debounced, matches highlighted)
+ * - Track time with a start/stop timer (one running timer at a time)
+ * - Shows task counts per status
+ * - Edit the user's statuses (workflow) with the "Statuses" button
  * - Handles create, update, and delete operations
+ * - Deleted tasks go to the trash, with an "Undo" toast and a Trash view
+ * - Selection mode: check several tasks and complete, reopen, reprioritize,
+ *   move or delete them at once
+ * - Grid or board view (one column per status, drag cards between columns);
+ *   the chosen view is remembered
+ * 
+ * All filtering and sorting happens on the backend, so only one page
+ * of tasks is in the browser at a time, even for very long lists.
+ * The board loads a page per column instead, in manual order (see utils/board.js).
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import TaskItem from './TaskItem';
 import TaskForm from './TaskForm';
 import Confetti from './Confetti';
-import { getAllTasks, createTask, updateTask } from '../services/api';
+import ProjectSidebar from './ProjectSidebar';
+import SearchResults from './SearchResults';
+import TrashView from './TrashView';
+import UndoToast from './UndoToast';
+import BulkActionBar from './BulkActionBar';
+import WorkflowEditor from './WorkflowEditor';
+import ExportButtons from './ExportButtons';
+import ImportWizard from './ImportWizard';
+import CalendarFeed from './CalendarFeed';
+import TaskBoard from './TaskBoard';
+import TaskGrid from './TaskGrid';
+import {
+  getTasksPage,
+  searchTasks,
+  createTask,
+  updateTask,
+  getTags,
+  getProjects,
+  getRunningTimer,
+  getWorkflow,
+  restoreTask,
+  bulkUpdateTasks,
+  moveTask,
+} from '../services/api';
+import { loadView, saveView, getColumnQuery, combineColumnPages } from '../utils/board';
 
 const TaskList = () => {
   // State for tasks array
@@ -29,9 +71,48 @@ const TaskList = () => {
   const [error, setError] = useState('');
   
   // State for filters
+  // statusFilter is "All", "status:<name>" or "category:<categories>"
   const [statusFilter, setStatusFilter] = useState('All');
   const [priorityFilter, setPriorityFilter] = useState('All');
+  const [dueFilter, setDueFilter] = useState('All');
+  const [tagFilter, setTagFilter] = useState('All');
+  const [blockedFilter, setBlockedFilter] = useState('All');
+
+  // State for sorting ("field:order", e.g. "dueDate:asc")
+  const [sortOption, setSortOption] = useState('createdAt:desc');
+
+  // State for pagination and counts (for all matching tasks, not just loaded ones)
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({ pending: 0, completed: 0, byStatus: {} });
+
+  // State for the user's tags (used by the tag filter, form and chips)
+  const [tags, setTags] = useState([]);
+
+  // State for the user's statuses (used by the status filter, dropdowns and counts)
+  const [statuses, setStatuses] = useState([]);
+  const [showWorkflow, setShowWorkflow] = useState(false);
+
+  // State for the import / export panel
+  const [showTransfer, setShowTransfer] = useState(false);
+
+  // State for projects: the list, the Inbox counts and the selected list
+  // selectedProject is "all", "inbox", a project ID or "trash" (the Trash view)
+  const [projects, setProjects] = useState([]);
+  const [inbox, setInbox] = useState(null);
+  const [selectedProject, setSelectedProject] = useState('all');
   
+  // State for the running timer (only one per user)
+  const [runningTimer, setRunningTimer] = useState(null);
+
+  // State for the search box
+  // searchRefresh is bumped to run the same search again (e.g. after an edit)
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchRefresh, setSearchRefresh] = useState(0);
+
   // State for task form (null = hidden, task object = editing, 'new' = creating)
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
@@ -39,17 +120,97 @@ const TaskList = () => {
   // State for confetti celebration
   const [showConfetti, setShowConfetti] = useState(false);
 
+  // The tasks that were just moved to the trash (shows the "Undo" toast)
+  const [trashedTasks, setTrashedTasks] = useState([]);
+
+  // State for selection mode (bulk actions on the checked tasks)
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  // State for the view: "grid" or "board" (remembered in the browser)
+  const [view, setView] = useState(loadView);
+
+  // The next page of each board column (status name → cursor, null = all loaded)
+  const [columnCursors, setColumnCursors] = useState({});
+
+  // The board's columns are the statuses (null in the grid, which does not need them)
+  const boardStatuses = useMemo(() => (view === 'board' ? statuses : null), [view, statuses]);
+
+  const showingTrash = selectedProject === 'trash';
+
   /**
-   * Fetch all tasks from the backend
-   * Called when component mounts and after task operations
+   * Query parameters for the current filters and sort order
+   * useMemo only rebuilds the object when one of them changes
    */
-  const fetchTasks = async () => {
+  const queryParams = useMemo(() => {
+    const [sort, order] = sortOption.split(':');
+    const params = { sort, order };
+    if (statusFilter !== 'All') {
+      // e.g. "status:In Review" → status=In Review, "category:done" → category=done
+      const separator = statusFilter.indexOf(':');
+      params[statusFilter.slice(0, separator)] = statusFilter.slice(separator + 1);
+    }
+    if (priorityFilter !== 'All') params.priority = priorityFilter;
+    if (dueFilter !== 'All') params.due = dueFilter;
+    if (tagFilter !== 'All') params.tag = tagFilter;
+    if (blockedFilter !== 'All') params.blocked = blockedFilter;
+    if (!['all', 'trash'].includes(selectedProject)) params.project = selectedProject;
+    return params;
+  }, [
+    statusFilter,
+    priorityFilter,
+    dueFilter,
+    tagFilter,
+    blockedFilter,
+    selectedProject,
+    sortOption,
+  ]);
+
+  // A different list means a different selection
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [queryParams]);
+
+  /**
+   * Store the counts that come with every page
+   */
+  const applyPageInfo = (page) => {
+    setNextCursor(page.nextCursor);
+    setTotal(page.total);
+    setStatusCounts(page.statusCounts);
+  };
+
+  /**
+   * Fetch the first page of tasks from the backend
+   * (on the board: the first page of every column)
+   * Called when component mounts, when filters change and after task operations
+   * useCallback keeps the same function until the filters change
+   */
+  const fetchTasks = useCallback(async () => {
+    // The board needs the statuses first; they are loaded when the component mounts
+    if (boardStatuses && boardStatuses.length === 0) return;
+
     setLoading(true);
     setError('');
 
     try {
-      const fetchedTasks = await getAllTasks();
-      setTasks(fetchedTasks);
+      if (boardStatuses) {
+        const pages = await Promise.all(
+          boardStatuses.map((status) => {
+            const params = getColumnQuery(queryParams, status);
+            return params ? getTasksPage(params) : null;
+          })
+        );
+        const board = combineColumnPages(boardStatuses, pages);
+        setTasks(board.tasks);
+        applyPageInfo({ ...board, nextCursor: null });
+        setColumnCursors(board.cursors);
+      } else {
+        const page = await getTasksPage(queryParams);
+        setTasks(page.tasks);
+        applyPageInfo(page);
+      }
     } catch (err) {
       setError(
         err.response?.data?.message || 'Failed to load tasks. Please try again.'
@@ -57,23 +218,215 @@ const TaskList = () => {
     } finally {
       setLoading(false);
     }
+  }, [queryParams, boardStatuses]);
+
+  /**
+   * Load the next page and add it to the end of the list
+   */
+  const loadMoreTasks = async () => {
+    if (!nextCursor) return;
+
+    setLoadingMore(true);
+    setError('');
+
+    try {
+      const page = await getTasksPage({ ...queryParams, cursor: nextCursor });
+      setTasks((currentTasks) => [...currentTasks, ...page.tasks]);
+      applyPageInfo(page);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Load the next page of a board column and add it to the end of the column
+   */
+  const loadMoreColumn = async (status) => {
+    const cursor = columnCursors[status.name];
+    if (!cursor) return;
+
+    setError('');
+    try {
+      const page = await getTasksPage({ ...getColumnQuery(queryParams, status), cursor });
+      // A card moved meanwhile may come again
+      setTasks((currentTasks) => {
+        const loadedIds = new Set(currentTasks.map((task) => task._id));
+        return [...currentTasks, ...page.tasks.filter((task) => !loadedIds.has(task._id))];
+      });
+      setColumnCursors((cursors) => ({ ...cursors, [status.name]: page.nextCursor }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load more tasks');
+    }
   };
 
   /**
    * Fetch tasks when component first mounts
+   * and again whenever a server-side filter changes
+   */
+  useEffect(() => {
+    if (!showingTrash) fetchTasks();
+  }, [fetchTasks, showingTrash]);
+
+  /**
+   * Fetch projects with their task counts
+   * Called when component mounts and after anything that changes the counts
+   */
+  const fetchProjects = useCallback(async () => {
+    try {
+      const data = await getProjects({ includeArchived: true });
+      setProjects(data.projects);
+      setInbox(data.inbox);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load projects');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  /**
+   * Handle a change in the sidebar (project created, archived or deleted)
+   * Deleting a project can move or trash tasks, so reload both lists
+   */
+  const handleProjectsChange = () => {
+    fetchProjects();
+    if (!showingTrash) fetchTasks();
+  };
+
+  /**
+   * Fetch the user's tags once when component mounts
+   */
+  useEffect(() => {
+    getTags()
+      .then(setTags)
+      .catch(() => setError('Failed to load tags'));
+  }, []);
+
+  /**
+   * Fetch the user's statuses once when component mounts
    */
   useEffect(() => {
+    getWorkflow()
+      .then((data) => setStatuses(data.statuses))
+      .catch(() => setError('Failed to load statuses'));
+  }, []);
+
+  /**
+   * Handle saved statuses from the workflow editor
+   * Renaming or removing statuses can move tasks, so reload them
+   */
+  const handleWorkflowSaved = (newStatuses) => {
+    setStatuses(newStatuses);
+    setShowWorkflow(false);
+
+    // The filtered status may be gone
+    if (
+      statusFilter.startsWith('status:') &&
+      !newStatuses.some((status) => `status:${status.name}` === statusFilter)
+    ) {
+      setStatusFilter('All');
+    }
     fetchTasks();
+    fetchProjects();
+  };
+
+  /**
+   * Reload everything an import can change: the tasks, the project counts
+   * and the tags (missing tags and projects are created by the import)
+   */
+  const handleImported = () => {
+    fetchTasks();
+    fetchProjects();
+    getTags()
+      .then(setTags)
+      .catch(() => setError('Failed to load tags'));
+  };
+
+  /**
+   * Search tasks while the user types
+   * Waits until typing pauses for 300ms, so we don't send a request per key.
+   * Results of an older search are ignored if a newer one has started.
+   */
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults([]);
+      setSearching(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchTasks(query);
+        if (!cancelled) setSearchResults(results);
+      } catch (err) {
+        if (!cancelled) {
+          setSearchResults([]);
+          setError(err.response?.data?.message || 'Search failed');
+        }
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    // Runs when the query changes again before the timer fires
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, searchRefresh]);
+
+  // Load the running timer, so its task shows the ticking clock
+  useEffect(() => {
+    getRunningTimer()
+      .then(setRunningTimer)
+      .catch(() => setError('Failed to load the running timer'));
   }, []);
 
+  /**
+   * Handle a timer being started or stopped in a TaskItem
+   * updatedTasks are tasks with a new tracked time (e.g. the one whose timer stopped)
+   */
+  const handleTimerChange = (entry, updatedTasks) => {
+    setRunningTimer(entry);
+    setTasks((currentTasks) =>
+      currentTasks.map(
+        (task) => updatedTasks.find((updated) => updated._id === task._id) || task
+      )
+    );
+  };
+
+  // ID of the task with the running timer
+  // (taskId is populated with { _id, title } when loaded from /time-entries/running)
+  const runningTaskId = runningTimer
+    ? runningTimer.taskId._id || runningTimer.taskId
+    : null;
+
+  /**
+   * Handle a tag created from the task form
+   * Adds it to the list (kept sorted by name, like the backend returns them)
+   */
+  const handleTagCreated = (tag) => {
+    setTags((currentTags) =>
+      [...currentTags, tag].sort((a, b) => a.name.localeCompare(b.name))
+    );
+  };
+
   /**
    * Handle create task form submission
    */
   const handleCreateTask = async (taskData) => {
     try {
       await createTask(taskData);
-      // Refresh task list after creating
+      // Refresh task list (and project counts) after creating
       fetchTasks();
+      fetchProjects();
       // Hide form
       setShowForm(false);
     } catch (err) {
@@ -87,8 +440,11 @@ const TaskList = () => {
   const handleUpdateTask = async (taskData) => {
     try {
       await updateTask(editingTask._id, taskData);
-      // Refresh task list after updating
+      // Refresh task list (and project counts) after updating
       fetchTasks();
+      fetchProjects();
+      // Show the new title in the search results too
+      if (searchQuery.trim()) setSearchRefresh((count) => count + 1);
       // Hide form and clear editing task
       setShowForm(false);
       setEditingTask(null);
@@ -112,11 +468,61 @@ const TaskList = () => {
 
   /**
    * Handle task deletion
-   * TaskItem calls this after successful deletion
+   * TaskItem calls this after the task was moved to the trash
    */
   const handleTaskDelete = (taskId) => {
+    const deletedTask = tasks.find((task) => task._id === taskId);
+
     // Remove task from state (optimistic update)
     setTasks(tasks.filter((task) => task._id !== taskId));
+
+    // Keep the counts right without reloading the list
+    if (deletedTask) {
+      const key = deletedTask.statusCategory === 'done' ? 'completed' : 'pending';
+      setTotal((count) => count - 1);
+      setStatusCounts((counts) => ({
+        ...counts,
+        [key]: counts[key] - 1,
+        byStatus: {
+          ...counts.byStatus,
+          [deletedTask.status]: (counts.byStatus[deletedTask.status] || 1) - 1,
+        },
+      }));
+      setTrashedTasks([deletedTask]);
+    }
+    setSelectedIds((ids) => ids.filter((id) => id !== taskId));
+    fetchProjects();
+
+    // The backend stops the timer of a trashed task
+    if (runningTaskId === taskId) {
+      setRunningTimer(null);
+    }
+
+    // Tasks it was blocking are not blocked by it any more
+    if (tasks.some((task) => (task.blockedBy || []).includes(taskId))) {
+      fetchTasks();
+    }
+  };
+
+  /**
+   * Take the last deleted task(s) out of the trash ("Undo" in the toast)
+   */
+  const handleUndoDelete = async () => {
+    const ids = trashedTasks.map((task) => task._id);
+    setTrashedTasks([]);
+
+    try {
+      if (ids.length === 1) {
+        await restoreTask(ids[0]);
+      } else {
+        await bulkUpdateTasks(ids, 'restore');
+      }
+      // Reload, so the task is back in its place in the sort order
+      fetchTasks();
+      fetchProjects();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore task');
+    }
   };
 
   /**
@@ -125,15 +531,154 @@ const TaskList = () => {
    * Shows confetti celebration when task is completed!
    */
   const handleTaskComplete = (updatedTask) => {
+    const oldTask = tasks.find((task) => task._id === updatedTask._id);
+
     // Update task in state
     setTasks(
       tasks.map((task) => (task._id === updatedTask._id ? updatedTask : task))
     );
+    setStatusCounts((counts) => {
+      const byStatus = { ...counts.byStatus };
+      if (oldTask) byStatus[oldTask.status] = (byStatus[oldTask.status] || 1) - 1;
+      byStatus[updatedTask.status] = (byStatus[updatedTask.status] || 0) + 1;
+      return {
+        pending: counts.pending - 1,
+        completed: counts.completed + 1,
+        byStatus,
+      };
+    });
+    fetchProjects();
+
+    // Recurring tasks create their next occurrence, and tasks waiting for
+    // this one may not be blocked any more, so reload the list
+    // (on the board, the card goes to a column that may not have its place loaded)
+    const unblocksShownTask = tasks.some((task) =>
+      (task.blockedBy || []).includes(updatedTask._id)
+    );
+    if (updatedTask.nextOccurrenceId || unblocksShownTask || view === 'board') {
+      fetchTasks();
+    }
     
     // Show confetti celebration! 🎉
     setShowConfetti(true);
   };
 
+  /**
+   * Handle other task changes (e.g. checklist updates or a rollback)
+   * TaskItem calls this with the updated task
+   */
+  const handleTaskChange = (updatedTask) => {
+    const oldTask = tasks.find((task) => task._id === updatedTask._id);
+
+    setTasks(
+      tasks.map((task) => (task._id === updatedTask._id ? updatedTask : task))
+    );
+
+    // A status change or rollback can change the status or project, which changes the counts
+    // (and whether the task still matches the filters)
+    if (
+      oldTask &&
+      (oldTask.status !== updatedTask.status || oldTask.projectId !== updatedTask.projectId)
+    ) {
+      fetchTasks();
+      fetchProjects();
+    }
+  };
+
+  /**
+   * Handle a card dropped in a new place in the grid (manual order)
+   * The list changes right away; if saving fails, it is loaded again
+   */
+  const handleTaskMove = async (taskId, placement) => {
+    const siblingId = placement.before || placement.after;
+    setTasks((currentTasks) => {
+      const moved = currentTasks.find((task) => task._id === taskId);
+      const others = currentTasks.filter((task) => task._id !== taskId);
+      const index =
+        others.findIndex((task) => task._id === siblingId) + (placement.after ? 1 : 0);
+      others.splice(index, 0, moved);
+      return others;
+    });
+
+    try {
+      const updatedTask = await moveTask(taskId, placement);
+      setTasks((currentTasks) =>
+        currentTasks.map((task) => (task._id === updatedTask._id ? updatedTask : task))
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to move task');
+      fetchTasks();
+    }
+  };
+
+  /**
+   * Check or uncheck a task in selection mode
+   */
+  const toggleSelected = (taskId) => {
+    setSelectedIds((ids) =>
+      ids.includes(taskId) ? ids.filter((id) => id !== taskId) : [...ids, taskId]
+    );
+  };
+
+  /**
+   * Turn selection mode on or off (turning it off clears the selection)
+   */
+  const toggleSelectionMode = () => {
+    setSelectionMode((on) => !on);
+    setSelectedIds([]);
+  };
+
+  /**
+   * Run a bulk action on the selected tasks
+   * Tasks that failed stay selected, so the action can be tried again
+   */
+  const handleBulkAction = async (action, options = {}) => {
+    setBulkBusy(true);
+    setError('');
+
+    try {
+      const data = await bulkUpdateTasks(selectedIds, action, options);
+      const failed = data.results.filter((result) => !result.success);
+
+      if (failed.length > 0) {
+        setError(`${data.message}. ${failed.length} failed: ${failed[0].message}`);
+      }
+      setSelectedIds(failed.map((result) => result.id));
+
+      if (action === 'delete') {
+        const trashedIds = data.results
+          .filter((result) => result.success)
+          .map((result) => result.id);
+        setTrashedTasks(tasks.filter((task) => trashedIds.includes(task._id)));
+        // The backend stops the timer of a trashed task
+        if (trashedIds.includes(runningTaskId)) setRunningTimer(null);
+      }
+
+      if (action === 'complete' && data.succeeded > 0) {
+        setShowConfetti(true);
+      }
+
+      fetchTasks();
+      fetchProjects();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update the selected tasks');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  /**
+   * Switch between the grid and the board, and remember the choice
+   */
+  const handleViewChange = (newView) => {
+    if (newView === view) return;
+    // The board and the grid load their tasks differently
+    setTasks([]);
+    setLoading(true);
+    setView(newView);
+    saveView(newView);
+  };
+
   /**
    * Handle edit button click from TaskItem
    */
@@ -143,116 +688,351 @@ const TaskList = () => {
   };
 
   /**
-   * Filter tasks based on selected filters
+   * The card for a task (used by both the grid and the board)
    */
-  const filteredTasks = tasks.filter((task) => {
-    // Status filter
-    if (statusFilter !== 'All' && task.status !== statusFilter) {
-      return false;
-    }
-
-    // Priority filter
-    if (priorityFilter !== 'All' && task.priority !== priorityFilter) {
-      return false;
-    }
+  const renderTaskItem = (task) => (
+    <TaskItem
+      key={task._id}
+      task={task}
+      tags={tags}
+      statuses={statuses}
+      onUpdate={handleEditTask}
+      onDelete={handleTaskDelete}
+      onComplete={handleTaskComplete}
+      onChange={handleTaskChange}
+      runningEntry={runningTaskId === task._id ? runningTimer : null}
+      onTimerChange={handleTimerChange}
+      selectable={selectionMode}
+      selected={selectedIds.includes(task._id)}
+      onSelect={toggleSelected}
+    />
+  );
 
-    return true;
-  });
+  // Are any filters active? (changes the empty-list message)
+  const hasFilters = [statusFilter, priorityFilter, dueFilter, tagFilter, blockedFilter].some(
+    (filter) => filter !== 'All'
+  );
 
-  // Count tasks by status
-  const pendingCount = tasks.filter((t) => t.status === 'Pending').length;
-  const completedCount = tasks.filter((t) => t.status === 'Completed').length;
+  // Heading for the selected list
+  const currentProject = projects.find((project) => project._id === selectedProject);
+  const listTitle =
+    selectedProject === 'inbox'
+      ? 'Inbox'
+      : showingTrash
+      ? 'Trash'
+      : currentProject
+      ? currentProject.name
+      : 'My Tasks';
 
   return (
-    <div className="task-list-container">
-      {/* Confetti celebration - shows when task is completed */}
-      <Confetti show={showConfetti} onClose={() => setShowConfetti(false)} />
-      
-      {/* Header with title and create button */}
-      <div className="task-list-header">
-        <h1>My Tasks</h1>
-        <button
-          className="btn btn-primary"
-          onClick={() => {
-            setEditingTask(null);
-            setShowForm(!showForm);
-          }}
-        >
-          {showForm ? 'Cancel' : '+ New Task'}
-        </button>
-      </div>
-
-      {/* Error message */}
-      {error && <div className="error-message">{error}</div>}
-
-      {/* Task form (shown when creating or editing) */}
-      {showForm && (
-        <TaskForm
-          task={editingTask}
-          onSubmit={handleTaskSubmit}
-          onCancel={() => {
-            setShowForm(false);
-            setEditingTask(null);
-          }}
-        />
-      )}
-
-      {/* Filters and stats */}
-      <div className="task-filters">
-        <div className="task-stats">
-          <span>Total: {tasks.length}</span>
-          <span>Pending: {pendingCount}</span>
-          <span>Completed: {completedCount}</span>
-        </div>
+    <div className="task-layout">
+      {/* Project sidebar */}
+      <ProjectSidebar
+        projects={projects}
+        inbox={inbox}
+        selected={selectedProject}
+        onSelect={setSelectedProject}
+        onChange={handleProjectsChange}
+      />
 
-        <div className="filter-controls">
-          {/* Status filter */}
-          <select
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
-            className="filter-select"
-          >
-            <option value="All">All Status</option>
-            <option value="Pending">Pending</option>
-            <option value="Completed">Completed</option>
-          </select>
-
-          {/* Priority filter */}
-          <select
-            value={priorityFilter}
-            onChange={(e) => setPriorityFilter(e.target.value)}
-            className="filter-select"
+      <div className="task-list-container">
+        {/* Confetti celebration - shows when task is completed */}
+        <Confetti show={showConfetti} onClose={() => setShowConfetti(false)} />
+      
+        {/* Header with title and create button */}
+        <div className="task-list-header">
+          <h1>{listTitle}</h1>
+          {!showingTrash && (
+            <input
+              type="search"
+              className="task-search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder='Search tasks ("phrase", -exclude)'
+              aria-label="Search tasks"
+            />
+          )}
+          {!showingTrash && (
+            <div className="view-toggle" role="group" aria-label="View">
+              <button
+                className={`btn btn-sm ${view === 'grid' ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => handleViewChange('grid')}
+                aria-pressed={view === 'grid'}
+              >
+                ▦ Grid
+              </button>
+              <button
+                className={`btn btn-sm ${view === 'board' ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => handleViewChange('board')}
+                aria-pressed={view === 'board'}
+              >
+                ▥ Board
+              </button>
+            </div>
+          )}
+          {!showingTrash && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowWorkflow(!showWorkflow)}
+              aria-pressed={showWorkflow}
+            >
+              ⚙ Statuses
+            </button>
+          )}
+          {!showingTrash && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowTransfer(!showTransfer)}
+              aria-pressed={showTransfer}
+            >
+              ⇅ Import / Export
+            </button>
+          )}
+          {!showingTrash && (
+            <button
+              className={`btn ${selectionMode ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={toggleSelectionMode}
+              aria-pressed={selectionMode}
+            >
+              {selectionMode ? 'Done' : 'Select'}
+            </button>
+          )}
+          <button
+            className="btn btn-primary"
+            onClick={() => {
+              setEditingTask(null);
+              setShowForm(!showForm);
+            }}
           >
-            <option value="All">All Priorities</option>
-            <option value="High">High</option>
-            <option value="Medium">Medium</option>
-            <option value="Low">Low</option>
-          </select>
+            {showForm ? 'Cancel' : '+ New Task'}
+          </button>
         </div>
-      </div>
 
-      {/* Task list */}
-      {loading ? (
-        <div className="loading-message">Loading tasks...</div>
-      ) : filteredTasks.length === 0 ? (
-        <div className="empty-message">
-          {tasks.length === 0
-            ? 'No tasks yet. Create your first task!'
-            : 'No tasks match your filters.'}
-        </div>
-      ) : (
-        <div className="task-grid">
-          {filteredTasks.map((task) => (
-            <TaskItem
-              key={task._id}
-              task={task}
-              onUpdate={handleEditTask}
-              onDelete={handleTaskDelete}
-              onComplete={handleTaskComplete}
-            />
-          ))}
-        </div>
-      )}
+        {/* Error message */}
+        {error && <div className="error-message">{error}</div>}
+
+        {/* Workflow editor (shown with the "Statuses" button) */}
+        {showWorkflow && (
+          <WorkflowEditor
+            statuses={statuses}
+            onSaved={handleWorkflowSaved}
+            onCancel={() => setShowWorkflow(false)}
+          />
+        )}
+
+        {/* Import, export and the calendar feed (shown with the "Import / Export" button) */}
+        {showTransfer && !showingTrash && (
+          <div className="task-form-container">
+            <div className="task-form transfer-panel">
+              <h3>Import / Export</h3>
+              <ExportButtons params={queryParams} total={total} />
+              <ImportWizard onImported={handleImported} />
+              <CalendarFeed projects={projects} tags={tags} />
+              <div className="form-actions">
+                <button className="btn btn-secondary" onClick={() => setShowTransfer(false)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Task form (shown when creating or editing) */}
+        {showForm && (
+          <TaskForm
+            task={editingTask}
+            tags={tags}
+            projects={projects}
+            defaultProjectId={currentProject ? currentProject._id : ''}
+            onTagCreated={handleTagCreated}
+            onSubmit={handleTaskSubmit}
+            onCancel={() => {
+              setShowForm(false);
+              setEditingTask(null);
+            }}
+          />
+        )}
+
+        {showingTrash ? (
+          <TrashView onChange={fetchProjects} />
+        ) : (
+          <>
+            {/* Filters and stats */}
+            <div className="task-filters">
+              <div className="task-stats">
+                <span>Total: {total}</span>
+                {statuses.map((status) => (
+                  <span key={status.name} className={`status-count status-${status.category}`}>
+                    {status.name}: {statusCounts.byStatus[status.name] || 0}
+                  </span>
+                ))}
+              </div>
+
+              <div className="filter-controls">
+                {/* Status filter */}
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="All">All Status</option>
+                  <option value="category:todo,in-progress">Open (not done)</option>
+                  <option value="category:done">Done</option>
+                  <optgroup label="Status">
+                    {statuses.map((status) => (
+                      <option key={status.name} value={`status:${status.name}`}>
+                        {status.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                </select>
+
+                {/* Priority filter */}
+                <select
+                  value={priorityFilter}
+                  onChange={(e) => setPriorityFilter(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="All">All Priorities</option>
+                  <option value="High">High</option>
+                  <option value="Medium">Medium</option>
+                  <option value="Low">Low</option>
+                </select>
+
+                {/* Due date filter */}
+                <select
+                  value={dueFilter}
+                  onChange={(e) => setDueFilter(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="All">All Dates</option>
+                  <option value="overdue">Overdue</option>
+                  <option value="today">Due Today</option>
+                  <option value="week">Due This Week</option>
+                </select>
+
+                {/* Tag filter */}
+                <select
+                  value={tagFilter}
+                  onChange={(e) => setTagFilter(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="All">All Tags</option>
+                  {tags.map((tag) => (
+                    <option key={tag._id} value={tag._id}>
+                      {tag.name}
+                    </option>
+                  ))}
+                </select>
+
+                {/* Blocked filter */}
+                <select
+                  value={blockedFilter}
+                  onChange={(e) => setBlockedFilter(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="All">All Tasks</option>
+                  <option value="true">Blocked</option>
+                  <option value="false">Not Blocked</option>
+                </select>
+
+                {/* Sort order */}
+                <select
+                  value={sortOption}
+                  onChange={(e) => setSortOption(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="createdAt:desc">Newest First</option>
+                  <option value="createdAt:asc">Oldest First</option>
+                  <option value="dueDate:asc">Due Date</option>
+                  <option value="priority:desc">Priority</option>
+                  <option value="title:asc">Title (A–Z)</option>
+                  <option value="updatedAt:desc">Recently Updated</option>
+                  <option value="position:asc">Manual Order</option>
+                </select>
+              </div>
+            </div>
+
+            {/* Bulk actions for the checked tasks */}
+            {selectionMode && !searchQuery.trim() && (
+              <BulkActionBar
+                count={selectedIds.length}
+                shownCount={tasks.length}
+                statuses={statuses}
+                projects={projects}
+                busy={bulkBusy}
+                onAction={handleBulkAction}
+                onSelectAll={() => setSelectedIds(tasks.map((task) => task._id))}
+                onClear={() => setSelectedIds([])}
+              />
+            )}
+
+            {/* Search results replace the list while the search box has text */}
+            {searchQuery.trim() ? (
+              <SearchResults
+                results={searchResults}
+                loading={searching}
+                onSelect={handleEditTask}
+              />
+            ) : loading && !(view === 'board' && tasks.length > 0) ? (
+              // The board stays on screen while it reloads, so a card that was
+              // just moved (and the keyboard focus on it) stays where it is
+              <div className="loading-message">Loading tasks...</div>
+            ) : tasks.length === 0 ? (
+              <div className="empty-message">
+                {!hasFilters
+                  ? 'No tasks yet. Create your first task!'
+                  : 'No tasks match your filters.'}
+              </div>
+            ) : view === 'board' ? (
+              <TaskBoard
+                tasks={tasks}
+                statuses={statuses}
+                counts={statusCounts.byStatus}
+                cursors={columnCursors}
+                onLoadMore={loadMoreColumn}
+                renderTask={renderTaskItem}
+                onComplete={handleTaskComplete}
+                onChange={handleTaskChange}
+              />
+            ) : (
+              <TaskGrid
+                tasks={tasks}
+                renderTask={renderTaskItem}
+                reorderable={sortOption === 'position:asc'}
+                onMove={handleTaskMove}
+              />
+            )}
+
+            {/* Next page */}
+            {!searchQuery.trim() && !loading && nextCursor && (
+              <div className="load-more">
+                <button
+                  className="btn btn-secondary"
+                  onClick={loadMoreTasks}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? 'Loading...' : `Load more (${tasks.length} of ${total})`}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* "Undo" for the last deleted task(s) */}
+        {trashedTasks.length > 0 && (
+          <UndoToast
+            key={trashedTasks.map((task) => task._id).join()}
+            message={
+              trashedTasks.length === 1
+                ? `"${trashedTasks[0].title}" moved to the trash`
+                : `${trashedTasks.length} tasks moved to the trash`
+            }
+            onUndo={handleUndoDelete}
+            onDismiss={() => setTrashedTasks([])}
+          />
+        )}
+      </div>
     </div>
   );
 };
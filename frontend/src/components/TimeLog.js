@@ -0,0 +1,275 @@
+/**
+ * TimeLog Component
+ *
+ * Shows a task's time entries (inside TaskItem) and lets the user add time
+ * by hand, change the length or note of an entry, or delete it.
+ *
+ * Props:
+ * - task: The task object
+ * - runningEntry: The running timer entry if it belongs to this task, otherwise null
+ * - onChange: Callback with the updated task (new trackedSeconds) after every change
+ * - onTimerDiscarded: Callback after the running timer's entry was deleted
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+} from '../services/api';
+import { toDateInputValue } from '../utils/dates';
+import { formatDuration } from '../utils/time';
+
+/**
+ * Current local time for <input type="time">, e.g. "09:05"
+ */
+const currentTimeValue = () => {
+  const now = new Date();
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+};
+
+// Values for the "add time" form
+const emptyEntry = () => ({
+  date: toDateInputValue(new Date().toISOString()),
+  time: currentTimeValue(),
+  minutes: '',
+  note: '',
+});
+
+/**
+ * Format an entry's start for display, e.g. "Jan 5, 9:30 AM"
+ */
+const formatStart = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+const TimeLog = ({ task, runningEntry, onChange, onTimerDiscarded }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState('');
+
+  // State for the "add time" form
+  const [newEntry, setNewEntry] = useState(emptyEntry);
+
+  // State for the entry being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editMinutes, setEditMinutes] = useState('');
+  const [editNote, setEditNote] = useState('');
+
+  /**
+   * Load the entries from the backend
+   */
+  const fetchEntries = useCallback(async () => {
+    try {
+      setEntries(await getTimeEntries(task._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load time entries');
+    }
+  }, [task._id]);
+
+  // Reload when the total changes or a timer starts/stops
+  const runningId = runningEntry ? runningEntry._id : null;
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries, task.trackedSeconds, runningId]);
+
+  /**
+   * Run a time entry API call, then pass the updated task to the parent
+   */
+  const runAction = async (action, errorMessage) => {
+    setError('');
+    try {
+      const data = await action();
+      if (onChange && data.task) {
+        onChange(data.task);
+      }
+      fetchEntries();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+      return false;
+    }
+  };
+
+  /**
+   * Handle the "add time" form submission
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const added = await runAction(
+      () =>
+        addTimeEntry({
+          taskId: task._id,
+          // Date and time inputs are in local time
+          startedAt: new Date(`${newEntry.date}T${newEntry.time}`).toISOString(),
+          minutes: Number(newEntry.minutes),
+          note: newEntry.note.trim(),
+        }),
+      'Failed to add time'
+    );
+    if (added) setNewEntry(emptyEntry());
+  };
+
+  /**
+   * Save the edited length and note
+   */
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+
+    const saved = await runAction(
+      () =>
+        updateTimeEntry(editingId, {
+          minutes: Number(editMinutes),
+          note: editNote.trim(),
+        }),
+      'Failed to update time entry'
+    );
+    if (saved) setEditingId(null);
+  };
+
+  /**
+   * Delete an entry after confirming
+   * Deleting the running timer's entry discards the timer
+   */
+  const handleDelete = async (entry) => {
+    if (!window.confirm('Delete this time entry?')) return;
+
+    const deleted = await runAction(
+      () => deleteTimeEntry(entry._id),
+      'Failed to delete time entry'
+    );
+    if (deleted && !entry.endedAt && onTimerDiscarded) {
+      onTimerDiscarded();
+    }
+  };
+
+  return (
+    <div className="time-log">
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {entries.length === 0 ? (
+        <p className="comment-empty">No time tracked yet.</p>
+      ) : (
+        <ul className="time-entries">
+          {entries.map((entry) => (
+            <li key={entry._id} className="time-entry">
+              {editingId === entry._id ? (
+                <form className="subtask-add" onSubmit={handleSaveEdit}>
+                  <input
+                    type="number"
+                    min="1"
+                    max="1440"
+                    value={editMinutes}
+                    onChange={(e) => setEditMinutes(e.target.value)}
+                    className="time-minutes"
+                    aria-label="Minutes"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={editNote}
+                    onChange={(e) => setEditNote(e.target.value)}
+                    placeholder="Note"
+                    maxLength={200}
+                  />
+                  <button type="submit" className="btn btn-secondary btn-sm">
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setEditingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <span className="time-entry-start">{formatStart(entry.startedAt)}</span>
+                  <span className="time-entry-duration">
+                    {entry.endedAt ? formatDuration(entry.duration) : 'running'}
+                  </span>
+                  <span className="time-entry-note">
+                    {entry.note}
+                    {entry.source === 'manual' && ' (added by hand)'}
+                  </span>
+                  <span className="comment-actions">
+                    {entry.endedAt && (
+                      <button
+                        type="button"
+                        className="subtask-btn"
+                        onClick={() => {
+                          setEditingId(entry._id);
+                          setEditMinutes(String(Math.max(1, Math.round(entry.duration / 60))));
+                          setEditNote(entry.note);
+                        }}
+                        title="Edit entry"
+                      >
+                        ✎
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="subtask-btn subtask-btn-delete"
+                      onClick={() => handleDelete(entry)}
+                      title="Delete entry"
+                    >
+                      ×
+                    </button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Add time by hand */}
+      <form className="subtask-add time-add" onSubmit={handleAdd}>
+        <input
+          type="date"
+          value={newEntry.date}
+          onChange={(e) => setNewEntry({ ...newEntry, date: e.target.value })}
+          aria-label="Date"
+          required
+        />
+        <input
+          type="time"
+          value={newEntry.time}
+          onChange={(e) => setNewEntry({ ...newEntry, time: e.target.value })}
+          aria-label="Start time"
+          required
+        />
+        <input
+          type="number"
+          min="1"
+          max="1440"
+          value={newEntry.minutes}
+          onChange={(e) => setNewEntry({ ...newEntry, minutes: e.target.value })}
+          placeholder="Min"
+          className="time-minutes"
+          aria-label="Minutes"
+          required
+        />
+        <input
+          type="text"
+          value={newEntry.note}
+          onChange={(e) => setNewEntry({ ...newEntry, note: e.target.value })}
+          placeholder="Note (optional)"
+          maxLength={200}
+        />
+        <button type="submit" className="btn btn-secondary btn-sm">
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TimeLog;
@@ -0,0 +1,166 @@
+/**
+ * TrashView Component
+ *
+ * Shows the tasks in the trash (opened from the sidebar).
+ * Each task can be restored or deleted for good, and the whole trash
+ * can be emptied. Trashed tasks are deleted for good automatically after
+ * the number of days set on the backend.
+ *
+ * Props:
+ * - onChange: Callback after a task was restored or deleted (to refresh counts)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getTrash,
+  restoreTask,
+  deleteTaskPermanently,
+  emptyTrash,
+} from '../services/api';
+
+/**
+ * Format a date for display, e.g. "Jan 5, 2024"
+ */
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+const TrashView = ({ onChange }) => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the trashed tasks from the backend
+   */
+  const fetchTrash = useCallback(async () => {
+    setError('');
+    try {
+      const data = await getTrash();
+      setTasks(data.tasks);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  /**
+   * Run a trash API call, then reload the trash and let the parent refresh
+   */
+  const runAction = async (action, errorMessage) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      await action();
+      if (onChange) {
+        onChange();
+      }
+      await fetchTrash();
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Delete one task for good after confirming
+   */
+  const handleDeleteForever = (task) => {
+    if (!window.confirm(`Delete "${task.title}" for good? This cannot be undone.`)) {
+      return;
+    }
+    runAction(() => deleteTaskPermanently(task._id), 'Failed to delete task');
+  };
+
+  /**
+   * Empty the whole trash after confirming
+   */
+  const handleEmptyTrash = () => {
+    if (
+      !window.confirm(
+        `Delete all ${tasks.length} task(s) in the trash for good? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    runAction(emptyTrash, 'Failed to empty the trash');
+  };
+
+  if (loading) {
+    return <div className="loading-message">Loading trash...</div>;
+  }
+
+  return (
+    <div className="trash-view">
+      <div className="trash-header">
+        <p className="trash-note">
+          {retentionDays > 0
+            ? `Tasks in the trash are deleted for good after ${retentionDays} day(s).`
+            : 'Tasks stay in the trash until you delete them.'}
+        </p>
+        {tasks.length > 0 && (
+          <button
+            type="button"
+            className="btn btn-danger btn-sm"
+            onClick={handleEmptyTrash}
+            disabled={busy}
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {/* Error message */}
+      {error && <div className="error-message">{error}</div>}
+
+      {tasks.length === 0 ? (
+        <div className="empty-message">The trash is empty.</div>
+      ) : (
+        <ul className="trash-items">
+          {tasks.map((task) => (
+            <li key={task._id} className="trash-item">
+              <div className="trash-item-info">
+                <span className="trash-item-title">{task.title}</span>
+                <span className="trash-item-dates">
+                  Deleted {formatDate(task.deletedAt)}
+                  {task.purgeAt && ` · gone for good on ${formatDate(task.purgeAt)}`}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => runAction(() => restoreTask(task._id), 'Failed to restore task')}
+                disabled={busy}
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => handleDeleteForever(task)}
+                disabled={busy}
+              >
+                Delete Forever
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,46 @@
+/**
+ * UndoToast Component
+ *
+ * Small message at the bottom of the screen with an "Undo" button,
+ * shown after a task was moved to the trash. Hides itself after a few seconds.
+ *
+ * Props:
+ * - message: Text to show
+ * - onUndo: Callback when "Undo" is clicked
+ * - onDismiss: Callback when the toast closes (timeout or × button)
+ * - duration: How long the toast stays, in milliseconds (default 8000)
+ *
+ * Give the toast a key (e.g. the task ID), so a new message starts a new timer.
+ */
+
+import React, { useEffect, useRef } from 'react';
+
+const UndoToast = ({ message, onUndo, onDismiss, duration = 8000 }) => {
+  // Keep the latest callback without restarting the timer on every render
+  const dismissRef = useRef(onDismiss);
+  dismissRef.current = onDismiss;
+
+  useEffect(() => {
+    const timer = setTimeout(() => dismissRef.current(), duration);
+    return () => clearTimeout(timer);
+  }, [duration]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{message}</span>
+      <button type="button" className="undo-toast-btn" onClick={onUndo}>
+        Undo
+      </button>
+      <button
+        type="button"
+        className="undo-toast-close"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
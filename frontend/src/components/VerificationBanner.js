@@ -0,0 +1,50 @@
+/**
+ * VerificationBanner Component
+ *
+ * Shown above the task list while the logged-in user's email is not
+ * verified. Until it is, the backend may refuse changes (depending on its
+ * UNVERIFIED_ACCESS setting). The user can have the email sent again.
+ */
+
+import React, { useState } from 'react';
+import { resendVerification } from '../services/api';
+
+const VerificationBanner = () => {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await resendVerification();
+      setMessage(response.message);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to send the email. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-banner" role="status">
+      <span>
+        Please verify your email address by opening the link we emailed you. Until then, you
+        may not be able to make changes.
+      </span>
+      {message ? (
+        <span className="verification-banner-message">{message}</span>
+      ) : (
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={handleResend}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Send Email Again'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerificationBanner;
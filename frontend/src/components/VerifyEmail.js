@@ -0,0 +1,72 @@
+/**
+ * VerifyEmail Component
+ *
+ * The page the verification email links to (/verify-email?token=...).
+ * It sends the token to the backend as soon as it opens and shows the result.
+ *
+ * Props:
+ * - token: Token from the verification link
+ * - isLoggedIn: Whether the user is logged in (changes the button text)
+ * - onDone: Function called to go on; gets true if the email was verified
+ */
+
+import React, { useState, useEffect } from 'react';
+import { verifyEmail } from '../services/api';
+
+// A link works only once, so each token is sent once, even when the page
+// mounts twice (React's StrictMode does that in development)
+const verifications = new Map();
+
+const verifyOnce = (token) => {
+  if (!verifications.has(token)) {
+    verifications.set(token, verifyEmail(token));
+  }
+  return verifications.get(token);
+};
+
+const VerifyEmail = ({ token, isLoggedIn, onDone }) => {
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    verifyOnce(token)
+      .then((data) => {
+        if (!active) return;
+        setStatus('verified');
+        setMessage(data.message);
+      })
+      .catch((err) => {
+        if (!active) return;
+        setStatus('failed');
+        setMessage(err.response?.data?.message || 'Failed to verify the email address.');
+      });
+    return () => {
+      active = false;
+    };
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Verify Email</h2>
+
+        {status === 'verifying' && <p className="auth-info">Verifying your email address...</p>}
+        {status === 'verified' && <p className="auth-info">{message}</p>}
+        {status === 'failed' && <div className="error-message">{message}</div>}
+
+        {status !== 'verifying' && (
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => onDone(status === 'verified')}
+          >
+            {isLoggedIn ? 'Go to My Tasks' : 'Go to Login'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
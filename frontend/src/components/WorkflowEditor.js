@@ -0,0 +1,272 @@
+/**
+ * WorkflowEditor Component
+ *
+ * Form for the user's task statuses: add, rename, reorder and remove
+ * statuses, pick each one's category (to do, in progress, done) and the
+ * statuses a task may move to from it. A status can have a WIP (work in
+ * progress) limit: the board warns when the status holds more tasks.
+ *
+ * If a removed status still has tasks, the backend refuses the change and
+ * the form asks where those tasks should go before saving again.
+ *
+ * Props:
+ * - statuses: The user's current statuses, in order
+ * - onSaved: Callback with the new statuses after saving
+ * - onCancel: Callback when the form is closed without saving
+ */
+
+import React, { useState } from 'react';
+import { updateWorkflow } from '../services/api';
+import { CATEGORY_LABELS } from '../utils/workflow';
+
+// Rows need a stable key while their name is being edited
+let nextRowKey = 0;
+const newRowKey = () => `row-${(nextRowKey += 1)}`;
+
+/**
+ * Turn statuses into editable rows
+ * "next" holds row keys instead of names, so renaming a status keeps its links
+ */
+const toRows = (statuses) => {
+  const rows = statuses.map((status) => ({ ...status, key: newRowKey() }));
+  const keyOf = (name) => rows.find((row) => row.name === name)?.key;
+  return rows.map((row) => ({ ...row, next: row.next.map(keyOf).filter(Boolean) }));
+};
+
+const WorkflowEditor = ({ statuses, onSaved, onCancel }) => {
+  const [rows, setRows] = useState(() => toRows(statuses));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Removed statuses that still have tasks: [{ name, taskCount }]
+  const [inUse, setInUse] = useState([]);
+  // Where their tasks go: { "Old status": "New status" }
+  const [replacements, setReplacements] = useState({});
+
+  /**
+   * Change one field of a row
+   */
+  const updateRow = (key, changes) => {
+    setRows((current) => current.map((row) => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  /**
+   * Move a row up (-1) or down (+1)
+   */
+  const moveRow = (index, direction) => {
+    setRows((current) => {
+      const reordered = [...current];
+      const [row] = reordered.splice(index, 1);
+      reordered.splice(index + direction, 0, row);
+      return reordered;
+    });
+  };
+
+  /**
+   * Remove a row, and every link to it
+   */
+  const removeRow = (key) => {
+    setRows((current) =>
+      current
+        .filter((row) => row.key !== key)
+        .map((row) => ({ ...row, next: row.next.filter((nextKey) => nextKey !== key) }))
+    );
+  };
+
+  /**
+   * Allow or forbid moving from one status to another
+   */
+  const toggleNext = (row, nextKey) => {
+    updateRow(row.key, {
+      next: row.next.includes(nextKey)
+        ? row.next.filter((key) => key !== nextKey)
+        : [...row.next, nextKey],
+    });
+  };
+
+  const addRow = () => {
+    setRows((current) => [
+      ...current,
+      { key: newRowKey(), name: '', category: 'in-progress', next: [], wipLimit: null },
+    ]);
+  };
+
+  /**
+   * Save the statuses (with replacements for removed statuses, if asked for)
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const nameOf = (key) => rows.find((row) => row.key === key).name.trim();
+    const payload = rows.map((row) => ({
+      _id: row._id,
+      name: row.name.trim(),
+      category: row.category,
+      next: row.next.map(nameOf),
+      wipLimit: row.wipLimit || null,
+    }));
+
+    try {
+      const data = await updateWorkflow(payload, replacements);
+      onSaved(data.statuses);
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.inUse) {
+        setInUse(err.response.data.inUse);
+      }
+      setError(err.response?.data?.message || 'Failed to save the statuses');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="task-form-container">
+      <form className="task-form workflow-editor" onSubmit={handleSubmit}>
+        <h3>Statuses</h3>
+        <p className="workflow-hint">
+          New tasks start in the first "To do" status, and "Mark Complete" moves a task to the
+          first "Done" status. Tick the statuses a task may move to next (none ticked = any).
+          The board warns when a status has more tasks than its WIP limit.
+        </p>
+
+        {/* Error message */}
+        {error && <div className="error-message">{error}</div>}
+
+        <ol className="workflow-list">
+          {rows.map((row, index) => (
+            <li key={row.key} className="workflow-row">
+              <div className="workflow-row-main">
+                <input
+                  type="text"
+                  value={row.name}
+                  onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                  placeholder="Status name"
+                  maxLength={30}
+                  aria-label="Status name"
+                  required
+                />
+                <select
+                  value={row.category}
+                  onChange={(e) => updateRow(row.key, { category: e.target.value })}
+                  aria-label="Category"
+                >
+                  {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+                    <option key={category} value={category}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  className="workflow-wip"
+                  value={row.wipLimit || ''}
+                  onChange={(e) =>
+                    updateRow(row.key, {
+                      wipLimit: e.target.value === '' ? null : Number(e.target.value),
+                    })
+                  }
+                  min={1}
+                  max={999}
+                  step={1}
+                  placeholder="WIP"
+                  title="WIP limit (empty = no limit)"
+                  aria-label="WIP limit"
+                />
+                <button
+                  type="button"
+                  className="subtask-btn"
+                  onClick={() => moveRow(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="subtask-btn"
+                  onClick={() => moveRow(index, 1)}
+                  disabled={index === rows.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="subtask-btn subtask-btn-delete"
+                  onClick={() => removeRow(row.key)}
+                  disabled={rows.length === 1}
+                  title="Remove status"
+                >
+                  ✕
+                </button>
+              </div>
+
+              {rows.length > 1 && (
+                <div className="workflow-next">
+                  <span>Can move to:</span>
+                  {rows
+                    .filter((other) => other.key !== row.key)
+                    .map((other) => (
+                      <label key={other.key}>
+                        <input
+                          type="checkbox"
+                          checked={row.next.includes(other.key)}
+                          onChange={() => toggleNext(row, other.key)}
+                        />
+                        {other.name || '(unnamed)'}
+                      </label>
+                    ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+
+        <button type="button" className="btn btn-secondary btn-sm" onClick={addRow}>
+          + Add Status
+        </button>
+
+        {/* Removed statuses that still have tasks */}
+        {inUse.length > 0 && (
+          <div className="workflow-replacements">
+            {inUse.map((status) => (
+              <div key={status.name} className="form-group">
+                <label>
+                  Move the {status.taskCount} task(s) in "{status.name}" to:
+                </label>
+                <select
+                  value={replacements[status.name] || ''}
+                  onChange={(e) =>
+                    setReplacements((current) => ({ ...current, [status.name]: e.target.value }))
+                  }
+                >
+                  <option value="">Choose a status…</option>
+                  {rows
+                    .filter((row) => row.name.trim())
+                    .map((row) => (
+                      <option key={row.key} value={row.name.trim()}>
+                        {row.name.trim()}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Statuses'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default WorkflowEditor;
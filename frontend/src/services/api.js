@@ -5,9 +5,13 @@
  * It uses axios to make HTTP requests to our Express backend.
  * 
  * Key functions:
- * - setAuthToken: Stores JWT token for authentication
+ * - setAuthToken: Stores the access token and refresh token for authentication
  * - getAuthToken: Retrieves stored token
  * - API calls for authentication and tasks
+ *
+ * Access tokens expire after a few minutes. When a request fails with 401,
+ * the response interceptor below gets new tokens with the refresh token and
+ * sends the request again, so the user never notices.
  */
 
 import axios from 'axios';
@@ -26,24 +30,30 @@ const api = axios.create({
 });
 
 /**
- * Set Authentication Token
+ * Set Authentication Tokens
  * 
- * When a user logs in or registers, we save their JWT token.
- * This token is then sent with every API request to authenticate the user.
+ * When a user logs in or registers, we save their tokens: the access token
+ * (a JWT sent with every API request to authenticate the user) and the
+ * refresh token (used to get a new access token when it expires).
  * 
- * @param {string} token - JWT token from backend
+ * @param {string} token - Access token (JWT) from backend, or null to log out
+ * @param {string} refreshToken - Refresh token from backend (optional)
  */
-export const setAuthToken = (token) => {
+export const setAuthToken = (token, refreshToken) => {
   if (token) {
     // Save token to localStorage (persists even after browser refresh)
     localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
     
     // Set token as default header for all axios requests
     // This way, we don't need to manually add it to each request
     api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
   } else {
-    // If token is null/undefined, remove it (for logout)
+    // If token is null/undefined, remove both tokens (for logout)
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     delete api.defaults.headers.common['Authorization'];
   }
 };
@@ -60,6 +70,34 @@ export const getAuthToken = () => {
   return localStorage.getItem('token');
 };
 
+/**
+ * Get Refresh Token
+ * 
+ * @returns {string|null} The stored refresh token or null if not found
+ */
+export const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
+/**
+ * Check if the logged-in user's email is verified
+ * 
+ * The access token says so ("ev"); it is a JWT, so its middle part is
+ * readable JSON (only the backend can check its signature).
+ * 
+ * @returns {boolean} True if verified (or not logged in)
+ */
+export const isEmailVerified = () => {
+  const token = getAuthToken();
+  if (!token) return true;
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).ev !== false;
+  } catch (error) {
+    return true;
+  }
+};
+
 /**
  * Initialize Auth Token
  * 
@@ -74,6 +112,108 @@ export const initAuthToken = () => {
   }
 };
 
+// ==================== TOKEN REFRESH ====================
+
+// Called when the session has ended and the user has to log in again
+let sessionExpiredHandler = null;
+
+/**
+ * Register the function called when the session has ended (the refresh
+ * token was refused), e.g. to show the login form again
+ * 
+ * @param {Function|null} handler - Function without arguments, or null
+ */
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// The refresh in progress, shared by all requests that fail at the same time
+// (a refresh token works only once, so it must not be sent twice)
+let refreshPromise = null;
+
+/**
+ * Swap the refresh token for new tokens
+ * 
+ * Uses plain axios (not our instance), so a failing refresh does not run
+ * through the interceptor below again.
+ * 
+ * @returns {Promise<string>} The new access token
+ */
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+    refreshPromise = (
+      refreshToken
+        ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+        : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        setAuthToken(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Get new tokens now (e.g. after verifying the email, so the access token
+ * says so)
+ * 
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAuthTokens = () => refreshTokens();
+
+/**
+ * Response interceptor: on a 401, get new tokens and send the request again
+ * 
+ * Login, registration and the refresh itself are left alone (their 401
+ * means wrong credentials); of the /auth/ routes only resending the
+ * verification email uses the access token. A request is only retried once. If the refresh
+ * fails, the tokens are removed and the session-expired handler is called.
+ */
+// The /auth/ routes whose 401 means an expired access token
+const TOKEN_AUTH_ROUTES = ['/auth/resend-verification'];
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isCredentialRoute = config && config.url.startsWith('/auth/') && !TOKEN_AUTH_ROUTES.includes(config.url);
+    if (!config || !response || response.status !== 401 || config._retried || isCredentialRoute) {
+      throw error;
+    }
+    config._retried = true;
+
+    // Another tab may have refreshed already: its new token is in localStorage
+    const sentToken = (config.headers.Authorization || '').split(' ')[1];
+    const storedToken = getAuthToken();
+    let token = storedToken && storedToken !== sentToken ? storedToken : null;
+
+    if (!token) {
+      try {
+        token = await refreshTokens();
+      } catch (refreshError) {
+        // The other tab may have won the race for the refresh token
+        const latestToken = getAuthToken();
+        if (latestToken && latestToken !== sentToken) {
+          token = latestToken;
+        } else {
+          setAuthToken(null);
+          if (sessionExpiredHandler) sessionExpiredHandler();
+          throw error;
+        }
+      }
+    }
+
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    config.headers.Authorization = `Bearer ${token}`;
+    return api(config);
+  }
+);
+
 // ==================== AUTHENTICATION API ====================
 
 /**
@@ -82,14 +222,14 @@ export const initAuthToken = () => {
  * @param {Object} userData - User registration data
  * @param {string} userData.email - User's email
  * @param {string} userData.password - User's password
- * @returns {Promise} Response from backend with token and userId
+ * @returns {Promise} Response from backend with tokens and userId
  */
 export const registerUser = async (userData) => {
   const response = await api.post('/auth/register', userData);
   
-  // If registration successful, save the token
+  // If registration successful, save the tokens
   if (response.data.token) {
-    setAuthToken(response.data.token);
+    setAuthToken(response.data.token, response.data.refreshToken);
   }
   
   return response.data;
@@ -101,14 +241,14 @@ export const registerUser = async (userData) => {
  * @param {Object} userData - User login data
  * @param {string} userData.email - User's email
  * @param {string} userData.password - User's password
- * @returns {Promise} Response from backend with token and userId
+ * @returns {Promise} Response from backend with tokens and userId
  */
 export const loginUser = async (userData) => {
   const response = await api.post('/auth/login', userData);
   
-  // If login successful, save the token
+  // If login successful, save the tokens
   if (response.data.token) {
-    setAuthToken(response.data.token);
+    setAuthToken(response.data.token, response.data.refreshToken);
   }
   
   return response.data;
@@ -117,21 +257,128 @@ export const loginUser = async (userData) => {
 /**
  * Logout user
  * 
- * Removes the token from localStorage and axios headers.
+ * Removes the tokens from localStorage and axios headers, then tells the
+ * backend to end the session, so the tokens stop working everywhere.
+ * The user is logged out locally even if the backend cannot be reached.
  */
-export const logoutUser = () => {
+export const logoutUser = async () => {
+  const refreshToken = getRefreshToken();
+  const token = getAuthToken();
   setAuthToken(null);
+
+  if (!refreshToken && !token) return;
+  try {
+    await axios.post(
+      `${API_BASE_URL}/auth/logout`,
+      refreshToken ? { refreshToken } : {},
+      token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+    );
+  } catch (error) {
+    // The session still ends by itself when its refresh token expires
+  }
+};
+
+/**
+ * Verify the email address with the token from the verification link
+ * 
+ * @param {string} token - Token from the verification link
+ * @returns {Promise} Response from backend with email and emailVerified
+ */
+export const verifyEmail = async (token) => {
+  const response = await api.get(`/auth/verify/${encodeURIComponent(token)}`);
+  return response.data;
+};
+
+/**
+ * Send the verification email again
+ * 
+ * @param {string} email - The account's email (leave out when logged in)
+ * @returns {Promise} Response from backend (429 when a logged-in user asks again too soon)
+ */
+export const resendVerification = async (email) => {
+  const response = await api.post('/auth/resend-verification', email ? { email } : {});
+  return response.data;
+};
+
+/**
+ * Ask for a password reset link by email
+ * 
+ * @param {string} email - The account's email
+ * @returns {Promise} Response from backend (the same whether or not the account exists)
+ */
+export const requestPasswordReset = async (email) => {
+  const response = await api.post('/auth/forgot-password', { email });
+  return response.data;
+};
+
+/**
+ * Choose a new password with the token from the reset link
+ * 
+ * @param {string} token - Token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise} Response from backend
+ */
+export const resetPassword = async (token, password) => {
+  const response = await api.post('/auth/reset-password', { token, password });
+  return response.data;
 };
 
 // ==================== TASKS API ====================
 
 /**
- * Get all tasks for the logged-in user
+ * Get one page of the logged-in user's tasks
  * 
+ * @param {Object} params - Optional query parameters
+ * @param {string} params.status - Status name(s) from the workflow, comma-separated
+ * @param {string} params.category - "todo", "in-progress" and/or "done", comma-separated
+ * @param {string} params.priority - "High", "Medium" or "Low"
+ * @param {string} params.due - Due-date slice: "overdue", "today" or "week"
+ * @param {string} params.tag - Tag ID to filter by
+ * @param {string} params.project - Project ID, or "inbox"
+ * @param {string} params.sort - Sort field, e.g. "dueDate"
+ * @param {string} params.order - "asc" or "desc"
+ * @param {number} params.limit - Tasks per page
+ * @param {string} params.cursor - nextCursor of the previous page
+ * @returns {Promise} { tasks, total, statusCounts: { pending, completed, byStatus }, nextCursor }
+ */
+export const getTasksPage = async (params = {}) => {
+  const query = { ...params };
+
+  // Send our timezone so the backend knows when "today" starts for us
+  if (query.due) {
+    query.tzOffset = new Date().getTimezoneOffset();
+  }
+
+  const response = await api.get('/tasks', { params: query });
+  return {
+    tasks: response.data.tasks,
+    total: response.data.total,
+    statusCounts: response.data.statusCounts,
+    nextCursor: response.data.nextCursor,
+  };
+};
+
+/**
+ * Get the first page of tasks for the logged-in user
+ * 
+ * @param {Object} params - Optional query parameters (see getTasksPage)
  * @returns {Promise} Array of tasks
  */
-export const getAllTasks = async () => {
-  const response = await api.get('/tasks');
+export const getAllTasks = async (params = {}) => {
+  const page = await getTasksPage(params);
+  return page.tasks;
+};
+
+/**
+ * Search the logged-in user's tasks by title and description
+ * 
+ * @param {string} query - Search text, e.g. 'report "q3 budget" -draft'
+ * @param {Object} params - Optional filters (same as getTasksPage)
+ * @returns {Promise} Array of tasks, best matches first, each with
+ *   highlights: { title: [{ text, match }], description: [{ text, match }] }
+ */
+export const searchTasks = async (query, params = {}) => {
+  const response = await api.get('/tasks/search', { params: { ...params, q: query } });
   return response.data.tasks;
 };
 
@@ -142,6 +389,10 @@ export const getAllTasks = async () => {
  * @param {string} taskData.title - Task title (required)
  * @param {string} taskData.description - Task description (optional)
  * @param {string} taskData.priority - Task priority: "High", "Medium", or "Low" (required)
+ * @param {string} taskData.dueDate - Due date as ISO string (optional)
+ * @param {string} taskData.startDate - Start date as ISO string (optional)
+ * @param {string[]} taskData.tags - Tag IDs (optional)
+ * @param {string} taskData.projectId - Project ID, or null for the Inbox (optional)
  * @returns {Promise} Created task object
  */
 export const createTask = async (taskData) => {
@@ -162,26 +413,669 @@ export const updateTask = async (taskId, taskData) => {
 };
 
 /**
- * Delete a task
+ * Move a task to the trash (it can be restored with restoreTask)
  * 
  * @param {string} taskId - ID of task to delete
- * @returns {Promise} Success message
+ * @returns {Promise} { message, task, purgeAt }
  */
 export const deleteTask = async (taskId) => {
   const response = await api.delete(`/tasks/${taskId}`);
   return response.data;
 };
 
+/**
+ * Get the tasks in the trash, most recently deleted first
+ * 
+ * @returns {Promise} { tasks, retentionDays } (each task has deletedAt and purgeAt)
+ */
+export const getTrash = async () => {
+  const response = await api.get('/tasks/trash');
+  return response.data;
+};
+
+/**
+ * Take a task out of the trash
+ * 
+ * @param {string} taskId - ID of the trashed task
+ * @returns {Promise} The restored task
+ */
+export const restoreTask = async (taskId) => {
+  const response = await api.post(`/tasks/${taskId}/restore`);
+  return response.data.task;
+};
+
+/**
+ * Delete a task for good (cannot be undone)
+ * 
+ * @param {string} taskId - ID of the task
+ * @returns {Promise} Success message
+ */
+export const deleteTaskPermanently = async (taskId) => {
+  const response = await api.delete(`/tasks/${taskId}/permanent`);
+  return response.data;
+};
+
+/**
+ * Delete every task in the trash for good
+ * 
+ * @returns {Promise} { message, deletedCount }
+ */
+export const emptyTrash = async () => {
+  const response = await api.delete('/tasks/trash');
+  return response.data;
+};
+
 /**
  * Mark a task as completed
  * 
  * @param {string} taskId - ID of task to mark as completed
- * @returns {Promise} Updated task object with status "Completed"
+ * @param {Object} options - Optional settings
+ * @param {string} options.openSubtasks - "refuse" or "cascade" (what to do with open subtasks)
+ * @param {string} options.pendingBlockers - "refuse" or "warn" (what to do if blockers are pending)
+ * @returns {Promise} Updated task object, in the first "done" status of the workflow
+ */
+export const markTaskCompleted = async (taskId, options = {}) => {
+  const response = await api.patch(`/tasks/${taskId}/complete`, null, {
+    params: options,
+  });
+  return response.data.task;
+};
+
+/**
+ * Reopen a completed task (moves it back to the first "todo" status)
+ * 
+ * @param {string} taskId - ID of the completed task
+ * @returns {Promise} Updated task object (completedAt is cleared)
+ */
+export const reopenTask = async (taskId) => {
+  const response = await api.patch(`/tasks/${taskId}/reopen`);
+  return response.data.task;
+};
+
+/**
+ * Place a task right before or after another task (manual order)
+ * 
+ * @param {string} taskId - ID of the task to move
+ * @param {Object} placement - { before: siblingId } or { after: siblingId }
+ * @returns {Promise} Updated task object (with its new position)
+ */
+export const moveTask = async (taskId, placement) => {
+  const response = await api.patch(`/tasks/${taskId}/move`, placement);
+  return response.data.task;
+};
+
+/**
+ * Run one action on many tasks at once (up to 100)
+ * 
+ * @param {string[]} ids - IDs of the tasks
+ * @param {string} action - "complete", "reopen", "status", "delete", "restore", "priority" or "move"
+ * @param {Object} options - Optional settings
+ * @param {string} options.status - Status name (for "status")
+ * @param {string} options.priority - New priority (for "priority")
+ * @param {string|null} options.projectId - Project ID, or null for the Inbox (for "move")
+ * @returns {Promise} { message, succeeded, failed, results } (one result per ID)
+ */
+export const bulkUpdateTasks = async (ids, action, options = {}) => {
+  const response = await api.post('/tasks/bulk', { ids, action, ...options });
+  return response.data;
+};
+
+// ==================== IMPORT / EXPORT API ====================
+
+/**
+ * Download the tasks matching the current filters as a file
+ * (dates in Markdown files are shown in the browser's timezone)
+ * 
+ * @param {string} format - "json", "csv" or "md" (Markdown checklist)
+ * @param {Object} params - The task list's filters and sort order (see getTasksPage)
+ * @returns {Promise} { blob, filename } - The file and its suggested name
+ */
+export const exportTasks = async (format, params = {}) => {
+  const query = { ...params, format, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+  if (query.due) {
+    query.tzOffset = new Date().getTimezoneOffset();
+  }
+
+  const response = await api.get('/tasks/export', { params: query, responseType: 'blob' });
+  const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+  return {
+    blob: response.data,
+    filename: match ? match[1] : `tasks.${format}`,
+  };
+};
+
+/**
+ * Import tasks from a CSV or JSON file
+ * 
+ * @param {Object} options - Import options
+ * @param {string} options.format - "csv" or "json"
+ * @param {string} options.content - The file's content
+ * @param {Object} options.mapping - Optional { field: column name } (null = leave the field empty)
+ * @param {boolean} options.dryRun - true to only check the file (nothing is saved)
+ * @param {string} options.duplicates - "skip" (default) or "import"
+ * @returns {Promise} { columns, fields, mapping, summary, rows } - rows: [{ row, status, errors, task }]
+ */
+export const importTasks = async (options) => {
+  const response = await api.post('/tasks/import', options);
+  return response.data;
+};
+
+// ==================== SUBTASKS API ====================
+// Every subtask call returns the whole updated parent task
+
+/**
+ * Add a checklist item to a task
+ * 
+ * @param {string} taskId - ID of the parent task
+ * @param {string} title - Title of the new checklist item
+ * @returns {Promise} Updated task object
+ */
+export const addSubtask = async (taskId, title) => {
+  const response = await api.post(`/tasks/${taskId}/subtasks`, { title });
+  return response.data.task;
+};
+
+/**
+ * Rename a checklist item
+ * 
+ * @param {string} taskId - ID of the parent task
+ * @param {string} subtaskId - ID of the checklist item
+ * @param {string} title - New title
+ * @returns {Promise} Updated task object
+ */
+export const updateSubtask = async (taskId, subtaskId, title) => {
+  const response = await api.put(`/tasks/${taskId}/subtasks/${subtaskId}`, {
+    title,
+  });
+  return response.data.task;
+};
+
+/**
+ * Check off a checklist item (or uncheck it if already done)
+ * 
+ * @param {string} taskId - ID of the parent task
+ * @param {string} subtaskId - ID of the checklist item
+ * @returns {Promise} Updated task object
+ */
+export const toggleSubtask = async (taskId, subtaskId) => {
+  const response = await api.patch(
+    `/tasks/${taskId}/subtasks/${subtaskId}/toggle`
+  );
+  return response.data.task;
+};
+
+/**
+ * Reorder a task's checklist
+ * 
+ * @param {string} taskId - ID of the parent task
+ * @param {string[]} order - Every subtask ID, in the new order
+ * @returns {Promise} Updated task object
+ */
+export const reorderSubtasks = async (taskId, order) => {
+  const response = await api.patch(`/tasks/${taskId}/subtasks/reorder`, {
+    order,
+  });
+  return response.data.task;
+};
+
+/**
+ * Delete a checklist item
+ * 
+ * @param {string} taskId - ID of the parent task
+ * @param {string} subtaskId - ID of the checklist item
+ * @returns {Promise} Updated task object
+ */
+export const deleteSubtask = async (taskId, subtaskId) => {
+  const response = await api.delete(`/tasks/${taskId}/subtasks/${subtaskId}`);
+  return response.data.task;
+};
+
+// ==================== COMMENTS API ====================
+
+/**
+ * Get a task's thread (comments and activity entries, oldest first)
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise} Array of comments
+ */
+export const getComments = async (taskId) => {
+  const response = await api.get(`/tasks/${taskId}/comments`);
+  return response.data.comments;
+};
+
+/**
+ * Add a comment to a task
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} body - Comment text
+ * @returns {Promise} Created comment
+ */
+export const addComment = async (taskId, body) => {
+  const response = await api.post(`/tasks/${taskId}/comments`, { body });
+  return response.data.comment;
+};
+
+/**
+ * Edit a comment
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New comment text
+ * @returns {Promise} Updated comment
+ */
+export const updateComment = async (taskId, commentId, body) => {
+  const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body });
+  return response.data.comment;
+};
+
+/**
+ * Delete a comment
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} Response data
  */
-export const markTaskCompleted = async (taskId) => {
-  const response = await api.patch(`/tasks/${taskId}/complete`);
+export const deleteComment = async (taskId, commentId) => {
+  const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+  return response.data;
+};
+
+// ==================== REVISION HISTORY API ====================
+
+/**
+ * Get a task's revision history, newest first
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Object} params - Optional { limit, before } (before = revision ID, for older revisions)
+ * @returns {Promise} { revisions, hasMore, names: { tags, projects } }
+ */
+export const getTaskHistory = async (taskId, params = {}) => {
+  const response = await api.get(`/tasks/${taskId}/history`, { params });
+  return response.data;
+};
+
+/**
+ * Roll a task back to how it was just before a revision
+ * 
+ * @param {string} taskId - Task ID
+ * @param {string} revisionId - Revision to roll back
+ * @returns {Promise} The updated task
+ */
+export const revertTask = async (taskId, revisionId) => {
+  const response = await api.post(`/tasks/${taskId}/revert/${revisionId}`);
   return response.data.task;
 };
 
+// ==================== DEPENDENCIES API ====================
+
+/**
+ * Get the tasks a task is blocked by, and the tasks it blocks
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise} { blockedBy: [...], blocks: [...] }
+ */
+export const getDependencies = async (taskId) => {
+  const response = await api.get(`/tasks/${taskId}/dependencies`);
+  return { blockedBy: response.data.blockedBy, blocks: response.data.blocks };
+};
+
+/**
+ * Mark a task as blocked by another task
+ * 
+ * @param {string} taskId - Task that has to wait
+ * @param {string} blockerId - Task it waits for
+ * @returns {Promise} Updated task
+ */
+export const addDependency = async (taskId, blockerId) => {
+  const response = await api.post(`/tasks/${taskId}/dependencies`, { blockerId });
+  return response.data.task;
+};
+
+/**
+ * Remove a "blocked by" link
+ * 
+ * @param {string} taskId - Blocked task
+ * @param {string} blockerId - Task it no longer waits for
+ * @returns {Promise} Updated task
+ */
+export const removeDependency = async (taskId, blockerId) => {
+  const response = await api.delete(`/tasks/${taskId}/dependencies/${blockerId}`);
+  return response.data.task;
+};
+
+/**
+ * Get the dependency graph of the user's tasks
+ * 
+ * @param {string} taskId - Optional: only the tasks connected to this task
+ * @returns {Promise} { nodes, edges } (edges go from blocker to blocked task)
+ */
+export const getDependencyGraph = async (taskId) => {
+  const response = await api.get('/tasks/dependency-graph', {
+    params: taskId ? { taskId } : {},
+  });
+  return { nodes: response.data.nodes, edges: response.data.edges };
+};
+
+// ==================== TIME TRACKING API ====================
+
+/**
+ * Start the timer on a task
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Object} options - Optional query parameters
+ * @param {boolean} options.stopRunning - Stop a timer running on another task first
+ * @returns {Promise} { entry, stoppedTask }
+ */
+export const startTimer = async (taskId, options = {}) => {
+  const response = await api.post(`/tasks/${taskId}/timer/start`, null, { params: options });
+  return response.data;
+};
+
+/**
+ * Stop the running timer of a task
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise} { entry, task } (task has the new trackedSeconds)
+ */
+export const stopTimer = async (taskId) => {
+  const response = await api.post(`/tasks/${taskId}/timer/stop`);
+  return response.data;
+};
+
+/**
+ * Get the user's running timer
+ * 
+ * @returns {Promise} Running time entry, or null
+ */
+export const getRunningTimer = async () => {
+  const response = await api.get('/time-entries/running');
+  return response.data.entry;
+};
+
+/**
+ * Get a task's time entries (newest first)
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise} Array of time entries
+ */
+export const getTimeEntries = async (taskId) => {
+  const response = await api.get(`/tasks/${taskId}/time-entries`);
+  return response.data.entries;
+};
+
+/**
+ * Add a time entry by hand
+ * 
+ * @param {Object} entryData - { taskId, startedAt, minutes or endedAt, note }
+ * @returns {Promise} { entry, task }
+ */
+export const addTimeEntry = async (entryData) => {
+  const response = await api.post('/time-entries', entryData);
+  return response.data;
+};
+
+/**
+ * Edit a time entry
+ * 
+ * @param {string} entryId - Time entry ID
+ * @param {Object} entryData - Fields to change ({ startedAt, minutes or endedAt, note })
+ * @returns {Promise} { entry, task }
+ */
+export const updateTimeEntry = async (entryId, entryData) => {
+  const response = await api.put(`/time-entries/${entryId}`, entryData);
+  return response.data;
+};
+
+/**
+ * Delete a time entry
+ * 
+ * @param {string} entryId - Time entry ID
+ * @returns {Promise} { task }
+ */
+export const deleteTimeEntry = async (entryId) => {
+  const response = await api.delete(`/time-entries/${entryId}`);
+  return response.data;
+};
+
+/**
+ * Get the time report (tracked time per day, priority and task)
+ * 
+ * @param {Object} params - Optional { from, to } date range (default: last 7 days)
+ * @returns {Promise} { totalSeconds, byDay, byPriority, byTask }
+ */
+export const getTimeReport = async (params = {}) => {
+  const response = await api.get('/time-entries/report', {
+    params: { ...params, tzOffset: new Date().getTimezoneOffset() },
+  });
+  return response.data;
+};
+
+// ==================== STATS API ====================
+
+/**
+ * Get the productivity stats (created vs completed, streaks, time to complete,
+ * busiest weekdays and the backlog trend), counted in the browser's timezone
+ * 
+ * @param {Object} params - Optional { from, to } range as "YYYY-MM-DD" (default: last 30 days)
+ * @returns {Promise} { summary, createdVsCompleted, streaks, timeToComplete, weekdays, backlog }
+ */
+export const getStats = async (params = {}) => {
+  const response = await api.get('/stats', {
+    params: { ...params, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+  });
+  return response.data;
+};
+
+// ==================== CALENDAR FEED API ====================
+
+/**
+ * Get the calendar feed details (the link itself is only shown when it is created)
+ * 
+ * @returns {Promise} { active, createdAt, lastUsedAt }
+ */
+export const getCalendarFeed = async () => {
+  const response = await api.get('/calendar/feed');
+  return response.data.feed;
+};
+
+/**
+ * Create the calendar feed, or replace it (the old link stops working)
+ * 
+ * @returns {Promise} { url, feed } - The secret feed link (shown once) and the feed details
+ */
+export const createCalendarFeed = async () => {
+  const response = await api.post('/calendar/feed');
+  return { url: response.data.url, feed: response.data.feed };
+};
+
+/**
+ * Turn off the calendar feed (its link stops working)
+ * 
+ * @returns {Promise} Success message
+ */
+export const revokeCalendarFeed = async () => {
+  const response = await api.delete('/calendar/feed');
+  return response.data;
+};
+
+// ==================== ACCOUNT API ====================
+
+/**
+ * Get the logged-in user's account details
+ * 
+ * @returns {Promise} { email, emailVerified, pendingEmail, createdAt }
+ */
+export const getAccount = async () => {
+  const response = await api.get('/account');
+  return response.data.account;
+};
+
+/**
+ * Change the password (all other sessions end)
+ * 
+ * @param {string} currentPassword - The current password
+ * @param {string} newPassword - The new password
+ * @returns {Promise} Response from backend with a message
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.put('/account/password', { currentPassword, newPassword });
+  return response.data;
+};
+
+/**
+ * Change the email address (it changes once the link sent to it is opened)
+ * 
+ * @param {string} email - The new email address
+ * @param {string} password - The current password
+ * @returns {Promise} Response from backend with a message and the account details
+ */
+export const changeEmail = async (email, password) => {
+  const response = await api.put('/account/email', { email, password });
+  return response.data;
+};
+
+/**
+ * Delete the account with all its data, and forget the tokens
+ * 
+ * @param {string} password - The current password
+ * @returns {Promise} Response from backend with a message
+ */
+export const deleteAccount = async (password) => {
+  const response = await api.delete('/account', { data: { password } });
+  setAuthToken(null);
+  return response.data;
+};
+
+// ==================== WORKFLOW API ====================
+
+/**
+ * Get the logged-in user's task statuses, in order
+ * 
+ * @returns {Promise} { statuses: [{ _id, name, category, next }], categories }
+ */
+export const getWorkflow = async () => {
+  const response = await api.get('/workflow');
+  return response.data;
+};
+
+/**
+ * Replace the logged-in user's task statuses
+ * 
+ * @param {Object[]} statuses - Statuses in order ({ _id, name, category, next });
+ *   keep the _id of existing statuses, leave it out for new ones
+ * @param {Object} replacements - Where tasks of removed statuses go, e.g. { "Blocked": "Pending" }
+ * @returns {Promise} { statuses, categories, movedTasks }
+ */
+export const updateWorkflow = async (statuses, replacements = {}) => {
+  const response = await api.put('/workflow', { statuses, replacements });
+  return response.data;
+};
+
+// ==================== TAGS API ====================
+
+/**
+ * Get all tags for the logged-in user
+ * 
+ * @returns {Promise} Array of tags
+ */
+export const getTags = async () => {
+  const response = await api.get('/tags');
+  return response.data.tags;
+};
+
+/**
+ * Create a new tag
+ * 
+ * @param {Object} tagData - Tag data
+ * @param {string} tagData.name - Tag name (required)
+ * @param {string} tagData.color - Hex colour, e.g. "#667eea" (optional)
+ * @returns {Promise} Created tag object
+ */
+export const createTag = async (tagData) => {
+  const response = await api.post('/tags', tagData);
+  return response.data.tag;
+};
+
+/**
+ * Update a tag (rename or change colour)
+ * 
+ * @param {string} tagId - ID of tag to update
+ * @param {Object} tagData - Updated tag data (all fields optional)
+ * @returns {Promise} Updated tag object
+ */
+export const updateTag = async (tagId, tagData) => {
+  const response = await api.put(`/tags/${tagId}`, tagData);
+  return response.data.tag;
+};
+
+/**
+ * Delete a tag (it is also removed from all tasks)
+ * 
+ * @param {string} tagId - ID of tag to delete
+ * @returns {Promise} Success message
+ */
+export const deleteTag = async (tagId) => {
+  const response = await api.delete(`/tags/${tagId}`);
+  return response.data;
+};
+
+// ==================== PROJECTS API ====================
+
+/**
+ * Get the logged-in user's projects with task counts
+ * 
+ * @param {Object} params - Optional query parameters
+ * @param {boolean} params.includeArchived - Also return archived projects
+ * @returns {Promise} { projects, inbox } - projects array and Inbox task counts
+ */
+export const getProjects = async (params = {}) => {
+  const response = await api.get('/projects', { params });
+  return {
+    projects: response.data.projects,
+    inbox: response.data.inbox,
+  };
+};
+
+/**
+ * Create a new project
+ * 
+ * @param {Object} projectData - Project data
+ * @param {string} projectData.name - Project name (required)
+ * @param {string} projectData.color - Hex colour (optional)
+ * @returns {Promise} Created project object
+ */
+export const createProject = async (projectData) => {
+  const response = await api.post('/projects', projectData);
+  return response.data.project;
+};
+
+/**
+ * Update a project (name, color, archived, sortOrder)
+ * 
+ * @param {string} projectId - ID of project to update
+ * @param {Object} projectData - Updated project data (all fields optional)
+ * @returns {Promise} Updated project object
+ */
+export const updateProject = async (projectId, projectData) => {
+  const response = await api.put(`/projects/${projectId}`, projectData);
+  return response.data.project;
+};
+
+/**
+ * Delete a project
+ * 
+ * @param {string} projectId - ID of project to delete
+ * @param {Object} options - What to do with the project's tasks
+ * @param {string} options.tasks - "move" or "delete"
+ * @param {string} options.moveTo - Target project ID or "inbox" (when moving)
+ * @returns {Promise} Success message
+ */
+export const deleteProject = async (projectId, options = {}) => {
+  const response = await api.delete(`/projects/${projectId}`, {
+    params: options,
+  });
+  return response.data;
+};
+
 export default api;
 
@@ -0,0 +1,120 @@
+/**
+ * Board Helpers
+ *
+ * The task list can be shown as a grid or as a board with one column per
+ * status. The chosen view is kept in localStorage, so it survives a page
+ * reload. Cards are in the user's manual order (Task.position), which is
+ * saved on the server.
+ *
+ * Each column is loaded on its own (only its status, in manual order, a
+ * page at a time), so the loaded cards of a column are its first ones with
+ * no gaps: the cards next to each other on screen are next to each other
+ * on the server too, and moves can be placed between them.
+ */
+
+const VIEW_KEY = 'taskView';
+
+export const VIEWS = ['grid', 'board'];
+
+/**
+ * Get the view the user picked last time ("grid" if none)
+ *
+ * @returns {string} "grid" or "board"
+ */
+export const loadView = () => {
+  const view = localStorage.getItem(VIEW_KEY);
+  return VIEWS.includes(view) ? view : 'grid';
+};
+
+/**
+ * Remember the picked view
+ *
+ * @param {string} view - "grid" or "board"
+ */
+export const saveView = (view) => {
+  localStorage.setItem(VIEW_KEY, view);
+};
+
+/**
+ * Compare two tasks by manual order
+ * (tasks without a position, from before manual order existed, go last)
+ */
+export const byPosition = (a, b) => {
+  if (a.position === b.position) return 0;
+  if (a.position === null || a.position === undefined) return 1;
+  if (b.position === null || b.position === undefined) return -1;
+  return a.position - b.position;
+};
+
+/**
+ * Get a position between two neighbours, to show a moved card in its new
+ * place before the server answers (the server picks the real one)
+ *
+ * @param {Object|undefined} previous - Task above the new place
+ * @param {Object|undefined} next - Task below the new place
+ * @param {number} fallback - Position to use without neighbours
+ * @returns {number} Position
+ */
+export const positionBetween = (previous, next, fallback) => {
+  const above = previous ? previous.position : null;
+  const below = next ? next.position : null;
+  if (above === null && below === null) return fallback;
+  if (above === null) return below - 1;
+  if (below === null) return above + 1;
+  return (above + below) / 2;
+};
+
+/**
+ * Group tasks into one column per status, in manual order
+ *
+ * @param {Object[]} statuses - The user's statuses, in order
+ * @param {Object[]} tasks - Loaded tasks
+ * @returns {Object[]} Columns: { status, tasks }
+ */
+export const buildColumns = (statuses, tasks) =>
+  statuses.map((status) => ({
+    status,
+    tasks: tasks.filter((task) => task.status === status.name).sort(byPosition),
+  }));
+
+/**
+ * Query parameters for one board column: the list's filters, but only the
+ * column's status and in manual order
+ *
+ * @param {Object} params - The list's query parameters (filters, sort, order)
+ * @param {Object} status - The column's status
+ * @returns {Object|null} Parameters, or null if the filters leave out the status
+ */
+export const getColumnQuery = (params, status) => {
+  const { status: statusFilter, category, ...filters } = params;
+  if (statusFilter && !statusFilter.split(',').includes(status.name)) return null;
+  if (category && !category.split(',').includes(status.category)) return null;
+  return { ...filters, status: status.name, sort: 'position', order: 'asc' };
+};
+
+/**
+ * Combine the first pages of the board's columns
+ *
+ * @param {Object[]} statuses - The user's statuses, in order (one column each)
+ * @param {(Object|null)[]} pages - Each column's page (null = left out by the filters)
+ * @returns {Object} { tasks, total, statusCounts: { pending, completed, byStatus },
+ *   cursors: { statusName: nextCursor } }
+ */
+export const combineColumnPages = (statuses, pages) => {
+  const combined = {
+    tasks: [],
+    total: 0,
+    statusCounts: { pending: 0, completed: 0, byStatus: {} },
+    cursors: {},
+  };
+  statuses.forEach((status, index) => {
+    const page = pages[index];
+    if (!page) return;
+    combined.tasks.push(...page.tasks);
+    combined.total += page.total;
+    combined.statusCounts.byStatus[status.name] = page.total;
+    combined.statusCounts[status.category === 'done' ? 'completed' : 'pending'] += page.total;
+    combined.cursors[status.name] = page.nextCursor;
+  });
+  return combined;
+};
@@ -0,0 +1,78 @@
+/**
+ * Tests for utils/board.js
+ *
+ * Run with: npm test
+ */
+
+import { buildColumns, getColumnQuery, combineColumnPages, positionBetween } from './board';
+
+const statuses = [
+  { name: 'To Do', category: 'todo' },
+  { name: 'Doing', category: 'in-progress' },
+  { name: 'Done', category: 'done' },
+];
+
+describe('getColumnQuery', () => {
+  it('keeps the filters and asks for the column in manual order', () => {
+    const params = { sort: 'dueDate', order: 'desc', priority: 'High', project: 'p1' };
+    expect(getColumnQuery(params, statuses[1])).toEqual({
+      priority: 'High',
+      project: 'p1',
+      status: 'Doing',
+      sort: 'position',
+      order: 'asc',
+    });
+  });
+
+  it('leaves out columns the status filter does not match', () => {
+    expect(getColumnQuery({ status: 'Doing' }, statuses[0])).toBeNull();
+    expect(getColumnQuery({ status: 'Doing' }, statuses[1])).toMatchObject({ status: 'Doing' });
+    expect(getColumnQuery({ category: 'todo,done' }, statuses[1])).toBeNull();
+    expect(getColumnQuery({ category: 'todo,done' }, statuses[2])).toMatchObject({
+      status: 'Done',
+    });
+  });
+});
+
+describe('combineColumnPages', () => {
+  it('adds up the columns and keeps the cursor of each', () => {
+    const pages = [
+      { tasks: [{ _id: 'a' }], total: 12, nextCursor: 'next-todo' },
+      null,
+      { tasks: [{ _id: 'b' }, { _id: 'c' }], total: 2, nextCursor: null },
+    ];
+
+    expect(combineColumnPages(statuses, pages)).toEqual({
+      tasks: [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }],
+      total: 14,
+      statusCounts: { pending: 12, completed: 2, byStatus: { 'To Do': 12, Done: 2 } },
+      cursors: { 'To Do': 'next-todo', Done: null },
+    });
+  });
+});
+
+describe('buildColumns', () => {
+  it('groups tasks by status in manual order', () => {
+    const tasks = [
+      { _id: 'a', status: 'To Do', position: 2048 },
+      { _id: 'b', status: 'Done', position: 0 },
+      { _id: 'c', status: 'To Do', position: 1024 },
+    ];
+    const columns = buildColumns(statuses, tasks);
+
+    expect(columns.map((column) => column.tasks.map((task) => task._id))).toEqual([
+      ['c', 'a'],
+      [],
+      ['b'],
+    ]);
+  });
+});
+
+describe('positionBetween', () => {
+  it('places a card between, above or below its neighbours', () => {
+    expect(positionBetween({ position: 0 }, { position: 1024 }, 5)).toBe(512);
+    expect(positionBetween(undefined, { position: 1024 }, 5)).toBe(1023);
+    expect(positionBetween({ position: 1024 }, undefined, 5)).toBe(1025);
+    expect(positionBetween(undefined, undefined, 5)).toBe(5);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Date Helpers
+ *
+ * Converts between the "YYYY-MM-DD" strings used by <input type="date">
+ * and the ISO date strings stored by the backend.
+ */
+
+/**
+ * Convert an ISO date string to a value for <input type="date">
+ * Uses the local date, so the input shows the same day the user picked.
+ *
+ * @param {string|null} dateString - ISO date string from the backend
+ * @returns {string} "YYYY-MM-DD" or "" if there is no date
+ */
+export const toDateInputValue = (dateString) => {
+  if (!dateString) return '';
+
+  const date = new Date(dateString);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Convert a <input type="date"> value to an ISO date string
+ *
+ * @param {string} value - "YYYY-MM-DD" from the input
+ * @param {boolean} endOfDay - true for due dates (due at the end of that day)
+ * @returns {string|null} ISO date string, or null if the input is empty
+ */
+export const fromDateInputValue = (value, endOfDay = false) => {
+  if (!value) return null;
+
+  const time = endOfDay ? 'T23:59:59.999' : 'T00:00:00';
+  // No "Z" at the end, so the time is read as local time
+  return new Date(`${value}${time}`).toISOString();
+};
+
+/**
+ * Check if a task is overdue (not done yet after its due date)
+ *
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the task is overdue
+ */
+export const isTaskOverdue = (task) => {
+  return (
+    task.statusCategory !== 'done' &&
+    !!task.dueDate &&
+    new Date(task.dueDate) < new Date()
+  );
+};
@@ -0,0 +1,127 @@
+/**
+ * Recurrence Helpers
+ *
+ * Converts between the backend's RRULE-style rules (e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+ * and the simple settings shown in the task form, and describes rules in words.
+ * See backend/utils/recurrence.js for the full list of supported rules.
+ */
+
+// Weekdays in RRULE order (index 0 = Sunday, like Date.getDay())
+export const WEEKDAYS = [
+  { code: 'SU', label: 'Sun' },
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+];
+
+// Settings for a task that does not repeat
+export const emptyRepeat = {
+  frequency: 'none', // none, daily, weekly, monthly or afterCompletion
+  interval: 1,
+  weekdays: [],
+  monthDay: 1, // -1 = last day of the month
+};
+
+/**
+ * Split a rule string into its parts
+ *
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object} e.g. { FREQ: "WEEKLY", BYDAY: "MO,WE" }
+ */
+const splitRule = (rule) => {
+  const parts = {};
+  rule.split(';').forEach((part) => {
+    const [key, value] = part.split('=');
+    parts[key] = value;
+  });
+  return parts;
+};
+
+/**
+ * Turn a rule string into form settings
+ *
+ * @param {string|null} rule - Rule string from the backend
+ * @returns {Object} Settings like emptyRepeat
+ */
+export const ruleToRepeat = (rule) => {
+  if (!rule) return emptyRepeat;
+
+  const parts = splitRule(rule);
+  const interval = Number(parts.INTERVAL || 1);
+
+  if (parts.FROM === 'COMPLETION') {
+    return { ...emptyRepeat, frequency: 'afterCompletion', interval };
+  }
+
+  return {
+    ...emptyRepeat,
+    frequency: (parts.FREQ || 'DAILY').toLowerCase(),
+    interval,
+    weekdays: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    monthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : 1,
+  };
+};
+
+/**
+ * Turn form settings into a rule string
+ *
+ * @param {Object} repeat - Settings like emptyRepeat
+ * @returns {string|null} Rule string, or null if the task does not repeat
+ */
+export const repeatToRule = (repeat) => {
+  const interval = Math.max(1, Number(repeat.interval) || 1);
+  const intervalPart = interval > 1 ? `;INTERVAL=${interval}` : '';
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return `FREQ=DAILY${intervalPart}`;
+    case 'weekly': {
+      // Keep the weekdays in calendar order
+      const days = WEEKDAYS.map((day) => day.code).filter((code) =>
+        repeat.weekdays.includes(code)
+      );
+      return `FREQ=WEEKLY${intervalPart}${days.length ? `;BYDAY=${days.join(',')}` : ''}`;
+    }
+    case 'monthly':
+      return `FREQ=MONTHLY${intervalPart};BYMONTHDAY=${repeat.monthDay}`;
+    case 'afterCompletion':
+      return `FREQ=DAILY;INTERVAL=${interval};FROM=COMPLETION`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe a rule in words, e.g. "Every 2 weeks on Mon, Wed"
+ *
+ * @param {string} rule - Rule string from the backend
+ * @returns {string} Human-readable description
+ */
+export const describeRule = (rule) => {
+  const repeat = ruleToRepeat(rule);
+  const { interval } = repeat;
+
+  switch (repeat.frequency) {
+    case 'daily':
+      return interval === 1 ? 'Every day' : `Every ${interval} days`;
+    case 'weekly': {
+      const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+      const days = WEEKDAYS.filter((day) => repeat.weekdays.includes(day.code))
+        .map((day) => day.label)
+        .join(', ');
+      return days ? `${every} on ${days}` : every;
+    }
+    case 'monthly': {
+      const every = interval === 1 ? 'Every month' : `Every ${interval} months`;
+      const day = repeat.monthDay === -1 ? 'the last day' : `day ${repeat.monthDay}`;
+      return `${every} on ${day}`;
+    }
+    case 'afterCompletion':
+      return `${interval} day${interval === 1 ? '' : 's'} after completion`;
+    default:
+      return 'Repeats';
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Time Helpers
+ *
+ * Formats tracked time (in seconds) for the timer and time log.
+ */
+
+/**
+ * Format a duration for totals, e.g. "2h 05m", "12m" or "<1m"
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Short duration text
+ */
+export const formatDuration = (seconds) => {
+  const totalMinutes = Math.floor((seconds || 0) / 60);
+  if (totalMinutes < 1) return '<1m';
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+};
+
+/**
+ * Format a running timer like a stopwatch, e.g. "1:02:03" or "12:34"
+ *
+ * @param {number} seconds - Elapsed seconds
+ * @returns {string} Stopwatch text
+ */
+export const formatClock = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Seconds between a start time and now
+ *
+ * @param {string} startedAt - ISO date string
+ * @returns {number} Elapsed seconds
+ */
+export const secondsSince = (startedAt) =>
+  Math.max(0, Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000));
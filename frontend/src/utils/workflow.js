@@ -0,0 +1,39 @@
+/**
+ * Workflow Helpers
+ *
+ * The user's task statuses come from GET /api/workflow. Each status has a
+ * name, a category (todo, in-progress or done) and the statuses a task may
+ * move to next (an empty list means any status).
+ */
+
+// Labels for the status categories
+export const CATEGORY_LABELS = {
+  todo: 'To do',
+  'in-progress': 'In progress',
+  done: 'Done',
+};
+
+/**
+ * Check if a task is in a "done" status
+ *
+ * @param {Object} task - Task object
+ * @returns {boolean} True if the task is done
+ */
+export const isTaskDone = (task) => task.statusCategory === 'done';
+
+/**
+ * The statuses a task may move to from its current status
+ * (the current status itself is always included)
+ *
+ * @param {Object[]} statuses - The user's statuses, in order
+ * @param {string} current - Name of the task's current status
+ * @returns {Object[]} Allowed statuses, in workflow order
+ */
+export const getAllowedStatuses = (statuses, current) => {
+  const currentStatus = statuses.find((status) => status.name === current);
+  if (!currentStatus || currentStatus.next.length === 0) return statuses;
+
+  return statuses.filter(
+    (status) => status.name === current || currentStatus.next.includes(status.name)
+  );
+};